@@ -0,0 +1,4 @@
+module.exports = {
+  spec: 'test/**/*.test.js',
+  require: './test/setup.js'
+};
@@ -0,0 +1,145 @@
+/*
+ * Save latency against the number of stored bookings.
+ *
+ *   npm run bench
+ *   BENCH_DATABASE_URL=postgres://... npm run bench    # Postgres as well
+ *
+ * SQLite is included when the optional better-sqlite3 package is installed.
+ *
+ * For each size the store is filled with that many bookings, then one new
+ * booking at a time is saved as the routes do (apply) and, for comparison,
+ * the whole dataset is rewritten (replaceAll, which every save used to do).
+ * The JSON store's mean includes the data file rewrites it makes every
+ * few hundred saves; the median and p95 show a typical save.  Postgres runs in a throwaway schema that is dropped afterwards.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore, createSqliteStore, createPostgresStore } = require('../storage');
+
+const SIZES = (process.env.BENCH_SIZES || '1000,10000,50000').split(',').map(Number);
+const SAVES = parseInt(process.env.BENCH_SAVES, 10) || 1000;
+const REWRITES = 3;
+
+// Bookings must belong to a stored space (see migrations.js)
+const SPACES = Array.from({ length: 20 }, (_, i) => ({
+  id: crypto.randomUUID(), name: `Desk ${i + 1}`, type: 'desk', priorityOrder: i + 1, locationId: null
+}));
+
+function booking(i) {
+  return {
+    id: crypto.randomUUID(),
+    name: `Booker ${i}`,
+    email: `booker${i}@fbhi.net`,
+    spaceId: SPACES[i % SPACES.length].id,
+    date: `2030-${String(1 + (i % 12)).padStart(2, '0')}-${String(1 + (i % 28)).padStart(2, '0')}`,
+    startTime: '09:00',
+    endTime: '10:00',
+    recurring: null,
+    checkedIn: false,
+    sequence: 0,
+    createdBy: null
+  };
+}
+
+function dataset(size) {
+  return {
+    locations: [],
+    spaces: SPACES,
+    bookings: Array.from({ length: size }, (_, i) => booking(i)),
+    admins: [],
+    verifiedEmails: [],
+    kioskTokens: [],
+    calendarFeeds: [],
+    bookerSessions: [],
+    adminSessions: [],
+    settings: { resultsPerPage: 10 }
+  };
+}
+
+// Milliseconds taken by each of `runs` calls of fn(i)
+async function time(runs, fn) {
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await fn(i);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times;
+}
+
+function summarise(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const mean = times.reduce((a, b) => a + b, 0) / times.length;
+  return `median ${at(0.5).toFixed(2)} ms, p95 ${at(0.95).toFixed(2)} ms, mean ${mean.toFixed(2)} ms`;
+}
+
+async function benchStore(label, store, size) {
+  const data = dataset(size);
+  await store.replaceAll(data);
+  const saves = await time(SAVES, i => store.apply({ save: { bookings: [booking(size + i)] } }));
+  const rewrites = await time(REWRITES, () => store.replaceAll(data));
+  console.log(`${label.padEnd(9)} ${String(size).padStart(7)} bookings | save one: ${summarise(saves)} | rewrite all: ${summarise(rewrites)}`);
+}
+
+async function benchJson() {
+  for (const size of SIZES) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-bench-'));
+    try {
+      const store = createJsonStore({ dataFile: path.join(dir, 'data.json'), journalFile: path.join(dir, 'data-changes.jsonl') });
+      await benchStore('json', store, size);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+async function benchSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+  } catch (_) {
+    console.log('sqlite    skipped: better-sqlite3 is not installed');
+    return;
+  }
+  for (const size of SIZES) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-bench-'));
+    const store = createSqliteStore({ file: path.join(dir, 'data.sqlite') });
+    try {
+      await benchStore('sqlite', store, size);
+    } finally {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+async function benchPostgres(url) {
+  const { Pool } = require('pg');
+  const schema = `bench_${crypto.randomBytes(4).toString('hex')}`;
+  const admin = new Pool({ connectionString: url });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  const pool = new Pool({ connectionString: url, options: `-c search_path=${schema}` });
+  try {
+    const store = createPostgresStore(pool);
+    await store.init();
+    for (const size of SIZES) {
+      await benchStore('postgres', store, size);
+    }
+  } finally {
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  }
+}
+
+(async () => {
+  console.log(`${SAVES} single-booking saves and ${REWRITES} full rewrites per size\n`);
+  await benchJson();
+  await benchSqlite();
+  if (process.env.BENCH_DATABASE_URL) await benchPostgres(process.env.BENCH_DATABASE_URL);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,284 @@
+/*
+ * Versioned schema migrations for the Postgres store.
+ *
+ * Each migration has a version, a name and an up() step that runs in its
+ * own transaction.  The "schemaMigrations" table records the versions
+ * applied, so every migration runs once and in order.  Migrations are never
+ * edited once released: a schema change is a new entry at the end of
+ * MIGRATIONS.
+ *
+ * The server applies pending migrations when it starts, and refuses to run
+ * against a database that a newer release has already migrated.  They can
+ * also be run ahead of a deploy:
+ *
+ *   npm run migrate              apply pending migrations
+ *   npm run migrate -- status    list applied and pending migrations
+ */
+
+// Run the statements one after another
+function statements(...sql) {
+  return async client => {
+    for (const stmt of sql) await client.query(stmt);
+  };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // The schema as it stood before versioned migrations.  Databases created
+    // earlier already have some or all of it, hence IF NOT EXISTS throughout.
+    up: statements(
+      `CREATE TABLE IF NOT EXISTS locations (
+        id UUID PRIMARY KEY,
+        name TEXT,
+        address TEXT,
+        "timeZone" TEXT,
+        hours JSONB,
+        holidays JSONB
+      );`,
+      `CREATE TABLE IF NOT EXISTS spaces (
+        id UUID PRIMARY KEY,
+        name TEXT,
+        type TEXT,
+        "priorityOrder" INTEGER
+      );`,
+      `CREATE TABLE IF NOT EXISTS bookings (
+        id UUID PRIMARY KEY,
+        name TEXT,
+        email TEXT,
+        "spaceId" UUID,
+        date TEXT,
+        "startTime" TEXT,
+        "endTime" TEXT,
+        recurring JSONB,
+        "checkInTime" TEXT,
+        "checkOutTime" TEXT,
+        cancelled BOOLEAN
+      );`,
+      `CREATE TABLE IF NOT EXISTS admins (
+        id UUID PRIMARY KEY,
+        username TEXT UNIQUE,
+        "passwordHash" TEXT,
+        salt TEXT,
+        role TEXT
+      );`,
+      `CREATE TABLE IF NOT EXISTS "verifiedEmails" (
+        email TEXT PRIMARY KEY
+      );`,
+      `CREATE TABLE IF NOT EXISTS "kioskTokens" (
+        id UUID PRIMARY KEY,
+        code TEXT,
+        label TEXT
+      );`,
+      `CREATE TABLE IF NOT EXISTS "calendarFeeds" (
+        token TEXT PRIMARY KEY,
+        email TEXT,
+        "createdAt" TEXT
+      );`,
+      `CREATE TABLE IF NOT EXISTS "bookerSessions" (
+        id TEXT PRIMARY KEY,
+        email TEXT,
+        "createdAt" TEXT,
+        "expiresAt" TEXT,
+        "lastUsedAt" TEXT,
+        "userAgent" TEXT
+      );`,
+      `CREATE TABLE IF NOT EXISTS "adminSessions" (
+        id TEXT PRIMARY KEY,
+        "tokenHash" TEXT UNIQUE,
+        "adminId" TEXT,
+        "createdAt" TEXT,
+        "expiresAt" TEXT,
+        "lastSeenAt" TEXT,
+        "userAgent" TEXT
+      );`,
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value JSONB
+      );`,
+      // iCalendar SEQUENCE of each booking, added after the original schema
+      `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS sequence INTEGER DEFAULT 0;`,
+      `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS "createdBy" TEXT;`,
+      // Location of each space and of each kiosk (null = every location)
+      `ALTER TABLE spaces ADD COLUMN IF NOT EXISTS "locationId" UUID;`,
+      `ALTER TABLE "kioskTokens" ADD COLUMN IF NOT EXISTS "locationId" UUID;`,
+      // Two-factor authentication of admins and how each session signed in
+      `ALTER TABLE admins ADD COLUMN IF NOT EXISTS "totpSecret" TEXT;`,
+      `ALTER TABLE admins ADD COLUMN IF NOT EXISTS "recoveryCodes" JSONB;`,
+      `ALTER TABLE admins ADD COLUMN IF NOT EXISTS "totpLastStep" INTEGER;`,
+      `ALTER TABLE "adminSessions" ADD COLUMN IF NOT EXISTS method TEXT;`,
+      // Consecutive failed logins and account lockout
+      `ALTER TABLE admins ADD COLUMN IF NOT EXISTS "failedLogins" INTEGER DEFAULT 0;`,
+      `ALTER TABLE admins ADD COLUMN IF NOT EXISTS "lockedUntil" TEXT;`,
+      // Append-only audit trail.  Rows are inserted as actions happen and are
+      // not part of the collections above.
+      `CREATE TABLE IF NOT EXISTS "auditLog" (
+        id TEXT PRIMARY KEY,
+        at TEXT,
+        actor TEXT,
+        "actorName" TEXT,
+        role TEXT,
+        action TEXT,
+        "targetType" TEXT,
+        "targetId" TEXT,
+        before JSONB,
+        after JSONB,
+        ip TEXT
+      );`
+    )
+  },
+  {
+    version: 2,
+    name: 'bookings reference spaces',
+    up: async client => {
+      // Bookings of spaces deleted before the constraint existed would block
+      // it.  Keep them aside rather than losing them outright.
+      const orphans = `FROM bookings b WHERE b."spaceId" IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM spaces s WHERE s.id = b."spaceId")`;
+      const { rows } = await client.query(`SELECT count(*)::int AS count ${orphans}`);
+      if (rows[0].count > 0) {
+        await client.query(`CREATE TABLE "orphanedBookings" AS SELECT b.* ${orphans}`);
+        await client.query(`DELETE ${orphans}`);
+        console.log(`Moved ${rows[0].count} booking(s) of deleted spaces to "orphanedBookings"`);
+      }
+      // Deferred so a space and its bookings can be written in one
+      // transaction in any order.
+      await client.query(`ALTER TABLE bookings ADD CONSTRAINT "bookings_spaceId_fkey"
+        FOREIGN KEY ("spaceId") REFERENCES spaces (id) DEFERRABLE INITIALLY DEFERRED`);
+    }
+  },
+  {
+    version: 3,
+    name: 'space calendar feed tokens',
+    // Space feeds need a token like personal ones; their rows name the
+    // space instead of an email address
+    up: async client => {
+      await client.query('ALTER TABLE "calendarFeeds" ADD COLUMN IF NOT EXISTS "spaceId" TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'audit log index',
+    // GET /api/audit pages through the log newest first in the database
+    up: async client => {
+      await client.query('CREATE INDEX IF NOT EXISTS "auditLog_at_idx" ON "auditLog" (at)');
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Held while migrating so instances starting together take turns
+const MIGRATION_LOCK = 'booking-schema-migrations';
+
+// Versions already applied, creating the version table on first use
+async function appliedMigrations(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS "schemaMigrations" (
+    version INTEGER PRIMARY KEY,
+    name TEXT,
+    "appliedAt" TEXT
+  )`);
+  const result = await client.query('SELECT version, name, "appliedAt" FROM "schemaMigrations" ORDER BY version');
+  return result.rows;
+}
+
+// A database migrated by a newer release may have tables or constraints
+// this one would write around or break.  err.code is SCHEMA_TOO_NEW.
+function checkKnownVersions(applied) {
+  const unknown = applied.filter(row => !MIGRATIONS.some(m => m.version === row.version));
+  if (!unknown.length) return;
+  const err = new Error(`Database schema has migration ${unknown[unknown.length - 1].version} ` +
+    `("${unknown[unknown.length - 1].name}") but this release only knows up to ${LATEST_VERSION}; ` +
+    'upgrade the app or point it at another database');
+  err.code = 'SCHEMA_TOO_NEW';
+  throw err;
+}
+
+// Run fn on a client of its own while holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply every pending migration in order, each in its own transaction.
+ * Throws with code SCHEMA_TOO_NEW, before changing anything, when the
+ * database has migrations this release does not know.  Resolves to the
+ * migrations applied.
+ */
+function migrate(pool) {
+  return withMigrationLock(pool, async client => {
+    const applied = await appliedMigrations(client);
+    checkKnownVersions(applied);
+    const done = new Set(applied.map(row => row.version));
+    const ran = [];
+    for (const migration of MIGRATIONS) {
+      if (done.has(migration.version)) continue;
+      await client.query('BEGIN');
+      try {
+        await migration.up(client);
+        await client.query('INSERT INTO "schemaMigrations" (version, name, "appliedAt") VALUES ($1, $2, $3)',
+          [migration.version, migration.name, new Date().toISOString()]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+        throw err;
+      }
+      ran.push(migration);
+    }
+    return ran;
+  });
+}
+
+/**
+ * Applied migrations (with when they ran) and pending ones, without
+ * changing the schema beyond creating the version table.
+ */
+function migrationStatus(pool) {
+  return withMigrationLock(pool, async client => {
+    const applied = await appliedMigrations(client);
+    const done = new Set(applied.map(row => row.version));
+    return { applied, pending: MIGRATIONS.filter(m => !done.has(m.version)) };
+  });
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrate, migrationStatus };
+
+if (require.main === module) {
+  const command = process.argv[2] || 'up';
+  if (!['up', 'status'].includes(command) || !process.env.DATABASE_URL) {
+    console.error('Usage: DATABASE_URL=postgres://... node migrations.js [up|status]');
+    process.exit(1);
+  }
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+  (async () => {
+    if (command === 'status') {
+      const { applied, pending } = await migrationStatus(pool);
+      for (const row of applied) {
+        const known = MIGRATIONS.some(m => m.version === row.version) ? '' : '  (unknown to this release)';
+        console.log(`${row.version}  ${row.name}  applied ${row.appliedAt}${known}`);
+      }
+      for (const m of pending) console.log(`${m.version}  ${m.name}  pending`);
+    } else {
+      const ran = await migrate(pool);
+      if (!ran.length) console.log(`Schema is up to date at version ${LATEST_VERSION}`);
+      for (const m of ran) console.log(`Applied ${m.version}  ${m.name}`);
+    }
+  })().then(() => pool.end(), err => {
+    console.error(err.message);
+    process.exitCode = 1;
+    return pool.end();
+  });
+}
@@ -6,6 +6,7 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const { COLLECTIONS, splitOrphanBookings, createJsonStore, createSqliteStore, createPostgresStore } = require('./storage');
 // Conditionally import pg.  When running locally without the pg package
 // installed we catch the error and leave Pool undefined.  The database
 // functionality is only used when DATABASE_URL is provided and pg is
@@ -34,14 +35,39 @@ const MAX_BOOKING_HOURS = 12;
 // location (e.g. /data) to ensure persistence across deploys.
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 const DATA_FILE = path.join(DATA_DIR, 'data.json');
-// Directory where backups of the data file will be written.  Each time data
-// is saved, a timestamped copy of the JSON payload will be stored here.  The
-// directory will be created on demand if it does not exist.  Only a small
-// number of recent backups are retained to avoid unbounded growth.  You can
-// adjust BACKUP_RETENTION to keep more or fewer backups.  Use BACKUP_DIR
-// environment variable to override the default.
+// Directory where snapshots of all data are written (see "Snapshots"
+// below), created on demand.  Use the BACKUP_DIR environment variable to
+// keep them elsewhere, e.g. on another disk.
 const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
-const BACKUP_RETENTION = 10;
+// A snapshot is taken every SNAPSHOT_INTERVAL_MS.  Kept are the newest of
+// each of the latest 24 hours, 7 days and 4 weeks that have one, so a burst
+// of changes cannot push older days out.
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+const SNAPSHOT_RETENTION = { hourly: 24, daily: 7, weekly: 4 };
+// Local store under DATA_DIR: "json" (data.json plus a change journal) or
+// "sqlite" (a single SQLite file, needs the better-sqlite3 package).  The
+// first start with SQLite imports an existing data.json.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'data.sqlite');
+
+// Site timezone used until an owner picks one on the settings page.  All
+// booking dates and times are wall‑clock values in this zone, so "today",
+// "tomorrow" and "in the past" are worked out here rather than from the
+// server's own clock zone.
+const DEFAULT_TIME_ZONE = process.env.SITE_TIME_ZONE || 'America/New_York';
+
+// Email domains allowed to book until an admin edits the allowlist on the
+// settings page.  Comma separated, e.g. "fbhi.net,sister.example".
+const DEFAULT_ALLOWED_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || 'fbhi.net')
+  .split(',')
+  .map(d => d.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+// Window of days expanded into the subscribable calendar feeds
+// (/calendar/...ics), relative to today.  Past days keep recent bookings
+// visible in the subscriber's calendar; future days bound the feed size.
+const CALENDAR_FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const CALENDAR_FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
 
 // -----------------------------------------------------------------------------
 // Formatting helpers
@@ -105,9 +131,9 @@ let db = null;
 
 /**
  * Initialise the Postgres database.  When DATABASE_URL is defined this
- * function will create a connection pool and ensure all required tables exist.
- * The schema is deliberately simple and mirrors the in‑memory arrays used by
- * the application.  If no DATABASE_URL is provided this function resolves
+ * function will create a connection pool and migrate the schema to the
+ * version this release expects.  The schema is deliberately simple and
+ * mirrors the in‑memory arrays used by the application.  If no DATABASE_URL is provided this function resolves
  * immediately without performing any actions.
  */
 async function initDb() {
@@ -135,49 +161,10 @@ async function initDb() {
     db = null;
     return;
   }
-  // Create tables if they do not already exist.  Use JSONB for the
-  // recurring column to store arbitrary recurrence objects.  Note that the
-  // bookings table includes optional checkInTime, checkOutTime and
-  // cancelled fields added in later iterations of the app.
-  const createStatements = [
-    `CREATE TABLE IF NOT EXISTS spaces (
-      id UUID PRIMARY KEY,
-      name TEXT,
-      type TEXT,
-      "priorityOrder" INTEGER
-    );`,
-    `CREATE TABLE IF NOT EXISTS bookings (
-      id UUID PRIMARY KEY,
-      name TEXT,
-      email TEXT,
-      "spaceId" UUID,
-      date TEXT,
-      "startTime" TEXT,
-      "endTime" TEXT,
-      recurring JSONB,
-      "checkInTime" TEXT,
-      "checkOutTime" TEXT,
-      cancelled BOOLEAN
-    );`,
-    `CREATE TABLE IF NOT EXISTS admins (
-      id UUID PRIMARY KEY,
-      username TEXT UNIQUE,
-      "passwordHash" TEXT,
-      salt TEXT,
-      role TEXT
-    );`,
-    `CREATE TABLE IF NOT EXISTS "verifiedEmails" (
-      email TEXT PRIMARY KEY
-    );`,
-    `CREATE TABLE IF NOT EXISTS "kioskTokens" (
-      id UUID PRIMARY KEY,
-      code TEXT,
-      label TEXT
-    );`
-  ];
-  for (const stmt of createStatements) {
-    await db.query(stmt);
-  }
+  // Apply any pending schema migrations; see migrations.js.  Throws with
+  // code SCHEMA_TOO_NEW when a newer release has migrated the database.
+  pgStore = createPostgresStore(db);
+  await pgStore.init();
 }
 
 /*
@@ -279,224 +266,407 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
 }
 
 
+// ----- Persistence -----------------------------------------------------------
+//
+// The in‑memory collections below are the working copy of the data.  Every
+// change is written through as a change set naming only the records that
+// changed (see storage.js): always to the local store under DATA_DIR (JSON
+// or SQLite, see STORAGE_BACKEND), and to Postgres as well when a database
+// is connected.
+
+// data.json plus a journal of the changes made since it was last written
+const jsonStore = createJsonStore({
+  dataFile: DATA_FILE,
+  journalFile: path.join(DATA_DIR, 'data-changes.jsonl')
+});
+
+// The local store in use.  An unknown backend, or SQLite without its
+// package, is kept in fileStoreError; the startup block then stops the
+// server rather than save somewhere unexpected.
+let fileStore = jsonStore;
+let fileStoreError = null;
+try {
+  if (STORAGE_BACKEND === 'sqlite') {
+    fileStore = createSqliteStore({ file: SQLITE_FILE, importFrom: jsonStore });
+  } else if (STORAGE_BACKEND !== 'json') {
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}"; use json or sqlite`);
+  }
+} catch (err) {
+  fileStoreError = Object.assign(err, { code: 'STORAGE_UNAVAILABLE' });
+}
+
+// Postgres store, set by initDb() once connected
+let pgStore = null;
+
+// Use another Postgres store (or none); lets tests make saves fail
+function setPostgresStore(store) {
+  pgStore = store;
+}
+
+// Every persisted collection, as written by replaceAll()
+function snapshotData() {
+  return { locations, spaces, bookings, admins, verifiedEmails, kioskTokens, calendarFeeds, bookerSessions, adminSessions, settings };
+}
+
 /**
- * Persist the current spaces, bookings and admins to disk. Tokens are not
- * persisted because they are only valid for the lifetime of the process.
+ * Persist a change.  Pass the records added or changed, the keys of the
+ * records removed and the names of the settings changed, e.g.
+ *
+ *   await saveData({ save: { bookings: [booking] } });
+ *   await saveData({ remove: { spaces: [space.id] }, settings: ['timeZone'] });
+ *
+ * Failures to write the local store are logged; a database failure is thrown
+ * so the caller can report it.  Tokens that only live in memory (password
+ * resets, verification links, kiosk sessions) are never persisted.
+ *
+ * @param {object} changes { save, remove, settings }
  */
-async function saveData() {
-  const out = {
-    spaces,
-    bookings,
-    admins,
-    verifiedEmails,
-    kioskTokens
-  };
-  // Persist to JSON file regardless of DB presence.  This provides a local
-  // backup and maintains compatibility with environments that do not use
-  // Postgres.  Failures here are logged but do not prevent execution.
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(out, null, 2));
-    createBackup(out);
-  } catch (err) {
-    console.error('Failed to save data to JSON file:', err);
+async function saveData({ save = {}, remove = {}, settings: settingKeys = [] } = {}) {
+  dataModifiedAt = new Date();
+  const changes = { save, remove };
+  if (settingKeys.length) {
+    changes.settings = {};
+    settingKeys.forEach(key => { changes.settings[key] = settings[key]; });
   }
-  // Persist to database if configured.  Use a transaction to ensure that
-  // deletes and inserts succeed together.  On failure the transaction is
-  // rolled back leaving the previous data intact.  Because this function may
-  // be invoked frequently we perform simple wholesale deletes followed by
-  // inserts; this is acceptable given the small scale of the application.
-  if (db) {
+  await saveToFile(changes);
+  if (pgStore) {
     try {
-      await db.query('BEGIN');
-      // Clear all tables.  Delete from bookings before spaces to avoid
-      // foreign key violations in environments where a constraint exists.
-      await db.query('DELETE FROM bookings');
-      await db.query('DELETE FROM spaces');
-      await db.query('DELETE FROM admins');
-      await db.query('DELETE FROM "verifiedEmails"');
-      await db.query('DELETE FROM "kioskTokens"');
-      // Insert spaces
-      for (const s of spaces) {
-        await db.query('INSERT INTO spaces (id, name, type, "priorityOrder") VALUES ($1, $2, $3, $4)', [s.id, s.name, s.type, s.priorityOrder]);
-      }
-      // Insert bookings
-      for (const b of bookings) {
-        await db.query(
-          'INSERT INTO bookings (id, name, email, "spaceId", date, "startTime", "endTime", recurring, "checkInTime", "checkOutTime", cancelled) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)',
-          [
-            b.id,
-            b.name,
-            b.email,
-            b.spaceId,
-            b.date,
-            b.startTime,
-            b.endTime,
-            getRecurring(b) && typeof getRecurring(b) === 'object' ? getRecurring(b) : null,
-            b.checkInTime || null,
-            b.checkOutTime || null,
-            b.cancelled || false
-          ]
-        );
-      }
-      // Insert admins
-      for (const a of admins) {
-        await db.query(
-          'INSERT INTO admins (id, username, "passwordHash", salt, role) VALUES ($1,$2,$3,$4,$5)',
-          [a.id, a.username, a.passwordHash || a.password, a.salt || null, a.role]
-        );
-      }
-      // Insert verified emails
-      for (const email of verifiedEmails) {
-        await db.query('INSERT INTO "verifiedEmails" (email) VALUES ($1)', [email]);
-      }
-      // Insert kiosk tokens. Include optional label; if the column is missing
-      // fall back to inserting without it so existing deployments continue to work.
-      for (const kt of kioskTokens) {
-        try {
-          await db.query('INSERT INTO "kioskTokens" (id, code, label) VALUES ($1, $2, $3)', [kt.id, kt.code, kt.label || null]);
-        } catch (err) {
-          await db.query('INSERT INTO "kioskTokens" (id, code) VALUES ($1, $2)', [kt.id, kt.code]);
-        }
-      }
-      await db.query('COMMIT');
+      await pgStore.apply(changes);
     } catch (err) {
       console.error('Failed to save data to database:', err);
-      try {
-        await db.query('ROLLBACK');
-      } catch (_) {}
       throw err;
     }
   }
 }
 
+// Write a change to the local store, logging rather than throwing a failure
+async function saveToFile(changes) {
+  try {
+    await fileStore.apply(changes);
+  } catch (err) {
+    console.error(`Failed to save data to ${fileStore.name} storage:`, err);
+  }
+}
+
+// Older records kept a booking's rule under `recurrence`
+function normaliseStoredBooking(b) {
+  const { recurrence, ...rest } = b;
+  return { ...rest, recurring: b.recurring || recurrence || null };
+}
+
+// Replace the in‑memory collections with stored data.  Collections missing
+// from `data` keep their defaults, as do locations when none are stored.
+function applyStoredData(data) {
+  if (Array.isArray(data.locations) && data.locations.length) {
+    locations.splice(0, locations.length, ...data.locations);
+  }
+  if (Array.isArray(data.spaces)) spaces.splice(0, spaces.length, ...data.spaces);
+  if (Array.isArray(data.bookings)) bookings.splice(0, bookings.length, ...data.bookings.map(normaliseStoredBooking));
+  if (Array.isArray(data.admins)) admins.splice(0, admins.length, ...data.admins);
+  if (Array.isArray(data.verifiedEmails)) verifiedEmails.splice(0, verifiedEmails.length, ...data.verifiedEmails);
+  if (Array.isArray(data.kioskTokens)) kioskTokens.splice(0, kioskTokens.length, ...data.kioskTokens);
+  if (Array.isArray(data.calendarFeeds)) calendarFeeds.splice(0, calendarFeeds.length, ...data.calendarFeeds);
+  if (Array.isArray(data.bookerSessions)) bookerSessions.splice(0, bookerSessions.length, ...data.bookerSessions);
+  if (Array.isArray(data.adminSessions)) {
+    adminSessions.splice(0, adminSessions.length, ...data.adminSessions);
+    resumeAdminSessions();
+  }
+  if (data.settings && typeof data.settings === 'object') {
+    Object.assign(settings, data.settings);
+  }
+}
+
 /**
- * Load persisted state into the in‑memory arrays. When the application is
- * configured with a DATABASE_URL and a Postgres connection is available
- * this function will query each table and replace the contents of the
- * corresponding in‑memory collections. When no database is configured it
- * falls back to loading from the JSON data file on disk. Missing files
- * are ignored and leave the default values intact. Any errors are logged
- * but will not prevent the server from starting.
+ * Load persisted state into the in‑memory collections: from Postgres when
+ * connected, otherwise from the local store (which, for SQLite, imports
+ * data.json the first time).  A store with nothing in it is then written
+ * in full, so the defaults (or, when moving to an empty database, the
+ * local data) are kept and later changes apply on top of them.  As before,
+ * an empty database with no local data starts with no spaces or admins;
+ * see /api/bootstrap-admin.  Any errors are logged but will not prevent
+ * the server from starting.
  */
 async function loadData() {
-  // If a database connection exists, prefer loading from the database.
-  if (db) {
+  let fromDatabase = null;
+  let databaseEmpty = false;
+  if (pgStore) {
     try {
-      // Load spaces from the database
-      const spaceRes = await db.query('SELECT id, name, type, "priorityOrder" FROM spaces');
-      // Replace contents of spaces array while preserving its identity
-      spaces.splice(0, spaces.length, ...spaceRes.rows.map(r => ({
-        id: r.id,
-        name: r.name,
-        type: r.type,
-        priorityOrder: r.priorityOrder
-      })));
-      // Load bookings from the database
-      const bookingRes = await db.query('SELECT id, name, email, "spaceId", date, "startTime", "endTime", recurring, "checkInTime", "checkOutTime", cancelled FROM bookings');
-      bookings.splice(0, bookings.length, ...bookingRes.rows.map(r => ({
-        id: r.id,
-        name: r.name,
-        email: r.email,
-        spaceId: r.spaceId,
-        date: r.date,
-        startTime: r.startTime,
-        endTime: r.endTime,
-        recurring: r.recurring || null,
-        checkInTime: r.checkInTime || null,
-        checkOutTime: r.checkOutTime || null,
-        checkedIn: !!r.checkInTime,
-        cancelled: r.cancelled || false
-      })));
-      // Load admins from the database
-      const adminRes = await db.query('SELECT id, username, "passwordHash", salt, role FROM admins');
-      admins.splice(0, admins.length, ...adminRes.rows.map(r => ({
-        id: r.id,
-        username: r.username,
-        passwordHash: r.passwordHash,
-        salt: r.salt,
-        role: r.role
-      })));
-      // Load verified emails from the database
-      const verifiedRes = await db.query('SELECT email FROM "verifiedEmails"');
-      verifiedEmails.splice(0, verifiedEmails.length, ...verifiedRes.rows.map(r => r.email));
-      // Load kiosk tokens from the database, including optional labels. If the
-      // label column does not exist yet, fall back to selecting only id and code.
-      let tokenRes;
-      try {
-        tokenRes = await db.query('SELECT id, code, label FROM "kioskTokens"');
-      } catch (err) {
-        tokenRes = await db.query('SELECT id, code FROM "kioskTokens"');
-      }
-      kioskTokens.splice(0, kioskTokens.length, ...tokenRes.rows.map(r => ({
-        id: r.id,
-        code: r.code,
-        label: r.label || ''
-      })));
-      return;
+      fromDatabase = await pgStore.load();
+      databaseEmpty = !fromDatabase;
     } catch (err) {
       console.error('Failed to load data from database:', err);
-      // fall through to file-based loading on error
     }
   }
-  // Fall back to loading from the JSON data file on disk
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      const data = JSON.parse(raw);
-      if (data.spaces && Array.isArray(data.spaces)) {
-        spaces.splice(0, spaces.length, ...data.spaces);
-      }
-      if (data.bookings && Array.isArray(data.bookings)) {
-        bookings.splice(0, bookings.length, ...data.bookings.map(b => {
-          const rec = b.recurring || b.recurrence || null;
-          const { recurrence, ...rest } = b;
-          return { ...rest, recurring: rec };
-        }));
-      }
-      if (data.admins && Array.isArray(data.admins)) {
-        admins.splice(0, admins.length, ...data.admins);
-      }
-      if (data.verifiedEmails && Array.isArray(data.verifiedEmails)) {
-        verifiedEmails.splice(0, verifiedEmails.length, ...data.verifiedEmails);
-      }
-      if (data.kioskTokens && Array.isArray(data.kioskTokens)) {
-        kioskTokens.splice(0, kioskTokens.length, ...data.kioskTokens);
+  let fromFile = null;
+  if (!fromDatabase) {
+    try {
+      fromFile = await fileStore.load();
+    } catch (err) {
+      console.error(`Failed to load data from ${fileStore.name} storage:`, err);
+    }
+  }
+  if (fromDatabase || fromFile) {
+    applyStoredData(fromDatabase || fromFile);
+  } else if (databaseEmpty) {
+    const empty = {};
+    Object.keys(COLLECTIONS).forEach(name => { empty[name] = []; });
+    applyStoredData(empty);
+  }
+  let repairs = assignDefaultLocation();
+  if (databaseEmpty) {
+    // Fill the empty database first.  Bookings whose space is gone cannot
+    // go in (see migrations.js) and are set aside in "orphanedBookings",
+    // so drop them here too.  If it cannot be filled, stop: running on an
+    // empty database would fail every later booking.
+    let orphans;
+    try {
+      orphans = await pgStore.replaceAll(snapshotData());
+    } catch (err) {
+      throw Object.assign(new Error(`Failed to copy the existing data into the empty database: ${err.message}`),
+        { code: 'DATABASE_FILL_FAILED' });
+    }
+    if (orphans.length) {
+      const ids = new Set(orphans.map(b => b.id));
+      bookings.splice(0, bookings.length, ...bookings.filter(b => !ids.has(b.id)));
+      console.log(`Moved ${orphans.length} booking(s) of deleted spaces to "orphanedBookings"`);
+      repairs = { ...(repairs || {}), remove: { bookings: [...ids] } };
+    }
+  }
+  const stores = [[fileStore, !fromFile]];
+  if (fromDatabase) stores.push([pgStore, false]);
+  for (const [store, writeAll] of stores) {
+    try {
+      if (writeAll) {
+        await store.replaceAll(snapshotData());
+      } else if (repairs) {
+        await store.apply(repairs);
       }
+    } catch (err) {
+      console.error(`Failed to save loaded data to ${store.name} storage:`, err);
     }
-  } catch (err) {
-    console.error('Failed to load data from JSON file:', err);
   }
 }
 
 /**
- * Write a timestamped backup of the current data payload.  The backup file
- * name includes the current date and time down to seconds.  Only the most
- * recent BACKUP_RETENTION backups are kept on disk; older backups are
- * automatically removed.
+ * Reload the bookings from the database, picking up those made through
+ * other instances.  Does nothing without a database.  Waits for bookings
+ * being created so that none is dropped from memory while it is saved.
+ */
+async function reloadBookings() {
+  if (!pgStore) return;
+  await withBookingLock(async () => {
+    const stored = await pgStore.loadCollection('bookings');
+    bookings.splice(0, bookings.length, ...stored);
+  });
+}
+
+// ----- Snapshots -------------------------------------------------------------
+//
+// Every SNAPSHOT_INTERVAL_MS a copy of all persisted data is written to
+// BACKUP_DIR as data-<time>.json, the name older releases gave the backup
+// made on each save (those are listed and pruned the same way).  Owners can
+// list, download and restore snapshots through /api/backups.
+
+const SNAPSHOT_NAME = /^data-(\d{4}-\d\d-\d\dT\d\d)-(\d\d)-(\d\d)-(\d{3})Z\.json$/;
+
+// Length of the periods of each retention tier (UTC)
+const SNAPSHOT_TIERS = [
+  ['hourly', 60 * 60 * 1000],
+  ['daily', 24 * 60 * 60 * 1000],
+  ['weekly', 7 * 24 * 60 * 60 * 1000]
+];
+
+// Collections a restore leaves as they are: bringing back old sessions
+// would revive ones that have been signed out or revoked since
+const RESTORE_KEEPS = ['adminSessions', 'bookerSessions'];
+
+/**
+ * Snapshots on disk, newest first.
  *
- * @param {object} payload The data object to serialise and back up
+ * @returns {{id: string, file: string, createdAt: string, size: number}[]}
  */
-function createBackup(payload) {
+function listSnapshots() {
+  let names;
   try {
-    fs.mkdirSync(BACKUP_DIR, { recursive: true });
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(BACKUP_DIR, `data-${stamp}.json`);
-    fs.writeFileSync(backupFile, JSON.stringify(payload, null, 2));
-    // Enforce retention: remove older backups beyond the retention limit
-    const files = fs.readdirSync(BACKUP_DIR)
-      .filter(f => f.startsWith('data-') && f.endsWith('.json'))
-      .sort();
-    // Keep only the newest BACKUP_RETENTION files
-    while (files.length > BACKUP_RETENTION) {
-      const oldest = files.shift();
-      try { fs.unlinkSync(path.join(BACKUP_DIR, oldest)); } catch (_) {}
+    names = fs.readdirSync(BACKUP_DIR);
+  } catch (_) {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of names) {
+    const match = SNAPSHOT_NAME.exec(name);
+    if (!match) continue;
+    const file = path.join(BACKUP_DIR, name);
+    try {
+      const createdAt = `${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`;
+      snapshots.push({ id: name.slice(0, -'.json'.length), file, createdAt, size: fs.statSync(file).size });
+    } catch (_) {
+      // Removed since the directory was read
     }
-  } catch (err) {
-    console.error('Failed to create backup:', err);
   }
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Snapshot with the given id, or undefined
+function findSnapshot(id) {
+  return listSnapshots().find(s => s.id === id);
+}
+
+/**
+ * Work out which snapshots the retention tiers keep: for each tier, the
+ * newest snapshot of each of the latest SNAPSHOT_RETENTION[tier] periods
+ * that have one.
+ *
+ * @param {object[]} snapshots As returned by listSnapshots(), newest first
+ * @returns {Map<string, string[]>} The tiers keeping each kept snapshot, by id
+ */
+function snapshotRetention(snapshots) {
+  const kept = new Map();
+  for (const [tier, period] of SNAPSHOT_TIERS) {
+    const periods = new Set();
+    for (const snapshot of snapshots) {
+      const periodOf = Math.floor(Date.parse(snapshot.createdAt) / period);
+      if (periods.has(periodOf)) continue;
+      if (periods.size >= SNAPSHOT_RETENTION[tier]) break;
+      periods.add(periodOf);
+      kept.set(snapshot.id, [...(kept.get(snapshot.id) || []), tier]);
+    }
+  }
+  return kept;
+}
+
+// All persisted data, from Postgres when connected so that changes made
+// through other instances are included
+async function currentData() {
+  return (pgStore && await pgStore.load()) || snapshotData();
+}
+
+/**
+ * Write a snapshot of all data, then delete those no tier keeps any more.
+ *
+ * @returns {Promise<object>} The new snapshot, as listed by listSnapshots()
+ */
+async function takeSnapshot() {
+  const data = await currentData();
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const createdAt = new Date().toISOString();
+  const id = `data-${createdAt.replace(/[:.]/g, '-')}`;
+  const file = path.join(BACKUP_DIR, `${id}.json`);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  const snapshots = listSnapshots();
+  const kept = snapshotRetention(snapshots);
+  snapshots.filter(s => !kept.has(s.id)).forEach(s => {
+    try { fs.unlinkSync(s.file); } catch (_) {}
+  });
+  return snapshots.find(s => s.id === id);
+}
+
+// Take a snapshot once the newest is SNAPSHOT_INTERVAL_MS old (straight
+// away if there is none), then every SNAPSHOT_INTERVAL_MS
+function startSnapshotService() {
+  const run = () => takeSnapshot().catch(err => console.error('Failed to take snapshot:', err));
+  const newest = listSnapshots()[0];
+  const age = newest ? Date.now() - Date.parse(newest.createdAt) : Infinity;
+  setTimeout(() => {
+    run();
+    setInterval(run, SNAPSHOT_INTERVAL_MS);
+  }, Math.max(0, SNAPSHOT_INTERVAL_MS - age));
+}
+
+// Read a snapshot's data, checking that it has the shape written by
+// takeSnapshot()
+function readSnapshot(snapshot) {
+  const data = JSON.parse(fs.readFileSync(snapshot.file, 'utf8'));
+  if (!data || typeof data !== 'object' || Object.keys(COLLECTIONS).some(name => data[name] !== undefined && !Array.isArray(data[name]))) {
+    throw new Error(`${snapshot.id} does not hold booking data`);
+  }
+  return data;
+}
+
+// JSON of a value with object keys sorted, so records compare by content
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+}
+
+/**
+ * What restoring `target` over `current` would do: the number of records
+ * added, removed and changed in each restored collection, the settings
+ * changed, and the number of the snapshot's bookings whose space it lacks,
+ * which restoreData() sets aside instead.
+ *
+ * @returns {{collections: object, settings: string[], orphanedBookings: number}}
+ */
+function diffData(current, snapshot) {
+  const { data: target, orphans } = splitOrphanBookings(snapshot);
+  const collections = {};
+  for (const [name, { key, keyOf }] of Object.entries(COLLECTIONS)) {
+    if (RESTORE_KEEPS.includes(name)) continue;
+    const keyOfRecord = keyOf || (record => record[key]);
+    const before = new Map((current[name] || []).map(r => [keyOfRecord(r), canonicalJson(r)]));
+    const after = new Map((target[name] || []).map(r => [keyOfRecord(r), canonicalJson(r)]));
+    const counts = { added: 0, removed: 0, changed: 0 };
+    after.forEach((json, k) => {
+      if (!before.has(k)) counts.added++;
+      else if (before.get(k) !== json) counts.changed++;
+    });
+    before.forEach((_, k) => { if (!after.has(k)) counts.removed++; });
+    collections[name] = counts;
+  }
+  const currentSettings = current.settings || {};
+  const targetSettings = target.settings || {};
+  const settingKeys = Object.keys(targetSettings)
+    .filter(k => canonicalJson(targetSettings[k]) !== canonicalJson(currentSettings[k]));
+  return { collections, settings: settingKeys, orphanedBookings: orphans.length };
+}
+
+/**
+ * Replace all data except sessions with a snapshot's: in Postgres when
+ * connected (in one transaction), in the local store and in memory.  A
+ * snapshot of the current data is taken first so the restore can be
+ * undone.  New bookings wait until it is done.  Bookings in the snapshot
+ * whose space it lacks are left out, as migration 2 does: Postgres keeps
+ * them in "orphanedBookings", and they stay in the snapshot itself.
+ *
+ * @param {object} data The snapshot's data
+ * @returns {Promise<object>} The snapshot taken beforehand
+ */
+async function restoreData(data) {
+  return withBookingLock(async () => {
+    const undo = await takeSnapshot();
+    const restored = { settings: { ...settings, ...(data.settings || {}) } };
+    Object.keys(COLLECTIONS).forEach(name => {
+      restored[name] = RESTORE_KEEPS.includes(name) ? snapshotData()[name] : (data[name] || []);
+    });
+    const { data: kept, orphans } = splitOrphanBookings(restored);
+    if (pgStore) await pgStore.replaceAll(restored);
+    if (orphans.length) {
+      console.log(`Left out ${orphans.length} booking(s) of deleted spaces when restoring` +
+        (pgStore ? ' (moved to "orphanedBookings")' : ''));
+    }
+    try {
+      await fileStore.replaceAll(kept);
+    } catch (err) {
+      console.error(`Failed to save restored data to ${fileStore.name} storage:`, err);
+    }
+    RESTORE_KEEPS.forEach(name => { delete kept[name]; });
+    applyStoredData(kept);
+    dataModifiedAt = new Date();
+    return undo;
+  });
 }
 
 // Middleware
+// Behind a reverse proxy (e.g. Render) every request arrives from the
+// proxy's address, so per-IP rate limits would be shared by all clients.
+// Set TRUST_PROXY to the number of proxy hops (usually 1), "true", or the
+// proxy addresses so req.ip is read from X-Forwarded-For instead.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust, 10) : trust === 'true' ? true : trust);
+}
 app.use(cors());
 app.use(bodyParser.json());
 // Restrict access to kiosk page: if no active kiosk session cookie is present,
@@ -514,17 +684,29 @@ app.use(express.static('public'));
 
 // ----- In‑memory data stores ------------------------------------------------
 
+// Locations are the buildings that spaces belong to.  Each has a name,
+// postal address, an optional IANA timeZone (null means the site timezone),
+// weekly opening hours and a list of holidays:
+//   hours:    array indexed by weekday (0 = Sunday) of { open, close } in
+//             HH:MM, or null when closed that day; null for no limits
+//   holidays: [{ date: 'YYYY-MM-DD', name }]
+// There is always at least one location; spaces saved before locations
+// existed are assigned to the first one on load.
+const locations = [
+  { id: uuidv4(), name: 'Main Office', address: '', timeZone: null, hours: null, holidays: [] }
+];
+
 // Spaces represent the physical locations that can be booked. Each space has a
-// unique identifier, a type (office, desk or conference) and a numeric
+// unique identifier, a type (office, desk or conference), a numeric
 // priorityOrder used for the auto‑booking algorithm (lower numbers have
-// higher priority).
+// higher priority) and the locationId of the building it is in.
 const spaces = [
-  { id: uuidv4(), name: 'Office 1', type: 'office', priorityOrder: 1 },
-  { id: uuidv4(), name: 'Office 2', type: 'office', priorityOrder: 2 },
-  { id: uuidv4(), name: 'Desk 1', type: 'desk', priorityOrder: 1 },
-  { id: uuidv4(), name: 'Desk 2', type: 'desk', priorityOrder: 2 },
-  { id: uuidv4(), name: 'Conference Room 1', type: 'conference', priorityOrder: 1 },
-  { id: uuidv4(), name: 'Conference Room 2', type: 'conference', priorityOrder: 2 }
+  { id: uuidv4(), name: 'Office 1', type: 'office', priorityOrder: 1, locationId: locations[0].id },
+  { id: uuidv4(), name: 'Office 2', type: 'office', priorityOrder: 2, locationId: locations[0].id },
+  { id: uuidv4(), name: 'Desk 1', type: 'desk', priorityOrder: 1, locationId: locations[0].id },
+  { id: uuidv4(), name: 'Desk 2', type: 'desk', priorityOrder: 2, locationId: locations[0].id },
+  { id: uuidv4(), name: 'Conference Room 1', type: 'conference', priorityOrder: 1, locationId: locations[0].id },
+  { id: uuidv4(), name: 'Conference Room 2', type: 'conference', priorityOrder: 2, locationId: locations[0].id }
 ];
 
 // Bookings store reservations made by end users. Each booking has
@@ -558,8 +740,15 @@ const admins = [
   }
 ];
 
-// Logged‑in admin tokens map token -> adminId
-const tokens = {};
+// Logged‑in admin sessions: [{ id, tokenHash, adminId, createdAt,
+// expiresAt, lastSeenAt, userAgent }].  The bearer token itself is only
+// returned to the browser; sessions are persisted with its SHA‑256 hash so
+// a deploy does not log everyone out and a copy of the data file cannot be
+// used to sign in.  A session ends ADMIN_SESSION_TTL_HOURS after login, or
+// after ADMIN_SESSION_IDLE_MINUTES without a request.
+const adminSessions = [];
+const ADMIN_SESSION_TTL_MS = (parseFloat(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const ADMIN_SESSION_IDLE_MS = (parseFloat(process.env.ADMIN_SESSION_IDLE_MINUTES) || 60) * 60 * 1000;
 
 // Password reset tokens map token -> { adminId, expires }
 // Each entry represents a single-use password reset request. When a user
@@ -579,32 +768,114 @@ const passwordResetTokens = {};
 // so Node.js can correctly parse and initialise this list.
 const verifiedEmails = [];
 
+// Pending verification links: token -> { email, expires }
 const verificationTokens = {};
 
+// Self‑service booking management tokens map token -> { email, expires }.
+// A token is emailed to a verified address on request and is exchanged for
+// a booker session the first time the link is opened (see
+// /my-bookings/:token).  Like verificationTokens these live only in memory,
+// so a restart invalidates links that have not been used yet.
+const manageTokens = {};
+
+// How long a "My bookings" link remains valid after it is issued.
+const MANAGE_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long an emailed sign-in (verification) link remains valid.
+const VERIFICATION_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Booker sessions are issued by /verify-email/:token and prove, on every
+// booking request, that the caller controls the booking's email address.
+// Each session is recorded in bookerSessions ([{ id, email, createdAt,
+// expiresAt, lastUsedAt, userAgent }]) so a booker can see where they are
+// signed in and revoke a session; the cookie itself carries a signed
+// reference to that record.  Set BOOKER_SESSION_SECRET to keep sessions
+// valid across restarts and between instances; without it a random secret
+// is generated and bookers must sign in again after a restart.
+const BOOKER_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// How often a session's last use is written to storage, and when each
+// session's was last written (session id -> ms)
+const BOOKER_SESSION_SAVE_INTERVAL_MS = 5 * 60 * 1000;
+const bookerSessionSavedAt = new Map();
+const BOOKER_SESSION_SECRET = process.env.BOOKER_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const bookerSessions = [];
+
 const kioskTokens = [];
 const kioskSessions = {};
 
+// Calendar feed tokens: [{ token, email, spaceId, createdAt }], with either
+// the email address of a personal feed (/calendar/user/:token.ics) or the
+// space of a space feed (/calendar/space/:token.ics).  Calendar clients poll
+// them without any other credentials, so these are long‑lived and
+// persisted; a booker can rotate theirs from the My Bookings page, and
+// admins those of spaces.
+const calendarFeeds = [];
+
+// Site‑wide settings editable from admin-settings.html.  Persisted with the
+// rest of the data; see GET/PUT /api/settings.  closedOccurrencePolicy
+// decides what happens to occurrences of a new recurring booking that fall
+// on a day its location is closed: "skip" them or "reject" the booking.
+// allowedDomains and allowedEmails ([{ email, expiresAt, note }], with
+// expiresAt a YYYY‑MM‑DD date or null) decide who may book; see
+// GET/PUT /api/email-allowlist.  twoFactorRequiredRoles lists the admin
+// roles that must use two-factor authentication to sign in with a password.
+// customRoles ([{ name, description, permissions }]) are the roles owners
+// have added to the built-in ones; see /api/roles.
+const settings = {
+  timeZone: DEFAULT_TIME_ZONE,
+  resultsPerPage: 10,
+  closedOccurrencePolicy: 'skip',
+  allowedDomains: DEFAULT_ALLOWED_DOMAINS,
+  allowedEmails: [],
+  twoFactorRequiredRoles: [],
+  customRoles: []
+};
+
+// Time of the last persisted change, used as Last‑Modified for the feeds.
+let dataModifiedAt = new Date();
+
 // Helper to determine if a request originates from a valid kiosk session.
 // Without cookie‑parser middleware Express does not populate req.cookies, so
 // we parse the `Cookie` header manually. A kiosk session is considered
-// valid when a `kioskToken` cookie is present and its value exists in
-// the in‑memory kioskSessions map. This helper returns true if the
-// session is authenticated and false otherwise.
+// valid when a `kioskToken` cookie is present, its value exists in the
+// in‑memory kioskSessions map and the token has not been revoked since. This
+// helper returns true if the session is authenticated and false otherwise.
 function isKioskSession(req) {
+  const token = getKioskTokenId(req);
+  return !!(token && kioskSessions[token] && kioskTokens.some(t => t.id === token));
+}
+
+// Parse the Cookie header into a name -> value map.
+function parseCookies(req) {
   // Ensure there is a cookie header to parse
   const header = req && req.headers && req.headers.cookie;
-  if (!header) return false;
   const cookies = {};
+  if (!header) return cookies;
   // Split by semicolons and trim each key/value pair
   header.split(';').forEach(part => {
     const [name, ...valParts] = part.trim().split('=');
     if (!name) return;
     const value = valParts.join('=');
     // Decode URI components in case values are encoded
-    cookies[name] = decodeURIComponent(value || '');
+    try {
+      cookies[name] = decodeURIComponent(value || '');
+    } catch (_) {
+      cookies[name] = value || '';
+    }
   });
-  const token = cookies.kioskToken;
-  return !!(token && kioskSessions[token]);
+  return cookies;
+}
+
+// Read the kiosk token id from the `kioskToken` cookie, or null.
+function getKioskTokenId(req) {
+  return parseCookies(req).kioskToken || null;
+}
+
+// Location a kiosk session is scoped to, or null when the kiosk's token
+// covers every location.
+function getKioskLocationId(req) {
+  const entry = kioskTokens.find(t => t.id === getKioskTokenId(req));
+  return (entry && entry.locationId) || null;
 }
 
 
@@ -620,16 +891,94 @@ function isKioskSession(req) {
 // ---------------------------------------------------------------------------
 // Security helpers
 //
-// Define the available admin roles.  Owners have full privileges, admins can
-// perform most actions except managing other admins, analysts can view
-// analytics but not modify data, and frontdesk users have limited booking
-// capabilities (e.g. check-in).  You can adjust this list as needed.
-// Define the available admin roles.  Owners have full privileges, superadmins
-// have the same access as owners but are treated distinctly for display and
-// selection in the UI, admins have day‑to‑day management access, analysts
-// can view analytics, and frontdesk users have limited booking visibility.
+// Define the built-in admin roles, most privileged first.  Owners have full
+// privileges, superadmins the same except defining roles and reading the
+// audit log, admins have day‑to‑day management access, analysts can view
+// bookings and analytics, and frontdesk users can view and make bookings on
+// behalf of visitors.
+// What each role may do is set by ROLE_PERMISSIONS below; owners can add
+// custom roles (settings.customRoles) built from the same permissions.
 const ROLES = ['owner', 'superadmin', 'admin', 'analyst', 'frontdesk'];
 
+// Permissions checked by requirePermission() on the admin routes
+const PERMISSIONS = [
+  'bookings:read',          // list all bookings
+  'bookings:write',         // edit and cancel bookings, book for anyone
+  'spaces:manage',          // locations and spaces
+  'analytics:read',         // analytics and CSV export
+  'kiosk:manage',           // kiosk tokens
+  'allowlist:manage',       // who may book
+  'booker-sessions:manage', // list and revoke bookers' sessions
+  'admins:read',            // list admins
+  'admins:manage',          // add, remove and unlock admins; end their sessions; reset 2FA
+  'settings:manage',        // site settings
+  'roles:manage',           // define custom roles
+  'audit:read',             // read and export the audit log
+  'backups:manage'          // list, download and restore data snapshots
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  superadmin: PERMISSIONS.filter(p => !['roles:manage', 'audit:read', 'backups:manage'].includes(p)),
+  admin: [
+    'bookings:read', 'bookings:write', 'spaces:manage', 'analytics:read', 'kiosk:manage',
+    'allowlist:manage', 'booker-sessions:manage', 'admins:read'
+  ],
+  analyst: ['bookings:read', 'analytics:read'],
+  frontdesk: ['bookings:read', 'bookings:write']
+};
+
+// Custom role defined by an owner, or undefined
+function findCustomRole(name) {
+  return (settings.customRoles || []).find(r => r.name === name);
+}
+
+// Whether `role` names a built-in or custom role
+function roleExists(role) {
+  return ROLES.includes(role) || !!findCustomRole(role);
+}
+
+// Permissions granted to a role; unknown roles get none.  Only the table's
+// own keys count, so a custom role called e.g. "constructor" is looked up
+// among the custom roles rather than on Object.prototype.
+function getRolePermissions(role) {
+  if (Object.hasOwn(ROLE_PERMISSIONS, role)) return ROLE_PERMISSIONS[role];
+  const custom = findCustomRole(role);
+  return custom ? custom.permissions : [];
+}
+
+// Whether an admin record's role grants `permission`
+function hasPermission(admin, permission) {
+  return !!admin && getRolePermissions(normaliseAdminRole(admin)).includes(permission);
+}
+
+// Whether an admin holds every permission of `role`, as needed to give it
+// out or to act on an account that has it
+function holdsRole(admin, role) {
+  return getRolePermissions(role).every(p => hasPermission(admin, p));
+}
+
+// Whether an admin may act on another admin's account (change, delete,
+// unlock, sign out or reset it): only with all of that account's permissions
+function outranks(admin, target) {
+  return holdsRole(admin, normaliseAdminRole(target));
+}
+
+/**
+ * Middleware rejecting admins whose role lacks `permission`.  Use after
+ * adminAuth, e.g. `app.get(path, adminAuth, requirePermission('bookings:read'), ...)`.
+ *
+ * @param {string} permission One of PERMISSIONS
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.admin, permission)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
 /**
  * Hash a plain text password using PBKDF2 with a random salt.  Returns an
  * object containing the salt and derived key in hexadecimal format.  Using
@@ -664,90 +1013,418 @@ function verifyPassword(password, admin) {
   return admin.password === password;
 }
 
+// ----- Password rules -----
+//
+// Following NIST SP 800‑63B: a minimum length rather than character class
+// rules, and no passwords that are well known or built from the username.
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 12;
+const PASSWORD_MAX_LENGTH = 256;
+const COMMON_PASSWORDS = new Set([
+  'password', 'passwordpassword', 'password1234', 'password12345', 'password123!',
+  '123456789012', '1234567890123', '12345678901234', 'qwertyuiop12', 'qwerty123456',
+  'qwertyuiopasdf', '1q2w3e4r5t6y', 'administrator', 'administrator1', 'letmein12345',
+  'welcome12345', 'changeme1234', 'iloveyou1234', 'admin1234567', 'admin123admin123',
+  'trustno1trustno1', 'spacebooking', 'booking12345'
+]);
+
 /**
- * Send an email via nodemailer if configured, otherwise log the message to
- * the console.  Supports optional attachments, which are passed directly
- * through to nodemailer.  When attachments are present but no SMTP
- * transporter is configured, a note is logged indicating that an attachment
- * would have been sent.
+ * Check a new admin password against the rules above.
  *
- * @param {string} to Recipient email address
- * @param {string} subject Email subject line
- * @param {string} text Plain‑text body of the email
- * @param {Array<object>} [attachments] Optional array of attachment objects
+ * @param {string} password Proposed password
+ * @param {string} [username] Account name, which the password must not contain
+ * @returns {string|null} Why the password is refused, or null if it is fine
  */
+function checkPasswordStrength(password, username) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Passwords must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Passwords must be at most ${PASSWORD_MAX_LENGTH} characters long`;
+  }
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower) || /^(.)\1+$/.test(password)) {
+    return 'That password is too common. Choose a longer phrase that is hard to guess.';
+  }
+  const name = String(username || '').toLowerCase().split('@')[0];
+  if (name.length >= 3 && lower.includes(name)) {
+    return 'Passwords must not contain your username';
+  }
+  return null;
+}
+
+// ----- Two-factor authentication (TOTP, RFC 6238) -----
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Space Booking';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, as used by authenticator apps
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
 /**
- * Send an email using the configured SMTP transporter.  This helper is
- * implemented as an async function so callers may optionally await the
- * completion of the send.  When attachments are provided they will be
- * passed directly to nodemailer.  If no mail transporter is configured
- * the email is logged to the console instead.  Any errors during
- * transmission are surfaced via a rejected promise.  To preserve
- * backwards compatibility with the previous implementation this function
- * attempts a fallback send without attachments when the initial send
- * fails.
+ * Compute the TOTP code for a base32 secret at a time step.
  *
- * @param {string} to Recipient email address
- * @param {string} subject Email subject line
- * @param {string} text Plain‑text body of the email
- * @param {Array<object>} [attachments] Optional array of attachment objects
- * @returns {Promise<void>}
+ * @param {string} secret Base32 shared secret
+ * @param {number} step Number of 30 second steps since the epoch
+ * @returns {string} Zero-padded 6 digit code
  */
-async function sendEmail(to, subject, text, attachments = []) {
-  const headerFrom = process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER;
-  const envelopeFrom = process.env.SMTP_USER || process.env.SMTP_FROM || process.env.MAIL_FROM;
-  if (mailTransporter && headerFrom) {
-    const mailOptions = {
-      from: headerFrom,
-      to,
-      subject,
-      text,
-      attachments: attachments && attachments.length ? attachments : undefined,
-      envelope: { from: envelopeFrom, to }
-    };
-    try { await mailTransporter.sendMail(mailOptions); }
-    catch (err) { console.error('Email send error:', err); }
-  } else {
-    console.log('Email Sent');
-    console.log(`To: ${to}`);
-    console.log(`Subject: ${subject}`);
-    console.log(text);
-    if (attachments && attachments.length) {
-      attachments.forEach(att => {
-        const size = att.content ? att.content.length : 0;
-        console.log(`[Attachment: ${att.filename || 'file'} (${size} bytes)]`);
-      });
-      console.log('Note: Attachments would have been sent if SMTP were configured.');
-    }
-    console.log('Email Sent');
-  }
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Current TOTP time step
+function currentTotpStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
 }
 
 /**
- * Send a booking confirmation email.  This helper centralises the logic for
- * constructing and sending a booking confirmation.  It accepts all the
- * necessary booking details and a cancel link, builds a simple plain‑text
- * message and delegates to sendEmail().  Any errors during send are
- * reported to the console with a descriptive context.
+ * Check a TOTP code against a secret, allowing one step of clock drift
+ * either way.  Steps at or before `lastStep` are refused so a code cannot
+ * be replayed.
  *
- * @param {string} name      Name of the user who made the booking
- * @param {string} email     Normalised recipient email address
- * @param {string} space     Human friendly name of the booked space
- * @param {string} date      Booking date (YYYY‑MM‑DD)
- * @param {string} start     Start time (HH:MM)
- * @param {string} end       End time (HH:MM)
- * @param {string} cancelLink A full URL that allows the user to cancel the booking
- * @param {string} [context] Optional context label for error messages
+ * @returns {number|null} The matching time step, or null
  */
-async function sendBookingConfirmationEmail(
-  name,
-  email,
-  space,
+function verifyTotp(secret, code, lastStep = null) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const now = currentTotpStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+// Recovery codes are stored as SHA‑256 hashes of their normalised form
+function hashRecoveryCode(code) {
+  const normalised = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Issue a fresh set of single-use recovery codes for an admin, replacing
+ * any previous set.  Returns the plain codes to show once.
+ */
+function issueRecoveryCodes(admin) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(5).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  admin.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+}
+
+/**
+ * Check the second factor of an enrolled admin: a TOTP code or an unused
+ * recovery code, which is then consumed.  The caller persists the admin.
+ *
+ * @returns {boolean}
+ */
+function checkSecondFactor(admin, code) {
+  if (!admin || !admin.totpSecret || !code) return false;
+  const step = verifyTotp(admin.totpSecret, code, admin.totpLastStep || null);
+  if (step !== null) {
+    admin.totpLastStep = step;
+    return true;
+  }
+  const idx = (admin.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+  if (idx === -1) return false;
+  admin.recoveryCodes.splice(idx, 1);
+  return true;
+}
+
+// Whether the site requires two-factor authentication for an admin's role
+function isTwoFactorRequired(admin) {
+  return (settings.twoFactorRequiredRoles || []).includes(normaliseAdminRole(admin));
+}
+
+// ----- Rate limiting and account lockout -----
+//
+// Throttles the unauthenticated routes that could otherwise be used to
+// guess passwords, 2FA and kiosk codes, or to flood inboxes.  Counters are
+// fixed windows held in memory per instance, keyed by "<bucket>:<key>"
+// where the key is the client IP (see TRUST_PROXY) or the targeted address.
+const RATE_LIMITS = {
+  // Failed admin logins from one IP
+  login: { limit: 20, windowMs: 15 * 60 * 1000 },
+  // Password reset requests, per IP and per address
+  forgotPasswordIp: { limit: 10, windowMs: 60 * 60 * 1000 },
+  forgotPasswordAccount: { limit: 3, windowMs: 60 * 60 * 1000 },
+  // Sign-in link requests, per IP and per address
+  verificationIp: { limit: 20, windowMs: 60 * 60 * 1000 },
+  verificationEmail: { limit: 5, windowMs: 60 * 60 * 1000 },
+  // Unknown kiosk codes from one IP
+  kioskClaim: { limit: 10, windowMs: 15 * 60 * 1000 }
+};
+// "<bucket>:<key>" -> { count, resetAt }
+const rateLimitHits = new Map();
+
+// Seconds until `key` may try again in `bucket`, or 0 when under the limit
+function rateLimitRetryAfter(bucket, key) {
+  const hit = rateLimitHits.get(`${bucket}:${key}`);
+  if (!hit) return 0;
+  const remaining = hit.resetAt - Date.now();
+  if (remaining <= 0) {
+    rateLimitHits.delete(`${bucket}:${key}`);
+    return 0;
+  }
+  return hit.count >= RATE_LIMITS[bucket].limit ? Math.ceil(remaining / 1000) : 0;
+}
+
+// Count an attempt by `key` against `bucket`
+function recordRateLimitHit(bucket, key) {
+  const now = Date.now();
+  const id = `${bucket}:${key}`;
+  const hit = rateLimitHits.get(id);
+  if (hit && hit.resetAt > now) {
+    hit.count++;
+    return;
+  }
+  // Drop finished windows now and then so the map cannot grow unbounded
+  if (rateLimitHits.size > 10000) {
+    for (const [k, v] of rateLimitHits) if (v.resetAt <= now) rateLimitHits.delete(k);
+  }
+  rateLimitHits.set(id, { count: 1, resetAt: now + RATE_LIMITS[bucket].windowMs });
+}
+
+// Respond 429 with a Retry-After header
+function sendRateLimited(res, retryAfter, error = 'Too many attempts. Please try again later.') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+/**
+ * Middleware counting every request against `bucket` per client IP and
+ * rejecting those over the limit.
+ *
+ * @param {string} bucket Key of RATE_LIMITS
+ */
+function rateLimit(bucket) {
+  return (req, res, next) => {
+    const retryAfter = rateLimitRetryAfter(bucket, req.ip);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    recordRateLimitHit(bucket, req.ip);
+    next();
+  };
+}
+
+// Consecutive failed logins from one IP for one username after which
+// that IP is shut out of the account, and how long the first lock lasts.
+// Every further failure doubles the lock, up to a day, until the admin
+// signs in from there, resets their password or an owner unlocks the
+// account.  Locks are per IP and username (known or not), so a lock says
+// nothing about whether the account exists, and guessing from elsewhere
+// cannot keep the real admin out.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOGIN_LOCKOUT_BASE_MS = (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 5) * 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+// "<ip>|<lowercased username>" -> { failures, lockedUntil (ms) }
+const loginLocks = new Map();
+
+function loginLockKey(req, username) {
+  return `${req.ip}|${String(username).toLowerCase()}`;
+}
+
+// Milliseconds until the client may try `username` again, or 0
+function loginLockRemaining(req, username) {
+  const lock = loginLocks.get(loginLockKey(req, username));
+  return lock ? Math.max(0, lock.lockedUntil - Date.now()) : 0;
+}
+
+// When the latest lock on an admin account (from any IP) ends, or null
+function accountLockedUntil(admin) {
+  const suffix = `|${String(admin.username).toLowerCase()}`;
+  let until = 0;
+  loginLocks.forEach((lock, key) => {
+    if (key.endsWith(suffix) && lock.lockedUntil > until) until = lock.lockedUntil;
+  });
+  return until > Date.now() ? new Date(until).toISOString() : null;
+}
+
+/**
+ * Count a failed password or two-factor code for a username from the
+ * client's IP, locking that pair once LOGIN_LOCKOUT_THRESHOLD is reached.
+ * For an existing admin the failure is also counted on the account
+ * (persisted in the background), and each new lock is audited and emailed.
+ *
+ * @param {object} req Express request, for the client IP
+ * @param {string} username Username tried
+ * @param {object} [admin] Admin record, when the username exists
+ */
+function recordFailedLogin(req, username, admin) {
+  const now = Date.now();
+  // Drop long-finished locks now and then so the map cannot grow unbounded
+  if (loginLocks.size > 10000) {
+    for (const [k, v] of loginLocks) if (v.lockedUntil + LOGIN_LOCKOUT_MAX_MS <= now) loginLocks.delete(k);
+  }
+  const key = loginLockKey(req, username);
+  const lock = loginLocks.get(key) || { failures: 0, lockedUntil: 0 };
+  lock.failures++;
+  loginLocks.set(key, lock);
+  const excess = lock.failures - LOGIN_LOCKOUT_THRESHOLD;
+  if (excess >= 0) {
+    const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** excess, LOGIN_LOCKOUT_MAX_MS);
+    lock.lockedUntil = now + lockMs;
+  }
+  if (!admin) return;
+  admin.failedLogins = (admin.failedLogins || 0) + 1;
+  if (excess >= 0) {
+    const lockedUntil = new Date(lock.lockedUntil).toISOString();
+    const minutes = Math.round((lock.lockedUntil - now) / 60000);
+    recordAudit(req, 'admin.lock', admin.id, { after: { failedLogins: admin.failedLogins, ip: req.ip, lockedUntil } });
+    sendEmail(admin.username, 'Failed sign-in attempts on your admin account',
+      `After ${lock.failures} failed sign-in attempts from ${req.ip}, ` +
+      `sign-ins to your booking admin account from that address are paused for ${minutes} minute(s). ` +
+      `You can still sign in from elsewhere.\n\n` +
+      `If this was not you, someone may be trying to guess your password. ` +
+      `Consider resetting your password from the login page.`
+    ).catch(err => console.error('Failed to send lockout email:', err));
+  }
+  saveData({ save: { admins: [admin] } }).catch(err => console.error('Failed to save data:', err));
+}
+
+// Forget an admin's failed logins: those from the client's IP after a
+// successful sign-in there, or with no request (a password reset or an
+// owner unlocking the account) every lock on the account
+function clearFailedLogins(admin, req = null) {
+  admin.failedLogins = 0;
+  delete admin.lockedUntil;
+  if (req) {
+    loginLocks.delete(loginLockKey(req, admin.username));
+    return;
+  }
+  const suffix = `|${String(admin.username).toLowerCase()}`;
+  for (const key of [...loginLocks.keys()]) if (key.endsWith(suffix)) loginLocks.delete(key);
+}
+
+/**
+ * Send an email via nodemailer if configured, otherwise log the message to
+ * the console.  Supports optional attachments, which are passed directly
+ * through to nodemailer.  When attachments are present but no SMTP
+ * transporter is configured, a note is logged indicating that an attachment
+ * would have been sent.
+ *
+ * @param {string} to Recipient email address
+ * @param {string} subject Email subject line
+ * @param {string} text Plain‑text body of the email
+ * @param {Array<object>} [attachments] Optional array of attachment objects
+ */
+/**
+ * Send an email using the configured SMTP transporter.  This helper is
+ * implemented as an async function so callers may optionally await the
+ * completion of the send.  When attachments are provided they will be
+ * passed directly to nodemailer.  If no mail transporter is configured
+ * the email is logged to the console instead.  Any errors during
+ * transmission are surfaced via a rejected promise.  To preserve
+ * backwards compatibility with the previous implementation this function
+ * attempts a fallback send without attachments when the initial send
+ * fails.
+ *
+ * @param {string} to Recipient email address
+ * @param {string} subject Email subject line
+ * @param {string} text Plain‑text body of the email
+ * @param {Array<object>} [attachments] Optional array of attachment objects
+ * @returns {Promise<void>}
+ */
+async function sendEmail(to, subject, text, attachments = []) {
+  const headerFrom = process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER;
+  const envelopeFrom = process.env.SMTP_USER || process.env.SMTP_FROM || process.env.MAIL_FROM;
+  if (mailTransporter && headerFrom) {
+    const mailOptions = {
+      from: headerFrom,
+      to,
+      subject,
+      text,
+      attachments: attachments && attachments.length ? attachments : undefined,
+      envelope: { from: envelopeFrom, to }
+    };
+    try { await mailTransporter.sendMail(mailOptions); }
+    catch (err) { console.error('Email send error:', err); }
+  } else {
+    console.log('Email Sent');
+    console.log(`To: ${to}`);
+    console.log(`Subject: ${subject}`);
+    console.log(text);
+    if (attachments && attachments.length) {
+      attachments.forEach(att => {
+        const size = att.content ? att.content.length : 0;
+        console.log(`[Attachment: ${att.filename || 'file'} (${size} bytes)]`);
+      });
+      console.log('Note: Attachments would have been sent if SMTP were configured.');
+    }
+    console.log('Email Sent');
+  }
+}
+
+/**
+ * Send a booking confirmation email.  This helper centralises the logic for
+ * constructing and sending a booking confirmation.  It accepts all the
+ * necessary booking details and a cancel link, builds a simple plain‑text
+ * message and delegates to sendEmail().  Any errors during send are
+ * reported to the console with a descriptive context.
+ *
+ * @param {string} name      Name of the user who made the booking
+ * @param {string} email     Normalised recipient email address
+ * @param {string} space     Human friendly name of the booked space
+ * @param {string} date      Booking date (YYYY‑MM‑DD)
+ * @param {string} start     Start time (HH:MM)
+ * @param {string} end       End time (HH:MM)
+ * @param {string} cancelLink A full URL that allows the user to cancel the booking
+ * @param {string} [context] Optional context label for error messages
+ * @param {object} [booking] The stored booking; when given an iCalendar
+ *   invite is attached
+ */
+async function sendBookingConfirmationEmail(
+  name,
+  email,
+  space,
   date,
   start,
   end,
   cancelLink,
-  context = ''
+  context = '',
+  booking = null
 ) {
   // Format the date and time values for the confirmation email.  The
   // application stores dates as ISO strings (YYYY‑MM‑DD) and times in
@@ -767,7 +1444,8 @@ async function sendBookingConfirmationEmail(
     `${cancelLink}\n\n` +
     `Thank you.`;
   try {
-    await sendEmail(email, 'Booking Confirmation', emailText);
+    const attachments = booking ? [icsAttachment(generateBookingIcs(booking, space))] : [];
+    await sendEmail(email, 'Booking Confirmation', emailText, attachments);
   } catch (err) {
     const label = context ? ` (${context})` : '';
     console.error('Error sending booking confirmation' + label, err);
@@ -818,6 +1496,82 @@ async function sendBookingReminderEmail(
 }
 exports.sendBookingReminderEmail = sendBookingReminderEmail;
 
+/**
+ * Send a notice that an existing booking has been changed.  Used when a
+ * booking is rescheduled so the recipient receives the new details along
+ * with the (unchanged) cancel link for the booking.  When the booking is
+ * supplied an updated iCalendar invite (same UID, higher SEQUENCE) is
+ * attached so the event already in the recipient's calendar is replaced.
+ *
+ * @param {string} name      Name of the user who made the booking
+ * @param {string} email     Recipient email address
+ * @param {string} space     Human friendly name of the booked space
+ * @param {string} date      Booking date (YYYY-MM-DD)
+ * @param {string} start     Start time (HH:MM)
+ * @param {string} end       End time (HH:MM)
+ * @param {string} cancelLink Full URL allowing the user to cancel
+ * @param {object} [booking] The stored booking, used for the invite
+ */
+async function sendBookingUpdatedEmail(
+  name,
+  email,
+  space,
+  date,
+  start,
+  end,
+  cancelLink,
+  booking = null
+) {
+  const formattedDate = formatDateMMDDYYYY(date);
+  const formattedStart = formatTimeTo12H(start);
+  const formattedEnd = formatTimeTo12H(end);
+  const emailText =
+    `Hello ${name},\n\n` +
+    `Your booking has been updated. The new details are:\n\n` +
+    `Space: ${space}\n` +
+    `Date: ${formattedDate}\n` +
+    `Start Time: ${formattedStart}\n` +
+    `End Time: ${formattedEnd}\n\n` +
+    `If you need to cancel your booking, please click the link below:\n` +
+    `${cancelLink}\n\n` +
+    `Thank you.`;
+  try {
+    const attachments = booking ? [icsAttachment(generateBookingIcs(booking, space))] : [];
+    await sendEmail(email, 'Booking Updated', emailText, attachments);
+  } catch (err) {
+    console.error('Error sending booking update', err);
+  }
+}
+exports.sendBookingUpdatedEmail = sendBookingUpdatedEmail;
+
+/**
+ * Send a cancellation notice for a booking that has been removed, or for a
+ * single occurrence of a recurring booking.  An iCalendar CANCEL is
+ * attached so the event is removed from the recipient's calendar.
+ *
+ * @param {object} booking The cancelled booking
+ * @param {object} [occurrence] The cancelled occurrence ({date, spaceId,
+ *   startTime, endTime}) when only one date of a series was cancelled
+ */
+async function sendBookingCancellationEmail(booking, occurrence = null) {
+  const occ = occurrence || booking;
+  const spaceName = spaces.find(s => s.id === occ.spaceId)?.name || occ.spaceId;
+  // Format date and time values for user readability
+  const formattedDate = formatDateMMDDYYYY(occ.date);
+  const formattedStart = formatTimeTo12H(occ.startTime);
+  const formattedEnd = formatTimeTo12H(occ.endTime);
+  const body =
+    `Hello ${booking.name},\n\n` +
+    `Your booking for ${spaceName} on ${formattedDate} from ${formattedStart} to ${formattedEnd} has been cancelled.\n\n` +
+    `Thank you.`;
+  try {
+    const ics = generateBookingIcs(booking, spaceName, 'CANCEL', true, occurrence);
+    await sendEmail(booking.email, 'Booking Cancelled', body, [icsAttachment(ics, 'CANCEL')]);
+  } catch (err) {
+    console.error('Error sending cancellation email', err);
+  }
+}
+
 // Interval in milliseconds to check for upcoming bookings and send
 // reminder emails. One hour strikes a balance between timeliness and
 // resource usage.
@@ -825,28 +1579,32 @@ const REMINDER_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
 /**
  * Iterate over bookings and send reminder emails for any bookings
- * scheduled for the following day. Uses an in-memory Set to ensure each
+ * scheduled for the following day (in the timezone of the booked space's
+ * location). Uses an in-memory Set to ensure each
  * booking only receives a single reminder per process lifetime.
  */
 async function checkAndSendReminders() {
-  const now = new Date();
-  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().slice(0, 10);
+  const now = exports.currentTime();
   for (const b of bookings) {
+    const tomorrowStr = addDays(zonedDateTime(now, getSpaceTimeZone(b.spaceId)).date, 1);
     const reminderKey = `${b.id}|${tomorrowStr}`;
     if (b.cancelled || remindedBookings.has(reminderKey)) continue;
-    if (b.date === tomorrowStr || isRecurringOnDate(tomorrowStr, getRecurring(b))) {
-      const spaceName = spaces.find(s => s.id === b.spaceId)?.name || b.spaceId;
+    const occ = getOccurrence(b, tomorrowStr);
+    if (occ) {
+      const spaceName = spaces.find(s => s.id === occ.spaceId)?.name || occ.spaceId;
       const baseUrl = APP_BASE_URL || 'http://localhost:5050';
-      const cancelLink = `${baseUrl}/cancel/${b.id}`;
+      // For recurring bookings the link cancels only tomorrow's occurrence
+      const cancelLink = getRecurring(b)
+        ? `${baseUrl}/cancel/${b.id}?date=${tomorrowStr}`
+        : `${baseUrl}/cancel/${b.id}`;
       try {
         await exports.sendBookingReminderEmail(
           b.name,
           b.email,
           spaceName,
           tomorrowStr,
-          b.startTime,
-          b.endTime,
+          occ.startTime,
+          occ.endTime,
           cancelLink
         );
         remindedBookings.add(reminderKey);
@@ -894,855 +1652,4130 @@ function generateKioskCode() {
   return code;
 }
 
+// -----------------------------------------------------------------------------
+// Recurrence rules
+//
+// A recurring booking stores its rule in the `recurring` object.  The
+// booking's own `date` is the first occurrence (the series start).  Supported
+// keys:
+//   frequency   'weekly' or 'monthly' (monthly is assumed for dayOfMonth/nth)
+//   weekday     0‑6 (Sunday‑Saturday) for weekly and nth‑weekday rules
+//   weekdays    array of 0‑6 for weekly rules on several days (e.g. Mon/Wed)
+//   dayOfMonth  1‑31 for "the 15th of every month"
+//   nth         1‑5 or -1 (last) together with weekday, e.g. "last Friday"
+//   interval    repeat every N weeks/months (default 1)
+//   until       ISO date of the last possible occurrence (inclusive)
+//   count       total number of occurrences, including the first
+//   exceptions / overrides   per‑occurrence changes, see getOccurrence()
+//
+// Calendar arithmetic is done on UTC dates so that a YYYY‑MM‑DD string maps
+// to the same weekday regardless of the server's local timezone.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Open‑ended series are checked for conflicts this far ahead.
+const RECURRENCE_HORIZON_DAYS = 366;
+
+// Upper bound on how far a bounded series may extend, to keep conflict
+// checks and occurrence counting cheap.
+const MAX_RECURRENCE_YEARS = 5;
+
 /**
- * Determine whether a recurring rule applies on a particular date.
+ * Parse an ISO date string (YYYY‑MM‑DD) into a Date at UTC midnight.
  *
- * @param {string} dateStr ISO date string (YYYY‑MM‑DD)
- * @param {object|boolean} recurring The recurring object or false
- * @returns {boolean} True if the recurrence matches the provided date
+ * @param {string} dateStr ISO date string
+ * @returns {Date|null} The parsed date or null when invalid
  */
-function isRecurringOnDate(dateStr, recurring) {
-  if (!recurring || typeof recurring !== 'object') return false;
-  const d = new Date(dateStr);
-  // Normalise to midnight in the local timezone
-  // Weekly recurrence: occurs on the same weekday each week
-  if (recurring.frequency === 'weekly' && recurring.weekday !== undefined && recurring.weekday !== null) {
-    return d.getDay() === Number(recurring.weekday);
-  }
-  if (recurring.dayOfMonth !== undefined && recurring.dayOfMonth !== null) {
-    return d.getDate() === Number(recurring.dayOfMonth);
-  } else if (
-    recurring.nth !== undefined && recurring.weekday !== undefined &&
-    recurring.nth !== null && recurring.weekday !== null
-  ) {
-    const weekday = d.getDay(); // 0 = Sunday, 1 = Monday, ... 6 = Saturday
-    if (weekday !== Number(recurring.weekday)) return false;
-    // Determine the occurrence of this weekday in the month (1st, 2nd, etc.)
-    let count = 0;
-    for (let i = 1; i <= d.getDate(); i++) {
-      const dt = new Date(d.getFullYear(), d.getMonth(), i);
-      if (dt.getDay() === weekday) count++;
-    }
-    return count === Number(recurring.nth);
-  }
-  return false;
-}
-
-// Older versions of the application stored recurring bookings using the
-// property name `recurrence`.  The current version uses `recurring`.  This
-// helper normalises a booking object and returns whichever field is present
-// so that legacy data continues to behave correctly.
-function getRecurring(b) {
-  return (b && typeof b === 'object') ? (b.recurring || b.recurrence || null) : null;
+function parseIsoDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return null;
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  return isNaN(d.getTime()) ? null : d;
 }
 
 /**
- * Convert a 24‑hour time string (HH:MM) to a 12‑hour format with AM/PM.
- *
- * If the input is invalid or not a string in HH:MM format, it is returned unchanged.
- * Examples:
- *   to12Hour('13:30') -> '1:30 PM'
- *   to12Hour('00:15') -> '12:15 AM'
+ * Add a number of days to an ISO date string.
  *
- * @param {string} time Time in 24‑hour format
- * @returns {string} Time in 12‑hour format
+ * @param {string} dateStr ISO date string (YYYY‑MM‑DD)
+ * @param {number} days Number of days to add (may be negative)
+ * @returns {string} The resulting ISO date string
  */
-function to12Hour(time) {
-  if (typeof time !== 'string' || !time.includes(':')) return time;
-  const [hStr, m] = time.split(':');
-  let h = parseInt(hStr, 10);
-  if (isNaN(h)) return time;
-  const ampm = h >= 12 ? 'PM' : 'AM';
-  h = h % 12;
-  if (h === 0) h = 12;
-  return `${h}:${m} ${ampm}`;
+function addDays(dateStr, days) {
+  const d = parseIsoDate(dateStr);
+  return new Date(d.getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
 }
 
 /**
- * Check whether a space is available for a given date and time range.
- *
- * A space is considered unavailable if any existing booking (regular or
- * recurring) for that space overlaps the requested time on the requested
- * date.
+ * Current time.  Always read the clock through exports.currentTime() so
+ * tests can pin it (e.g. to either side of a DST change).
  *
- * @param {string} spaceId ID of the space being checked
- * @param {string} date ISO date string (YYYY‑MM‑DD)
- * @param {string} startTime start time in 24h format (HH:MM)
- * @param {string} endTime end time in 24h format (HH:MM)
+ * @returns {Date}
  */
-function isSpaceAvailable(spaceId, date, startTime, endTime) {
-  return !bookings.some(b => {
-    if (b.spaceId !== spaceId) return false;
-    // Determine if this booking occurs on the requested date
-    const occursOnDate = b.date === date || isRecurringOnDate(date, getRecurring(b));
-    if (!occursOnDate) return false;
-    // Check for time overlap (inclusive start, exclusive end)
-    const overlaps =
-      (startTime >= b.startTime && startTime < b.endTime) ||
-      (endTime > b.startTime && endTime <= b.endTime) ||
-      (startTime <= b.startTime && endTime >= b.endTime);
-    return overlaps;
-  });
+function currentTime() {
+  return new Date();
 }
+exports.currentTime = currentTime;
 
 /**
- * For recurring bookings, check that the requested time slot is available for
- * each occurrence within the next 12 months.  If any future occurrence
- * conflicts with an existing booking (regular or recurring), the booking
- * cannot be created.  For weekly recurrences the check runs until the end
- * of the 52nd week from the first date.  Monthly patterns are checked
- * through the same horizon.
+ * The configured site timezone (an IANA name such as "America/New_York").
  *
- * @param {string} spaceId ID of the space
- * @param {string} firstDate ISO date string of the first occurrence (YYYY‑MM‑DD)
- * @param {string} startTime 24h time string HH:MM
- * @param {string} endTime 24h time string HH:MM
- * @param {object} recurring Recurrence object
- * @returns {boolean} True if all occurrences are free
+ * @returns {string}
  */
-function checkRecurringAvailability(spaceId, firstDate, startTime, endTime, recurring) {
-  // Only check for recurring patterns
-  if (!recurring || typeof recurring !== 'object') return true;
-  const startDateObj = new Date(firstDate);
-  if (isNaN(startDateObj.getTime())) return true;
-  // We'll iterate day by day for up to one year ahead
-  const horizonDate = new Date(startDateObj);
-  horizonDate.setFullYear(horizonDate.getFullYear() + 1);
-  const current = new Date(startDateObj);
-  // Skip the first occurrence; it is already validated by caller
-  current.setDate(current.getDate() + 1);
-  while (current <= horizonDate) {
-    const dateStr = current.toISOString().slice(0, 10);
-    // only consider dates on or after the first date
-    if (isRecurringOnDate(dateStr, recurring)) {
-      if (!isSpaceAvailable(spaceId, dateStr, startTime, endTime)) {
-        return false;
-      }
-    }
-    current.setDate(current.getDate() + 1);
-  }
-  return true;
+function getSiteTimeZone() {
+  return settings.timeZone || DEFAULT_TIME_ZONE;
 }
 
 /**
- * Generate a basic iCalendar event for a booking.  This function creates
- * a minimal VCalendar with a single VEvent describing the booking start and
- * end times.  The event UID is derived from the booking id to ensure
- * uniqueness.  Optionally a cancellation can be generated by passing
- * cancelled=true and method="CANCEL"; in this case the VEvent includes
- * STATUS:CANCELLED.  Times are encoded in local time without a timezone
- * suffix (floating time).  Clients will interpret the times in their own
- * timezone.
+ * Check that a string names a timezone this runtime understands.
  *
- * @param {object} booking The booking object
- * @param {string} spaceName Name of the space booked
- * @param {string} method iCalendar method (REQUEST or CANCEL)
- * @param {boolean} cancelled Whether the event should include a cancelled status
+ * @param {string} timeZone IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall‑clock date and time of an instant in a timezone.
+ *
+ * @param {Date} instant The moment to convert
+ * @param {string} [timeZone] IANA timezone name (defaults to the site zone)
+ * @returns {{date: string, time: string}} ISO date (YYYY‑MM‑DD) and HH:MM
+ */
+function zonedDateTime(instant, timeZone = getSiteTimeZone()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant).forEach(p => { parts[p.type] = p.value; });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Today's date in the site timezone.
+ *
+ * @returns {string} ISO date string (YYYY‑MM‑DD)
+ */
+function siteToday() {
+  return zonedDateTime(exports.currentTime()).date;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant.
+ *
+ * @param {number} instant Milliseconds since the epoch
+ * @param {string} timeZone IANA timezone name
+ * @returns {number} Minutes ahead of UTC (negative west of Greenwich)
+ */
+function zoneOffsetMinutes(instant, timeZone) {
+  const z = zonedDateTime(new Date(instant), timeZone);
+  const [h, m] = z.time.split(':').map(Number);
+  return (parseIsoDate(z.date).getTime() + (h * 60 + m) * 60000 - Math.floor(instant / 60000) * 60000) / 60000;
+}
+
+/**
+ * Changes of a timezone's UTC offset (daylight saving and the like)
+ * between the start of one year and the end of another.
+ *
+ * @param {string} timeZone IANA timezone name
+ * @param {number} fromYear First year to search
+ * @param {number} toYear Last year to search
+ * @returns {Array<{at: number, from: number, to: number}>} The instant of
+ *   each change and the offsets, in minutes, before and after it
+ */
+function zoneTransitions(timeZone, fromYear, toYear) {
+  const transitions = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const week = 7 * MS_PER_DAY;
+  let offset = zoneOffsetMinutes(Date.UTC(fromYear, 0, 1), timeZone);
+  for (let t = Date.UTC(fromYear, 0, 1); t < end; t += week) {
+    const next = Math.min(t + week, end);
+    const nextOffset = zoneOffsetMinutes(next, timeZone);
+    if (nextOffset === offset) continue;
+    // Narrow the change down to the minute
+    let lo = t;
+    let hi = next;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (zoneOffsetMinutes(mid, timeZone) === offset) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: hi, from: offset, to: nextOffset });
+    offset = nextOffset;
+  }
+  return transitions;
+}
+
+/**
+ * Convert a wall‑clock date and time in a timezone to the instant it
+ * denotes.  Times skipped by a spring‑forward change resolve to the
+ * equivalent time after the change; repeated fall‑back times resolve to
+ * the first occurrence.
+ *
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} time 24h time string HH:MM
+ * @param {string} [timeZone] IANA timezone name (defaults to the site zone)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone = getSiteTimeZone()) {
+  const [h, m] = String(time || '00:00').split(':').map(Number);
+  const wall = parseIsoDate(date).getTime() + (h * 60 + m) * 60000;
+  const offsetAt = t => zoneOffsetMinutes(t, timeZone) * 60000;
+  // Try the offsets in force a day either side; any DST change in between
+  // yields two candidates.  Keep those that map back to the requested wall
+  // clock, earliest first; if neither does the time was skipped, and the
+  // earlier offset places it just after the change.
+  const before = wall - offsetAt(wall - MS_PER_DAY);
+  const after = wall - offsetAt(wall + MS_PER_DAY);
+  const matches = t => {
+    const z = zonedDateTime(new Date(t), timeZone);
+    return z.date === date && z.time === String(time).slice(0, 5);
+  };
+  const valid = [before, after].filter(matches).sort((a, b) => a - b);
+  return new Date(valid.length ? valid[0] : before);
+}
+
+// ----- Locations -----
+
+/**
+ * Give every space a location.  Data saved before locations existed has
+ * none, so those spaces (and spaces whose location was removed outside the
+ * API) move to the first location.
+ *
+ * @returns {object|null} Change set of the records changed, or null
+ */
+function assignDefaultLocation() {
+  const save = { locations: [], spaces: [] };
+  if (!locations.length) {
+    locations.push({ id: uuidv4(), name: 'Main Office', address: '', timeZone: null, hours: null, holidays: [] });
+    save.locations.push(locations[0]);
+  }
+  spaces.forEach(s => {
+    if (!s.locationId || !locations.some(l => l.id === s.locationId)) {
+      s.locationId = locations[0].id;
+      save.spaces.push(s);
+    }
+  });
+  return save.locations.length || save.spaces.length ? { save } : null;
+}
+
+/**
+ * Location a space belongs to, falling back to the first location.
+ *
+ * @param {string} spaceId The space id
+ * @returns {object} The location object
+ */
+function getSpaceLocation(spaceId) {
+  const space = spaces.find(s => s.id === spaceId);
+  return (space && locations.find(l => l.id === space.locationId)) || locations[0];
+}
+
+/**
+ * Timezone of a location, or the site timezone when it has none.
+ *
+ * @param {object} [location] The location object
+ * @returns {string} IANA timezone name
+ */
+function getLocationTimeZone(location) {
+  return (location && location.timeZone) || getSiteTimeZone();
+}
+
+/**
+ * Timezone in which a space's booking times are expressed.
+ *
+ * @param {string} spaceId The space id
+ * @returns {string} IANA timezone name
+ */
+function getSpaceTimeZone(spaceId) {
+  return getLocationTimeZone(getSpaceLocation(spaceId));
+}
+
+const TIME_OF_DAY_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate and normalise a location submitted to the API.  Unknown fields
+ * are dropped.  `hours` may be null (no limits) or an array of seven
+ * entries indexed by weekday (0 = Sunday), each { open, close } in HH:MM or
+ * null for a closed day.  `holidays` is a list of { date, name } (plain
+ * date strings are accepted too).
+ *
+ * @param {object} input Request body
+ * @returns {{location: object|null, error: string|null}}
+ */
+function normaliseLocation(input) {
+  const fail = error => ({ location: null, error });
+  const body = input || {};
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return fail('Location name is required');
+  const location = {
+    name,
+    address: typeof body.address === 'string' ? body.address.trim() : '',
+    timeZone: null,
+    hours: null,
+    holidays: []
+  };
+  if (body.timeZone) {
+    if (!isValidTimeZone(body.timeZone)) return fail('Unknown time zone');
+    location.timeZone = body.timeZone;
+  }
+  if (body.hours !== undefined && body.hours !== null) {
+    if (!Array.isArray(body.hours) || body.hours.length !== 7) {
+      return fail('Opening hours must list all seven weekdays');
+    }
+    const hours = [];
+    for (const day of body.hours) {
+      if (!day) {
+        hours.push(null);
+        continue;
+      }
+      if (!TIME_OF_DAY_RE.test(day.open) || !TIME_OF_DAY_RE.test(day.close) || day.open >= day.close) {
+        return fail('Opening hours need an open time before the close time (HH:MM)');
+      }
+      hours.push({ open: day.open, close: day.close });
+    }
+    location.hours = hours;
+  }
+  if (body.holidays !== undefined && body.holidays !== null) {
+    if (!Array.isArray(body.holidays)) return fail('Holidays must be a list');
+    for (const h of body.holidays) {
+      const entry = typeof h === 'string' ? { date: h, name: '' } : (h || {});
+      if (!parseIsoDate(entry.date)) return fail('Holiday dates must be YYYY-MM-DD');
+      location.holidays.push({ date: entry.date, name: typeof entry.name === 'string' ? entry.name.trim() : '' });
+    }
+    location.holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return { location, error: null };
+}
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Opening hours of a location on a date, taking holidays into account.
+ * `open` and `close` are null when the location has no hours configured
+ * (bookable around the clock); `reason` explains a closure.
+ *
+ * @param {object} location The location object
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @returns {{closed: boolean, open: string|null, close: string|null, reason: string|null}}
+ */
+function getOpeningHours(location, date) {
+  const holiday = (location.holidays || []).find(h => h.date === date);
+  if (holiday) {
+    const label = holiday.name ? ` (${holiday.name})` : '';
+    return { closed: true, open: null, close: null, reason: `${location.name} is closed on ${formatDateMMDDYYYY(date)}${label}` };
+  }
+  if (!Array.isArray(location.hours)) {
+    return { closed: false, open: null, close: null, reason: null };
+  }
+  const weekday = parseIsoDate(date).getUTCDay();
+  const day = location.hours[weekday];
+  if (!day) {
+    return { closed: true, open: null, close: null, reason: `${location.name} is closed on ${WEEKDAY_NAMES[weekday]}s` };
+  }
+  return { closed: false, open: day.open, close: day.close, reason: null };
+}
+
+/**
+ * Check a booking's times against the opening hours and holidays of the
+ * space's location.  Returns an error message suitable for a 400 response,
+ * or null when the location is open for the whole booking.
+ *
+ * @param {string} spaceId The space id
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} startTime 24h time string HH:MM
+ * @param {string} endTime 24h time string HH:MM
+ * @returns {string|null} Error message or null
+ */
+function validateOpeningHours(spaceId, date, startTime, endTime) {
+  if (!parseIsoDate(date)) return null;
+  const location = getSpaceLocation(spaceId);
+  const hours = getOpeningHours(location, date);
+  if (hours.closed) return hours.reason;
+  if (hours.open && (startTime < hours.open || endTime > hours.close)) {
+    const weekday = WEEKDAY_NAMES[parseIsoDate(date).getUTCDay()];
+    return `${location.name} is open ${formatTimeTo12H(hours.open)} - ${formatTimeTo12H(hours.close)} on ${weekday}s`;
+  }
+  return null;
+}
+
+/**
+ * Apply the closed‑day policy (settings.closedOccurrencePolicy) to the
+ * later occurrences of a recurring booking.  Occurrences that fall on a
+ * holiday, a closed weekday or outside the opening hours are either added
+ * to the rule's skipped dates ("skip") or make the booking invalid
+ * ("reject").  Open‑ended rules are checked over the same one‑year horizon
+ * as checkRecurringAvailability; the first date is validated separately
+ * by the caller.  Closures added after the booking was made, or lying
+ * beyond the horizon, are left to getOccurrence(), which drops closed
+ * occurrences whatever the policy.  Skipped days still count towards a
+ * rule's `count`, like any other skipped date.
+ *
+ * @param {string} spaceId The space id
+ * @param {string} firstDate ISO date string of the first occurrence
+ * @param {string} startTime 24h time string HH:MM
+ * @param {string} endTime 24h time string HH:MM
+ * @param {object|false} recurring The recurring object
+ * @returns {{recurring: object|false, error: string|null}}
+ */
+function applyClosurePolicy(spaceId, firstDate, startTime, endTime, recurring) {
+  if (!recurring || typeof recurring !== 'object' || !parseIsoDate(firstDate)) {
+    return { recurring, error: null };
+  }
+  const lastDate = getSeriesEnd(recurring, firstDate) || addDays(firstDate, RECURRENCE_HORIZON_DAYS);
+  const closed = [];
+  for (let dateStr = addDays(firstDate, 1); dateStr <= lastDate; dateStr = addDays(dateStr, 1)) {
+    if (!isRecurringOnDate(dateStr, recurring, firstDate)) continue;
+    const reason = validateOpeningHours(spaceId, dateStr, startTime, endTime);
+    if (!reason) continue;
+    if (settings.closedOccurrencePolicy === 'reject') {
+      return { recurring, error: `Recurring booking falls on a closed day: ${reason}` };
+    }
+    closed.push(dateStr);
+  }
+  if (!closed.length) return { recurring, error: null };
+  const exceptions = Array.from(new Set([...(recurring.exceptions || []), ...closed])).sort();
+  return { recurring: { ...recurring, exceptions }, error: null };
+}
+
+// ----- Email allowlist -----
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+/**
+ * Whether an address may book: its domain is on the allowlist, or the
+ * address itself is listed and has not expired.  Individual addresses stay
+ * valid through their expiry date in the site timezone.
+ *
+ * @param {string} email Normalised (trimmed, lower‑case) address
+ * @returns {boolean}
+ */
+function isEmailAllowed(email) {
+  if (!EMAIL_RE.test(email)) return false;
+  if ((settings.allowedDomains || []).includes(email.split('@').pop())) return true;
+  const today = siteToday();
+  return (settings.allowedEmails || []).some(e => e.email === email && (!e.expiresAt || e.expiresAt >= today));
+}
+
+// Error message for an address that is not on the allowlist
+function emailNotAllowedMessage() {
+  const domains = settings.allowedDomains || [];
+  if (!domains.length) return 'This email address is not allowed to book';
+  return `Email must be a ${domains.map(d => '@' + d).join(' or ')} address`;
+}
+
+/**
+ * Validate and normalise an allowlist submitted to the API.
+ *
+ * @param {object} input { domains: string[], emails: [{ email, expiresAt, note }] }
+ * @returns {{allowlist: object|null, error: string|null}}
+ */
+function normaliseAllowlist(input) {
+  const fail = error => ({ allowlist: null, error });
+  const body = input || {};
+  if (!Array.isArray(body.domains) || !Array.isArray(body.emails)) {
+    return fail('domains and emails must be lists');
+  }
+  const domains = [];
+  for (const d of body.domains) {
+    const domain = String(d || '').trim().toLowerCase().replace(/^@/, '');
+    if (!DOMAIN_RE.test(domain)) return fail(`Invalid domain: ${d}`);
+    if (!domains.includes(domain)) domains.push(domain);
+  }
+  const emails = [];
+  for (const e of body.emails) {
+    const entry = typeof e === 'string' ? { email: e } : (e || {});
+    const email = String(entry.email || '').trim().toLowerCase();
+    if (!EMAIL_RE.test(email)) return fail(`Invalid email address: ${entry.email}`);
+    const expiresAt = entry.expiresAt || null;
+    if (expiresAt && !parseIsoDate(expiresAt)) return fail('Expiry dates must be YYYY-MM-DD');
+    if (emails.some(x => x.email === email)) continue;
+    emails.push({ email, expiresAt, note: typeof entry.note === 'string' ? entry.note.trim() : '' });
+  }
+  return { allowlist: { domains, emails }, error: null };
+}
+
+// Return the weekday list of a weekly rule, accepting either `weekdays` or
+// a single `weekday` (which may itself be an array).
+function getRuleWeekdays(recurring) {
+  if (Array.isArray(recurring.weekdays) && recurring.weekdays.length) return recurring.weekdays.map(Number);
+  if (Array.isArray(recurring.weekday)) return recurring.weekday.map(Number);
+  if (recurring.weekday !== undefined && recurring.weekday !== null) return [Number(recurring.weekday)];
+  return null;
+}
+
+/**
+ * Test a date against the pattern part of a rule (weekday / day of month /
+ * nth weekday and interval), ignoring start, until, count and exceptions.
+ *
+ * @param {Date} d UTC date being tested
+ * @param {object} recurring The recurring object
+ * @param {Date|null} start UTC date of the first occurrence, if known
+ * @returns {boolean}
+ */
+function matchesRecurrencePattern(d, recurring, start) {
+  const interval = Math.max(1, parseInt(recurring.interval, 10) || 1);
+  const weekdays = getRuleWeekdays(recurring);
+  // Weekly recurrence: occurs on the listed weekdays every `interval` weeks
+  if (recurring.frequency === 'weekly' && weekdays) {
+    if (!weekdays.includes(d.getUTCDay())) return false;
+    if (interval > 1 && start) {
+      // Weeks start on Sunday; compare the Sunday of each date's week
+      const weekOf = x => x.getTime() - x.getUTCDay() * MS_PER_DAY;
+      const weeks = Math.round((weekOf(d) - weekOf(start)) / (7 * MS_PER_DAY));
+      if (weeks % interval !== 0) return false;
+    }
+    return true;
+  }
+  if (interval > 1 && start) {
+    const months = (d.getUTCFullYear() - start.getUTCFullYear()) * 12 + (d.getUTCMonth() - start.getUTCMonth());
+    if (months % interval !== 0) return false;
+  }
+  if (recurring.dayOfMonth !== undefined && recurring.dayOfMonth !== null) {
+    return d.getUTCDate() === Number(recurring.dayOfMonth);
+  } else if (
+    recurring.nth !== undefined && recurring.weekday !== undefined &&
+    recurring.nth !== null && recurring.weekday !== null
+  ) {
+    // 0 = Sunday, 1 = Monday, ... 6 = Saturday
+    if (d.getUTCDay() !== Number(recurring.weekday)) return false;
+    const nth = Number(recurring.nth);
+    if (nth === -1) {
+      // Last occurrence of the weekday: a week later is already next month
+      const nextWeek = new Date(d.getTime() + 7 * MS_PER_DAY);
+      return nextWeek.getUTCMonth() !== d.getUTCMonth();
+    }
+    // Determine the occurrence of this weekday in the month (1st, 2nd, etc.)
+    return Math.ceil(d.getUTCDate() / 7) === nth;
+  }
+  return false;
+}
+
+// Cache of the last occurrence date of count‑limited series, keyed by the
+// recurring object.  The signature guards against in‑place edits.
+const seriesEndCache = new WeakMap();
+
+/**
+ * Compute the last date of a bounded series: the earlier of `until` and the
+ * date of the `count`th occurrence (the first occurrence being the start
+ * date itself).  Returns null for open‑ended series.
+ *
+ * @param {object} recurring The recurring object
+ * @param {string} [startDate] ISO date of the first occurrence
+ * @returns {string|null} ISO date of the last occurrence, or null
+ */
+function getSeriesEnd(recurring, startDate) {
+  if (!recurring || typeof recurring !== 'object') return null;
+  let end = parseIsoDate(recurring.until) ? recurring.until : null;
+  const count = parseInt(recurring.count, 10);
+  const start = parseIsoDate(startDate);
+  if (count > 0 && start) {
+    const { exceptions, overrides, ...pattern } = recurring;
+    const sig = `${startDate}|${JSON.stringify(pattern)}`;
+    const cached = seriesEndCache.get(recurring);
+    let last;
+    if (cached && cached.sig === sig) {
+      last = cached.last;
+    } else {
+      // Walk forward from the start counting occurrences.  Exceptions still
+      // count towards the total, as with RFC 5545 EXDATE.
+      let seen = 1;
+      last = startDate;
+      const limit = start.getTime() + (MAX_RECURRENCE_YEARS + 1) * 366 * MS_PER_DAY;
+      for (let t = start.getTime() + MS_PER_DAY; seen < count && t <= limit; t += MS_PER_DAY) {
+        const d = new Date(t);
+        if (matchesRecurrencePattern(d, recurring, start)) {
+          seen++;
+          last = d.toISOString().slice(0, 10);
+        }
+      }
+      seriesEndCache.set(recurring, { sig, last });
+    }
+    if (!end || last < end) end = last;
+  }
+  return end;
+}
+
+/**
+ * Determine whether a recurring rule applies on a particular date.  Dates
+ * listed in the rule's `exceptions` array never match.  When the series
+ * start date is supplied, dates before it, after `until` or beyond the
+ * `count`th occurrence do not match and `interval` is honoured.
+ *
+ * @param {string} dateStr ISO date string (YYYY‑MM‑DD)
+ * @param {object|boolean} recurring The recurring object or false
+ * @param {string} [startDate] ISO date of the first occurrence
+ * @returns {boolean} True if the recurrence matches the provided date
+ */
+function isRecurringOnDate(dateStr, recurring, startDate) {
+  if (!recurring || typeof recurring !== 'object') return false;
+  // Occurrences that have been individually cancelled are skipped
+  if (Array.isArray(recurring.exceptions) && recurring.exceptions.includes(dateStr)) return false;
+  const d = parseIsoDate(dateStr);
+  if (!d) return false;
+  if (startDate && dateStr < startDate) return false;
+  if (recurring.until && dateStr > recurring.until) return false;
+  if (!matchesRecurrencePattern(d, recurring, parseIsoDate(startDate))) return false;
+  if (recurring.count && startDate) {
+    const last = getSeriesEnd(recurring, startDate);
+    if (last && dateStr > last) return false;
+  }
+  return true;
+}
+
+// Error for a recurrence object sent with per‑occurrence overrides.  These
+// are only set through PUT /api/bookings/:id/occurrences/:date, which checks
+// each moved occurrence like a booking of its own.
+function clientOverridesError(recurring) {
+  if (!recurring || typeof recurring !== 'object' || recurring.overrides === undefined) return null;
+  return 'Change single occurrences with PUT /api/bookings/<id>/occurrences/<date>';
+}
+
+/**
+ * Validate a recurrence object supplied by a client.  Returns an error
+ * message suitable for a 400 response, or null when the rule is usable.
+ *
+ * @param {object} recurring The recurring object
+ * @param {string} startDate ISO date of the first occurrence
+ * @returns {string|null} Error message or null
+ */
+function validateRecurrence(recurring, startDate) {
+  if (!recurring || typeof recurring !== 'object') return null;
+  const isInt = (v, min, max) => Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max;
+  const weekdays = getRuleWeekdays(recurring);
+  if (weekdays && !weekdays.every(w => isInt(w, 0, 6))) {
+    return 'Recurrence weekdays must be between 0 (Sunday) and 6 (Saturday)';
+  }
+  if (recurring.frequency === 'weekly') {
+    if (!weekdays) return 'Weekly recurrence requires at least one weekday';
+  } else if (recurring.dayOfMonth !== undefined && recurring.dayOfMonth !== null) {
+    if (!isInt(recurring.dayOfMonth, 1, 31)) return 'Recurrence day of month must be between 1 and 31';
+  } else if (recurring.nth !== undefined && recurring.nth !== null) {
+    if (!(isInt(recurring.nth, 1, 5) || Number(recurring.nth) === -1)) {
+      return 'Recurrence nth must be between 1 and 5, or -1 for the last weekday of the month';
+    }
+    if (!weekdays || weekdays.length !== 1) return 'Nth weekday recurrence requires a single weekday';
+  } else {
+    return 'Unsupported recurrence pattern';
+  }
+  if (recurring.interval !== undefined && recurring.interval !== null && !isInt(recurring.interval, 1, 52)) {
+    return 'Recurrence interval must be between 1 and 52';
+  }
+  if (recurring.count !== undefined && recurring.count !== null && !isInt(recurring.count, 1, 1000)) {
+    return 'Recurrence count must be between 1 and 1000';
+  }
+  if (recurring.exceptions !== undefined && recurring.exceptions !== null) {
+    if (!Array.isArray(recurring.exceptions) || !recurring.exceptions.every(d => parseIsoDate(d))) {
+      return 'Skipped dates must be a list of YYYY-MM-DD dates';
+    }
+  }
+  if (recurring.until !== undefined && recurring.until !== null) {
+    if (!parseIsoDate(recurring.until)) return 'Recurrence end date must be a valid YYYY-MM-DD date';
+    if (startDate && recurring.until < startDate) return 'Recurrence end date must not be before the first date';
+  }
+  const end = getSeriesEnd(recurring, startDate);
+  if (end && startDate && end > addDays(startDate, MAX_RECURRENCE_YEARS * 366)) {
+    return `Recurring bookings cannot extend more than ${MAX_RECURRENCE_YEARS} years`;
+  }
+  return null;
+}
+
+// RFC 5545 weekday codes indexed by JavaScript day number (0 = Sunday)
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Translate an RFC 5545 RRULE string (with or without the `RRULE:` prefix)
+ * into the internal recurrence object.  Only rules the recurrence engine
+ * can evaluate are accepted:
+ *   FREQ=WEEKLY with BYDAY weekdays (defaults to the first date's weekday)
+ *   FREQ=DAILY, optionally limited with BYDAY (treated as weekly)
+ *   FREQ=MONTHLY with BYMONTHDAY=1..31, BYDAY=3FR / -1FR or BYDAY=FR;BYSETPOS=3
+ *   INTERVAL, COUNT and UNTIL on any of the above
+ * Anything else (yearly rules, BYMONTH, BYHOUR, multiple monthly days and
+ * so on) is rejected.
+ *
+ * @param {string} rrule RRULE string, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @param {string} startDate ISO date of the first occurrence (DTSTART)
+ * @returns {{recurring: object|null, error: string|null}}
+ */
+function parseRRule(rrule, startDate) {
+  const fail = msg => ({ recurring: null, error: `Unsupported RRULE: ${msg}` });
+  if (typeof rrule !== 'string' || !rrule.trim()) return fail('rule must be a non-empty string');
+  const parts = {};
+  for (const part of rrule.trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') return fail(`malformed part "${part}"`);
+    const name = key.trim().toUpperCase();
+    if (parts[name] !== undefined) return fail(`${name} is given more than once`);
+    parts[name] = value.trim().toUpperCase();
+  }
+  const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYSETPOS', 'WKST'];
+  const unknown = Object.keys(parts).filter(k => !supported.includes(k));
+  if (unknown.length) return fail(`${unknown.join(', ')} is not supported`);
+  const start = parseIsoDate(startDate);
+  if (!start) return fail('a valid first date is required');
+
+  const recurring = {};
+  if (parts.INTERVAL !== undefined) {
+    if (!/^\d+$/.test(parts.INTERVAL)) return fail('INTERVAL must be a positive integer');
+    const interval = parseInt(parts.INTERVAL, 10);
+    if (interval > 1) recurring.interval = interval;
+  }
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) return fail('COUNT and UNTIL cannot both be given');
+  if (parts.COUNT !== undefined) {
+    if (!/^\d+$/.test(parts.COUNT)) return fail('COUNT must be a positive integer');
+    recurring.count = parseInt(parts.COUNT, 10);
+  }
+  if (parts.UNTIL !== undefined) {
+    // DATE (20251231) or DATE-TIME (20251231T235959Z) forms; only the date is used
+    const m = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(parts.UNTIL);
+    if (!m || !parseIsoDate(`${m[1]}-${m[2]}-${m[3]}`)) return fail('UNTIL must be a date such as 20251231');
+    recurring.until = `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  // BYDAY entries: optional ordinal followed by a two letter day code
+  const byDay = [];
+  if (parts.BYDAY !== undefined) {
+    for (const entry of parts.BYDAY.split(',')) {
+      const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+      if (!m) return fail(`invalid BYDAY value "${entry}"`);
+      byDay.push({ nth: m[1] ? parseInt(m[1], 10) : null, weekday: RRULE_DAYS.indexOf(m[2]) });
+    }
+  }
+  if (parts.BYSETPOS !== undefined && parts.FREQ !== 'MONTHLY') return fail('BYSETPOS is only supported on monthly rules');
+
+  switch (parts.FREQ) {
+    case 'DAILY':
+    case 'WEEKLY': {
+      if (parts.BYMONTHDAY !== undefined) return fail(`BYMONTHDAY is not supported on ${parts.FREQ.toLowerCase()} rules`);
+      if (byDay.some(d => d.nth !== null)) return fail(`BYDAY ordinals are not supported on ${parts.FREQ.toLowerCase()} rules`);
+      if (parts.FREQ === 'DAILY' && recurring.interval) return fail('INTERVAL is not supported on daily rules');
+      let weekdays = byDay.map(d => d.weekday);
+      if (!weekdays.length) weekdays = parts.FREQ === 'DAILY' ? [0, 1, 2, 3, 4, 5, 6] : [start.getUTCDay()];
+      weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+      // Weeks are counted from Sunday; RFC 5545 defaults to Monday.  The two
+      // only disagree for multi‑week intervals that include Sunday.
+      if (recurring.interval && weekdays.includes(0) && weekdays.length > 1 && parts.WKST !== 'SU') {
+        return fail('weekly rules with INTERVAL that include Sunday require WKST=SU');
+      }
+      recurring.frequency = 'weekly';
+      if (weekdays.length === 1) recurring.weekday = weekdays[0];
+      else recurring.weekdays = weekdays;
+      break;
+    }
+    case 'MONTHLY': {
+      recurring.frequency = 'monthly';
+      if (parts.BYMONTHDAY !== undefined) {
+        if (byDay.length) return fail('BYMONTHDAY cannot be combined with BYDAY');
+        if (!/^\d{1,2}$/.test(parts.BYMONTHDAY)) return fail('BYMONTHDAY must be a single day between 1 and 31');
+        recurring.dayOfMonth = parseInt(parts.BYMONTHDAY, 10);
+      } else if (byDay.length) {
+        if (byDay.length !== 1) return fail('monthly rules may only name one BYDAY weekday');
+        let nth = byDay[0].nth;
+        if (parts.BYSETPOS !== undefined) {
+          if (nth !== null) return fail('BYSETPOS cannot be combined with a BYDAY ordinal');
+          nth = parseInt(parts.BYSETPOS, 10);
+        }
+        if (nth === null) return fail('monthly BYDAY rules need an ordinal such as 2TU or -1FR');
+        recurring.nth = nth;
+        recurring.weekday = byDay[0].weekday;
+      } else {
+        if (parts.BYSETPOS !== undefined) return fail('BYSETPOS requires BYDAY');
+        recurring.dayOfMonth = start.getUTCDate();
+      }
+      break;
+    }
+    case undefined:
+      return fail('FREQ is required');
+    default:
+      return fail(`FREQ=${parts.FREQ} is not supported`);
+  }
+  const error = validateRecurrence(recurring, startDate);
+  return error ? { recurring: null, error } : { recurring, error: null };
+}
+
+/**
+ * Express a recurrence object as an RFC 5545 RRULE value (without the
+ * `RRULE:` prefix).  Skipped dates and overrides are not part of the rule
+ * itself; calendar exports carry them as EXDATE/RECURRENCE-ID.
+ *
+ * @param {object} recurring The recurring object
+ * @param {function} [formatUntil] Maps the last date (YYYY‑MM‑DD) to the
+ *   UNTIL value when the calendar's DTSTART is a date‑time (RFC 5545
+ *   requires matching value types); by default UNTIL is a bare DATE
+ * @returns {string|null} RRULE string or null for non‑recurring bookings
+ */
+function toRRule(recurring, formatUntil) {
+  if (!recurring || typeof recurring !== 'object') return null;
+  const interval = Math.max(1, parseInt(recurring.interval, 10) || 1);
+  const weekdays = getRuleWeekdays(recurring);
+  let rule;
+  if (recurring.frequency === 'weekly' && weekdays) {
+    rule = `FREQ=WEEKLY;BYDAY=${weekdays.map(d => RRULE_DAYS[d]).join(',')}`;
+    if (interval > 1) rule += ';WKST=SU';
+  } else if (recurring.dayOfMonth !== undefined && recurring.dayOfMonth !== null) {
+    rule = `FREQ=MONTHLY;BYMONTHDAY=${Number(recurring.dayOfMonth)}`;
+  } else if (recurring.nth !== undefined && recurring.nth !== null && weekdays) {
+    rule = `FREQ=MONTHLY;BYDAY=${Number(recurring.nth)}${RRULE_DAYS[weekdays[0]]}`;
+  } else {
+    return null;
+  }
+  if (interval > 1) rule += `;INTERVAL=${interval}`;
+  if (recurring.count) rule += `;COUNT=${parseInt(recurring.count, 10)}`;
+  if (recurring.until) {
+    rule += `;UNTIL=${formatUntil ? formatUntil(String(recurring.until)) : String(recurring.until).replace(/-/g, '')}`;
+  }
+  return rule;
+}
+
+// Older versions of the application stored recurring bookings using the
+// property name `recurrence`.  The current version uses `recurring`.  This
+// helper normalises a booking object and returns whichever field is present
+// so that legacy data continues to behave correctly.
+function getRecurring(b) {
+  return (b && typeof b === 'object') ? (b.recurring || b.recurrence || null) : null;
+}
+
+/**
+ * Resolve a booking's occurrence on a particular date.
+ *
+ * Recurring rules may carry two kinds of per‑occurrence exception:
+ *   - `exceptions`: an array of ISO dates on which the booking is skipped
+ *   - `overrides`: an object keyed by ISO date whose values replace the
+ *     spaceId, startTime and/or endTime for that single occurrence
+ *
+ * Later occurrences that land on a day the location is closed (a holiday
+ * or closed weekday, or outside the opening hours) do not take place
+ * either, so closures added after the booking was made apply to existing
+ * series.  They still count towards the rule's `count`.
+ *
+ * Returns null when the booking does not take place on the date, otherwise
+ * an object describing the occurrence with any override applied.
+ *
+ * @param {object} b The booking
+ * @param {string} dateStr ISO date string (YYYY‑MM‑DD)
+ * @returns {{date: string, spaceId: string, startTime: string, endTime: string}|null}
+ */
+function getOccurrence(b, dateStr) {
+  const rec = getRecurring(b);
+  const base = { date: dateStr, spaceId: b.spaceId, startTime: b.startTime, endTime: b.endTime };
+  if (!rec || typeof rec !== 'object') {
+    return b.date === dateStr ? base : null;
+  }
+  if (Array.isArray(rec.exceptions) && rec.exceptions.includes(dateStr)) return null;
+  if (b.date !== dateStr && !isRecurringOnDate(dateStr, rec, b.date)) return null;
+  const override = rec.overrides && rec.overrides[dateStr];
+  const occ = override ? { ...base, ...override, date: dateStr } : base;
+  if (b.date !== dateStr && validateOpeningHours(occ.spaceId, dateStr, occ.startTime, occ.endTime)) return null;
+  return occ;
+}
+
+/**
+ * Cancel a single occurrence of a recurring booking by adding its date to
+ * the rule's `exceptions` list (and dropping any override for that date).
+ * Returns the occurrence that was cancelled, or null if the booking does not
+ * recur or does not take place on the date.
+ *
+ * @param {object} b The recurring booking
+ * @param {string} dateStr ISO date string (YYYY‑MM‑DD)
+ * @returns {object|null} The cancelled occurrence
+ */
+function cancelOccurrence(b, dateStr) {
+  const rec = getRecurring(b);
+  if (!rec || typeof rec !== 'object') return null;
+  const occ = getOccurrence(b, dateStr);
+  if (!occ) return null;
+  rec.exceptions = Array.isArray(rec.exceptions) ? rec.exceptions : [];
+  rec.exceptions.push(dateStr);
+  rec.exceptions.sort();
+  if (rec.overrides) delete rec.overrides[dateStr];
+  bumpSequence(b);
+  return occ;
+}
+
+// Deep copy of a booking, taken before changing it in place so the change
+// can be undone with restoreBooking() if saving it fails
+function copyBooking(b) {
+  return JSON.parse(JSON.stringify(b));
+}
+
+// Put a booking back to a copy taken with copyBooking()
+function restoreBooking(b, copy) {
+  Object.keys(b).forEach(k => delete b[k]);
+  Object.assign(b, copy);
+}
+
+/**
+ * Convert a 24‑hour time string (HH:MM) to a 12‑hour format with AM/PM.
+ *
+ * If the input is invalid or not a string in HH:MM format, it is returned unchanged.
+ * Examples:
+ *   to12Hour('13:30') -> '1:30 PM'
+ *   to12Hour('00:15') -> '12:15 AM'
+ *
+ * @param {string} time Time in 24‑hour format
+ * @returns {string} Time in 12‑hour format
+ */
+function to12Hour(time) {
+  if (typeof time !== 'string' || !time.includes(':')) return time;
+  const [hStr, m] = time.split(':');
+  let h = parseInt(hStr, 10);
+  if (isNaN(h)) return time;
+  const ampm = h >= 12 ? 'PM' : 'AM';
+  h = h % 12;
+  if (h === 0) h = 12;
+  return `${h}:${m} ${ampm}`;
+}
+
+/**
+ * Check whether a space is available for a given date and time range.
+ *
+ * A space is considered unavailable if any existing booking (regular or
+ * recurring) for that space overlaps the requested time on the requested
+ * date.
+ *
+ * @param {string} spaceId ID of the space being checked
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} startTime start time in 24h format (HH:MM)
+ * @param {string} endTime end time in 24h format (HH:MM)
+ * @param {string} [excludeId] Optional booking id to ignore (used when rescheduling)
+ */
+function isSpaceAvailable(spaceId, date, startTime, endTime, excludeId) {
+  return !findConflictingBooking(spaceId, date, startTime, endTime, excludeId);
+}
+
+/**
+ * The booking that holds a space at any point of a date and time range,
+ * as checked by isSpaceAvailable().
+ *
+ * @param {string} spaceId ID of the space being checked
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} startTime start time in 24h format (HH:MM)
+ * @param {string} endTime end time in 24h format (HH:MM)
+ * @param {string} [excludeId] Optional booking id to ignore
+ * @param {object[]} [list] Bookings to check against (defaults to all)
+ * @returns {object|undefined} The conflicting booking
+ */
+function findConflictingBooking(spaceId, date, startTime, endTime, excludeId, list = bookings) {
+  return list.find(b => {
+    // Ignore the booking being edited so it does not conflict with itself
+    if (excludeId && b.id === excludeId) return false;
+    // Determine if this booking occurs on the requested date, honouring
+    // skipped dates and per‑occurrence overrides of recurring bookings
+    const occ = getOccurrence(b, date);
+    if (!occ || occ.spaceId !== spaceId) return false;
+    // Check for time overlap (inclusive start, exclusive end)
+    const overlaps =
+      (startTime >= occ.startTime && startTime < occ.endTime) ||
+      (endTime > occ.startTime && endTime <= occ.endTime) ||
+      (startTime <= occ.startTime && endTime >= occ.endTime);
+    return overlaps;
+  });
+}
+
+/**
+ * Check whether a recurring booking conflicts with existing bookings.  The
+ * first occurrence is validated by the caller; this walks every later
+ * occurrence of the series.  Bounded series (with `until` or `count`) are
+ * checked through their final occurrence; open‑ended series are checked
+ * RECURRENCE_HORIZON_DAYS ahead of the first date.  If any occurrence
+ * conflicts with an existing booking (regular or recurring), the booking
+ * cannot be created.
+ *
+ * @param {string} spaceId ID of the space
+ * @param {string} firstDate ISO date string of the first occurrence (YYYY‑MM‑DD)
+ * @param {string} startTime 24h time string HH:MM
+ * @param {string} endTime 24h time string HH:MM
+ * @param {object} recurring Recurrence object
+ * @param {string} [excludeId] Optional booking id to ignore (used when rescheduling)
+ * @returns {boolean} True if all occurrences are free
+ */
+function checkRecurringAvailability(spaceId, firstDate, startTime, endTime, recurring, excludeId) {
+  return !findRecurringConflict(spaceId, firstDate, startTime, endTime, recurring, excludeId);
+}
+
+/**
+ * The first later occurrence of a recurring booking that clashes with an
+ * existing booking, as checked by checkRecurringAvailability().
+ *
+ * @param {string} spaceId ID of the space
+ * @param {string} firstDate ISO date string of the first occurrence (YYYY‑MM‑DD)
+ * @param {string} startTime 24h time string HH:MM
+ * @param {string} endTime 24h time string HH:MM
+ * @param {object} recurring Recurrence object
+ * @param {string} [excludeId] Optional booking id to ignore
+ * @param {object[]} [list] Bookings to check against (defaults to all)
+ * @returns {{booking: object, date: string}|null} The clash, or null
+ */
+function findRecurringConflict(spaceId, firstDate, startTime, endTime, recurring, excludeId, list = bookings) {
+  // Only check for recurring patterns
+  if (!recurring || typeof recurring !== 'object') return null;
+  if (!parseIsoDate(firstDate)) return null;
+  const lastDate = getSeriesEnd(recurring, firstDate) || addDays(firstDate, RECURRENCE_HORIZON_DAYS);
+  // Skip the first occurrence; it is already validated by caller.  Days on
+  // which the location is closed cannot conflict: getOccurrence() drops
+  // those occurrences.
+  // An occurrence moved by an override is checked where it actually is.
+  for (let dateStr = addDays(firstDate, 1); dateStr <= lastDate; dateStr = addDays(dateStr, 1)) {
+    if (!isRecurringOnDate(dateStr, recurring, firstDate)) continue;
+    const slot = { spaceId, startTime, endTime, ...((recurring.overrides || {})[dateStr] || {}) };
+    if (!validateOpeningHours(slot.spaceId, dateStr, slot.startTime, slot.endTime)) {
+      const booking = findConflictingBooking(slot.spaceId, dateStr, slot.startTime, slot.endTime, excludeId, list);
+      if (booking) return { booking, date: dateStr };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a wall‑clock date and time has already passed in the site
+ * timezone (or the given zone, e.g. a location's).  Compares the values as
+ * strings so that no timezone offset is involved at all.
+ *
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} time 24h time string HH:MM
+ * @param {string} [timeZone] IANA timezone name (defaults to the site zone)
+ * @returns {boolean}
+ */
+function isPastInSiteTimeZone(date, time, timeZone = getSiteTimeZone()) {
+  const now = zonedDateTime(exports.currentTime(), timeZone);
+  return `${date}T${time}` < `${now.date}T${now.time}`;
+}
+
+/**
+ * Validate the date and time fields shared by every path that writes a
+ * booking.  Rejects start times in the past (in the timezone of the
+ * space's location), end times before the start time and durations longer
+ * than MAX_BOOKING_HOURS.  Returns an error message suitable for a 400
+ * response, or null when the values are acceptable.
+ *
+ * @param {string} date ISO date string (YYYY‑MM‑DD)
+ * @param {string} startTime 24h time string HH:MM
+ * @param {string} endTime 24h time string HH:MM
+ * @param {string} [timeZone] Zone the times are in (defaults to the site zone)
+ * @returns {string|null} Error message or null
+ */
+function validateBookingTimes(date, startTime, endTime, timeZone) {
+  // Prevent bookings in the past relative to the location's timezone.  This
+  // ensures server‑side enforcement even if the client omits the check.
+  if (isPastInSiteTimeZone(date, startTime, timeZone)) {
+    return 'Cannot book a date/time in the past';
+  }
+  // Enforce maximum booking duration for single and recurring bookings
+  const [sh, sm] = String(startTime).split(':').map(x => parseInt(x, 10));
+  const [eh, em] = String(endTime).split(':').map(x => parseInt(x, 10));
+  if (!isNaN(sh) && !isNaN(sm) && !isNaN(eh) && !isNaN(em)) {
+    const startMinutes = sh * 60 + sm;
+    const endMinutes = eh * 60 + em;
+    if (endMinutes < startMinutes) {
+      // Treat overnight bookings as invalid for simplicity
+      return 'End time must be after start time';
+    }
+    if (endMinutes - startMinutes > MAX_BOOKING_HOURS * 60) {
+      return `Bookings cannot exceed ${MAX_BOOKING_HOURS} hours`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Shape a stored booking for API responses.  Adds the space name and
+ * normalises the legacy `recurrence` field so clients always receive the
+ * same structure from the admin and self‑service endpoints.
+ *
+ * @param {object} b The stored booking
+ * @returns {object} Booking representation for JSON responses
+ */
+function toBookingResponse(b) {
+  const space = spaces.find(s => s.id === b.spaceId);
+  return {
+    id: b.id,
+    name: b.name,
+    email: b.email,
+    spaceId: b.spaceId,
+    spaceName: space ? space.name : '',
+    date: b.date,
+    startTime: b.startTime,
+    endTime: b.endTime,
+    recurring: !!getRecurring(b),
+    recurrence: getRecurring(b) || null,
+    rrule: toRRule(getRecurring(b)),
+    checkedIn: !!b.checkedIn,
+    createdBy: b.createdBy || null
+  };
+}
+
+// Domain part of iCalendar UIDs.  UIDs must stay stable for the life of a
+// booking so that calendar clients match updates and cancellations to the
+// event they already hold.
+const ICS_UID_DOMAIN = (() => {
+  try { return new URL(APP_BASE_URL).hostname || 'focus-booking'; } catch (e) { return 'focus-booking'; }
+})();
+
+// Escape a TEXT value per RFC 5545 section 3.3.11
+function icsEscape(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function icsFold(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// Local DATE-TIME value from an ISO date and HH:MM time, for use with TZID
+function icsDateTime(date, time) {
+  return `${String(date).replace(/-/g, '')}T${String(time || '00:00').replace(':', '')}00`;
+}
+
+// UTC DATE-TIME value for a wall‑clock date and time in a timezone
+function icsUtcDateTime(date, time, timeZone) {
+  return zonedTimeToUtc(date, time, timeZone).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Date-time property pinned to an IANA timezone, e.g. DTSTART;TZID=...
+function icsZonedProperty(name, date, time, timeZone) {
+  return `${name};TZID=${timeZone}:${icsDateTime(date, time)}`;
+}
+
+// Quoted parameter value, e.g. CN="...".  Quotes and control characters
+// cannot appear inside one (RFC 5545 section 3.1), so they are dropped.
+function icsParam(value) {
+  return `"${String(value == null ? '' : value).replace(/["\x00-\x1f\x7f]/g, '')}"`;
+}
+
+/**
+ * Build the VTIMEZONE component for a TZID used in an invite (RFC 5545
+ * section 3.6.5).  Each change of offset between the two dates gets its
+ * own STANDARD or DAYLIGHT observance.  When the last changes recur on the
+ * same weekday of the same month the following year they are given a
+ * yearly RRULE, so open‑ended series stay correct beyond the dates given.
+ *
+ * @param {string} timeZone IANA timezone name
+ * @param {string} fromDate First ISO date the invite refers to
+ * @param {string} toDate Last ISO date the invite refers to
+ * @returns {string[]} Content lines from BEGIN:VTIMEZONE to END:VTIMEZONE
+ */
+function icsTimeZone(timeZone, fromDate, toDate) {
+  const fromYear = Number(fromDate.slice(0, 4));
+  const toYear = Number(toDate.slice(0, 4));
+  const all = zoneTransitions(timeZone, fromYear, toYear + 1);
+  const transitions = all.filter(t => new Date(t.at).getUTCFullYear() <= toYear);
+  const following = all.filter(t => new Date(t.at).getUTCFullYear() > toYear);
+  const pad = n => String(n).padStart(2, '0');
+  const offsetText = minutes => `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+  // Wall clock just before a change, which is how DTSTART and RRULE see it
+  const local = t => new Date(t.at + t.from * 60000);
+  // Day of the month of the nth (or, with -1, last) weekday in a month
+  const nthWeekday = (year, month, weekday, n) => {
+    if (n > 0) return 1 + (weekday - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7 + (n - 1) * 7;
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7;
+  };
+  // Yearly rule that gives both this change and the matching one next year
+  const yearlyRule = t => {
+    const next = following.find(f => f.from === t.from && f.to === t.to);
+    if (!next) return null;
+    const start = local(t);
+    const then = local(next);
+    if (then.getUTCMonth() !== start.getUTCMonth() || then.getUTCDay() !== start.getUTCDay() ||
+        then.getTime() % MS_PER_DAY !== start.getTime() % MS_PER_DAY) {
+      return null;
+    }
+    const weekday = start.getUTCDay();
+    // "Last" before "fourth": rules that name the last weekday are the usual ones
+    const n = [-1, Math.ceil(start.getUTCDate() / 7)].find(candidate =>
+      nthWeekday(start.getUTCFullYear(), start.getUTCMonth(), weekday, candidate) === start.getUTCDate() &&
+      nthWeekday(then.getUTCFullYear(), then.getUTCMonth(), weekday, candidate) === then.getUTCDate());
+    if (!n) return null;
+    return `RRULE:FREQ=YEARLY;BYMONTH=${start.getUTCMonth() + 1};BYDAY=${n}${RRULE_DAYS[weekday]}`;
+  };
+  const lastOfKind = new Set([
+    transitions.filter(t => t.to > t.from).pop(),
+    transitions.filter(t => t.to < t.from).pop()
+  ]);
+  const observance = (t, kind, rule) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${local(t).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '')}`,
+    `TZOFFSETFROM:${offsetText(t.from)}`,
+    `TZOFFSETTO:${offsetText(t.to)}`,
+    ...(rule ? [rule] : []),
+    `END:${kind}`
+  ];
+  // The offset already in force when the first date begins
+  const initial = zoneOffsetMinutes(Date.UTC(fromYear, 0, 1), timeZone);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  lines.push(...observance(
+    { at: Date.UTC(fromYear, 0, 1) - initial * 60000, from: initial, to: initial },
+    transitions.length && transitions[0].to < transitions[0].from ? 'DAYLIGHT' : 'STANDARD'
+  ));
+  transitions.forEach(t => {
+    lines.push(...observance(t, t.to > t.from ? 'DAYLIGHT' : 'STANDARD', lastOfKind.has(t) ? yearlyRule(t) : null));
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Generate an iCalendar (RFC 5545 / iTIP) document for a booking.  The
+ * event UID is derived from the booking id so that updates and
+ * cancellations replace the event already in the recipient's calendar, and
+ * SEQUENCE carries the booking's revision number.  Recurring bookings
+ * include an RRULE, EXDATEs for skipped dates and an extra VEVENT per
+ * overridden occurrence.  Pass method="CANCEL" and cancelled=true to
+ * withdraw the event; with an occurrence only that instance of the series
+ * is cancelled.  Times carry a TZID naming the zone of the booked space's
+ * location, defined by a VTIMEZONE (see icsTimeZone()), so a series keeps
+ * its wall‑clock time across daylight saving changes and recipients
+ * elsewhere see it at the right moment; the RRULE's UNTIL is given in UTC
+ * as RFC 5545 requires alongside a TZID.
+ *
+ * @param {object} booking The booking object
+ * @param {string} spaceName Name of the space booked
+ * @param {string} [method] iCalendar method (REQUEST or CANCEL)
+ * @param {boolean} [cancelled] Whether the event should include a cancelled status
+ * @param {object} [occurrence] Single occurrence of a recurring booking
+ *   ({date, spaceId, startTime, endTime}) to describe instead of the series
+ * @returns {string} iCalendar formatted string
+ */
+function generateBookingIcs(booking, spaceName, method = 'REQUEST', cancelled = false, occurrence = null) {
+  const rec = getRecurring(booking);
+  const uid = `${booking.id}@${ICS_UID_DOMAIN}`;
+  const sequence = parseInt(booking.sequence, 10) || 0;
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const organizer = process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER;
+  const spaceNameFor = id => (spaces.find(s => s.id === id) || {}).name || spaceName || id;
+  // Exceptions and overrides are identified in the series' own zone
+  const seriesZone = getSpaceTimeZone(booking.spaceId);
+  const recurrenceId = date => icsZonedProperty('RECURRENCE-ID', date, booking.startTime, seriesZone);
+  // Every TZID used needs a VTIMEZONE covering the dates in the invite
+  const timeZones = new Set([seriesZone]);
+  const firstDate = occurrence ? occurrence.date : booking.date;
+  const lastDate = rec && !occurrence
+    ? getSeriesEnd(rec, booking.date) || addDays(siteToday(), RECURRENCE_HORIZON_DAYS)
+    : firstDate;
+  const event = (occ, extra) => {
+    const timeZone = getSpaceTimeZone(occ.spaceId);
+    timeZones.add(timeZone);
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${stamp}`,
+      icsZonedProperty('DTSTART', occ.date, occ.startTime, timeZone),
+      icsZonedProperty('DTEND', occ.date, occ.endTime, timeZone),
+      `SUMMARY:${icsEscape(`Booking: ${spaceNameFor(occ.spaceId)}`)}`,
+      `LOCATION:${icsEscape(spaceNameFor(occ.spaceId))}`
+    ];
+    if (organizer) lines.push(`ORGANIZER:mailto:${organizer}`);
+    if (booking.email) lines.push(`ATTENDEE;CN=${icsParam(booking.name)};RSVP=FALSE:mailto:${booking.email}`);
+    lines.push(...extra, `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+  };
+  const events = [];
+  if (occurrence && rec) {
+    // A single instance of the series, identified by its original start
+    events.push(...event(occurrence, [recurrenceId(occurrence.date)]));
+  } else {
+    const master = [];
+    if (rec) {
+      const rrule = toRRule(rec, until => icsUtcDateTime(until, '23:59', seriesZone).replace(/00Z$/, '59Z'));
+      if (rrule) master.push(`RRULE:${rrule}`);
+      // Skipped dates, plus later occurrences that fall on a closure
+      // (within the usual horizon for open‑ended series)
+      const skipped = new Set(Array.isArray(rec.exceptions) ? rec.exceptions : []);
+      for (let d = addDays(booking.date, 1); d <= lastDate; d = addDays(d, 1)) {
+        if (isRecurringOnDate(d, rec, booking.date) && !getOccurrence(booking, d)) skipped.add(d);
+      }
+      Array.from(skipped).sort().forEach(d => {
+        master.push(icsZonedProperty('EXDATE', d, booking.startTime, seriesZone));
+      });
+    }
+    events.push(...event(
+      { date: booking.date, spaceId: booking.spaceId, startTime: booking.startTime, endTime: booking.endTime },
+      master
+    ));
+    if (rec && !cancelled && rec.overrides) {
+      Object.keys(rec.overrides).sort().forEach(d => {
+        const occ = getOccurrence(booking, d);
+        if (occ) events.push(...event(occ, [recurrenceId(d)]));
+      });
+    }
+  }
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'PRODID:-//Focus Booking//Booking App//EN',
+    'VERSION:2.0',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...[...timeZones].flatMap(timeZone => icsTimeZone(timeZone, firstDate, lastDate < firstDate ? firstDate : lastDate)),
+    ...events,
+    'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Increment a booking's iCalendar SEQUENCE.  Call this whenever a change
+ * is sent to the booker so calendar clients accept the newer version.
+ *
+ * @param {object} booking The booking object
+ */
+function bumpSequence(booking) {
+  booking.sequence = (parseInt(booking.sequence, 10) || 0) + 1;
+}
+
+/**
+ * Build a nodemailer attachment for an iCalendar document.
+ *
+ * @param {string} ics iCalendar text from generateBookingIcs()
+ * @param {string} [method] iCalendar method, repeated in the content type
+ * @returns {object} Attachment object accepted by sendEmail()
+ */
+function icsAttachment(ics, method = 'REQUEST') {
+  return {
+    filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content: ics,
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+}
+
+/**
+ * Generate a subscribable iCalendar feed.  Unlike the emailed invites,
+ * feeds carry no METHOD and every occurrence of a recurring booking is
+ * expanded into its own VEVENT (UID `<booking id>-<date>`), so clients that
+ * do not understand RRULE still show the right dates.  Times are converted
+ * from the site timezone to UTC so subscribers elsewhere see the correct
+ * hour, including across DST changes.  DTSTAMP is the time
+ * of the last data change so the body, and therefore its ETag, only changes
+ * when the bookings do.
+ *
+ * @param {string} calName Calendar name shown by the subscribing client
+ * @param {Array<{booking: object, occ: object}>} items Occurrences to include
+ * @param {boolean} showBooker Whether to include the booker's name; the
+ *   public space feeds only show that the space is booked
+ * @param {Date} modifiedAt Time of the last data change
  * @returns {string} iCalendar formatted string
-*/
+ */
+function generateFeedIcs(calName, items, showBooker, modifiedAt) {
+  const stamp = modifiedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'PRODID:-//Focus Booking//Booking App//EN',
+    'VERSION:2.0',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsEscape(calName)}`
+  ];
+  items.forEach(({ booking, occ }) => {
+    const spaceName = (spaces.find(s => s.id === occ.spaceId) || {}).name || occ.spaceId;
+    const timeZone = getSpaceTimeZone(occ.spaceId);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${booking.id}-${occ.date.replace(/-/g, '')}@${ICS_UID_DOMAIN}`,
+      `SEQUENCE:${parseInt(booking.sequence, 10) || 0}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsUtcDateTime(occ.date, occ.startTime, timeZone)}`,
+      `DTEND:${icsUtcDateTime(occ.date, occ.endTime, timeZone)}`,
+      `SUMMARY:${icsEscape(showBooker ? `Booking: ${spaceName}` : `Booked: ${spaceName}`)}`,
+      `LOCATION:${icsEscape(spaceName)}`
+    );
+    if (showBooker && booking.name) lines.push(`DESCRIPTION:${icsEscape(`Booked by ${booking.name}`)}`);
+    lines.push('STATUS:CONFIRMED', 'TRANSP:OPAQUE', 'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// SHA‑256 of an admin bearer token, as stored in adminSessions
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Start an admin session and return its bearer token.  Expired sessions
+ * are pruned at the same time.  The session is persisted in the background
+ * along with the admin, whose failed logins or used codes may have changed.
+ *
+ * @param {object} admin Admin record
+ * @param {object} req Express request, for the user agent
+ * @param {string} [method] How the admin signed in: "password" or "sso"
+ * @returns {{token: string, session: object}}
+ */
+function createAdminSession(admin, req, method = 'password') {
+  const expired = pruneAdminSessions();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const session = {
+    id: uuidv4(),
+    tokenHash: hashSessionToken(token),
+    adminId: admin.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ADMIN_SESSION_TTL_MS).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    userAgent: String((req && req.get('user-agent')) || '').slice(0, 200),
+    method
+  };
+  adminSessions.push(session);
+  saveData({ save: { admins: [admin], adminSessions: [session] }, remove: { adminSessions: expired.map(s => s.id) } })
+    .catch(err => console.error('Failed to save data:', err));
+  return { token, session };
+}
+
+// Whether an admin session has passed its expiry or idle timeout
+function isAdminSessionExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now || Date.parse(session.lastSeenAt) + ADMIN_SESSION_IDLE_MS <= now;
+}
+
+// Drop expired admin sessions from memory and return them.  The caller
+// removes them from storage.
+function pruneAdminSessions() {
+  const now = Date.now();
+  const expired = [];
+  for (let i = adminSessions.length - 1; i >= 0; i--) {
+    if (isAdminSessionExpired(adminSessions[i], now)) expired.push(...adminSessions.splice(i, 1));
+  }
+  return expired;
+}
+
+/**
+ * Find the live session for a bearer token and record the activity.
+ * Returns null for unknown, expired or idle sessions.
+ */
+function findAdminSession(token) {
+  if (!token) return null;
+  const tokenHash = hashSessionToken(token);
+  const idx = adminSessions.findIndex(s => s.tokenHash === tokenHash);
+  if (idx === -1) return null;
+  const session = adminSessions[idx];
+  if (isAdminSessionExpired(session) || !admins.some(a => a.id === session.adminId)) {
+    adminSessions.splice(idx, 1);
+    saveData({ remove: { adminSessions: [session.id] } }).catch(err => console.error('Failed to save data:', err));
+    return null;
+  }
+  session.lastSeenAt = new Date().toISOString();
+  return session;
+}
+
+/**
+ * End every session of an admin, e.g. when the account is deleted or its
+ * password changes.  Pass `exceptId` to keep one session (the caller's).
+ * The caller is responsible for saveData().
+ *
+ * @returns {object[]} The sessions ended
+ */
+function revokeAdminSessions(adminId, exceptId = null) {
+  const revoked = [];
+  for (let i = adminSessions.length - 1; i >= 0; i--) {
+    if (adminSessions[i].adminId === adminId && adminSessions[i].id !== exceptId) {
+      revoked.push(...adminSessions.splice(i, 1));
+    }
+  }
+  return revoked;
+}
+
+// Activity is only saved when the session itself is, so after a restart
+// measure idle time from the restart rather than from the last save.
+function resumeAdminSessions() {
+  const now = new Date().toISOString();
+  adminSessions.forEach(s => { s.lastSeenAt = now; });
+}
+
+function adminAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const token = authHeader.split(' ')[1];
+  const session = findAdminSession(token);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+  const adminId = session.adminId;
+  req.adminId = adminId;
+  req.adminSession = session;
+  const admin = admins.find(a => a.id === adminId);
+  req.admin = admin;
+  // Assign a normalized role.  Some older deployments used a "super" or
+  // "superadmin" role name which was not recognised by the access control
+  // checks throughout the server (e.g. analytics and kiosk endpoints
+  // explicitly check for 'owner', 'admin' or 'analyst').  When an admin has
+  // one of these legacy roles we treat them as an owner.  Otherwise fall
+  // back to the stored role or 'admin' by default.
+  // Normalise the stored role to a lowercase string.  Historically some
+  // installations used a "super" or "superadmin" role.  We preserve
+  // superadmin as its own role instead of mapping it to owner so that
+  // tokens and UI display remain consistent with the database.  Only the
+  // legacy "super" alias maps to owner.  Unknown roles default to
+  // 'admin'.
+  // Set the computed role on the request for downstream access control
+  req.adminRole = normaliseAdminRole(admin);
+  // Admins whose role requires two-factor authentication may only enrol
+  // until they have done so
+  if (mustSetUpTwoFactor(admin, session) && !TWO_FACTOR_SETUP_PATHS.includes(req.path)) {
+    return res.status(403).json({
+      error: 'Set up two-factor authentication to continue',
+      twoFactorSetupRequired: true
+    });
+  }
+  next();
+}
+
+// Routes open to sessions that still have to enrol in two-factor authentication
+const TWO_FACTOR_SETUP_PATHS = ['/api/2fa', '/api/2fa/setup', '/api/2fa/enable', '/api/logout'];
+
+// Whether a session's admin has yet to enrol in two-factor authentication
+// that their role requires.  SSO sign-ins rely on the identity provider.
+function mustSetUpTwoFactor(admin, session) {
+  return session.method !== 'sso' && !admin.totpSecret && isTwoFactorRequired(admin);
+}
+
+// Lowercased role of an admin record, as used by the access control checks.
+function normaliseAdminRole(admin) {
+  const role = admin && admin.role ? String(admin.role).toLowerCase() : 'admin';
+  return role === 'super' ? 'owner' : role;
+}
+
+/**
+ * Look up the admin behind a request's bearer token without rejecting the
+ * request.  Used by public routes that behave differently for admins.
+ *
+ * @param {object} req Express request
+ * @returns {object|null} The admin record, or null
+ */
+function getRequestAdmin(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  const session = findAdminSession(authHeader.split(' ')[1]);
+  const admin = session && admins.find(a => a.id === session.adminId);
+  // Until they enrol in required two-factor authentication, admins get no
+  // more here than from adminAuth
+  if (!admin || mustSetUpTwoFactor(admin, session)) return null;
+  return admin;
+}
+
+// HMAC signature of a booker session payload
+function signSessionPayload(payload) {
+  return crypto.createHmac('sha256', BOOKER_SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed booker session for a verified email address and record it
+ * in bookerSessions.  The token is `<payload>.<signature>`, where the
+ * payload is base64url JSON of { email, sid, exp }.  Expired sessions are
+ * pruned at the same time.  The caller is responsible for saveData(), for
+ * which `changes` lists the session added and those pruned.
+ *
+ * @param {string} email Verified, normalised email address
+ * @param {string} [userAgent] Browser that signed in, shown when listing sessions
+ * @returns {{token: string, sid: string, expires: number, changes: object}}
+ */
+function createBookerSession(email, userAgent = '') {
+  const now = Date.now();
+  const expired = [];
+  for (let i = bookerSessions.length - 1; i >= 0; i--) {
+    if (Date.parse(bookerSessions[i].expiresAt) <= now) expired.push(...bookerSessions.splice(i, 1));
+  }
+  const sid = uuidv4();
+  const expires = now + BOOKER_SESSION_TTL_MS;
+  const session = {
+    id: sid,
+    email,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(expires).toISOString(),
+    lastUsedAt: null,
+    userAgent: String(userAgent || '').slice(0, 200)
+  };
+  bookerSessions.push(session);
+  const payload = Buffer.from(JSON.stringify({ email, sid, exp: expires })).toString('base64url');
+  return {
+    token: `${payload}.${signSessionPayload(payload)}`,
+    sid,
+    expires,
+    changes: { save: { bookerSessions: [session] }, remove: { bookerSessions: expired.map(s => s.id) } }
+  };
+}
+
+// Hand a new booker session to the browser as an httpOnly cookie.
+function setBookerSessionCookie(req, res, session) {
+  res.cookie('bookerSession', session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: BOOKER_SESSION_TTL_MS
+  });
+}
+
+/**
+ * Read and verify the booker session sent with a request, either as the
+ * `bookerSession` cookie set by /verify-email/:token or in the
+ * `X-Booker-Session` header (for API clients).
+ *
+ * @param {object} req Express request
+ * @returns {{email: string, sid: string, exp: number}|null} Session, or null
+ *   when missing, tampered with, expired or revoked
+ */
+function getBookerSession(req) {
+  const token = req.headers['x-booker-session'] || parseCookies(req).bookerSession;
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(signSessionPayload(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.email || !(session.exp > Date.now())) return null;
+    const record = bookerSessions.find(bs => bs.id === session.sid && bs.email === session.email);
+    if (!record) return null;
+    // Keep the time exact in memory but only write it every few minutes
+    const now = Date.now();
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - (bookerSessionSavedAt.get(record.id) || 0) >= BOOKER_SESSION_SAVE_INTERVAL_MS) {
+      bookerSessionSavedAt.set(record.id, now);
+      saveData({ save: { bookerSessions: [record] } }).catch(err => console.error('Failed to save data:', err));
+    }
+    return session;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Work out who is creating a booking for `email`, and whether they may.
+ * Admins with bookings:write may book for anyone, a booker session may only book for its own
+ * address, and a kiosk books for walk‑ups under the kiosk's identity.
+ * The returned `createdBy` is stored on the booking: "admin:<id>",
+ * "booker" or "kiosk:<tokenId>".  `locationId` is set for a kiosk scoped
+ * to one location, whose spaces are the only ones it may book.
+ *
+ * @param {object} req Express request
+ * @param {string} email Normalised booking email
+ * @returns {{createdBy: string|null, locationId: string|null, status: number, error: string|null}}
+ */
+function resolveBookingActor(req, email) {
+  const admin = getRequestAdmin(req);
+  if (hasPermission(admin, 'bookings:write')) return { createdBy: `admin:${admin.id}`, locationId: null, status: 200, error: null };
+  const session = getBookerSession(req);
+  if (session && session.email === email) return { createdBy: 'booker', locationId: null, status: 200, error: null };
+  if (isKioskSession(req)) {
+    return { createdBy: `kiosk:${getKioskTokenId(req)}`, locationId: getKioskLocationId(req), status: 200, error: null };
+  }
+  if (session) {
+    return { createdBy: null, status: 403, error: 'You can only book with the email address you verified' };
+  }
+  return { createdBy: null, status: 401, error: 'Please verify your email address before booking' };
+}
+
+// ----- API routes -----------------------------------------------------------
+// Admin login endpoint.  Failed attempts count against both the client IP
+// and the account; see recordFailedLogin for the lockout.
+app.post('/api/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Missing username or password' });
+    }
+    const retryAfter = rateLimitRetryAfter('login', req.ip);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    const uname = String(username).toLowerCase();
+    const admin = admins.find(a => a.username && a.username.toLowerCase() === uname);
+    // The same response as the per-IP limit, whether or not the account exists
+    const lockMs = loginLockRemaining(req, uname);
+    if (lockMs) return sendRateLimited(res, Math.ceil(lockMs / 1000));
+    const fail = body => {
+      recordRateLimitHit('login', req.ip);
+      if (admin) recordAudit(req, 'admin.login-failed', admin.id);
+      recordFailedLogin(req, uname, admin);
+      return res.status(401).json(body);
+    };
+    if (!admin || !verifyPassword(password, admin)) {
+      return fail({ error: 'Invalid credentials' });
+    }
+    // Enrolled admins must also give a current TOTP or an unused recovery code
+    if (admin.totpSecret) {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(401).json({ error: 'Enter the code from your authenticator app', twoFactorRequired: true });
+      }
+      if (!checkSecondFactor(admin, code)) {
+        return fail({ error: 'Invalid two-factor code', twoFactorRequired: true });
+      }
+    }
+    clearFailedLogins(admin, req);
+    const { token, session } = createAdminSession(admin, req);
+    recordAudit(req, 'admin.login', admin.id, { actor: auditAdminActor(admin), after: { method: 'password' } });
+    return res.json({
+      token,
+      role: admin.role || 'admin',
+      expiresAt: session.expiresAt,
+      twoFactorSetupRequired: !admin.totpSecret && isTwoFactorRequired(admin)
+    });
+  } catch (e) {
+    console.error('Login error', e);
+    return res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// End the caller's admin session
+app.post('/api/logout', adminAuth, async (req, res) => {
+  const idx = adminSessions.indexOf(req.adminSession);
+  if (idx >= 0) adminSessions.splice(idx, 1);
+  try {
+    await saveData({ remove: { adminSessions: [req.adminSession.id] } });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Request a password reset for an admin account.  This endpoint accepts
+// either a `username` or `email` field in the POST body.  When an
+// existing admin is found a one‑time token is generated, stored in
+// passwordResetTokens and an email is sent containing a link to the
+// password reset page.  For security reasons the response does not
+// reveal whether the account exists.
+app.post('/api/forgot-password', rateLimit('forgotPasswordIp'), async (req, res) => {
+  try {
+    const { username, email } = req.body || {};
+    const address = (username || email || '').toLowerCase().trim();
+    if (!address) {
+      return res.status(400).json({ error: 'Missing email/username' });
+    }
+    // Limit reset emails per address whether or not the account exists
+    const retryAfter = rateLimitRetryAfter('forgotPasswordAccount', address);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    recordRateLimitHit('forgotPasswordAccount', address);
+    // Find the admin record by username (email).  Admin usernames are email
+    // addresses and are stored exactly as provided, so normalise both
+    // sides to lower case.
+    const admin = admins.find(a => a.username && a.username.toLowerCase() === address);
+    if (admin) {
+      // Generate a one‑time token and store with expiry (1 hour)
+      const token = uuidv4();
+      passwordResetTokens[token] = { adminId: admin.id, expires: Date.now() + 3600 * 1000 };
+      // Build the base URL for the reset link.  Prefer APP_BASE_URL when
+      // defined; otherwise derive from the incoming request.  This allows
+      // resets to work when the app is hosted behind a proxy or different
+      // domain.
+      let baseUrl = APP_BASE_URL;
+      if (!baseUrl) {
+        const protocol = req.protocol;
+        const host = req.get('host');
+        baseUrl = protocol + '://' + host;
+      }
+      const resetLink = `${baseUrl}/new-password.html?token=${token}`;
+      const subject = 'Password Reset Request';
+      const text = `You have requested to reset your password.\n\n` +
+        `Please click the link below to choose a new password:\n${resetLink}\n\n` +
+        `If you did not request this, you can safely ignore this email.`;
+      try {
+        await sendEmail(admin.username, subject, text);
+      } catch (err) {
+        console.error('Error sending password reset email', err);
+      }
+    }
+    // Always return a generic OK response regardless of whether the admin
+    // exists.  This prevents account enumeration via the API.
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('forgot-password error', err);
+    return res.status(500).json({ error: 'Password reset request failed' });
+  }
+});
+
+// Complete a password reset.  Clients send the reset `token` and a new
+// `password`.  The server verifies the token, ensures it has not
+// expired and applies the new password to the corresponding admin.  Tokens
+// are single‑use and removed after a successful reset.  Responds with
+// an error if the token is invalid or expired.
+app.post('/api/reset-password', (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Missing token or password' });
+    }
+    const entry = passwordResetTokens[token];
+    if (!entry || entry.expires < Date.now()) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    const admin = admins.find(a => a.id === entry.adminId);
+    if (!admin) {
+      // Remove the token even if the admin cannot be found.  This
+      // situation should not occur but guards against token reuse.
+      delete passwordResetTokens[token];
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    // A refused password leaves the token valid so the user can try again
+    const weakPassword = checkPasswordStrength(String(password), admin.username);
+    if (weakPassword) {
+      return res.status(400).json({ error: weakPassword });
+    }
+    // Hash the new password and update the admin record.  Remove any
+    // legacy plain text password field for security reasons.
+    const creds = hashPassword(String(password));
+    admin.passwordHash = creds.hash;
+    admin.salt = creds.salt;
+    if (admin.password) delete admin.password;
+    // A new password ends every existing session of the account and lifts
+    // any lockout, since the reset link proves control of the mailbox
+    const revoked = revokeAdminSessions(admin.id);
+    clearFailedLogins(admin);
+    // Persist the updated admin and remove the used token
+    delete passwordResetTokens[token];
+    saveData({ save: { admins: [admin] }, remove: { adminSessions: revoked.map(s => s.id) } })
+      .catch(err => console.error('Failed to save data:', err));
+    recordAudit(req, 'admin.password-reset', admin.id, { actor: auditAdminActor(admin) });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('reset-password error', err);
+    return res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// ----- Single sign-on (OpenID Connect) -----
+//
+// Admins and bookers may sign in through the company identity provider
+// instead of a password or an emailed link.  The authorization code flow
+// (with PKCE) is implemented directly on top of fetch and crypto, so no
+// extra dependency is needed.  SSO is enabled when OIDC_ISSUER and
+// OIDC_CLIENT_ID are set.  OIDC_ROLE_MAP maps IdP groups (read from the
+// OIDC_GROUPS_CLAIM claim of the ID token) onto ROLES, for example
+// "booking-owners=owner,facilities=frontdesk"; admins are created or
+// updated on sign-in, and users in no mapped group cannot sign in to the
+// admin portal.  Tests point oidcConfig at a mock IdP.
+const oidcConfig = {
+  issuer: process.env.OIDC_ISSUER || '',
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP || ''),
+  name: process.env.OIDC_NAME || 'Single Sign-On'
+};
+
+// Pending sign-ins: state -> { nonce, verifier, target, expires }
+const oidcStates = {};
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Discovery document and signing keys of the configured issuer
+let oidcProvider = null;
+
+/**
+ * Parse an OIDC_ROLE_MAP string ("group=role,group=role") into
+ * [{ group, role }].  Entries naming a role that is not in ROLES are
+ * dropped with a warning.
+ *
+ * @param {string} value
+ * @returns {Array<{group: string, role: string}>}
+ */
+function parseRoleMap(value) {
+  const map = [];
+  String(value || '').split(',').forEach(entry => {
+    const idx = entry.lastIndexOf('=');
+    if (idx <= 0) return;
+    const group = entry.slice(0, idx).trim();
+    const role = entry.slice(idx + 1).trim().toLowerCase();
+    if (!ROLES.includes(role)) {
+      console.warn(`Ignoring OIDC_ROLE_MAP entry for unknown role "${role}"`);
+      return;
+    }
+    map.push({ group, role });
+  });
+  return map;
+}
+
+/**
+ * Pick the admin role for a set of IdP groups: the most privileged role
+ * (earliest in ROLES) that any of the groups maps to, or null.
+ *
+ * @param {string[]} groups
+ * @returns {string|null}
+ */
+function mapGroupsToRole(groups) {
+  const roles = oidcConfig.roleMap.filter(m => groups.includes(m.group)).map(m => m.role);
+  if (!roles.length) return null;
+  return ROLES.find(r => roles.includes(r));
+}
+
+function isOidcEnabled() {
+  return !!(oidcConfig.issuer && oidcConfig.clientId);
+}
+
+// Fetch JSON from the IdP, failing on any non-2xx response.
+async function fetchIdpJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`Identity provider returned HTTP ${response.status} for ${url}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load (and cache) the issuer's discovery document and JWKS.  Pass
+ * `refreshKeys` to re-read the JWKS, e.g. after the IdP rotated its keys.
+ */
+async function getOidcProvider(refreshKeys = false) {
+  if (!oidcProvider || oidcProvider.issuer !== oidcConfig.issuer) {
+    const base = oidcConfig.issuer.replace(/\/$/, '');
+    const metadata = await fetchIdpJson(`${base}/.well-known/openid-configuration`);
+    oidcProvider = { issuer: oidcConfig.issuer, metadata, keys: null };
+  }
+  if (!oidcProvider.keys || refreshKeys) {
+    const jwks = await fetchIdpJson(oidcProvider.metadata.jwks_uri);
+    oidcProvider.keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+  }
+  return oidcProvider;
+}
+
+/**
+ * Verify an RS256 ID token from the IdP and return its claims.  Checks the
+ * signature against the issuer's JWKS and the iss, aud, exp and nonce
+ * claims.  Throws on any failure.
+ *
+ * @param {string} idToken Compact JWT
+ * @param {string} nonce Nonce sent with the authorization request
+ * @returns {Promise<object>} Verified claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const [headerPart, payloadPart, signaturePart] = String(idToken || '').split('.');
+  if (!headerPart || !payloadPart || !signaturePart) throw new Error('Malformed ID token');
+  const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+  if (header.alg !== 'RS256') throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  let provider = await getOidcProvider();
+  const findKey = () => provider.keys.find(k => k.kty === 'RSA' && (!header.kid || k.kid === header.kid));
+  let jwk = findKey();
+  if (!jwk) {
+    provider = await getOidcProvider(true);
+    jwk = findKey();
+  }
+  if (!jwk) throw new Error('No matching signing key for ID token');
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(signaturePart, 'base64url')
+  );
+  if (!valid) throw new Error('Invalid ID token signature');
+  const claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== provider.metadata.issuer) throw new Error('ID token issuer mismatch');
+  if (!audience.includes(oidcConfig.clientId)) throw new Error('ID token audience mismatch');
+  // Allow a minute of clock skew
+  if (!(claims.exp * 1000 > Date.now() - 60000)) throw new Error('ID token has expired');
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  return claims;
+}
+
+// Absolute URL of the OIDC redirect endpoint
+function oidcRedirectUri(req) {
+  return `${APP_BASE_URL || `${req.protocol}://${req.get('host')}`}/auth/oidc/callback`;
+}
+
+/**
+ * Build a small HTML page that stores values in localStorage and then
+ * redirects, used to hand a sign-in back to the single-page front end.
+ *
+ * @param {string} heading Page title and heading
+ * @param {string} text Message shown while redirecting
+ * @param {object} storage localStorage key -> value
+ * @param {string} location URL to redirect to
+ * @returns {string} HTML
+ */
+function signedInPage(heading, text, storage, location) {
+  const assignments = Object.entries(storage)
+    .map(([key, value]) => `localStorage.setItem(${JSON.stringify(key)}, ${JSON.stringify(String(value))});`)
+    .join('\n        ');
+  return '<!DOCTYPE html><html><head><title>' + heading + '</title></head><body>' +
+    '<h1>' + heading + '</h1>' +
+    '<p>' + text + '</p>' +
+    `<script>
+      try {
+        ${assignments.replace(/</g, '\\u003c')}
+      } catch (e) {}
+      window.location.href = ${JSON.stringify(location)};
+    </script>` +
+    '</body></html>';
+}
+
+// HTML error page for a failed single sign-on
+function ssoErrorPage(res, status, message) {
+  return res.status(status).send(
+    '<html><head><title>Sign-in Failed</title></head><body>' +
+    '<h1>Sign-in failed</h1>' +
+    `<p>${message}</p>` +
+    '</body></html>'
+  );
+}
+
+// Which sign-in options the login pages should offer
+app.get('/api/sso', (req, res) => {
+  res.json({ oidc: isOidcEnabled(), name: oidcConfig.name });
+});
+
+/**
+ * Start an OIDC sign-in.  `target` is "admin" (the admin portal) or
+ * "booker" (the booking pages); the browser is redirected to the IdP.
+ */
+app.get('/auth/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  const target = req.query.target === 'admin' ? 'admin' : 'booker';
+  try {
+    const provider = await getOidcProvider();
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(oidcStates)) {
+      if (entry.expires < now) delete oidcStates[key];
+    }
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    oidcStates[state] = { nonce, verifier, target, expires: now + OIDC_STATE_TTL_MS };
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: oidcConfig.clientId,
+      redirect_uri: oidcRedirectUri(req),
+      scope: oidcConfig.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    });
+    res.redirect(`${provider.metadata.authorization_endpoint}?${params}`);
+  } catch (err) {
+    console.error('OIDC login error', err);
+    ssoErrorPage(res, 502, 'The identity provider could not be reached.');
+  }
+});
+
+/**
+ * OIDC redirect endpoint.  Exchanges the code for tokens, verifies the ID
+ * token and signs the user in: admins get an admin token (their role set
+ * from OIDC_ROLE_MAP) and bookers a booker session.
+ */
+app.get('/auth/oidc/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const pending = state ? oidcStates[state] : null;
+  if (state) delete oidcStates[state];
+  if (error) {
+    console.error('OIDC sign-in refused by identity provider:', error);
+    return ssoErrorPage(res, 401, 'The identity provider did not complete the sign-in.');
+  }
+  if (!pending || pending.expires < Date.now() || !code) {
+    return ssoErrorPage(res, 400, 'The sign-in request has expired. Please try again.');
+  }
+  let claims;
+  try {
+    const provider = await getOidcProvider();
+    const tokenSet = await fetchIdpJson(provider.metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: String(code),
+        redirect_uri: oidcRedirectUri(req),
+        client_id: oidcConfig.clientId,
+        client_secret: oidcConfig.clientSecret,
+        code_verifier: pending.verifier
+      })
+    });
+    claims = await verifyIdToken(tokenSet.id_token, pending.nonce);
+  } catch (err) {
+    console.error('OIDC callback error', err);
+    return ssoErrorPage(res, 401, 'The identity provider response could not be verified.');
+  }
+  const email = String(claims.email || '').trim().toLowerCase();
+  if (!email || claims.email_verified === false) {
+    return ssoErrorPage(res, 403, 'Your identity provider account has no verified email address.');
+  }
+  const groups = Array.isArray(claims[oidcConfig.groupsClaim]) ? claims[oidcConfig.groupsClaim].map(String) : [];
+
+  try {
+    if (pending.target === 'admin') {
+      const role = mapGroupsToRole(groups);
+      if (!role) {
+        return ssoErrorPage(res, 403, 'Your account is not in a group with access to the admin portal.');
+      }
+      let admin = admins.find(a => a.username && a.username.toLowerCase() === email);
+      const before = admin ? { ...admin } : null;
+      if (!admin) {
+        // Provision SSO-only admins on first sign-in; they have no password
+        admin = { id: uuidv4(), username: email, passwordHash: null, salt: null, role };
+        admins.push(admin);
+      } else if (normaliseAdminRole(admin) !== role) {
+        // The IdP is the source of truth for roles, but never demote the last owner
+        const owners = admins.filter(a => normaliseAdminRole(a) === 'owner').length;
+        if (!(normaliseAdminRole(admin) === 'owner' && owners === 1)) admin.role = role;
+      }
+      await saveData({ save: { admins: [admin] } });
+      const actor = auditAdminActor(admin);
+      if (!before) recordAudit(req, 'admin.create', admin.id, { actor, after: admin });
+      else if (before.role !== admin.role) recordAudit(req, 'admin.update', admin.id, { actor, before, after: admin });
+      recordAudit(req, 'admin.login', admin.id, { actor, after: { method: 'sso' } });
+      const { token } = createAdminSession(admin, req, 'sso');
+      return res.send(signedInPage('Signed In', 'Redirecting to the admin portal...', {
+        adminToken: token,
+        adminRole: normaliseAdminRole(admin)
+      }, '/admin.html'));
+    }
+
+    if (!isEmailAllowed(email)) {
+      return ssoErrorPage(res, 403, emailNotAllowedMessage());
+    }
+    if (!verifiedEmails.includes(email)) verifiedEmails.push(email);
+    const session = createBookerSession(email, req.get('user-agent'));
+    await saveData({ ...session.changes, save: { ...session.changes.save, verifiedEmails: [email] } });
+    setBookerSessionCookie(req, res, session);
+    return res.send(signedInPage('Signed In', 'You are signed in and may now book a space.', {
+      emailVerified: 'true',
+      verifiedEmail: email
+    }, '/'));
+  } catch (err) {
+    console.error('OIDC sign-in error', err);
+    return ssoErrorPage(res, 500, 'Sign-in failed. Please try again.');
+  }
+});
+
+// Locations endpoints
+app.get('/api/locations', (req, res) => {
+  res.json(locations.map(l => ({ ...l, effectiveTimeZone: getLocationTimeZone(l) })));
+});
+
+// Opening hours of a location on one date, for the availability grid.
+// Returns { date, closed, open, close, reason }; open and close are null when
+// the location has no hours configured.
+app.get('/api/locations/:id/hours', (req, res) => {
+  const location = locations.find(l => l.id === req.params.id);
+  if (!location) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+  const { date } = req.query;
+  if (!parseIsoDate(date)) {
+    return res.status(400).json({ error: 'A date (YYYY-MM-DD) is required' });
+  }
+  res.json({ date, ...getOpeningHours(location, date) });
+});
+
+app.post('/api/locations', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const { location, error } = normaliseLocation(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const id = uuidv4();
+  locations.push({ id, ...location });
+  try {
+    await saveData({ save: { locations: [locations.find(l => l.id === id)] } });
+  } catch (err) {
+    console.error('Failed to persist location:', err);
+    locations.splice(locations.findIndex(l => l.id === id), 1);
+    return res.status(500).json({ error: 'Failed to save location' });
+  }
+  recordAudit(req, 'location.create', id, { after: locations.find(l => l.id === id) });
+  res.json({ id });
+});
+
+app.put('/api/locations/:id', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const existing = locations.find(l => l.id === req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+  // Fields left out of the body keep their current values
+  const { location, error } = normaliseLocation({ ...existing, ...(req.body || {}) });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const previous = { ...existing };
+  Object.assign(existing, location);
+  try {
+    await saveData({ save: { locations: [existing] } });
+  } catch (err) {
+    console.error('Failed to persist location:', err);
+    Object.assign(existing, previous);
+    return res.status(500).json({ error: 'Failed to save location' });
+  }
+  recordAudit(req, 'location.update', existing.id, { before: previous, after: existing });
+  res.json(existing);
+});
+
+// Delete a location.  Spaces must be moved or removed first so that no
+// booking is left without a building (and timezone).
+app.delete('/api/locations/:id', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const index = locations.findIndex(l => l.id === req.params.id);
+  if (index < 0) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
+  if (spaces.some(s => s.locationId === req.params.id)) {
+    return res.status(400).json({ error: 'Move or delete the spaces at this location first' });
+  }
+  if (locations.length === 1) {
+    return res.status(400).json({ error: 'At least one location is required' });
+  }
+  const [removed] = locations.splice(index, 1);
+  // Kiosks scoped to the removed location fall back to showing every location
+  const rescoped = kioskTokens.filter(t => t.locationId === removed.id);
+  rescoped.forEach(t => { t.locationId = null; });
+  try {
+    await saveData({ save: { kioskTokens: rescoped }, remove: { locations: [removed.id] } });
+  } catch (err) {
+    console.error('Failed to persist location deletion:', err);
+    locations.splice(index, 0, removed);
+    rescoped.forEach(t => { t.locationId = removed.id; });
+    return res.status(500).json({ error: 'Failed to save location' });
+  }
+  recordAudit(req, 'location.delete', removed.id, { before: removed });
+  res.json({ ok: true });
+});
+
+// Spaces endpoints
+// Optional query parameter `locationId` restricts the list to one location.
+app.get('/api/spaces', (req, res) => {
+  const { locationId } = req.query;
+  res.json(locationId ? spaces.filter(s => s.locationId === locationId) : spaces);
+});
+
+app.post('/api/spaces', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const { name, type, priorityOrder } = req.body;
+  if (!name || !type || priorityOrder === undefined) {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+  const locationId = req.body.locationId || locations[0].id;
+  if (!locations.some(l => l.id === locationId)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+  const id = uuidv4();
+  const space = { id, name, type, priorityOrder: Number(priorityOrder), locationId };
+  spaces.push(space);
+  // Persist changes; if that fails the space is not added
+  try {
+    await saveData({ save: { spaces: [space] } });
+  } catch (err) {
+    console.error('Failed to persist new space:', err);
+    spaces.splice(spaces.indexOf(space), 1);
+    return res.status(500).json({ error: 'Failed to save space' });
+  }
+  recordAudit(req, 'space.create', id, { after: space });
+  res.json({ id });
+});
+
+// Update a space's name, type, priority or location.  Omitted fields are
+// left unchanged.
+app.put('/api/spaces/:id', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const space = spaces.find(s => s.id === req.params.id);
+  if (!space) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  const { name, type, priorityOrder, locationId } = req.body || {};
+  if (locationId !== undefined && !locations.some(l => l.id === locationId)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+  const before = { ...space };
+  if (name) space.name = name;
+  if (type) space.type = type;
+  if (priorityOrder !== undefined) space.priorityOrder = Number(priorityOrder);
+  if (locationId !== undefined) space.locationId = locationId;
+  try {
+    await saveData({ save: { spaces: [space] } });
+  } catch (err) {
+    console.error('Failed to persist space:', err);
+    Object.assign(space, before);
+    return res.status(500).json({ error: 'Failed to save space' });
+  }
+  recordAudit(req, 'space.update', space.id, { before, after: space });
+  res.json(space);
+});
+
+app.delete('/api/spaces/:id', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const { id } = req.params;
+  const index = spaces.findIndex(r => r.id === id);
+  // Bookings keep their space (the database enforces it), including single
+  // occurrences of a series moved to it
+  const inUse = bookings.some(b => {
+    const rec = getRecurring(b);
+    return b.spaceId === id ||
+      (rec && rec.overrides && Object.values(rec.overrides).some(o => o.spaceId === id));
+  });
+  if (index >= 0 && inUse) {
+    res.status(400).json({ error: 'Cancel or move the bookings of this space first' });
+  } else if (index >= 0) {
+    const [removed] = spaces.splice(index, 1);
+    // The space's calendar feed goes with it
+    const feeds = calendarFeeds.filter(f => f.spaceId === removed.id);
+    calendarFeeds.splice(0, calendarFeeds.length, ...calendarFeeds.filter(f => !feeds.includes(f)));
+    try {
+      await saveData({ remove: { spaces: [removed.id], calendarFeeds: feeds.map(f => f.token) } });
+    } catch (err) {
+      spaces.splice(index, 0, removed);
+      calendarFeeds.push(...feeds);
+      console.error('Failed to persist space deletion:', err);
+      return res.status(500).json({ error: 'Failed to delete space' });
+    }
+    recordAudit(req, 'space.delete', removed.id, { before: removed });
+    res.json({ ok: true });
+  } else {
+    res.status(404).json({ error: 'Space not found' });
+  }
+});
+
+// ----- Booking creation -----
+//
+// Checking that a slot is free and saving the booking that takes it must
+// happen as one step, or two requests (or two instances sharing a
+// database) could both see the slot free.  Within the process new and
+// rescheduled bookings are saved one at a time; with Postgres each is also
+// re-checked against the stored bookings in a transaction that locks its
+// space.
+
+// Tail of the queue of booking saves in this process
+let bookingQueue = Promise.resolve();
+
+// Run fn once every booking save queued before it has finished
+function withBookingLock(fn) {
+  const result = bookingQueue.then(fn);
+  bookingQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * The other booking that a new or changed one clashes with, on its first
+ * date or (for recurring bookings) any later occurrence.
+ *
+ * @param {object} booking The new or changed booking
+ * @param {object[]} [list] Bookings to check against (defaults to all)
+ * @returns {{booking: object, date: string}|null} The clash, or null
+ */
+function findBookingConflict(booking, list = bookings) {
+  const { id, spaceId, date, startTime, endTime } = booking;
+  const occ = getOccurrence(booking, date);
+  const first = occ && findConflictingBooking(occ.spaceId, date, occ.startTime, occ.endTime, id, list);
+  if (first) return { booking: first, date };
+  return findRecurringConflict(spaceId, date, startTime, endTime, getRecurring(booking), id, list);
+}
+
+/**
+ * Add and persist a new booking unless an existing booking holds any of
+ * its times.  Database failures are thrown.
+ *
+ * @param {object} booking The new booking
+ * @returns {Promise<{booking: object, date: string}|null>} The clash that
+ *   prevented it, or null once the booking is saved
+ */
+function createBooking(booking) {
+  return withBookingLock(async () => {
+    let conflict = findBookingConflict(booking);
+    if (conflict) return conflict;
+    if (pgStore) {
+      conflict = await pgStore.addBooking(booking, stored => findBookingConflict(booking, stored));
+      if (conflict) {
+        // Made through another instance since the bookings were last loaded
+        if (!bookings.some(b => b.id === conflict.booking.id)) bookings.push(conflict.booking);
+        return conflict;
+      }
+    }
+    dataModifiedAt = new Date();
+    bookings.push(booking);
+    await saveToFile({ save: { bookings: [booking] } });
+    return null;
+  });
+}
+
+/**
+ * Reschedule or otherwise change a booking unless another booking holds
+ * any of its new times, checking and saving in one step as createBooking()
+ * does.  On success the fields of `next` replace those of `booking`;
+ * database failures are thrown and leave `booking` as it was.  `next` must
+ * carry the booking's sequence plus one (see bumpSequence()): if the
+ * booking has been changed or removed since `next` was made from it, the
+ * change is refused with an error whose code is BOOKING_CHANGED rather than
+ * overwriting the other change.
+ *
+ * @param {object} booking The booking being changed
+ * @param {object} next The booking as it should be (same id)
+ * @param {function(object[]): *} [findConflict] Given bookings, returns the
+ *   clash or null; by default every occurrence of `next` is checked
+ * @param {string} [spaceId] Space whose bookings the database locks and
+ *   re-reads, when the change moves a single occurrence elsewhere
+ * @returns {Promise<{booking: object, date: string}|null>} The clash that
+ *   prevented it, or null once the change is saved
+ */
+function updateBooking(booking, next, findConflict = list => findBookingConflict(next, list), spaceId = next.spaceId) {
+  return withBookingLock(async () => {
+    // reloadBookings() may have replaced the record since it was looked up
+    const current = bookings.find(b => b.id === booking.id);
+    if (!current || (parseInt(current.sequence, 10) || 0) + 1 !== next.sequence) {
+      const err = new Error('The booking was changed at the same time; reload it and try again');
+      err.code = 'BOOKING_CHANGED';
+      throw err;
+    }
+    let conflict = findConflict(bookings);
+    if (conflict) return conflict;
+    if (pgStore) {
+      conflict = await pgStore.addBooking(next, findConflict, spaceId);
+      if (conflict) {
+        if (!bookings.some(b => b.id === conflict.booking.id)) bookings.push(conflict.booking);
+        return conflict;
+      }
+    }
+    dataModifiedAt = new Date();
+    restoreBooking(current, next);
+    if (current !== booking) restoreBooking(booking, next);
+    await saveToFile({ save: { bookings: [current] } });
+    return null;
+  });
+}
+
+/**
+ * Remove a booking and persist the removal, under the same lock as
+ * createBooking() and updateBooking() so the three cannot interleave.  The
+ * removed booking's sequence is bumped for the CANCEL sent to the booker.
+ * A failed save puts the booking back and is thrown.
+ *
+ * @param {string} id The booking id
+ * @param {function(object): boolean} [allowed] Whether the caller may
+ *   remove the booking, e.g. that it is the booker's own
+ * @returns {Promise<object|null>} The removed booking, or null when there
+ *   is no such booking (that the caller may remove)
+ */
+function removeBooking(id, allowed = () => true) {
+  return withBookingLock(async () => {
+    const index = bookings.findIndex(b => b.id === id && allowed(b));
+    if (index < 0) return null;
+    const [removed] = bookings.splice(index, 1);
+    const previous = copyBooking(removed);
+    bumpSequence(removed);
+    try {
+      await saveData({ remove: { bookings: [removed.id] } });
+    } catch (err) {
+      restoreBooking(removed, previous);
+      bookings.splice(index, 0, removed);
+      throw err;
+    }
+    return removed;
+  });
+}
+
+/**
+ * Cancel one occurrence of a recurring booking (see cancelOccurrence()) and
+ * persist it, under the booking lock.  A failed save restores the booking
+ * and is thrown.
+ *
+ * @param {string} id The booking id
+ * @param {string} date ISO date of the occurrence
+ * @returns {Promise<{booking: object, occurrence: object, before: object}|null>}
+ *   The booking, the cancelled occurrence and an audit snapshot of the
+ *   booking beforehand, or null when the booking does not take place then
+ */
+function removeOccurrence(id, date) {
+  return withBookingLock(async () => {
+    const booking = bookings.find(b => b.id === id);
+    if (!booking) return null;
+    const before = auditSnapshot(booking);
+    const previous = copyBooking(booking);
+    const occurrence = cancelOccurrence(booking, date);
+    if (!occurrence) return null;
+    try {
+      await saveData({ save: { bookings: [booking] } });
+    } catch (err) {
+      restoreBooking(booking, previous);
+      throw err;
+    }
+    return { booking, occurrence, before };
+  });
+}
+
+/**
+ * Respond 409 to a booking that clashes with another.  The response gives
+ * the date and times of the clashing occurrence; admins who can read
+ * bookings also get the booking itself.
+ *
+ * @param {object} req Express request
+ * @param {object} res Express response
+ * @param {object} booking The booking (or single occurrence) that was refused
+ * @param {{booking: object, date: string}} conflict The clash
+ */
+function sendBookingConflict(req, res, booking, conflict) {
+  const occ = getOccurrence(conflict.booking, conflict.date);
+  const body = {
+    error: conflict.date === booking.date
+      ? 'Space is not available for the requested time'
+      : 'Recurring booking conflicts with an existing booking in a future period',
+    conflict: { spaceId: occ.spaceId, date: conflict.date, startTime: occ.startTime, endTime: occ.endTime }
+  };
+  if (hasPermission(getRequestAdmin(req), 'bookings:read')) {
+    body.conflict.booking = toBookingResponse(conflict.booking);
+  }
+  res.status(409).json(body);
+}
+
+// Bookings endpoints
+// Return bookings from the data store.  To ensure the admin portal always
+// reflects the latest data, re‑load bookings from the database on each
+// request when a DB connection is available.  This avoids stale in‑memory
+// state when bookings are created by other clients or processes.
+app.get('/api/bookings', adminAuth, requirePermission('bookings:read'), async (req, res) => {
+  // Refresh the bookings from the database if possible.  Failure to
+  // load does not prevent responding with the existing state.
+  if (db) {
+    try {
+      await reloadBookings();
+    } catch (err) {
+      console.error('Failed to refresh data for bookings list', err);
+      // proceed with existing in‑memory data on error
+    }
+  }
+  const result = bookings.map(toBookingResponse);
+
+  // Optional filters & pagination
+  const hasQueryControls = (
+    typeof req.query.upcoming !== 'undefined' ||
+    typeof req.query.from !== 'undefined' ||
+    typeof req.query.sort !== 'undefined' ||
+    typeof req.query.limit !== 'undefined' ||
+    typeof req.query.offset !== 'undefined' ||
+    typeof req.query.page !== 'undefined' ||
+    typeof req.query.pageSize !== 'undefined'
+  );
+
+  if (!hasQueryControls) {
+    // Back-compat: return the full array exactly as before
+    return res.json(result);
+  }
+
+  // Parse query params
+  const q = req.query;
+  const sortDir = (q.sort || 'asc').toString().toLowerCase() === 'desc' ? 'desc' : 'asc';
+  let items = result.slice();
+
+  // Apply "upcoming" filter (from now onwards)
+  if (typeof q.upcoming !== 'undefined') {
+    const now = zonedDateTime(exports.currentTime());
+    const todayStr = now.date;
+    const cur = now.time;
+    items = items.filter(b => {
+      if (b.date > todayStr) return true;
+      if (b.date === todayStr && (b.endTime || '00:00') >= cur) return true;
+      // If a booking is recurring but started in the past, it's ambiguous whether to include;
+      // keep it out by default to avoid flooding the list with base patterns.
+      return false;
+    });
+  }
+
+  // Apply "from" filter if provided, expects YYYY-MM-DD
+  if (q.from) {
+    const fromStr = q.from.toString();
+    items = items.filter(b => b.date >= fromStr);
+  }
+
+  // Sort by date then startTime
+  items.sort((a,b) => {
+    const k1 = a.date.localeCompare(b.date);
+    if (k1 !== 0) return sortDir === 'asc' ? k1 : -k1;
+    const k2 = (a.startTime||'00:00').localeCompare(b.startTime||'00:00');
+    return sortDir === 'asc' ? k2 : -k2;
+  });
+
+  // Pagination
+  const pageSize = q.pageSize ? Math.max(1, parseInt(q.pageSize,10)) : (q.limit ? Math.max(1, parseInt(q.limit,10)) : 100);
+  const page = q.page ? Math.max(1, parseInt(q.page,10)) : null;
+  let offset = 0;
+  if (page) {
+    offset = (page - 1) * pageSize;
+  } else if (q.offset) {
+    offset = Math.max(0, parseInt(q.offset,10));
+  }
+  const total = items.length;
+  const sliced = items.slice(offset, offset + pageSize);
+
+  return res.json({ items: sliced, total, offset, page: page || null, pageSize });
+});
+
+/**
+ * Create a new booking. The body must include name, email, spaceId,
+ * date (for one‑off bookings and as the first occurrence for recurring
+ * bookings), startTime and endTime. The `recurring` field may be
+ * either false (or omitted) or an object describing the recurrence.
+ * Supported recurrence object keys:
+ *   - frequency: 'weekly' with weekday (0‑6) or weekdays ([0‑6, ...])
+ *   - dayOfMonth: integer (1‑31) to repeat on that day of each month
+ *   - nth: integer (1‑5, or -1 for the last) and weekday: integer (0‑6)
+ *     representing the nth occurrence of weekday in the month.
+ *   - interval, until, count: optional repeat spacing and series bounds,
+ *     see validateRecurrence().
+ * Alternatively an RFC 5545 `rrule` string (e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+ * may be sent instead of `recurring`; see parseRRule() for what is accepted.
+ */
+// Create a new booking.  This handler is asynchronous so we can await
+// persistence operations.  Without awaiting saveData(), the response could
+// return before the new booking is committed to the database, causing
+// subsequent fetches to miss the just‑created booking.  Awaiting the save
+// ensures that the booking list remains consistent for the admin UI.
+app.post('/api/bookings', async (req, res) => {
+  const { name, email, spaceId, date, startTime, endTime } = req.body;
+  const recurringInput = req.body.recurring || req.body.recurrence;
+  if (!name || !email || !spaceId || !date || !startTime || !endTime) {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+  // Enforce the email allowlist (trim and normalise case)
+  const emailNormalized = String(email).trim().toLowerCase();
+  if (!isEmailAllowed(emailNormalized)) {
+    return res.status(400).json({ error: emailNotAllowedMessage() });
+  }
+  // Require proof of the address (or an admin or kiosk acting for it)
+  const actor = resolveBookingActor(req, emailNormalized);
+  if (actor.error) {
+    return res.status(actor.status).json({ error: actor.error });
+  }
+  if (String(spaceId).startsWith('auto-')) {
+    return res.status(400).json({ error: 'Use /api/bookings/auto for auto-booking' });
+  }
+  const space = spaces.find(s => s.id === spaceId);
+  if (!space) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  if (actor.locationId && space.locationId !== actor.locationId) {
+    return res.status(403).json({ error: 'This kiosk can only book spaces at its own location' });
+  }
+
+  // Reject past start times, inverted ranges and over‑long bookings
+  const timeError = validateBookingTimes(date, startTime, endTime, getSpaceTimeZone(spaceId));
+  if (timeError) {
+    return res.status(400).json({ error: timeError });
+  }
+  // Reject bookings outside the location's opening hours or on a closed day
+  const hoursError = validateOpeningHours(spaceId, date, startTime, endTime);
+  if (hoursError) {
+    return res.status(400).json({ error: hoursError });
+  }
+  // Check availability for the first occurrence of a recurring booking or single booking
+  let rec = recurringInput && typeof recurringInput === 'object' ? recurringInput : false;
+  if (req.body.rrule) {
+    if (rec) {
+      return res.status(400).json({ error: 'Provide either rrule or recurring, not both' });
+    }
+    const parsed = parseRRule(req.body.rrule, date);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    rec = parsed.recurring;
+  }
+  const recError = clientOverridesError(rec) || validateRecurrence(rec, date);
+  if (recError) {
+    return res.status(400).json({ error: recError });
+  }
+  // Skip (or reject) later occurrences that fall on closed days
+  const closure = applyClosurePolicy(spaceId, date, startTime, endTime, rec);
+  if (closure.error) {
+    return res.status(400).json({ error: closure.error });
+  }
+  rec = closure.recurring;
+  const id = uuidv4();
+  const booking = {
+    id,
+    name,
+    email: emailNormalized,
+    spaceId,
+    date,
+    startTime,
+    endTime,
+    recurring: rec,
+    checkedIn: false,
+    createdBy: actor.createdBy
+  };
+  // Check that the date/time is free (for recurring bookings, every
+  // occurrence through the end of the series, or one year for open‑ended
+  // rules) and save the booking in one step.  Await it so the booking is
+  // fully committed to the database (or local store) before responding.  A
+  // clash is reported as 409 with the booking in the way.
+  let conflict;
+  try {
+    conflict = await createBooking(booking);
+  } catch (err) {
+    console.error('Error saving new booking', err);
+    return res.status(500).json({ error: 'Failed to save booking' });
+  }
+  if (conflict) {
+    return sendBookingConflict(req, res, booking, conflict);
+  }
+  recordAudit(req, 'booking.create', id, { after: booking });
+  // Send booking confirmation email asynchronously.  Construct a cancel URL
+  // using either APP_BASE_URL (when set) or the current request's host.  The
+  // confirmation includes basic booking details and a cancel link.
+  (async () => {
+    try {
+      const spaceName = spaces.find(s => s.id === spaceId)?.name || spaceId;
+      const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      const cancelLink = `${baseUrl}/cancel/${id}`;
+      // Use helper to build and send booking confirmation email
+      await sendBookingConfirmationEmail(
+        name,
+        emailNormalized,
+        spaceName,
+        date,
+        startTime,
+        endTime,
+        cancelLink,
+        '',
+        booking
+      );
+    } catch (err) {
+      console.error('Error sending booking confirmation', err);
+    }
+  })();
+  res.json({ id });
+});
+
+/**
+ * Edit an existing booking (admin only).  The body may contain any of name,
+ * email, spaceId, date, startTime, endTime and `recurring` (or the legacy
+ * `recurrence`, or an RFC 5545 `rrule` string); omitted fields keep their
+ * current value and passing
+ * `recurring: false` turns a recurring booking into a one‑off.  The result
+ * is validated with the same rules as POST /api/bookings, ignoring the
+ * booking itself when checking for conflicts.  The booking keeps its id (and
+ * therefore its cancel link) and the booker receives a single "booking
+ * updated" email.
+ */
+app.put('/api/bookings/:id', adminAuth, requirePermission('bookings:write'), async (req, res) => {
+  const booking = bookings.find(b => b.id === req.params.id);
+  if (!booking) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  const body = req.body || {};
+  const name = body.name || booking.name;
+  const email = body.email || booking.email;
+  const spaceId = body.spaceId || booking.spaceId;
+  const date = body.date || booking.date;
+  const startTime = body.startTime || booking.startTime;
+  const endTime = body.endTime || booking.endTime;
+  let recurringInput = getRecurring(booking);
+  if (Object.prototype.hasOwnProperty.call(body, 'recurring')) {
+    recurringInput = body.recurring;
+  } else if (Object.prototype.hasOwnProperty.call(body, 'recurrence')) {
+    recurringInput = body.recurrence;
+  }
+  if (body.rrule) {
+    if (recurringInput !== getRecurring(booking) && recurringInput && typeof recurringInput === 'object') {
+      return res.status(400).json({ error: 'Provide either rrule or recurring, not both' });
+    }
+    const parsed = parseRRule(body.rrule, date);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    recurringInput = parsed.recurring;
+  }
+  let rec = recurringInput && typeof recurringInput === 'object' ? { ...recurringInput } : false;
+  const overridesError = recurringInput !== getRecurring(booking) && clientOverridesError(rec);
+  if (overridesError) {
+    return res.status(400).json({ error: overridesError });
+  }
+  // Keep skipped dates and per‑occurrence overrides unless the caller sends
+  // replacements; the admin form only edits the pattern itself.
+  const existingRec = getRecurring(booking);
+  if (rec && existingRec && typeof existingRec === 'object') {
+    if (rec.exceptions === undefined && existingRec.exceptions) rec.exceptions = existingRec.exceptions;
+    if (rec.overrides === undefined && existingRec.overrides) rec.overrides = existingRec.overrides;
+  }
+  // Enforce the email allowlist (trim and normalise case)
+  const emailNormalized = String(email).trim().toLowerCase();
+  if (!isEmailAllowed(emailNormalized)) {
+    return res.status(400).json({ error: emailNotAllowedMessage() });
+  }
+  if (String(spaceId).startsWith('auto-')) {
+    return res.status(400).json({ error: 'Auto-booking options cannot be used when editing a booking' });
+  }
+  const space = spaces.find(s => s.id === spaceId);
+  if (!space) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  const timeError = validateBookingTimes(date, startTime, endTime, getSpaceTimeZone(spaceId));
+  if (timeError) {
+    return res.status(400).json({ error: timeError });
+  }
+  const hoursError = validateOpeningHours(spaceId, date, startTime, endTime);
+  if (hoursError) {
+    return res.status(400).json({ error: hoursError });
+  }
+  const recError = validateRecurrence(rec, date);
+  if (recError) {
+    return res.status(400).json({ error: recError });
+  }
+  const closure = applyClosurePolicy(spaceId, date, startTime, endTime, rec);
+  if (closure.error) {
+    return res.status(400).json({ error: closure.error });
+  }
+  rec = closure.recurring;
+  const previous = copyBooking(booking);
+  const next = { ...copyBooking(booking), name, email: emailNormalized, spaceId, date, startTime, endTime, recurring: rec };
+  // Drop the legacy field so the new value is the only one consulted
+  delete next.recurrence;
+  bumpSequence(next);
+  let conflict;
+  try {
+    conflict = await updateBooking(booking, next);
+  } catch (err) {
+    if (err.code === 'BOOKING_CHANGED') {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('Error saving edited booking', err);
+    return res.status(500).json({ error: 'Failed to save booking' });
+  }
+  if (conflict) {
+    return sendBookingConflict(req, res, next, conflict);
+  }
+  recordAudit(req, 'booking.update', booking.id, { before: previous, after: booking });
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  exports.sendBookingUpdatedEmail(
+    name,
+    emailNormalized,
+    space.name,
+    date,
+    startTime,
+    endTime,
+    `${baseUrl}/cancel/${booking.id}`,
+    booking
+  ).catch(err => console.error('Error sending booking update (admin edit)', err));
+  res.json(toBookingResponse(booking));
+});
 
-function adminAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Unauthorized' });
+// Cancel a single occurrence of a recurring booking (admin only).  The date
+// is added to the rule's exception list and the booker is emailed a
+// cancellation notice for that date only.
+app.delete('/api/bookings/:id/occurrences/:date', adminAuth, requirePermission('bookings:write'), async (req, res) => {
+  const booking = bookings.find(b => b.id === req.params.id);
+  if (!booking) {
+    return res.status(404).json({ error: 'Booking not found' });
   }
-  const token = authHeader.split(' ')[1];
-  const adminId = tokens[token];
-  if (!adminId) {
-    return res.status(401).json({ error: 'Invalid token' });
+  if (!getRecurring(booking)) {
+    return res.status(400).json({ error: 'Only recurring bookings have individual occurrences' });
   }
-  req.adminId = adminId;
-  const admin = admins.find(a => a.id === adminId);
-  req.admin = admin;
-  // Assign a normalized role.  Some older deployments used a "super" or
-  // "superadmin" role name which was not recognised by the access control
-  // checks throughout the server (e.g. analytics and kiosk endpoints
-  // explicitly check for 'owner', 'admin' or 'analyst').  When an admin has
-  // one of these legacy roles we treat them as an owner.  Otherwise fall
-  // back to the stored role or 'admin' by default.
-  // Normalise the stored role to a lowercase string.  Historically some
-  // installations used a "super" or "superadmin" role.  We preserve
-  // superadmin as its own role instead of mapping it to owner so that
-  // tokens and UI display remain consistent with the database.  Only the
-  // legacy "super" alias maps to owner.  Unknown roles default to
-  // 'admin'.
-  let role = admin && admin.role ? String(admin.role).toLowerCase() : 'admin';
-  if (role === 'super') {
-    role = 'owner';
+  let cancelled;
+  try {
+    cancelled = await removeOccurrence(booking.id, req.params.date);
+  } catch (err) {
+    console.error('Failed to persist occurrence cancellation:', err);
+    return res.status(500).json({ error: 'Failed to save booking' });
   }
-  // Set the computed role on the request for downstream access control
-  req.adminRole = role;
-  next();
-}
+  if (!cancelled) {
+    return res.status(404).json({ error: 'Booking does not occur on that date' });
+  }
+  const { booking: changed, occurrence, before } = cancelled;
+  recordAudit(req, 'booking.cancel-occurrence', changed.id, { before, after: changed });
+  sendBookingCancellationEmail(changed, occurrence).catch(err => {
+    console.error('Error sending cancellation email (occurrence)', err);
+  });
+  res.json(toBookingResponse(changed));
+});
 
-// ----- API routes -----------------------------------------------------------
-// Admin login endpoint
-app.post('/api/login', (req, res) => {
+// Override a single occurrence of a recurring booking (admin only).  Accepts
+// any of spaceId, startTime and endTime, which replace the series values on
+// that date only.  Sending an override for a previously skipped date
+// restores the occurrence.
+app.put('/api/bookings/:id/occurrences/:date', adminAuth, requirePermission('bookings:write'), async (req, res) => {
+  const booking = bookings.find(b => b.id === req.params.id);
+  if (!booking) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  const rec = getRecurring(booking);
+  if (!rec || typeof rec !== 'object') {
+    return res.status(400).json({ error: 'Only recurring bookings have individual occurrences' });
+  }
+  const { date } = req.params;
+  const wasSkipped = Array.isArray(rec.exceptions) && rec.exceptions.includes(date);
+  const current = wasSkipped
+    ? getOccurrence({ ...booking, recurring: { ...rec, exceptions: rec.exceptions.filter(d => d !== date) } }, date)
+    : getOccurrence(booking, date);
+  if (!current) {
+    return res.status(404).json({ error: 'Booking does not occur on that date' });
+  }
+  const body = req.body || {};
+  const override = {};
+  ['spaceId', 'startTime', 'endTime'].forEach(k => {
+    if (body[k]) override[k] = body[k];
+  });
+  const next = { ...current, ...override };
+  if (!spaces.find(s => s.id === next.spaceId)) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  const timeError = validateBookingTimes(date, next.startTime, next.endTime, getSpaceTimeZone(next.spaceId));
+  if (timeError) {
+    return res.status(400).json({ error: timeError });
+  }
+  const hoursError = validateOpeningHours(next.spaceId, date, next.startTime, next.endTime);
+  if (hoursError) {
+    return res.status(400).json({ error: hoursError });
+  }
+  const before = auditSnapshot(booking);
+  const updated = copyBooking(booking);
+  const updatedRec = getRecurring(updated);
+  if (wasSkipped) updatedRec.exceptions = updatedRec.exceptions.filter(d => d !== date);
+  updatedRec.overrides = updatedRec.overrides || {};
+  updatedRec.overrides[date] = { ...(updatedRec.overrides[date] || {}), ...override };
+  bumpSequence(updated);
+  // Only this date changes, so only it needs to be free
+  const findConflict = list => {
+    const other = findConflictingBooking(next.spaceId, date, next.startTime, next.endTime, booking.id, list);
+    return other ? { booking: other, date } : null;
+  };
+  let conflict;
   try {
-    const { username, password } = req.body || {};
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Missing username or password' });
+    conflict = await updateBooking(booking, updated, findConflict, next.spaceId);
+  } catch (err) {
+    if (err.code === 'BOOKING_CHANGED') {
+      return res.status(409).json({ error: err.message });
     }
-    const uname = String(username).toLowerCase();
-    const admin = admins.find(a => a.username && a.username.toLowerCase() === uname);
-    if (!admin || !verifyPassword(password, admin)) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    console.error('Failed to persist occurrence override:', err);
+    return res.status(500).json({ error: 'Failed to save booking' });
+  }
+  if (conflict) {
+    return sendBookingConflict(req, res, next, conflict);
+  }
+  recordAudit(req, 'booking.update-occurrence', booking.id, { before, after: booking });
+  const spaceName = spaces.find(s => s.id === next.spaceId).name;
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  exports.sendBookingUpdatedEmail(
+    booking.name,
+    booking.email,
+    spaceName,
+    date,
+    next.startTime,
+    next.endTime,
+    `${baseUrl}/cancel/${booking.id}?date=${date}`,
+    booking
+  ).catch(err => console.error('Error sending booking update (occurrence)', err));
+  res.json(toBookingResponse(booking));
+});
+
+// Cancel a booking by ID (admin only)
+app.delete('/api/bookings/:id', adminAuth, requirePermission('bookings:write'), async (req, res) => {
+  const { id } = req.params;
+  // Persist changes; if that fails the booking stands
+  let removed;
+  try {
+    removed = await removeBooking(id);
+  } catch (err) {
+    console.error('Failed to save data after cancellation:', err);
+    return res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+  if (removed) {
+    recordAudit(req, 'booking.cancel', removed.id, { before: removed });
+
+    // Send a cancellation email matching the public cancel link behaviour
+    try {
+      const spaceName = (spaces.find(s => s.id === removed.spaceId) || {}).name || removed.spaceId;
+      const formattedDate = formatDateMMDDYYYY(removed.date);
+      const formattedStart = formatTimeTo12H(removed.startTime);
+      const formattedEnd = formatTimeTo12H(removed.endTime);
+      const subject = `Booking Cancelled: ${spaceName} on ${formattedDate}`;
+      const body =
+        `Hello ${removed.name},
+
+` +
+        `Your booking for ${spaceName} on ${formattedDate} from ${formattedStart} to ${formattedEnd} has been cancelled.
+
+` +
+        `If this was a mistake, you can create a new booking at any time.
+
+` +
+        `Regards,
+` +
+        `Focus Booking`;
+      // Use the same sendEmail helper as the public cancel route, with an
+      // iCalendar CANCEL so the event leaves the booker's calendar
+      const ics = generateBookingIcs(removed, spaceName, 'CANCEL', true);
+      sendEmail(removed.email, subject, body, [icsAttachment(ics, 'CANCEL')]).catch(err => {
+        console.error('Error sending cancellation email (admin delete)', err);
+      });
+    } catch (err) {
+      console.error('Failed to send cancellation email (admin delete):', err);
     }
-    const token = uuidv4();
-    tokens[token] = admin.id;
-    return res.json({ token, role: admin.role || 'admin' });
-  } catch (e) {
-    console.error('Login error', e);
-    return res.status(500).json({ error: 'Login failed' });
+res.json({ ok: true });
+  } else {
+    res.status(404).json({ error: 'Booking not found' });
   }
 });
 
-// Request a password reset for an admin account.  This endpoint accepts
-// either a `username` or `email` field in the POST body.  When an
-// existing admin is found a one‑time token is generated, stored in
-// passwordResetTokens and an email is sent containing a link to the
-// password reset page.  For security reasons the response does not
-// reveal whether the account exists.
-app.post('/api/forgot-password', async (req, res) => {
+// Shown by the cancellation link when the change could not be saved
+const CANCEL_FAILED_PAGE =
+  '<html><head><title>Cancellation Failed</title></head><body>' +
+  '<h1>Cancellation Failed</h1>' +
+  '<p>Your booking could not be cancelled just now and is unchanged. Please try again later.</p>' +
+  '</body></html>';
+
+// Public cancellation link. Allows a user to cancel their own booking via a unique URL.
+// When accessed, this removes the booking from the system, persists the change,
+// sends a cancellation email and returns a simple HTML response indicating the result.
+app.get('/cancel/:id', async (req, res) => {
+  const { id } = req.params;
+  const index = bookings.findIndex(b => b.id === id);
+  // Reminder emails for recurring bookings link to ?date=YYYY-MM-DD so that
+  // only the one occurrence is cancelled and the rest of the series remains.
+  const occurrenceDate = typeof req.query.date === 'string' ? req.query.date : null;
+  if (index >= 0 && occurrenceDate && getRecurring(bookings[index])) {
+    let cancelled;
+    try {
+      cancelled = await removeOccurrence(id, occurrenceDate);
+    } catch (err) {
+      console.error('Failed to save data after occurrence cancellation:', err);
+      return res.status(500).send(CANCEL_FAILED_PAGE);
+    }
+    if (!cancelled) {
+      return res.status(404).send(
+        '<html><head><title>Booking Not Found</title></head><body>' +
+        '<h1>Booking Not Found</h1>' +
+        '<p>This booking does not take place on the selected date, or that date has already been cancelled.</p>' +
+        '</body></html>'
+      );
+    }
+    const { booking, occurrence, before } = cancelled;
+    recordAudit(req, 'booking.cancel-occurrence', booking.id, { before, after: booking, actor: cancelLinkActor(booking) });
+    await sendBookingCancellationEmail(booking, occurrence);
+    return res.send(
+      '<html><head><title>Booking Cancelled</title></head><body>' +
+      '<h1>Booking Cancelled</h1>' +
+      `<p>Your booking on ${formatDateMMDDYYYY(occurrenceDate)} has been cancelled. Other dates in the series are unchanged.</p>` +
+      '<p><a href="/index.html">Return to bookings page</a></p>' +
+      '</body></html>'
+    );
+  }
+  // Persist booking removal to storage; if that fails the booking stands
+  let removed = null;
+  if (index >= 0) {
+    try {
+      removed = await removeBooking(id);
+    } catch (err) {
+      console.error('Failed to save data after cancellation:', err);
+      return res.status(500).send(CANCEL_FAILED_PAGE);
+    }
+  }
+  if (removed) {
+    recordAudit(req, 'booking.cancel', removed.id, { before: removed, actor: cancelLinkActor(removed) });
+    // Send a cancellation email to the user.  Include formatted booking details.
+    await sendBookingCancellationEmail(removed);
+    // Respond with a confirmation page including a link back to the booking page
+    return res.send(
+      '<html><head><title>Booking Cancelled</title></head><body>' +
+      '<h1>Booking Cancelled</h1>' +
+      '<p>Your booking has been successfully cancelled.</p>' +
+      '<p><a href="/index.html">Return to bookings page</a></p>' +
+      '</body></html>'
+    );
+  }
+  // If the booking does not exist, respond with a not found page
+  return res.status(404).send(
+    '<html><head><title>Booking Not Found</title></head><body>' +
+    '<h1>Booking Not Found</h1>' +
+    '<p>The booking you are trying to cancel does not exist.</p>' +
+    '</body></html>'
+  );
+});
+
+// Availability: returns spaces that are free for a given date/time range.
+// Query parameters:
+//   date: YYYY‑MM‑DD (required)
+//   start: HH:MM 24h (required)
+//   end: HH:MM 24h (required)
+//   type: optional space type filter (desk, office, conference)
+//   locationId: optional location filter
+app.get('/api/availability', (req, res) => {
+  const { date, start: startTime, end: endTime, type, locationId } = req.query;
+  if (!date || !startTime || !endTime) {
+    return res.status(400).json({ error: 'Missing date or time parameters' });
+  }
+  let available = spaces.filter(s => {
+    if (type && s.type !== type) return false;
+    if (locationId && s.locationId !== locationId) return false;
+    return isSpaceAvailable(s.id, date, startTime, endTime);
+  });
+  res.json(available);
+});
+
+// Auto-booking creates a booking, so it is a POST: browsers send the
+// bookerSession cookie (SameSite=Lax) with cross-site GET navigations, which
+// would let any page book in a signed-in booker's name.
+app.get('/api/bookings/auto', (req, res) => {
+  res.set('Allow', 'POST').status(405).json({ error: 'Auto-booking is POST /api/bookings/auto with a JSON body' });
+});
+
+// Auto-book: automatically assign the next available space of a given type,
+// optionally limited to one location (`locationId`).  Body: type, date,
+// start, end, name, email and optionally locationId.  A kiosk scoped to a
+// location only books there.
+app.post('/api/bookings/auto', async (req, res) => {
   try {
-    const { username, email } = req.body || {};
-    const address = (username || email || '').toLowerCase().trim();
-    if (!address) {
-      return res.status(400).json({ error: 'Missing email/username' });
+    const { type, date, start: startTime, end: endTime, name, email } = req.body || {};
+    if (!type || !date || !startTime || !endTime || !name || !email) {
+      return res.status(400).json({ error: 'Missing parameters for auto-booking' });
     }
-    // Find the admin record by username (email).  Admin usernames are email
-    // addresses and are stored exactly as provided, so normalise both
-    // sides to lower case.
-    const admin = admins.find(a => a.username && a.username.toLowerCase() === address);
-    if (admin) {
-      // Generate a one‑time token and store with expiry (1 hour)
-      const token = uuidv4();
-      passwordResetTokens[token] = { adminId: admin.id, expires: Date.now() + 3600 * 1000 };
-      // Build the base URL for the reset link.  Prefer APP_BASE_URL when
-      // defined; otherwise derive from the incoming request.  This allows
-      // resets to work when the app is hosted behind a proxy or different
-      // domain.
-      let baseUrl = APP_BASE_URL;
-      if (!baseUrl) {
-        const protocol = req.protocol;
-        const host = req.get('host');
-        baseUrl = protocol + '://' + host;
+    // Enforce the email allowlist for auto bookings (trim and normalise case)
+    const emailNormalized = String(email).trim().toLowerCase();
+    if (!isEmailAllowed(emailNormalized)) {
+      return res.status(400).json({ error: emailNotAllowedMessage() });
+    }
+    const actor = resolveBookingActor(req, emailNormalized);
+    if (actor.error) {
+      return res.status(actor.status).json({ error: actor.error });
+    }
+    const locationId = actor.locationId || req.body.locationId;
+    if (actor.locationId && req.body.locationId && req.body.locationId !== actor.locationId) {
+      return res.status(403).json({ error: 'This kiosk can only book spaces at its own location' });
+    }
+
+    let location = null;
+    if (locationId) {
+      location = locations.find(l => l.id === locationId);
+      if (!location) {
+        return res.status(404).json({ error: 'Location not found' });
       }
-      const resetLink = `${baseUrl}/new-password.html?token=${token}`;
-      const subject = 'Password Reset Request';
-      const text = `You have requested to reset your password.\n\n` +
-        `Please click the link below to choose a new password:\n${resetLink}\n\n` +
-        `If you did not request this, you can safely ignore this email.`;
-      try {
-        await sendEmail(admin.username, subject, text);
-      } catch (err) {
-        console.error('Error sending password reset email', err);
+    }
+    // Same checks as other bookings, in the location (or site) timezone
+    const timeError = validateBookingTimes(date, startTime, endTime, getLocationTimeZone(location));
+    if (timeError) {
+      return res.status(400).json({ error: timeError });
+    }
+    const candidates = spaces
+      .filter(s => s.type === type && (!location || s.locationId === location.id))
+      .sort((a, b) => (a.priorityOrder || 0) - (b.priorityOrder || 0));
+    // Reason the first candidate was closed, reported if every candidate is
+    let closedReason = null;
+    let anyOpen = false;
+    for (const space of candidates) {
+      // Without a location filter candidates may be in other timezones
+      if (!location && isPastInSiteTimeZone(date, startTime, getSpaceTimeZone(space.id))) continue;
+      const hoursError = validateOpeningHours(space.id, date, startTime, endTime);
+      if (hoursError) {
+        closedReason = closedReason || hoursError;
+        continue;
+      }
+      anyOpen = true;
+      if (isSpaceAvailable(space.id, date, startTime, endTime)) {
+        const id = uuidv4();
+        const booking = {
+          id,
+          name,
+          email: emailNormalized,
+          spaceId: space.id,
+          date,
+          startTime,
+          endTime,
+          recurring: false,
+          checkedIn: false,
+          createdBy: actor.createdBy
+        };
+        // Persist immediately so that cancellation link works even if the
+        // process restarts.  If another request took the space meanwhile,
+        // move on to the next one.
+        try {
+          if (await createBooking(booking)) continue;
+        } catch (err) {
+          console.error('Error saving new auto booking', err);
+          return res.status(500).json({ error: 'Failed to save auto booking' });
+        }
+        recordAudit(req, 'booking.create', id, { after: booking });
+        // Send booking confirmation email asynchronously
+        (async () => {
+          try {
+            const spaceName = space.name;
+            const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+            const cancelLink = `${baseUrl}/cancel/${id}`;
+            await sendBookingConfirmationEmail(
+              name,
+              emailNormalized,
+              spaceName,
+              date,
+              startTime,
+              endTime,
+              cancelLink,
+              'auto',
+              booking
+            );
+          } catch (err) {
+            console.error('Error sending booking confirmation (auto)', err);
+          }
+        })();
+        return res.json({ id, spaceName: space.name });
       }
     }
-    // Always return a generic OK response regardless of whether the admin
-    // exists.  This prevents account enumeration via the API.
-    return res.json({ ok: true });
+    if (!anyOpen && closedReason) {
+      return res.status(400).json({ error: closedReason });
+    }
+    return res.status(404).json({ error: 'No spaces available for the requested time' });
   } catch (err) {
-    console.error('forgot-password error', err);
-    return res.status(500).json({ error: 'Password reset request failed' });
+    // Catch any unexpected errors to avoid crashing the process and return a 500
+    console.error('Auto booking unexpected error:', err);
+    return res.status(500).json({ error: 'internal-error' });
   }
 });
 
-// Complete a password reset.  Clients send the reset `token` and a new
-// `password`.  The server verifies the token, ensures it has not
-// expired and applies the new password to the corresponding admin.  Tokens
-// are single‑use and removed after a successful reset.  Responds with
-// an error if the token is invalid or expired.
-app.post('/api/reset-password', (req, res) => {
+// Admin user management
+app.get('/api/admins', adminAuth, requirePermission('admins:read'), (req, res) => {
+  res.json(admins.map(a => ({
+    id: a.id,
+    username: a.username,
+    role: a.role || 'admin',
+    twoFactorEnabled: !!a.totpSecret,
+    failedLogins: a.failedLogins || 0,
+    lockedUntil: accountLockedUntil(a)
+  })));
+});
+
+app.post('/api/admins', adminAuth, requirePermission('admins:manage'), (req, res) => {
+  const { username, password, role } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Missing username or password' });
+  }
+  const weakPassword = checkPasswordStrength(password, username);
+  if (weakPassword) {
+    return res.status(400).json({ error: weakPassword });
+  }
+  const roleNormalized = (role && typeof role === 'string') ? role.toLowerCase() : 'admin';
+  if (!roleExists(roleNormalized) || roleNormalized === 'owner') {
+    // Prevent creation of new owners via API
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+  // Nobody may hand out permissions they do not hold themselves
+  if (!holdsRole(req.admin, roleNormalized)) {
+    return res.status(403).json({ error: 'That role has permissions you do not have' });
+  }
+  if (admins.find(a => a.username === username)) {
+    return res.status(400).json({ error: 'Admin already exists' });
+  }
+  const creds = hashPassword(password);
+  const id = uuidv4();
+  const admin = { id, username, passwordHash: creds.hash, salt: creds.salt, role: roleNormalized };
+  admins.push(admin);
+  saveData({ save: { admins: [admin] } }).catch(err => console.error('Failed to save data:', err));
+  recordAudit(req, 'admin.create', id, { after: admin });
+  res.json({ id });
+});
+
+// Change the signed-in admin's password.  Body: { currentPassword,
+// newPassword }.  Every other session of the account ends.
+app.post('/api/admins/me/password', adminAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const admin = req.admin;
+  if (!admin.passwordHash && !admin.password) {
+    return res.status(400).json({ error: 'Your account signs in with single sign-on and has no password' });
+  }
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Missing current or new password' });
+  }
+  // A wrong current password counts as a failed login, so a stolen session
+  // cannot be used to guess the password without limit
+  const retryAfter = rateLimitRetryAfter('login', req.ip) || Math.ceil(loginLockRemaining(req, admin.username) / 1000);
+  if (retryAfter) return sendRateLimited(res, retryAfter);
+  // 400 rather than 401 so the admin pages do not treat it as a lost session
+  if (!verifyPassword(String(currentPassword), admin)) {
+    recordRateLimitHit('login', req.ip);
+    recordAudit(req, 'admin.login-failed', admin.id);
+    recordFailedLogin(req, admin.username, admin);
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+  const weakPassword = checkPasswordStrength(String(newPassword), admin.username);
+  if (weakPassword) {
+    return res.status(400).json({ error: weakPassword });
+  }
+  const creds = hashPassword(String(newPassword));
+  const previous = {
+    passwordHash: admin.passwordHash,
+    salt: admin.salt,
+    password: admin.password,
+    failedLogins: admin.failedLogins
+  };
+  admin.passwordHash = creds.hash;
+  admin.salt = creds.salt;
+  if (admin.password) delete admin.password;
+  clearFailedLogins(admin, req);
+  const revoked = revokeAdminSessions(admin.id, req.adminSession.id);
   try {
-    const { token, password } = req.body || {};
-    if (!token || !password) {
-      return res.status(400).json({ error: 'Missing token or password' });
+    await saveData({ save: { admins: [admin] }, remove: { adminSessions: revoked.map(s => s.id) } });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    // The old password and the other sessions stay valid
+    Object.assign(admin, previous);
+    if (previous.password === undefined) delete admin.password;
+    adminSessions.push(...revoked);
+    return res.status(500).json({ error: 'Failed to change password' });
+  }
+  recordAudit(req, 'admin.password-change', admin.id);
+  res.json({ ok: true, sessionsEnded: revoked.length });
+});
+
+// Change an admin's role and/or username.  Body: { role, username }.
+// Admins can only edit accounts, and give roles, whose permissions they
+// hold themselves, and the only owner keeps the owner role.  SSO admins'
+// roles are set again from their groups at their next sign‑in.
+app.patch('/api/admins/:id', adminAuth, requirePermission('admins:manage'), async (req, res) => {
+  const admin = admins.find(a => a.id === req.params.id);
+  if (!admin) {
+    return res.status(404).json({ error: 'Admin not found' });
+  }
+  if (!outranks(req.admin, admin)) {
+    return res.status(403).json({ error: 'That admin has permissions you do not have' });
+  }
+  const body = req.body || {};
+  const changes = {};
+  if (body.role !== undefined) {
+    const role = typeof body.role === 'string' ? body.role.toLowerCase() : '';
+    if (!roleExists(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
     }
-    const entry = passwordResetTokens[token];
-    if (!entry || entry.expires < Date.now()) {
-      return res.status(400).json({ error: 'Invalid or expired token' });
+    if (!holdsRole(req.admin, role)) {
+      return res.status(403).json({ error: 'That role has permissions you do not have' });
     }
-    const admin = admins.find(a => a.id === entry.adminId);
-    if (!admin) {
-      // Remove the token even if the admin cannot be found.  This
-      // situation should not occur but guards against token reuse.
-      delete passwordResetTokens[token];
-      return res.status(400).json({ error: 'Invalid or expired token' });
+    const owners = admins.filter(a => normaliseAdminRole(a) === 'owner').length;
+    if (normaliseAdminRole(admin) === 'owner' && role !== 'owner' && owners <= 1) {
+      return res.status(400).json({ error: 'Cannot change the role of the only owner' });
     }
-    // Hash the new password and update the admin record.  Remove any
-    // legacy plain text password field for security reasons.
-    const creds = hashPassword(String(password));
-    admin.passwordHash = creds.hash;
-    admin.salt = creds.salt;
-    if (admin.password) delete admin.password;
-    // Persist the updated admins and remove the used token
-    delete passwordResetTokens[token];
-    saveData().catch(err => console.error('Failed to save data:', err));
-    return res.json({ ok: true });
+    changes.role = role;
+  }
+  if (body.username !== undefined) {
+    const username = typeof body.username === 'string' ? body.username.trim() : '';
+    if (!username) {
+      return res.status(400).json({ error: 'Username cannot be empty' });
+    }
+    if (admins.some(a => a !== admin && a.username && a.username.toLowerCase() === username.toLowerCase())) {
+      return res.status(400).json({ error: 'Admin already exists' });
+    }
+    changes.username = username;
+  }
+  const previous = { role: admin.role, username: admin.username };
+  const before = { ...admin };
+  Object.assign(admin, changes);
+  try {
+    await saveData({ save: { admins: [admin] } });
   } catch (err) {
-    console.error('reset-password error', err);
-    return res.status(500).json({ error: 'Password reset failed' });
+    console.error('Failed to save data:', err);
+    Object.assign(admin, previous);
+    return res.status(500).json({ error: 'Failed to update admin' });
   }
+  recordAudit(req, 'admin.update', admin.id, { before, after: admin });
+  res.json({ id: admin.id, username: admin.username, role: normaliseAdminRole(admin) });
 });
 
-// Spaces endpoints
-app.get('/api/spaces', (req, res) => {
-  res.json(spaces);
+app.delete('/api/admins/:id', adminAuth, requirePermission('admins:manage'), async (req, res) => {
+  const { id } = req.params;
+  const index = admins.findIndex(a => a.id === id);
+  if (index >= 0) {
+    const adminToRemove = admins[index];
+    if (!outranks(req.admin, adminToRemove)) {
+      return res.status(403).json({ error: 'That admin has permissions you do not have' });
+    }
+    // Prevent removal of the last owner
+    if (normaliseAdminRole(adminToRemove) === 'owner') {
+      const ownerCount = admins.filter(a => normaliseAdminRole(a) === 'owner').length;
+      if (ownerCount <= 1) {
+        return res.status(400).json({ error: 'Cannot delete the only owner' });
+      }
+    }
+    admins.splice(index, 1);
+    const revoked = revokeAdminSessions(id);
+    try {
+      await saveData({ remove: { admins: [id], adminSessions: revoked.map(s => s.id) } });
+    } catch (err) {
+      console.error('Failed to save data:', err);
+      admins.splice(index, 0, adminToRemove);
+      adminSessions.push(...revoked);
+      return res.status(500).json({ error: 'Failed to delete admin' });
+    }
+    recordAudit(req, 'admin.delete', id, { before: adminToRemove });
+    res.json({ ok: true });
+  } else {
+    res.status(404).json({ error: 'Admin not found' });
+  }
 });
 
-app.post('/api/spaces', adminAuth, (req, res) => {
-  // Only owners and admins can add spaces
-  // Allow owners, superadmins and admins to add spaces
-  if (!['owner', 'superadmin', 'admin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Unlock an admin account locked by failed logins
+app.post('/api/admins/:id/unlock', adminAuth, requirePermission('admins:manage'), (req, res) => {
+  const admin = admins.find(a => a.id === req.params.id);
+  if (!admin) {
+    return res.status(404).json({ error: 'Admin not found' });
   }
-  const { name, type, priorityOrder } = req.body;
-  if (!name || !type || priorityOrder === undefined) {
-    return res.status(400).json({ error: 'Missing fields' });
+  if (!outranks(req.admin, admin)) {
+    return res.status(403).json({ error: 'That admin has permissions you do not have' });
   }
-  const id = uuidv4();
-  spaces.push({ id, name, type, priorityOrder: Number(priorityOrder) });
-  // Persist changes
-  saveData().catch(err => console.error('Failed to save data:', err));
-  res.json({ id });
+  const before = { ...admin };
+  clearFailedLogins(admin);
+  saveData({ save: { admins: [admin] } }).catch(err => console.error('Failed to save data:', err));
+  recordAudit(req, 'admin.unlock', admin.id, { before, after: admin });
+  res.json({ ok: true });
 });
 
-app.delete('/api/spaces/:id', adminAuth, (req, res) => {
-  // Only owners and admins can delete spaces
-  // Allow owners, superadmins and admins to delete spaces
-  if (!['owner', 'superadmin', 'admin'].includes(req.adminRole)) {
+// Session details without the token hash, as returned by the session routes
+function toAdminSessionResponse(session, currentId) {
+  const { tokenHash, ...rest } = session;
+  return { ...rest, current: session.id === currentId };
+}
+
+// List the caller's sessions, or with ?adminId= (owners only) another admin's.
+app.get('/api/admin-sessions', adminAuth, (req, res) => {
+  const adminId = req.query.adminId || req.adminId;
+  if (adminId !== req.adminId && !hasPermission(req.admin, 'admins:manage')) {
     return res.status(403).json({ error: 'Forbidden' });
   }
-  const { id } = req.params;
-  const index = spaces.findIndex(r => r.id === id);
-  if (index >= 0) {
-    spaces.splice(index, 1);
-    saveData().catch(err => console.error('Failed to save data:', err));
-    res.json({ ok: true });
-  } else {
-    res.status(404).json({ error: 'Space not found' });
+  const expired = pruneAdminSessions();
+  if (expired.length) {
+    saveData({ remove: { adminSessions: expired.map(s => s.id) } }).catch(err => console.error('Failed to save data:', err));
   }
+  res.json(adminSessions
+    .filter(s => s.adminId === adminId)
+    .map(s => toAdminSessionResponse(s, req.adminSession.id))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
 });
 
-// Bookings endpoints
-// Return bookings from the data store.  To ensure the admin portal always
-// reflects the latest data, re‑load bookings from the database on each
-// request when a DB connection is available.  This avoids stale in‑memory
-// state when bookings are created by other clients or processes.
-app.get('/api/bookings', adminAuth, async (req, res) => {
-  // Refresh in‑memory data from the database if possible.  Failure to
-  // load does not prevent responding with the existing state.  Because
-  // loadData() also updates spaces and admins we invoke it sparingly.
-  if (db) {
-    try {
-      await loadData();
-    } catch (err) {
-      console.error('Failed to refresh data for bookings list', err);
-      // proceed with existing in‑memory data on error
-    }
+// Log out all of the caller's sessions, this one included.
+app.delete('/api/admin-sessions', adminAuth, async (req, res) => {
+  const revoked = revokeAdminSessions(req.adminId);
+  try {
+    await saveData({ remove: { adminSessions: revoked.map(s => s.id) } });
+    recordAudit(req, 'admin.logout-all', req.adminId, { after: { revoked: revoked.length } });
+    res.json({ ok: true, revoked: revoked.length });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    res.status(500).json({ error: 'Failed to log out sessions' });
   }
-  // Only owners and admins can list all bookings
-  if (!['owner','superadmin','admin'].includes(req.adminRole)) {
+});
+
+// Log out every session of an admin.  Owners may do this for anyone.
+app.delete('/api/admins/:id/sessions', adminAuth, async (req, res) => {
+  const { id } = req.params;
+  if (id !== req.adminId && !hasPermission(req.admin, 'admins:manage')) {
     return res.status(403).json({ error: 'Forbidden' });
   }
-  const result = bookings.map(b => {
-    const space = spaces.find(s => s.id === b.spaceId);
-    return {
-      id: b.id,
-      name: b.name,
-      email: b.email,
-      spaceId: b.spaceId,
-      spaceName: space ? space.name : '',
-      date: b.date,
-      startTime: b.startTime,
-      endTime: b.endTime,
-      recurring: !!getRecurring(b),
-      recurrence: getRecurring(b) || null,
-      checkedIn: !!b.checkedIn
-    };
-  });
+  const target = admins.find(a => a.id === id);
+  if (!target) {
+    return res.status(404).json({ error: 'Admin not found' });
+  }
+  if (id !== req.adminId && !outranks(req.admin, target)) {
+    return res.status(403).json({ error: 'That admin has permissions you do not have' });
+  }
+  const revoked = revokeAdminSessions(id);
+  try {
+    await saveData({ remove: { adminSessions: revoked.map(s => s.id) } });
+    recordAudit(req, 'admin.logout-all', id, { after: { revoked: revoked.length } });
+    res.json({ ok: true, revoked: revoked.length });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    res.status(500).json({ error: 'Failed to log out sessions' });
+  }
+});
 
-  // Optional filters & pagination
-  const hasQueryControls = (
-    typeof req.query.upcoming !== 'undefined' ||
-    typeof req.query.from !== 'undefined' ||
-    typeof req.query.sort !== 'undefined' ||
-    typeof req.query.limit !== 'undefined' ||
-    typeof req.query.offset !== 'undefined' ||
-    typeof req.query.page !== 'undefined' ||
-    typeof req.query.pageSize !== 'undefined'
-  );
+// ----- Two-factor authentication routes -----
 
-  if (!hasQueryControls) {
-    // Back-compat: return the full array exactly as before
-    return res.json(result);
-  }
+// Secrets generated by /api/2fa/setup awaiting confirmation: adminId -> secret
+const pendingTotpSecrets = {};
 
-  // Parse query params
-  const q = req.query;
-  const sortDir = (q.sort || 'asc').toString().toLowerCase() === 'desc' ? 'desc' : 'asc';
-  let items = result.slice();
+// Two-factor status of the signed-in admin
+app.get('/api/2fa', adminAuth, (req, res) => {
+  res.json({
+    enabled: !!req.admin.totpSecret,
+    required: isTwoFactorRequired(req.admin),
+    recoveryCodesRemaining: (req.admin.recoveryCodes || []).length
+  });
+});
 
-  // Apply "upcoming" filter (from now onwards)
-  if (typeof q.upcoming !== 'undefined') {
-    const now = new Date();
-    const todayStr = now.toISOString().slice(0,10);
-    const hh = String(now.getHours()).padStart(2,'0');
-    const mm = String(now.getMinutes()).padStart(2,'0');
-    const cur = `${hh}:${mm}`;
-    items = items.filter(b => {
-      if (b.date > todayStr) return true;
-      if (b.date === todayStr && (b.endTime || '00:00') >= cur) return true;
-      // If a booking is recurring but started in the past, it's ambiguous whether to include;
-      // keep it out by default to avoid flooding the list with base patterns.
-      return false;
-    });
+/**
+ * Begin enrolment: generate a secret for the signed-in admin and return it
+ * with an otpauth:// URL for authenticator apps.  Nothing changes until the
+ * admin confirms a code with /api/2fa/enable.
+ */
+app.post('/api/2fa/setup', adminAuth, (req, res) => {
+  if (req.admin.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
   }
+  const secret = base32Encode(crypto.randomBytes(20));
+  pendingTotpSecrets[req.adminId] = secret;
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${req.admin.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  res.json({ secret, otpauthUrl: `otpauth://totp/${label}?${params}` });
+});
 
-  // Apply "from" filter if provided, expects YYYY-MM-DD
-  if (q.from) {
-    const fromStr = q.from.toString();
-    items = items.filter(b => b.date >= fromStr);
+// Confirm enrolment with a code from the app.  Returns the recovery codes,
+// which are only ever shown here.
+app.post('/api/2fa/enable', adminAuth, async (req, res) => {
+  const secret = pendingTotpSecrets[req.adminId];
+  if (!secret) {
+    return res.status(400).json({ error: 'Start two-factor setup first' });
+  }
+  const step = verifyTotp(secret, (req.body || {}).code);
+  if (step === null) {
+    return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+  }
+  const admin = req.admin;
+  const previous = { totpSecret: admin.totpSecret, totpLastStep: admin.totpLastStep, recoveryCodes: admin.recoveryCodes };
+  admin.totpSecret = secret;
+  admin.totpLastStep = step;
+  const recoveryCodes = issueRecoveryCodes(admin);
+  try {
+    await saveData({ save: { admins: [admin] } });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    // Keep the pending secret so setup can be retried with a new code
+    Object.assign(admin, previous);
+    return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
   }
+  delete pendingTotpSecrets[req.adminId];
+  recordAudit(req, 'admin.2fa-enable', admin.id);
+  res.json({ ok: true, recoveryCodes });
+});
 
-  // Sort by date then startTime
-  items.sort((a,b) => {
-    const k1 = a.date.localeCompare(b.date);
-    if (k1 !== 0) return sortDir === 'asc' ? k1 : -k1;
-    const k2 = (a.startTime||'00:00').localeCompare(b.startTime||'00:00');
-    return sortDir === 'asc' ? k2 : -k2;
-  });
+// Replace the recovery codes; needs a current code.
+app.post('/api/2fa/recovery-codes', adminAuth, async (req, res) => {
+  if (!req.admin.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!checkSecondFactor(req.admin, (req.body || {}).code)) {
+    return res.status(400).json({ error: 'Invalid two-factor code' });
+  }
+  const previous = { totpLastStep: req.admin.totpLastStep, recoveryCodes: req.admin.recoveryCodes };
+  const recoveryCodes = issueRecoveryCodes(req.admin);
+  try {
+    await saveData({ save: { admins: [req.admin] } });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    Object.assign(req.admin, previous);
+    return res.status(500).json({ error: 'Failed to save recovery codes' });
+  }
+  recordAudit(req, 'admin.2fa-recovery-codes', req.adminId);
+  res.json({ recoveryCodes });
+});
 
-  // Pagination
-  const pageSize = q.pageSize ? Math.max(1, parseInt(q.pageSize,10)) : (q.limit ? Math.max(1, parseInt(q.limit,10)) : 100);
-  const page = q.page ? Math.max(1, parseInt(q.page,10)) : null;
-  let offset = 0;
-  if (page) {
-    offset = (page - 1) * pageSize;
-  } else if (q.offset) {
-    offset = Math.max(0, parseInt(q.offset,10));
+// Clear an admin's second factor
+function clearTwoFactor(admin) {
+  admin.totpSecret = null;
+  admin.totpLastStep = null;
+  admin.recoveryCodes = [];
+}
+
+// Turn off two-factor authentication for the signed-in admin; needs a
+// current code and is refused when the admin's role requires it.
+app.delete('/api/2fa', adminAuth, async (req, res) => {
+  if (!req.admin.totpSecret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
   }
-  const total = items.length;
-  const sliced = items.slice(offset, offset + pageSize);
+  if (isTwoFactorRequired(req.admin)) {
+    return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+  }
+  if (!checkSecondFactor(req.admin, (req.body || {}).code)) {
+    return res.status(400).json({ error: 'Invalid two-factor code' });
+  }
+  const previous = { totpSecret: req.admin.totpSecret, totpLastStep: req.admin.totpLastStep, recoveryCodes: req.admin.recoveryCodes };
+  clearTwoFactor(req.admin);
+  try {
+    await saveData({ save: { admins: [req.admin] } });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    Object.assign(req.admin, previous);
+    return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+  recordAudit(req, 'admin.2fa-disable', req.adminId);
+  res.json({ ok: true });
+});
 
-  return res.json({ items: sliced, total, offset, page: page || null, pageSize });
+// Reset another admin's two-factor authentication, e.g. after a lost
+// phone.  Their sessions end and they must enrol again if required.
+app.delete('/api/admins/:id/2fa', adminAuth, requirePermission('admins:manage'), async (req, res) => {
+  const admin = admins.find(a => a.id === req.params.id);
+  if (!admin) {
+    return res.status(404).json({ error: 'Admin not found' });
+  }
+  if (!outranks(req.admin, admin)) {
+    return res.status(403).json({ error: 'That admin has permissions you do not have' });
+  }
+  const previous = { totpSecret: admin.totpSecret, totpLastStep: admin.totpLastStep, recoveryCodes: admin.recoveryCodes };
+  clearTwoFactor(admin);
+  const revoked = revokeAdminSessions(admin.id);
+  try {
+    await saveData({ save: { admins: [admin] }, remove: { adminSessions: revoked.map(s => s.id) } });
+  } catch (err) {
+    console.error('Failed to save data:', err);
+    Object.assign(admin, previous);
+    adminSessions.push(...revoked);
+    return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+  recordAudit(req, 'admin.2fa-reset', admin.id);
+  res.json({ ok: true });
 });
 
+// ----- Roles and permissions -----
+
+const ROLE_NAME_RE = /^[a-z][a-z0-9-]{1,31}$/;
+
 /**
- * Create a new booking. The body must include name, email, spaceId,
- * date (for one‑off bookings and as the first occurrence for recurring
- * bookings), startTime and endTime. The `recurring` field may be
- * either false (or omitted) or an object describing the recurrence.
- * Supported recurrence object keys:
- *   - dayOfMonth: integer (1‑31) to repeat on that day of each month
- *   - nth: integer (1‑5) and weekday: integer (0‑6) representing the
- *     nth occurrence of weekday in the month.
+ * Validate a custom role submitted to the API.
+ *
+ * @param {object} input Request body: { name, description, permissions }
+ * @param {object} admin Admin defining the role, who must hold every
+ *   permission granted
+ * @returns {{role: object|null, error: string|null}}
  */
-// Create a new booking.  This handler is asynchronous so we can await
-// persistence operations.  Without awaiting saveData(), the response could
-// return before the new booking is committed to the database, causing
-// subsequent fetches to miss the just‑created booking.  Awaiting the save
-// ensures that the booking list remains consistent for the admin UI.
-app.post('/api/bookings', async (req, res) => {
-  const { name, email, spaceId, date, startTime, endTime } = req.body;
-  const recurringInput = req.body.recurring || req.body.recurrence;
-  if (!name || !email || !spaceId || !date || !startTime || !endTime) {
-    return res.status(400).json({ error: 'Missing fields' });
+function normaliseCustomRole(input, admin) {
+  const fail = error => ({ role: null, error });
+  const body = input || {};
+  const name = typeof body.name === 'string' ? body.name.trim().toLowerCase() : '';
+  if (!ROLE_NAME_RE.test(name)) {
+    return fail('Role names are 2-32 lowercase letters, digits or dashes, starting with a letter');
+  }
+  if (!Array.isArray(body.permissions) || !body.permissions.every(p => PERMISSIONS.includes(p))) {
+    return fail(`Permissions must be a list of: ${PERMISSIONS.join(', ')}`);
+  }
+  if (!body.permissions.every(p => hasPermission(admin, p))) {
+    return fail('You cannot grant permissions you do not have');
+  }
+  return {
+    role: {
+      name,
+      description: typeof body.description === 'string' ? body.description.trim() : '',
+      permissions: PERMISSIONS.filter(p => body.permissions.includes(p))
+    },
+    error: null
+  };
+}
+
+// Persist a change to the roles, putting back the `previous` settings
+// values and responding 500 if that fails
+async function saveRoleChanges(res, previous) {
+  try {
+    await saveData({ settings: Object.keys(previous) });
+    return true;
+  } catch (err) {
+    console.error('Failed to save roles:', err);
+    Object.assign(settings, previous);
+    res.status(500).json({ error: 'Failed to save roles' });
+    return false;
   }
-  // Enforce company email domain (trim and normalise case)
-  const emailNormalized = String(email).trim().toLowerCase();
-  if (!emailNormalized.endsWith('@fbhi.net')) {
-    return res.status(400).json({ error: 'Email must be a @fbhi.net address' });
+}
+
+// The custom role named in the URL, or null after responding 400 for a
+// built-in role and 404 for an unknown one
+function findEditableRole(req, res) {
+  const role = findCustomRole(req.params.name);
+  if (role) return role;
+  if (ROLES.includes(req.params.name)) res.status(400).json({ error: 'Built-in roles cannot be changed' });
+  else res.status(404).json({ error: 'Role not found' });
+  return null;
+}
+
+// List the permissions and every role with what it grants
+app.get('/api/roles', adminAuth, requirePermission('admins:read'), (req, res) => {
+  res.json({
+    permissions: PERMISSIONS,
+    roles: [
+      ...ROLES.map(name => ({ name, description: '', permissions: ROLE_PERMISSIONS[name], builtIn: true })),
+      ...(settings.customRoles || []).map(r => ({ ...r, builtIn: false }))
+    ]
+  });
+});
+
+// Define a custom role.  Body: { name, description, permissions: [...] }
+app.post('/api/roles', adminAuth, requirePermission('roles:manage'), async (req, res) => {
+  const { role, error } = normaliseCustomRole(req.body, req.admin);
+  if (error) return res.status(400).json({ error });
+  if (roleExists(role.name) || role.name === 'super') {
+    return res.status(400).json({ error: 'A role with that name already exists' });
   }
-  if (String(spaceId).startsWith('auto-')) {
-    return res.status(400).json({ error: 'Use /api/bookings/auto for auto-booking' });
+  const previous = { customRoles: settings.customRoles || [] };
+  settings.customRoles = [...previous.customRoles, role];
+  if (!(await saveRoleChanges(res, previous))) return;
+  recordAudit(req, 'role.create', role.name, { after: role });
+  res.json(role);
+});
+
+// Change a custom role's description or permissions.  Built-in roles are fixed.
+app.put('/api/roles/:name', adminAuth, requirePermission('roles:manage'), async (req, res) => {
+  const existing = findEditableRole(req, res);
+  if (!existing) return;
+  const { role, error } = normaliseCustomRole({ ...req.body, name: req.params.name }, req.admin);
+  if (error) return res.status(400).json({ error });
+  const previous = { customRoles: settings.customRoles };
+  settings.customRoles = previous.customRoles.map(r => (r.name === role.name ? role : r));
+  if (!(await saveRoleChanges(res, previous))) return;
+  recordAudit(req, 'role.update', role.name, { before: existing, after: role });
+  res.json(role);
+});
+
+// Remove a custom role that no admin holds any more
+app.delete('/api/roles/:name', adminAuth, requirePermission('roles:manage'), async (req, res) => {
+  const existing = findEditableRole(req, res);
+  if (!existing) return;
+  if (admins.some(a => normaliseAdminRole(a) === req.params.name)) {
+    return res.status(400).json({ error: 'Move the admins with this role to another role first' });
   }
-  const space = spaces.find(s => s.id === spaceId);
-  if (!space) {
-    return res.status(404).json({ error: 'Space not found' });
+  const previous = { customRoles: settings.customRoles, twoFactorRequiredRoles: settings.twoFactorRequiredRoles || [] };
+  settings.customRoles = previous.customRoles.filter(r => r.name !== req.params.name);
+  settings.twoFactorRequiredRoles = previous.twoFactorRequiredRoles.filter(r => r !== req.params.name);
+  if (!(await saveRoleChanges(res, previous))) return;
+  recordAudit(req, 'role.delete', existing.name, { before: existing });
+  res.json({ ok: true });
+});
+
+// ----- Audit log -----
+
+// Append-only trail of administrative and booking actions: [{ id, at,
+// actor, actorName, role, action, targetType, targetId, before, after, ip }].
+// `actor` is "admin:<id>", "booker", "kiosk:<tokenId>", "link" (an emailed
+// cancel link), "bootstrap" or "anonymous"; `action` is
+// "<targetType>.<verb>", e.g. "booking.cancel"; `before` and `after` are
+// copies of the record with secrets left out.  Each entry is appended to
+// AUDIT_FILE and, when Postgres is configured, inserted into "auditLog" as
+// it is recorded; neither is rewritten by saveData().
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const auditLog = [];
+
+// Record fields never copied into before/after
+const AUDIT_REDACTED_FIELDS = ['password', 'passwordHash', 'salt', 'totpSecret', 'recoveryCodes', 'totpLastStep', 'tokenHash', 'token', 'code'];
+
+// Copy of a record as stored in the audit log
+function auditSnapshot(record) {
+  if (record === undefined || record === null) return null;
+  const copy = JSON.parse(JSON.stringify(record));
+  if (copy && typeof copy === 'object' && !Array.isArray(copy)) {
+    AUDIT_REDACTED_FIELDS.forEach(field => delete copy[field]);
+  }
+  return copy;
+}
+
+// Actor fields of an audit entry for an admin record
+function auditAdminActor(admin) {
+  return { actor: `admin:${admin.id}`, actorName: admin.username, role: normaliseAdminRole(admin) };
+}
+
+// Actor fields of an audit entry for a kiosk token
+function auditKioskActor(token) {
+  return { actor: `kiosk:${token.id}`, actorName: token.label || '', role: 'kiosk' };
+}
+
+// Who made a request: the signed-in admin, booker or kiosk, if any
+function auditActor(req) {
+  const admin = req.admin || getRequestAdmin(req);
+  if (admin) return auditAdminActor(admin);
+  const email = req.bookerEmail || (getBookerSession(req) || {}).email;
+  if (email) return { actor: 'booker', actorName: email, role: 'booker' };
+  if (isKioskSession(req)) {
+    const id = getKioskTokenId(req);
+    return auditKioskActor(kioskTokens.find(t => t.id === id) || { id });
   }
+  return { actor: 'anonymous', actorName: '', role: null };
+}
+
+// Actor fields for whoever followed the cancel link emailed for a booking
+function cancelLinkActor(booking) {
+  return { actor: 'link', actorName: booking.email, role: null };
+}
 
-  // Prevent bookings in the past relative to America/New_York timezone.  Compute
-  // the selected start datetime and compare against the current Eastern time.
-  // This ensures server‑side enforcement even if the client omits the check.
+/**
+ * Add an entry to the audit log.  Call once the change has been made (and
+ * saved, where the route waits for that).  Failing to write the entry is
+ * logged but does not fail the request.
+ *
+ * @param {object} req Express request, for the actor and IP address
+ * @param {string} action "<targetType>.<verb>", e.g. "space.delete"
+ * @param {string|null} targetId ID of the record acted on
+ * @param {object} [details]
+ * @param {object} [details.before] The record before the change
+ * @param {object} [details.after] The record after the change
+ * @param {object} [details.actor] Actor fields to use instead of working
+ *   them out from the request, e.g. auditAdminActor(admin) at login
+ * @returns {object} The entry recorded
+ */
+function recordAudit(req, action, targetId, { before, after, actor } = {}) {
+  const entry = {
+    id: uuidv4(),
+    at: new Date().toISOString(),
+    ...(actor || auditActor(req)),
+    action,
+    targetType: action.split('.')[0],
+    targetId: targetId === undefined || targetId === null ? null : String(targetId),
+    before: auditSnapshot(before),
+    after: auditSnapshot(after),
+    ip: req.ip || null
+  };
+  auditLog.push(entry);
   try {
-    const selectedStart = new Date(`${date}T${startTime}:00`);
-    const easternNowStr = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
-    const easternNow = new Date(easternNowStr);
-    if (selectedStart < easternNow) {
-      return res.status(400).json({ error: 'Cannot book a date/time in the past' });
-    }
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
   } catch (err) {
-    // ignore date parsing errors
+    console.error('Failed to write audit log:', err);
   }
-  // Enforce maximum booking duration for single and recurring bookings
-  const [sh, sm] = startTime.split(':').map(x => parseInt(x, 10));
-  const [eh, em] = endTime.split(':').map(x => parseInt(x, 10));
-  if (!isNaN(sh) && !isNaN(sm) && !isNaN(eh) && !isNaN(em)) {
-    let startMinutes = sh * 60 + sm;
-    let endMinutes = eh * 60 + em;
-    if (endMinutes < startMinutes) {
-      // Treat overnight bookings as invalid for simplicity
-      return res.status(400).json({ error: 'End time must be after start time' });
-    }
-    const diffMin = endMinutes - startMinutes;
-    if (diffMin > MAX_BOOKING_HOURS * 60) {
-      return res.status(400).json({ error: `Bookings cannot exceed ${MAX_BOOKING_HOURS} hours` });
-    }
+  if (db) {
+    db.query(
+      'INSERT INTO "auditLog" (id, at, actor, "actorName", role, action, "targetType", "targetId", before, after, ip) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)',
+      [entry.id, entry.at, entry.actor, entry.actorName, entry.role, entry.action, entry.targetType, entry.targetId,
+        JSON.stringify(entry.before), JSON.stringify(entry.after), entry.ip]
+    ).catch(err => console.error('Failed to save audit entry:', err));
   }
-  // Check availability for the first occurrence of a recurring booking or single booking
-  const rec = recurringInput && typeof recurringInput === 'object' ? recurringInput : false;
-  // If recurring, the provided date is the first occurrence. We still need
-  // to ensure that date/time is free.
-  if (!isSpaceAvailable(spaceId, date, startTime, endTime)) {
-    return res.status(400).json({ error: 'Space is not available for the requested time' });
-  }
-  // For recurring bookings check that future occurrences within one year do not
-  // conflict with existing bookings.  If a conflict is detected the booking
-  // cannot be created.
-  if (rec && !checkRecurringAvailability(spaceId, date, startTime, endTime, rec)) {
-    return res.status(400).json({ error: 'Recurring booking conflicts with an existing booking in a future period' });
+  return entry;
+}
+
+/**
+ * Load the audit log from Postgres when configured, otherwise from
+ * AUDIT_FILE.  A line of the file that cannot be parsed (e.g. one cut
+ * short by a crash) is skipped.
+ */
+async function loadAuditLog() {
+  if (db) {
+    try {
+      const result = await db.query('SELECT id, at, actor, "actorName", role, action, "targetType", "targetId", before, after, ip FROM "auditLog" ORDER BY at');
+      auditLog.splice(0, auditLog.length, ...result.rows);
+      return;
+    } catch (err) {
+      console.error('Failed to load audit log from database:', err);
+    }
   }
-  const id = uuidv4();
-  const booking = {
-    id,
-    name,
-    email: emailNormalized,
-    spaceId,
-    date,
-    startTime,
-    endTime,
-    recurring: rec,
-    checkedIn: false
-  };
-  bookings.push(booking);
-  // Persist changes. Await the promise so the booking is fully
-  // committed to the database (or JSON file) before responding. If
-  // persistence fails, surface the error so the client is aware that
-  // the booking was not saved.
   try {
-    await saveData();
-    // After saving, reload the in‑memory state from the database (if
-    // configured). This ensures that subsequent queries see the
-    // freshest data. Errors during reload are logged but non‑fatal.
-    if (db) {
+    if (!fs.existsSync(AUDIT_FILE)) return;
+    const entries = [];
+    for (const line of fs.readFileSync(AUDIT_FILE, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
       try {
-        await loadData();
-      } catch (err) {
-        console.error('Error reloading data after booking', err);
+        entries.push(JSON.parse(line));
+      } catch (_) {
+        console.error('Skipping unreadable audit log line');
       }
     }
+    auditLog.splice(0, auditLog.length, ...entries);
   } catch (err) {
-    console.error('Error saving new booking', err);
-    return res.status(500).json({ error: 'Failed to save booking' });
+    console.error('Failed to load audit log from file:', err);
   }
-  // Send booking confirmation email asynchronously.  Construct a cancel URL
-  // using either APP_BASE_URL (when set) or the current request's host.  The
-  // confirmation includes basic booking details and a cancel link.
-  (async () => {
+}
+
+// Parse the from/to query of GET /api/audit.  A bare date covers the whole
+// (UTC) day, so `to` moves to the start of the next day.
+function parseAuditBound(value, isEnd) {
+  if (value === undefined || value === '') return { bound: null, error: null };
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (isNaN(time)) {
+    return { bound: null, error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' };
+  }
+  if (parseIsoDate(value)) {
+    return { bound: `${isEnd ? addDays(value, 1) : value}T00:00:00.000Z`, error: null };
+  }
+  return { bound: new Date(time).toISOString(), error: null };
+}
+
+/**
+ * Search the audit log, newest first.  With Postgres the search runs in the
+ * database, so it covers entries recorded by other instances sharing it;
+ * otherwise (or should the query fail) it runs over auditLog.
+ *
+ * @param {object} filter { actor, action, targetType, targetId, from, to },
+ *   as for the Postgres store's queryAudit()
+ * @param {{limit: number|null, offset: number}} page A null limit returns
+ *   every match
+ * @returns {Promise<{total: number, entries: object[]}>}
+ */
+async function queryAuditLog(filter, { limit, offset }) {
+  if (pgStore && pgStore.queryAudit) {
     try {
-      const spaceName = spaces.find(s => s.id === spaceId)?.name || spaceId;
-      const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
-      const cancelLink = `${baseUrl}/cancel/${id}`;
-      // Use helper to build and send booking confirmation email
-      await sendBookingConfirmationEmail(
-        name,
-        emailNormalized,
-        spaceName,
-        date,
-        startTime,
-        endTime,
-        cancelLink
-      );
+      return await pgStore.queryAudit(filter, { limit, offset });
     } catch (err) {
-      console.error('Error sending booking confirmation', err);
+      console.error('Failed to search audit log in database:', err);
     }
-  })();
-  res.json({ id });
-});
+  }
+  const { actor, action, targetType, targetId, from, to } = filter;
+  const actorName = actor ? actor.toLowerCase() : null;
+  const matches = auditLog.filter(e =>
+    (!actor || e.actor === actor || (e.actorName || '').toLowerCase() === actorName) &&
+    (!action || e.action === action || e.action.startsWith(`${action}.`)) &&
+    (!targetType || e.targetType === targetType) &&
+    (!targetId || e.targetId === targetId) &&
+    (!from || e.at >= from) &&
+    (!to || e.at < to)
+  ).reverse();
+  return { total: matches.length, entries: limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit) };
+}
 
-// Cancel a booking by ID (admin only)
-app.delete('/api/bookings/:id', adminAuth, (req, res) => {
-  // Only owners and admins can delete bookings
-  if (!['owner','superadmin','admin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
+/**
+ * Search the audit log, newest first.  Query parameters, all optional:
+ *   actor: actor ("admin:<id>", "booker", ...) or actor name (e.g. an email)
+ *   action: an action ("booking.cancel") or target type ("booking")
+ *   targetType, targetId: the record acted on
+ *   from, to: date (YYYY-MM-DD, inclusive) or ISO timestamp bounds
+ *   limit (default 100, at most 1000), offset
+ *   format: "csv" to download every matching entry as CSV
+ * JSON responses are { total, entries }.
+ */
+app.get('/api/audit', adminAuth, requirePermission('audit:read'), async (req, res) => {
+  const from = parseAuditBound(req.query.from, false);
+  const to = parseAuditBound(req.query.to, true);
+  if (from.error || to.error) {
+    return res.status(400).json({ error: from.error || to.error });
   }
-  const { id } = req.params;
-  const index = bookings.findIndex(b => b.id === id);
-  if (index >= 0) {
-    const [removed] = bookings.splice(index, 1);
-    const space = spaces.find(s => s.id === removed.spaceId);
-    // Persist changes
-    saveData().catch(err => console.error('Failed to save data:', err));
+  const text = value => (typeof value === 'string' && value ? value : null);
+  const filter = {
+    actor: text(req.query.actor),
+    action: text(req.query.action),
+    targetType: text(req.query.targetType),
+    targetId: text(req.query.targetId),
+    from: from.bound,
+    to: to.bound
+  };
 
-    // Send a cancellation email matching the public cancel link behaviour
-    try {
-      const spaceName = (spaces.find(s => s.id === removed.spaceId) || {}).name || removed.spaceId;
-      const formattedDate = toUsDate(removed.date);
-      const formattedStart = toUsTime(removed.startTime);
-      const formattedEnd = toUsTime(removed.endTime);
-      const subject = `Booking Cancelled: ${spaceName} on ${formattedDate}`;
-      const body =
-        `Hello ${removed.name},
+  if (req.query.format === 'csv') {
+    const matches = (await queryAuditLog(filter, { limit: null, offset: 0 })).entries;
+    const headers = ['Time', 'Actor', 'ActorName', 'Role', 'Action', 'TargetType', 'TargetId', 'IP', 'Before', 'After'];
+    const rows = [headers.join(',')];
+    matches.forEach(e => {
+      rows.push([
+        e.at, e.actor, e.actorName || '', e.role || '', e.action, e.targetType, e.targetId || '', e.ip || '',
+        e.before === null ? '' : JSON.stringify(e.before),
+        e.after === null ? '' : JSON.stringify(e.after)
+      ].map(escapeCsv).join(','));
+    });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    return res.send(rows.join('\r\n'));
+  }
 
-` +
-        `Your booking for ${spaceName} on ${formattedDate} from ${formattedStart} to ${formattedEnd} has been cancelled.
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json(await queryAuditLog(filter, { limit, offset }));
+});
 
-` +
-        `If this was a mistake, you can create a new booking at any time.
+// ----- Backups -----
 
-` +
-        `Regards,
-` +
-        `Focus Booking`;
-      // Use the same sendEmail helper as the public cancel route
-      sendEmail(removed.email, subject, body).catch(err => {
-        console.error('Error sending cancellation email (admin delete)', err);
-      });
-    } catch (err) {
-      console.error('Failed to send cancellation email (admin delete):', err);
-    }
-res.json({ ok: true });
-  } else {
-    res.status(404).json({ error: 'Booking not found' });
-  }
-});
+// A snapshot as listed by the API, with the retention tiers keeping it
+function toSnapshotResponse(snapshot, kept) {
+  return { id: snapshot.id, createdAt: snapshot.createdAt, size: snapshot.size, tiers: kept.get(snapshot.id) || [] };
+}
 
-// Public cancellation link. Allows a user to cancel their own booking via a unique URL.
-// When accessed, this removes the booking from the system, persists the change,
-// sends a cancellation email and returns a simple HTML response indicating the result.
-app.get('/cancel/:id', async (req, res) => {
-  const { id } = req.params;
-  const index = bookings.findIndex(b => b.id === id);
-  if (index >= 0) {
-    const [removed] = bookings.splice(index, 1);
-    // Persist booking removal to storage
-    try {
-      await saveData();
-    } catch (err) {
-      console.error('Failed to save data after cancellation:', err);
-    }
-    // Send a cancellation email to the user.  Include formatted booking details.
-    try {
-      const spaceName = spaces.find(s => s.id === removed.spaceId)?.name || removed.spaceId;
-      const subject = 'Booking Cancelled';
-      // Format date and time values for user readability
-      const formattedDate = formatDateMMDDYYYY(removed.date);
-      const formattedStart = formatTimeTo12H(removed.startTime);
-      const formattedEnd = formatTimeTo12H(removed.endTime);
-      const body =
-        `Hello ${removed.name},\n\n` +
-        `Your booking for ${spaceName} on ${formattedDate} from ${formattedStart} to ${formattedEnd} has been cancelled.\n\n` +
-        `Thank you.`;
-      await sendEmail(removed.email, subject, body);
-    } catch (err) {
-      console.error('Error sending cancellation email', err);
-    }
-    // Respond with a confirmation page including a link back to the booking page
-    return res.send(
-      '<html><head><title>Booking Cancelled</title></head><body>' +
-      '<h1>Booking Cancelled</h1>' +
-      '<p>Your booking has been successfully cancelled.</p>' +
-      '<p><a href="/index.html">Return to bookings page</a></p>' +
-      '</body></html>'
-    );
-  }
-  // If the booking does not exist, respond with a not found page
-  return res.status(404).send(
-    '<html><head><title>Booking Not Found</title></head><body>' +
-    '<h1>Booking Not Found</h1>' +
-    '<p>The booking you are trying to cancel does not exist.</p>' +
-    '</body></html>'
-  );
+// Snapshots of all data, newest first, as { snapshots: [...] }
+app.get('/api/backups', adminAuth, requirePermission('backups:manage'), (req, res) => {
+  const snapshots = listSnapshots();
+  const kept = snapshotRetention(snapshots);
+  res.json({ snapshots: snapshots.map(s => toSnapshotResponse(s, kept)) });
 });
 
-// Availability: returns spaces that are free for a given date/time range.
-// Query parameters:
-//   date: YYYY‑MM‑DD (required)
-//   start: HH:MM 24h (required)
-//   end: HH:MM 24h (required)
-//   type: optional space type filter (desk, office, conference)
-app.get('/api/availability', (req, res) => {
-  const { date, start: startTime, end: endTime, type } = req.query;
-  if (!date || !startTime || !endTime) {
-    return res.status(400).json({ error: 'Missing date or time parameters' });
-  }
-  let available = spaces.filter(s => {
-    if (type && s.type !== type) return false;
-    return isSpaceAvailable(s.id, date, startTime, endTime);
+// Download a snapshot.  It holds everything, password hashes included, so
+// each download is audited.
+// Collections left out of downloaded snapshots: sessions and calendar feed
+// links would let whoever holds the file act as their owners
+const SNAPSHOT_DOWNLOAD_OMITTED = ['adminSessions', 'bookerSessions', 'calendarFeeds'];
+
+// A snapshot's data as downloaded: without sessions or feed links, and with
+// the passwords, 2FA secrets and kiosk codes left out as in the audit log.
+// Restoring reads the full file on the server, so nothing is lost to it.
+function downloadableSnapshot(data) {
+  const copy = { ...data };
+  SNAPSHOT_DOWNLOAD_OMITTED.forEach(name => delete copy[name]);
+  ['admins', 'kioskTokens'].forEach(name => {
+    if (Array.isArray(copy[name])) copy[name] = copy[name].map(auditSnapshot);
   });
-  res.json(available);
-});
+  return copy;
+}
 
-// Auto-book: automatically assign the next available space of a given type.
-app.get('/api/bookings/auto', async (req, res) => {
+app.get('/api/backups/:id', adminAuth, requirePermission('backups:manage'), (req, res) => {
+  const snapshot = findSnapshot(req.params.id);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  let data;
   try {
-    const { type, date, start: startTime, end: endTime, name, email } = req.query;
-    if (!type || !date || !startTime || !endTime || !name || !email) {
-      return res.status(400).json({ error: 'Missing parameters for auto-booking' });
-    }
-    // Enforce company email domain for auto bookings (trim and normalise case)
-    const emailNormalized = String(email).trim().toLowerCase();
-    if (!emailNormalized.endsWith('@fbhi.net')) {
-      return res.status(400).json({ error: 'Email must be a @fbhi.net address' });
-    }
+    data = downloadableSnapshot(readSnapshot(snapshot));
+  } catch (err) {
+    console.error('Failed to read snapshot:', err);
+    return res.status(500).json({ error: 'Snapshot could not be read' });
+  }
+  recordAudit(req, 'backup.download', snapshot.id);
+  res.attachment(`${snapshot.id}.json`).type('json').send(JSON.stringify(data, null, 2));
+});
 
-    // Prevent bookings in the past relative to America/New_York timezone.  Compute
-    // the selected start datetime and compare against the current Eastern time.
-    try {
-      const selectedStart = new Date(`${date}T${startTime}:00`);
-      const easternNowStr = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
-      const easternNow = new Date(easternNowStr);
-      if (selectedStart < easternNow) {
-        return res.status(400).json({ error: 'Cannot book a date/time in the past' });
-      }
-    } catch (err) {
-      // ignore parse errors
-    }
-    const candidates = spaces
-      .filter(s => s.type === type)
-      .sort((a, b) => (a.priorityOrder || 0) - (b.priorityOrder || 0));
-    for (const space of candidates) {
-      if (isSpaceAvailable(space.id, date, startTime, endTime)) {
-        const id = uuidv4();
-        const booking = {
-          id,
-          name,
-          email: emailNormalized,
-          spaceId: space.id,
-          date,
-          startTime,
-          endTime,
-          recurring: false,
-          checkedIn: false
-        };
-        bookings.push(booking);
-        // Persist immediately so that cancellation link works even if the process restarts.
-        // Await persistence and optionally reload data from the database to avoid races
-        try {
-          await saveData();
-          if (db) {
-            try {
-              await loadData();
-            } catch (err) {
-              console.error('Error reloading data after auto booking', err);
-            }
-          }
-        } catch (err) {
-          console.error('Error saving new auto booking', err);
-          return res.status(500).json({ error: 'Failed to save auto booking' });
-        }
-        // Send booking confirmation email asynchronously
-        (async () => {
-          try {
-            const spaceName = space.name;
-            const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
-            const cancelLink = `${baseUrl}/cancel/${id}`;
-            await sendBookingConfirmationEmail(
-              name,
-              emailNormalized,
-              spaceName,
-              date,
-              startTime,
-              endTime,
-              cancelLink,
-              'auto'
-            );
-          } catch (err) {
-            console.error('Error sending booking confirmation (auto)', err);
-          }
-        })();
-        return res.json({ id, spaceName: space.name });
-      }
-    }
-    return res.status(404).json({ error: 'No spaces available for the requested time' });
+/**
+ * Restore a snapshot.  With { dryRun: true } nothing changes and the
+ * response only says what would: { dryRun, snapshot, changes } where
+ * changes is { collections: { bookings: { added, removed, changed }, ... },
+ * settings: [keys], orphanedBookings } (bookings left out because their
+ * space is not in the snapshot).  Otherwise the response also names the snapshot of
+ * the data as it was (undoSnapshot), which can be restored in turn.
+ * Sessions are not restored, so no one is signed out or back in.
+ */
+app.post('/api/backups/:id/restore', adminAuth, requirePermission('backups:manage'), async (req, res) => {
+  const snapshot = findSnapshot(req.params.id);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  let data;
+  let changes;
+  try {
+    data = readSnapshot(snapshot);
+    changes = diffData(await currentData(), data);
   } catch (err) {
-    // Catch any unexpected errors to avoid crashing the process and return a 500
-    console.error('Auto booking unexpected error:', err);
-    return res.status(500).json({ error: 'internal-error' });
+    console.error('Failed to read snapshot:', err);
+    return res.status(500).json({ error: 'Snapshot could not be read' });
+  }
+  const dryRun = !!(req.body && req.body.dryRun);
+  if (dryRun) {
+    return res.json({ dryRun, snapshot: snapshot.id, changes });
   }
+  let undo;
+  try {
+    undo = await restoreData(data);
+  } catch (err) {
+    console.error('Failed to restore snapshot:', err);
+    return res.status(500).json({ error: 'Failed to restore snapshot' });
+  }
+  recordAudit(req, 'backup.restore', snapshot.id, { before: { snapshot: undo.id }, after: { snapshot: snapshot.id, changes } });
+  res.json({ dryRun, snapshot: snapshot.id, undoSnapshot: undo.id, changes });
 });
 
-// Admin user management
-app.get('/api/admins', adminAuth, (req, res) => {
-  // Only owners and admins can list admin users
-  if (!['owner','superadmin','admin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  res.json(admins.map(a => ({ id: a.id, username: a.username, role: a.role || 'admin' })));
+// ----- Site settings -----
+
+// Settings as returned by GET/PUT /api/settings
+function publicSettings() {
+  return {
+    timeZone: getSiteTimeZone(),
+    resultsPerPage: settings.resultsPerPage,
+    closedOccurrencePolicy: settings.closedOccurrencePolicy,
+    allowedDomains: settings.allowedDomains,
+    twoFactorRequiredRoles: settings.twoFactorRequiredRoles || [],
+    today: siteToday()
+  };
+}
+
+// Public view of the site settings.  The booking pages use the timezone to
+// work out "today" the same way the server does.
+app.get('/api/settings', (req, res) => {
+  res.json(publicSettings());
 });
 
-app.post('/api/admins', adminAuth, (req, res) => {
-  // Only owners can add new admins
-  if (!['owner','superadmin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Update site settings.  Accepts any of timeZone (an IANA
+// name such as "America/New_York"), resultsPerPage (1‑50) and
+// closedOccurrencePolicy ("skip" or "reject").
+app.put('/api/settings', adminAuth, requirePermission('settings:manage'), async (req, res) => {
+  const body = req.body || {};
+  const next = {};
+  if (body.timeZone !== undefined) {
+    if (!isValidTimeZone(body.timeZone)) {
+      return res.status(400).json({ error: 'Unknown time zone' });
+    }
+    next.timeZone = body.timeZone;
   }
-  const { username, password, role } = req.body;
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Missing username or password' });
+  if (body.resultsPerPage !== undefined) {
+    const n = Number(body.resultsPerPage);
+    if (!Number.isInteger(n) || n < 1 || n > 50) {
+      return res.status(400).json({ error: 'Results per page must be between 1 and 50' });
+    }
+    next.resultsPerPage = n;
   }
-  const roleNormalized = (role && typeof role === 'string') ? role.toLowerCase() : 'admin';
-  if (!ROLES.includes(roleNormalized) || roleNormalized === 'owner') {
-    // Prevent creation of new owners via API
-    return res.status(400).json({ error: 'Invalid role' });
+  if (body.closedOccurrencePolicy !== undefined) {
+    if (!['skip', 'reject'].includes(body.closedOccurrencePolicy)) {
+      return res.status(400).json({ error: 'Closed day policy must be "skip" or "reject"' });
+    }
+    next.closedOccurrencePolicy = body.closedOccurrencePolicy;
   }
-  if (admins.find(a => a.username === username)) {
-    return res.status(400).json({ error: 'Admin already exists' });
+  if (body.twoFactorRequiredRoles !== undefined) {
+    const roles = body.twoFactorRequiredRoles;
+    if (!Array.isArray(roles) || !roles.every(roleExists)) {
+      return res.status(400).json({ error: 'Two-factor roles must be a list of existing roles' });
+    }
+    next.twoFactorRequiredRoles = [...new Set(roles)];
   }
-  const creds = hashPassword(password);
-  const id = uuidv4();
-  admins.push({ id, username, passwordHash: creds.hash, salt: creds.salt, role: roleNormalized });
-  saveData().catch(err => console.error('Failed to save data:', err));
-  res.json({ id });
+  const previous = { ...settings };
+  Object.assign(settings, next);
+  try {
+    await saveData({ settings: Object.keys(next) });
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+    Object.assign(settings, previous);
+    return res.status(500).json({ error: 'Failed to save settings' });
+  }
+  const before = {};
+  Object.keys(next).forEach(key => { before[key] = previous[key]; });
+  recordAudit(req, 'settings.update', null, { before, after: next });
+  res.json(publicSettings());
 });
 
-app.delete('/api/admins/:id', adminAuth, (req, res) => {
-  // Only owners can delete admins
-  if (!['owner','superadmin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Email allowlist: domains whose addresses may book, plus individually
+// allowed external addresses with an optional expiry date.
+app.get('/api/email-allowlist', adminAuth, requirePermission('allowlist:manage'), (req, res) => {
+  const today = siteToday();
+  res.json({
+    domains: settings.allowedDomains,
+    emails: settings.allowedEmails.map(e => ({ ...e, expired: !!e.expiresAt && e.expiresAt < today }))
+  });
+});
+
+// Replace the allowlist.  Body: { domains: ['fbhi.net'], emails: [{ email,
+// expiresAt: 'YYYY-MM-DD' | null, note }] }.
+app.put('/api/email-allowlist', adminAuth, requirePermission('allowlist:manage'), async (req, res) => {
+  const { allowlist, error } = normaliseAllowlist(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  const { id } = req.params;
-  const index = admins.findIndex(a => a.id === id);
-  if (index >= 0) {
-    // Prevent removal of the last owner
-    const adminToRemove = admins[index];
-    if (adminToRemove.role === 'owner') {
-      // Count number of owners
-      const ownerCount = admins.reduce((acc, a) => acc + (a.role === 'owner' ? 1 : 0), 0);
-      if (ownerCount <= 1) {
-        return res.status(400).json({ error: 'Cannot delete the only owner' });
-      }
-    }
-    admins.splice(index, 1);
-    saveData().catch(err => console.error('Failed to save data:', err));
-    res.json({ ok: true });
-  } else {
-    res.status(404).json({ error: 'Admin not found' });
+  const previous = { allowedDomains: settings.allowedDomains, allowedEmails: settings.allowedEmails };
+  settings.allowedDomains = allowlist.domains;
+  settings.allowedEmails = allowlist.emails;
+  try {
+    await saveData({ settings: ['allowedDomains', 'allowedEmails'] });
+  } catch (err) {
+    console.error('Failed to save email allowlist:', err);
+    Object.assign(settings, previous);
+    return res.status(500).json({ error: 'Failed to save allowlist' });
   }
+  recordAudit(req, 'allowlist.update', null, {
+    before: { domains: previous.allowedDomains, emails: previous.allowedEmails },
+    after: allowlist
+  });
+  res.json(allowlist);
 });
 
 // ----- Kiosk and analytics routes -----
 
 // Return bookings for the current day (including recurring bookings that occur on the current day).
-// Only accessible from authenticated kiosk sessions.
+// Only accessible from authenticated kiosk sessions.  A kiosk whose token is
+// scoped to a location only sees that location's bookings, and "today" is
+// worked out in the location's timezone.
 app.get('/api/bookings/today', (req, res) => {
   if (!isKioskSession(req)) {
     return res.status(403).json({ error: 'Access denied' });
   }
-  const today = new Date().toISOString().slice(0, 10);
-  const result = bookings.filter(b => b.date === today || isRecurringOnDate(today, getRecurring(b))).map(b => {
-    const space = spaces.find(s => s.id === b.spaceId);
-    return {
+  const locationId = getKioskLocationId(req);
+  const now = exports.currentTime();
+  const result = [];
+  bookings.forEach(b => {
+    const location = getSpaceLocation(b.spaceId);
+    if (locationId && location.id !== locationId) return;
+    const occ = getOccurrence(b, zonedDateTime(now, getLocationTimeZone(location)).date);
+    if (!occ) return;
+    const space = spaces.find(s => s.id === occ.spaceId);
+    result.push({
       id: b.id,
       name: b.name,
       email: b.email,
       spaceName: space ? space.name : '',
       date: b.date,
-      startTime: b.startTime,
-      endTime: b.endTime,
+      startTime: occ.startTime,
+      endTime: occ.endTime,
       checkedIn: !!b.checkedIn
-    };
+    });
   });
   res.json(result);
 });
@@ -1760,7 +5793,8 @@ app.post('/api/bookings/:id/checkin', async (req, res) => {
   }
   const { id } = req.params;
   const booking = bookings.find(b => b.id === id);
-  if (!booking) {
+  const locationId = getKioskLocationId(req);
+  if (!booking || (locationId && getSpaceLocation(booking.spaceId).id !== locationId)) {
     return res.status(404).json({ error: 'Booking not found' });
   }
   // Prevent double check‑in by checking for an existing checkInTime or checkedIn flag.
@@ -1774,15 +5808,56 @@ app.post('/api/bookings/:id/checkin', async (req, res) => {
   booking.checkedIn = true;
   try {
     // Await saveData to ensure database transactions do not overlap.
-    await saveData();
+    await saveData({ save: { bookings: [booking] } });
   } catch (err) {
     console.error('Failed to persist check‑in:', err);
     // Continue to respond OK even if persistence fails, since the in‑memory
     // state is updated. The error is logged for troubleshooting.
   }
+  recordAudit(req, 'booking.checkin', booking.id, { after: { checkInTime: booking.checkInTime } });
   res.json({ ok: true });
 });
 
+/**
+ * Resolve the date range shared by the analytics endpoints.  A valid custom
+ * `start`/`end` pair (YYYY‑MM‑DD) wins; otherwise `period` selects the
+ * current month (default), quarter, year or year to date, counted from
+ * today in the site timezone.  The bounds are returned as UTC midnight of
+ * the first day and 23:59:59 UTC of the last day, matching how occurrence
+ * dates are compared (new Date('YYYY-MM-DD') is UTC midnight).
+ *
+ * @param {string} [period] month | quarter | year | ytd
+ * @param {string} [start] Custom range start date
+ * @param {string} [end] Custom range end date
+ * @returns {{startDate: Date, endDate: Date}}
+ */
+function resolveAnalyticsRange(period, start, end) {
+  const endOfDay = dateStr => new Date(`${dateStr}T23:59:59Z`);
+  const s = parseIsoDate(start);
+  const e = parseIsoDate(end);
+  if (s && e && s <= e) {
+    return { startDate: s, endDate: endOfDay(end) };
+  }
+  const today = siteToday();
+  const year = Number(today.slice(0, 4));
+  const month = Number(today.slice(5, 7)) - 1;
+  // Last calendar day of a (possibly overflowing) month index as YYYY‑MM‑DD
+  const monthEnd = m => new Date(Date.UTC(year, m + 1, 0)).toISOString().slice(0, 10);
+  switch ((period || '').toLowerCase()) {
+    case 'quarter': {
+      const qStartMonth = Math.floor(month / 3) * 3;
+      return { startDate: new Date(Date.UTC(year, qStartMonth, 1)), endDate: endOfDay(monthEnd(qStartMonth + 2)) };
+    }
+    case 'year':
+      return { startDate: new Date(Date.UTC(year, 0, 1)), endDate: endOfDay(`${year}-12-31`) };
+    case 'ytd':
+      return { startDate: new Date(Date.UTC(year, 0, 1)), endDate: endOfDay(today) };
+    case 'month':
+    default:
+      return { startDate: new Date(Date.UTC(year, month, 1)), endDate: endOfDay(monthEnd(month)) };
+  }
+}
+
 // Analytics endpoint. Returns aggregated booking data for office spaces.
 // Supports filtering by time range via query parameters.  Use `period`
 // query parameter to select a predefined range: `month`, `quarter`, `year`,
@@ -1790,57 +5865,10 @@ app.post('/api/bookings/:id/checkin', async (req, res) => {
 // `start` and `end` in YYYY‑MM‑DD format.  The response groups results by
 // user email and includes counts of bookings by day of the week as well as
 // total hours spent checked in vs not checked in.
-app.get('/api/analytics', adminAuth, (req, res) => {
-  // Only owners, admins, superadmins and analysts can access analytics
-  // Permit superadmins as they have full administrative privileges.
-  if (!['owner','admin','superadmin','analyst'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/analytics', adminAuth, requirePermission('analytics:read'), (req, res) => {
   // Determine date range from query parameters
   const { period, start, end } = req.query;
-  let startDate;
-  let endDate;
-  const now = new Date();
-  if (start && end) {
-    // Custom range
-    const s = new Date(start);
-    const e = new Date(end);
-    if (!isNaN(s.getTime()) && !isNaN(e.getTime()) && s <= e) {
-      startDate = s;
-      // Add 23h59m to end date to include entire day
-      endDate = new Date(e.getFullYear(), e.getMonth(), e.getDate(), 23, 59, 59);
-    }
-  }
-  if (!startDate || !endDate) {
-    // Predefined ranges relative to today
-    const year = now.getFullYear();
-    switch ((period || '').toLowerCase()) {
-      case 'quarter': {
-        const quarter = Math.floor(now.getMonth() / 3);
-        const qStartMonth = quarter * 3;
-        startDate = new Date(year, qStartMonth, 1);
-        endDate = new Date(year, qStartMonth + 3, 0, 23, 59, 59);
-        break;
-      }
-      case 'year': {
-        startDate = new Date(year, 0, 1);
-        endDate = new Date(year, 11, 31, 23, 59, 59);
-        break;
-      }
-      case 'ytd': {
-        startDate = new Date(year, 0, 1);
-        endDate = now;
-        break;
-      }
-      case 'month':
-      default: {
-        // Default to current month
-        startDate = new Date(year, now.getMonth(), 1);
-        endDate = new Date(year, now.getMonth() + 1, 0, 23, 59, 59);
-        break;
-      }
-    }
-  }
+  const { startDate, endDate } = resolveAnalyticsRange(period, start, end);
   // Filter bookings to include only those whose space is an office
   const officeBookings = bookings.filter(b => {
     const space = spaces.find(s => s.id === b.spaceId);
@@ -1864,18 +5892,22 @@ app.get('/api/analytics', adminAuth, (req, res) => {
     }
     const entry = analyticsMap[email];
     // Helper to process a single occurrence
-    function processOccurrence(dateStr) {
+    function processOccurrence(occ) {
+      const dateStr = occ.date;
       const d = new Date(dateStr);
       if (isNaN(d.getTime())) return;
       // Check if within range (inclusive)
       if (d < startDate || d > endDate) return;
-      const dow = d.getDay();
+      // An override may move a single occurrence out of an office
+      const occSpace = spaces.find(s => s.id === occ.spaceId);
+      if (!occSpace || occSpace.type !== 'office') return;
+      const dow = d.getUTCDay();
       const dayName = dayNames[dow];
       entry.dayOfWeekCounts[dayName] = (entry.dayOfWeekCounts[dayName] || 0) + 1;
       entry.bookingsCount++;
       // Compute duration
-      const [sh, sm] = b.startTime.split(':').map(x => parseInt(x, 10));
-      const [eh, em] = b.endTime.split(':').map(x => parseInt(x, 10));
+      const [sh, sm] = occ.startTime.split(':').map(x => parseInt(x, 10));
+      const [eh, em] = occ.endTime.split(':').map(x => parseInt(x, 10));
       if (!isNaN(sh) && !isNaN(sm) && !isNaN(eh) && !isNaN(em)) {
         let startMinutes = sh * 60 + sm;
         let endMinutes = eh * 60 + em;
@@ -1893,24 +5925,17 @@ app.get('/api/analytics', adminAuth, (req, res) => {
     // For recurring bookings, iterate through occurrences within range
     const rec = getRecurring(b);
     if (rec && typeof rec === 'object') {
-      // Start at either booking.date or startDate, whichever is later
-      const startIter = new Date(b.date > startDate.toISOString().slice(0,10) ? b.date : startDate.toISOString().slice(0,10));
-      const endIter = new Date(endDate);
-      // Normalise to midnight
-      startIter.setHours(0,0,0,0);
-      endIter.setHours(0,0,0,0);
-      const currentDate = new Date(startIter);
-      while (currentDate <= endIter) {
-        const dateStr = currentDate.toISOString().slice(0, 10);
-        // Only consider dates on or after the first booking date
-        if (dateStr >= b.date && isRecurringOnDate(dateStr, rec)) {
-          processOccurrence(dateStr);
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
+      // Walk the site‑local calendar dates from the later of the booking's
+      // first date and the start of the range
+      const rangeStart = startDate.toISOString().slice(0, 10);
+      const rangeEnd = endDate.toISOString().slice(0, 10);
+      for (let dateStr = b.date > rangeStart ? b.date : rangeStart; dateStr <= rangeEnd; dateStr = addDays(dateStr, 1)) {
+        const occ = getOccurrence(b, dateStr);
+        if (occ) processOccurrence(occ);
       }
     } else {
       // Single booking: process if within range
-      processOccurrence(b.date);
+      processOccurrence(getOccurrence(b, b.date));
     }
   });
   // Convert map to an array and format totals as hours
@@ -1933,56 +5958,14 @@ app.get('/api/analytics', adminAuth, (req, res) => {
 // bookings for the selected period.  Includes monthly booking counts,
 // monthly check‑in hours, monthly no‑show hours and overall utilisation
 // percentage (booked hours vs total available hours for all offices).
-app.get('/api/analytics-summary', adminAuth, (req, res) => {
-  // Only owners, admins, superadmins and analysts can access summary
-  if (!['owner','admin','superadmin','analyst'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/analytics-summary', adminAuth, requirePermission('analytics:read'), (req, res) => {
   const { period, start, end } = req.query;
   // Determine date range using same logic as analytics endpoint
-  let startDate;
-  let endDate;
-  const now = new Date();
-  if (start && end) {
-    const s = new Date(start);
-    const e = new Date(end);
-    if (!isNaN(s.getTime()) && !isNaN(e.getTime()) && s <= e) {
-      startDate = s;
-      endDate = new Date(e.getFullYear(), e.getMonth(), e.getDate(), 23, 59, 59);
-    }
-  }
-  if (!startDate || !endDate) {
-    const year = now.getFullYear();
-    switch ((period || '').toLowerCase()) {
-      case 'quarter': {
-        const quarter = Math.floor(now.getMonth() / 3);
-        const qStartMonth = quarter * 3;
-        startDate = new Date(year, qStartMonth, 1);
-        endDate = new Date(year, qStartMonth + 3, 0, 23, 59, 59);
-        break;
-      }
-      case 'year': {
-        startDate = new Date(year, 0, 1);
-        endDate = new Date(year, 11, 31, 23, 59, 59);
-        break;
-      }
-      case 'ytd': {
-        startDate = new Date(year, 0, 1);
-        endDate = now;
-        break;
-      }
-      case 'month':
-      default: {
-        startDate = new Date(year, now.getMonth(), 1);
-        endDate = new Date(year, now.getMonth() + 1, 0, 23, 59, 59);
-        break;
-      }
-    }
-  }
+  const { startDate, endDate } = resolveAnalyticsRange(period, start, end);
   // Utility to format month key as YYYY-MM
   function monthKey(dateObj) {
-    const y = dateObj.getFullYear();
-    const m = (dateObj.getMonth() + 1).toString().padStart(2, '0');
+    const y = dateObj.getUTCFullYear();
+    const m = (dateObj.getUTCMonth() + 1).toString().padStart(2, '0');
     return `${y}-${m}`;
   }
   // Initialise accumulators
@@ -1997,14 +5980,18 @@ app.get('/api/analytics-summary', adminAuth, (req, res) => {
   });
   // Iterate bookings and occurrences
   officeBookings.forEach(b => {
-    function processOccurrence(dateStr) {
+    function processOccurrence(occ) {
+      const dateStr = occ.date;
       const d = new Date(dateStr);
       if (isNaN(d.getTime())) return;
       if (d < startDate || d > endDate) return;
+      // An override may move a single occurrence out of an office
+      const occSpace = spaces.find(s => s.id === occ.spaceId);
+      if (!occSpace || occSpace.type !== 'office') return;
       const key = monthKey(d);
       // Compute minutes for the occurrence
-      const [sh, sm] = b.startTime.split(':').map(n => parseInt(n,10));
-      const [eh, em] = b.endTime.split(':').map(n => parseInt(n,10));
+      const [sh, sm] = occ.startTime.split(':').map(n => parseInt(n, 10));
+      const [eh, em] = occ.endTime.split(':').map(n => parseInt(n,10));
       if (isNaN(sh) || isNaN(sm) || isNaN(eh) || isNaN(em)) return;
       let diff = (eh * 60 + em) - (sh * 60 + sm);
       if (diff < 0) diff = 0;
@@ -2019,20 +6006,16 @@ app.get('/api/analytics-summary', adminAuth, (req, res) => {
     }
     const rec = getRecurring(b);
     if (rec && typeof rec === 'object') {
-      const startIter = new Date(b.date > startDate.toISOString().slice(0,10) ? b.date : startDate.toISOString().slice(0,10));
-      const endIter = new Date(endDate);
-      startIter.setHours(0,0,0,0);
-      endIter.setHours(0,0,0,0);
-      const currentDate = new Date(startIter);
-      while (currentDate <= endIter) {
-        const dateStr = currentDate.toISOString().slice(0,10);
-        if (dateStr >= b.date && isRecurringOnDate(dateStr, rec)) {
-          processOccurrence(dateStr);
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
+      // Walk the site‑local calendar dates from the later of the booking's
+      // first date and the start of the range
+      const rangeStart = startDate.toISOString().slice(0, 10);
+      const rangeEnd = endDate.toISOString().slice(0, 10);
+      for (let dateStr = b.date > rangeStart ? b.date : rangeStart; dateStr <= rangeEnd; dateStr = addDays(dateStr, 1)) {
+        const occ = getOccurrence(b, dateStr);
+        if (occ) processOccurrence(occ);
       }
     } else {
-      processOccurrence(b.date);
+      processOccurrence(getOccurrence(b, b.date));
     }
   });
   // Convert minutes to hours with 2 decimals
@@ -2047,8 +6030,8 @@ app.get('/api/analytics-summary', adminAuth, (req, res) => {
   // Compute utilisation percentage
   // Available minutes = number of office spaces * number of days * 24 * 60
   const officeCount = spaces.reduce((acc, s) => acc + (s.type === 'office' ? 1 : 0), 0);
-  const startDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-  const endDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const startDay = parseIsoDate(startDate.toISOString().slice(0, 10));
+  const endDay = parseIsoDate(endDate.toISOString().slice(0, 10));
   const millisPerDay = 24 * 60 * 60 * 1000;
   const dayCount = Math.floor((endDay - startDay) / millisPerDay) + 1;
   const totalAvailableMinutes = officeCount * dayCount * 24 * 60;
@@ -2056,60 +6039,24 @@ app.get('/api/analytics-summary', adminAuth, (req, res) => {
   res.json({ monthlyBookings, monthlyCheckInHours, monthlyNoShowHours, utilisation });
 });
 
+// Quote a CSV field when it contains a comma, quote or newline
+function escapeCsv(value) {
+  const s = String(value);
+  return s.includes(',') || s.includes('"') || s.includes('\n')
+    ? '"' + s.replace(/"/g, '""') + '"'
+    : s;
+}
+
 // -----------------------------------------------------------------------------
 // Analytics export endpoint.  Generates a CSV file of the per‑user analytics
 // data for the specified period.  Columns include email, booking counts by
 // day of week (Sun–Sat), total bookings count, check‑in hours, no‑show
 // hours, check‑in count and no‑check‑in count.  Returned as a text/csv
 // attachment.
-app.get('/api/analytics-export', adminAuth, (req, res) => {
-  // Only owners, admins, superadmins and analysts can export bookings
-  // Permit superadmins as they can access all data.
-  if (!['owner','admin','superadmin','analyst'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/analytics-export', adminAuth, requirePermission('analytics:read'), (req, res) => {
   const { period, start, end } = req.query;
   // Compute date range similar to analytics endpoint
-  let startDate;
-  let endDate;
-  const now = new Date();
-  if (start && end) {
-    const s = new Date(start);
-    const e = new Date(end);
-    if (!isNaN(s.getTime()) && !isNaN(e.getTime()) && s <= e) {
-      startDate = s;
-      // Include entire end day
-      endDate = new Date(e.getFullYear(), e.getMonth(), e.getDate(), 23, 59, 59);
-    }
-  }
-  if (!startDate || !endDate) {
-    const year = now.getFullYear();
-    switch ((period || '').toLowerCase()) {
-      case 'quarter': {
-        const quarter = Math.floor(now.getMonth() / 3);
-        const qStartMonth = quarter * 3;
-        startDate = new Date(year, qStartMonth, 1);
-        endDate = new Date(year, qStartMonth + 3, 0, 23, 59, 59);
-        break;
-      }
-      case 'year': {
-        startDate = new Date(year, 0, 1);
-        endDate = new Date(year, 11, 31, 23, 59, 59);
-        break;
-      }
-      case 'ytd': {
-        startDate = new Date(year, 0, 1);
-        endDate = now;
-        break;
-      }
-      case 'month':
-      default: {
-        startDate = new Date(year, now.getMonth(), 1);
-        endDate = new Date(year, now.getMonth() + 1, 0, 23, 59, 59);
-        break;
-      }
-    }
-  }
+  const { startDate, endDate } = resolveAnalyticsRange(period, start, end);
   // Build CSV of all bookings (past and future) within the selected period.
   // Each row represents a single booking occurrence (including future
   // occurrences of recurring bookings) and includes the date, user, space,
@@ -2117,28 +6064,22 @@ app.get('/api/analytics-export', adminAuth, (req, res) => {
   // aggregated per‑user analytics previously returned.
   const headers = ['Date','Name','Email','Space','Start','End','CheckedIn'];
   const rows = [headers.join(',')];
-  // Helper to escape CSV fields
-  function escapeCsv(value) {
-    const s = String(value);
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? '"' + s.replace(/"/g, '""') + '"'
-      : s;
-  }
   // Iterate through all bookings (all spaces) and generate rows
   bookings.forEach(b => {
-    const space = spaces.find(s => s.id === b.spaceId);
-    const spaceName = space ? space.name : b.spaceId;
-    function processOccurrence(dateStr) {
+    function processOccurrence(occ) {
+      const dateStr = occ.date;
       const d = new Date(dateStr);
       if (isNaN(d.getTime())) return;
       if (d < startDate || d > endDate) return;
+      const space = spaces.find(s => s.id === occ.spaceId);
+      const spaceName = space ? space.name : occ.spaceId;
       const row = [
         dateStr,
         b.name,
         b.email,
         spaceName,
-        b.startTime,
-        b.endTime,
+        occ.startTime,
+        occ.endTime,
         b.checkInTime ? 'Yes' : 'No'
       ];
       rows.push(row.map(escapeCsv).join(','));
@@ -2146,21 +6087,17 @@ app.get('/api/analytics-export', adminAuth, (req, res) => {
     const rec = getRecurring(b);
     if (rec && typeof rec === 'object') {
       // Generate occurrences for recurring bookings within the range
-      const startIter = new Date(b.date > startDate.toISOString().slice(0,10) ? b.date : startDate.toISOString().slice(0,10));
-      const endIter = new Date(endDate);
-      startIter.setHours(0,0,0,0);
-      endIter.setHours(0,0,0,0);
-      const currentDate = new Date(startIter);
-      while (currentDate <= endIter) {
-        const dateStr = currentDate.toISOString().slice(0,10);
-        if (dateStr >= b.date && isRecurringOnDate(dateStr, rec)) {
-          processOccurrence(dateStr);
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
+      // Walk the site‑local calendar dates from the later of the booking's
+      // first date and the start of the range
+      const rangeStart = startDate.toISOString().slice(0, 10);
+      const rangeEnd = endDate.toISOString().slice(0, 10);
+      for (let dateStr = b.date > rangeStart ? b.date : rangeStart; dateStr <= rangeEnd; dateStr = addDays(dateStr, 1)) {
+        const occ = getOccurrence(b, dateStr);
+        if (occ) processOccurrence(occ);
       }
     } else {
       // Single booking
-      processOccurrence(b.date);
+      processOccurrence(getOccurrence(b, b.date));
     }
   });
   const csv = rows.join('\r\n');
@@ -2175,12 +6112,7 @@ app.get('/api/analytics-export', adminAuth, (req, res) => {
 // tokens including id and code. Admin UI uses this to display active
 // devices and codes. Because codes effectively authenticate kiosk
 // devices, they should be treated as secrets and only visible to admins.
-app.get('/api/kiosk/tokens', adminAuth, (req, res) => {
-  // Permit superadmins to manage kiosk tokens as well.  Previously superadmins
-  // were excluded which prevented them from viewing tokens in the settings UI.
-  if (!['owner', 'admin', 'superadmin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/kiosk/tokens', adminAuth, requirePermission('kiosk:manage'), (req, res) => {
   res.json(kioskTokens);
 });
 
@@ -2188,21 +6120,24 @@ app.get('/api/kiosk/tokens', adminAuth, (req, res) => {
 // returns a newly generated id and code. The id is stored in cookies on
 // the kiosk device, while the code is shared with the device during
 // setup. The token remains valid until explicitly revoked by an admin.
-app.post('/api/kiosk/tokens', adminAuth, async (req, res) => {
-  // Allow superadmins to generate kiosk tokens in addition to owners and admins.
-  if (!['owner', 'admin', 'superadmin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+// An optional `locationId` limits the kiosk to that location's bookings.
+app.post('/api/kiosk/tokens', adminAuth, requirePermission('kiosk:manage'), async (req, res) => {
   try {
     const id = uuidv4();
     const code = generateKioskCode();
     const label = (req.body && typeof req.body.label === 'string') ? req.body.label : '';
-    kioskTokens.push({ id, code, label });
+    // Optional location the kiosk is installed at; null shows every location
+    const locationId = (req.body && req.body.locationId) || null;
+    if (locationId && !locations.some(l => l.id === locationId)) {
+      return res.status(400).json({ error: 'Unknown location' });
+    }
+    const token = { id, code, label, locationId };
+    kioskTokens.push(token);
     // Persist new token to storage. Await to catch any potential errors from
     // asynchronous database or filesystem writes. If persistence fails we
     // remove the token from memory so it doesn’t exist without being saved.
     try {
-      await saveData();
+      await saveData({ save: { kioskTokens: [token] } });
     } catch (persistErr) {
       console.error('Failed to persist kiosk token:', persistErr);
       // Remove the just-added token to avoid unsaved state
@@ -2210,7 +6145,8 @@ app.post('/api/kiosk/tokens', adminAuth, async (req, res) => {
       if (idx >= 0) kioskTokens.splice(idx, 1);
       return res.status(500).json({ error: 'Failed to save token' });
     }
-    return res.json({ id, code, label });
+    recordAudit(req, 'kiosk.create', id, { after: token });
+    return res.json({ id, code, label, locationId });
   } catch (err) {
     console.error('Error generating kiosk token', err);
     return res.status(500).json({ error: 'Failed to generate token' });
@@ -2221,24 +6157,24 @@ app.post('/api/kiosk/tokens', adminAuth, async (req, res) => {
 // revoked any devices using it will lose access on their next request. This
 // does not remove the cookie from the client; instead the server simply
 // stops recognising the token.
-app.delete('/api/kiosk/tokens/:id', adminAuth, async (req, res) => {
-  // Allow superadmins to revoke kiosk tokens.  Without this, superadmins
-  // could not perform deletions in the admin settings page.
-  if (!['owner', 'admin', 'superadmin'].includes(req.adminRole)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+app.delete('/api/kiosk/tokens/:id', adminAuth, requirePermission('kiosk:manage'), async (req, res) => {
   const { id } = req.params;
   const index = kioskTokens.findIndex(t => t.id === id);
   if (index < 0) {
     return res.status(404).json({ error: 'Token not found' });
   }
-  kioskTokens.splice(index, 1);
+  const [removed] = kioskTokens.splice(index, 1);
+  const claimed = kioskSessions[removed.id];
+  delete kioskSessions[removed.id];
   try {
-    await saveData();
+    await saveData({ remove: { kioskTokens: [removed.id] } });
   } catch (err) {
     console.error('Failed to persist kiosk token deletion:', err);
+    kioskTokens.splice(index, 0, removed);
+    if (claimed) kioskSessions[removed.id] = claimed;
     return res.status(500).json({ error: 'Failed to save token' });
   }
+  recordAudit(req, 'kiosk.delete', id, { before: removed });
   res.json({ ok: true });
 });
 
@@ -2247,17 +6183,22 @@ app.delete('/api/kiosk/tokens/:id', adminAuth, async (req, res) => {
 // sets a httpOnly cookie named `kioskToken` containing the id of the token.
 // Subsequent requests will be allowed to access kiosk functionality. If the
 // code is not found an error is returned. This endpoint is not protected
-// so that kiosk devices without an existing session can call it.
+// so that kiosk devices without an existing session can call it, but each
+// IP may only try a few unknown codes (see RATE_LIMITS.kioskClaim).
 app.post('/api/kiosk/claim', (req, res) => {
   const { code } = req.body || {};
   if (!code || typeof code !== 'string') {
     return res.status(400).json({ error: 'Invalid token code' });
   }
+  const retryAfter = rateLimitRetryAfter('kioskClaim', req.ip);
+  if (retryAfter) return sendRateLimited(res, retryAfter);
   const entry = kioskTokens.find(t => t.code.toUpperCase() === code.toUpperCase());
   if (!entry) {
+    recordRateLimitHit('kioskClaim', req.ip);
     return res.status(404).json({ error: 'Token not found' });
   }
   kioskSessions[entry.id] = true;
+  recordAudit(req, 'kiosk.claim', entry.id, { actor: auditKioskActor(entry) });
   // Set cookie valid for one year. Using a long expiry so the session
   // survives kiosk restarts. sameSite strict prevents cross-site
   // transmission of the cookie.
@@ -2265,30 +6206,30 @@ app.post('/api/kiosk/claim', (req, res) => {
   res.json({ ok: true });
 });
 
-// ----- Email verification routes -----
+// ----- Email verification and booker sign-in routes -----
 
 /**
- * Request email verification. Accepts a JSON body with an `email` field.
- * If the email belongs to the company domain and has not already been verified,
- * a verification token is generated and emailed to the address. The response
- * always returns OK (to avoid leaking which emails are already verified).
+ * Request a sign-in link. Accepts a JSON body with an `email` field.
+ * If the email is on the allowlist a short‑lived link is emailed to the
+ * address; following it verifies the address (on first use) and signs the
+ * browser in.  The response always returns OK (to avoid leaking which
+ * emails are verified).
  */
-app.post('/api/request-verification', (req, res) => {
+app.post('/api/request-verification', rateLimit('verificationIp'), (req, res) => {
   const { email } = req.body || {};
   if (!email) {
     return res.status(400).json({ error: 'Email is required' });
   }
   const emailNormalized = String(email).trim().toLowerCase();
-  if (!emailNormalized.endsWith('@fbhi.net')) {
-    return res.status(400).json({ error: 'Email must be a @fbhi.net address' });
-  }
-  // If already verified, return success without sending another email
-  if (verifiedEmails.includes(emailNormalized)) {
-    return res.json({ ok: true, message: 'Email already verified' });
+  if (!isEmailAllowed(emailNormalized)) {
+    return res.status(400).json({ error: emailNotAllowedMessage() });
   }
-  // Generate a unique token and store mapping to email
+  const retryAfter = rateLimitRetryAfter('verificationEmail', emailNormalized);
+  if (retryAfter) return sendRateLimited(res, retryAfter, 'Too many sign-in links requested. Please check your inbox or try again later.');
+  recordRateLimitHit('verificationEmail', emailNormalized);
+  // Generate a unique, expiring token and store mapping to email
   const token = uuidv4();
-  verificationTokens[token] = emailNormalized;
+  verificationTokens[token] = { email: emailNormalized, expires: Date.now() + VERIFICATION_TOKEN_TTL_MS };
   // Build a verification link.  Prefer the configured APP_BASE_URL when provided.
   // Otherwise construct an absolute URL using the current request's protocol and host.
   let verifyLink;
@@ -2297,69 +6238,486 @@ app.post('/api/request-verification', (req, res) => {
   } else {
     verifyLink = `${req.protocol}://${req.get('host')}/verify-email/${token}`;
   }
+  const minutes = Math.round(VERIFICATION_TOKEN_TTL_MS / 60000);
   const message =
-    `Please verify your email address by clicking the following link:\n\n${verifyLink}\n\n` +
-    `Once verified, you will be able to book spaces on the booking site.`;
+    `Click the following link to sign in to the booking site:\n\n${verifyLink}\n\n` +
+    `The link can be used once and expires in ${minutes} minutes. ` +
+    `If you did not request it, you can ignore this email.`;
   // Fire and forget verification email; log any failures
-  sendEmail(emailNormalized, 'Email Verification', message).catch(err => {
+  sendEmail(emailNormalized, 'Sign in to book a space', message).catch(err => {
     console.error('Failed to send verification email:', err);
   });
   res.json({ ok: true });
 });
 
 /**
- * Verify an email using a token. When a valid token is accessed, the
- * corresponding email is added to the verifiedEmails list and persisted.
- * A simple HTML page is returned that stores the verification status in
- * localStorage and redirects back to the booking page.
+ * Sign in using an emailed token. When a valid token is accessed, the
+ * corresponding email is added to the verifiedEmails list, a booker
+ * session is recorded and persisted, and its signed token is set in the
+ * `bookerSession` cookie.  A simple HTML page is returned that stores the
+ * signed-in address in localStorage and redirects back to the booking page.
  */
 app.get('/verify-email/:token', (req, res) => {
   const { token } = req.params;
-  const email = verificationTokens[token];
-  if (!email) {
+  const entry = verificationTokens[token];
+  if (!entry || entry.expires < Date.now()) {
+    delete verificationTokens[token];
     return res.status(404).send(
       '<html><head><title>Invalid Token</title></head><body>' +
-      '<h1>Invalid or expired verification token</h1>' +
-      '<p>Please request a new verification link.</p>' +
+      '<h1>Invalid or expired sign-in link</h1>' +
+      '<p>Please request a new link.</p>' +
       '</body></html>'
     );
   }
+  const { email } = entry;
   // Add email to verified list if not present
   if (!verifiedEmails.includes(email)) {
     verifiedEmails.push(email);
-    saveData().catch(err => console.error('Failed to save data:', err));
   }
   // Remove the token so it cannot be reused
   delete verificationTokens[token];
-  // Build HTML response with script to set localStorage and redirect
-  const html =
-    '<!DOCTYPE html><html><head><title>Email Verified</title></head><body>' +
-    '<h1>Email Verified</h1>' +
-    '<p>Your email address has been verified. You may now book a space.</p>' +
-    `<script>
-      try {
-        localStorage.setItem('emailVerified', 'true');
-        localStorage.setItem('verifiedEmail', '${email}');
-      } catch (e) {}
-      window.location.href = '/';
-    </script>` +
-    '</body></html>';
-  res.send(html);
+  const session = createBookerSession(email, req.get('user-agent'));
+  setBookerSessionCookie(req, res, session);
+  saveData({ ...session.changes, save: { ...session.changes.save, verifiedEmails: [email] } })
+    .catch(err => console.error('Failed to save data:', err));
+  // Respond with a page that sets localStorage and redirects
+  res.send(signedInPage('Signed In', 'You are signed in and may now book a space.', {
+    emailVerified: 'true',
+    verifiedEmail: email
+  }, '/'));
+});
+
+/**
+ * Report who is signed in, so the booking pages can tell whether the
+ * visitor still needs to verify their email address.
+ */
+app.get('/api/booker-session', (req, res) => {
+  const session = getBookerSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  res.json({ id: session.sid, email: session.email, expiresAt: new Date(session.exp).toISOString() });
+});
+
+// Remove a booker session record, persisting the change.  Returns false
+// when no such session exists.
+async function revokeBookerSession(id) {
+  const idx = bookerSessions.findIndex(bs => bs.id === id);
+  if (idx === -1) return false;
+  bookerSessions.splice(idx, 1);
+  await saveData({ remove: { bookerSessions: [id] } });
+  return true;
+}
+
+// Sign the booker out of this browser: revoke the session and clear the cookie.
+app.delete('/api/booker-session', async (req, res) => {
+  const session = getBookerSession(req);
+  res.clearCookie('bookerSession');
+  try {
+    if (session) await revokeBookerSession(session.sid);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to revoke booker session:', err);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+/**
+ * List booker sessions.  A signed‑in booker sees their own sessions, with
+ * the one making the request flagged `current`; admins see every session,
+ * optionally filtered with ?email=.
+ */
+app.get('/api/booker-sessions', (req, res) => {
+  const admin = getRequestAdmin(req);
+  const session = admin ? null : getBookerSession(req);
+  if (!admin && !session) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  if (admin && !hasPermission(admin, 'booker-sessions:manage')) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const now = Date.now();
+  const email = admin ? String(req.query.email || '').trim().toLowerCase() : session.email;
+  const list = bookerSessions
+    .filter(bs => Date.parse(bs.expiresAt) > now && (!email || bs.email === email))
+    .map(bs => ({ ...bs, current: !!session && bs.id === session.sid }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(list);
+});
+
+// Revoke a booker session.  Bookers may only revoke their own sessions.
+app.delete('/api/booker-sessions/:id', async (req, res) => {
+  const admin = getRequestAdmin(req);
+  const session = admin ? null : getBookerSession(req);
+  if (!admin && !session) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  if (admin && !hasPermission(admin, 'booker-sessions:manage')) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const target = bookerSessions.find(bs => bs.id === req.params.id);
+  if (!target || (!admin && target.email !== session.email)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  try {
+    await revokeBookerSession(target.id);
+    if (session && target.id === session.sid) res.clearCookie('bookerSession');
+    recordAudit(req, 'booker-session.revoke', target.id, { before: target });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to revoke booker session:', err);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// ----- Self‑service booking management routes -----
+
+/**
+ * Authenticate a booker by their booker session, set by a sign-in link or
+ * a "My bookings" link.  On success the verified email address is exposed
+ * as `req.bookerEmail`.
+ */
+function bookerAuth(req, res, next) {
+  const session = getBookerSession(req);
+  if (session) {
+    req.bookerEmail = session.email;
+    return next();
+  }
+  return res.status(401).json({ error: 'Invalid or expired link' });
+}
+
+/**
+ * Request a "My bookings" link.  Accepts `{ email }`.  When the address has
+ * been verified a single‑use link to /my-bookings/:token is emailed.
+ * The response is always OK so the endpoint cannot be used to discover
+ * which addresses are verified.
+ */
+app.post('/api/my-bookings/request-link', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+  const emailNormalized = String(email).trim().toLowerCase();
+  if (verifiedEmails.includes(emailNormalized)) {
+    const token = uuidv4();
+    manageTokens[token] = { email: emailNormalized, expires: Date.now() + MANAGE_TOKEN_TTL_MS };
+    const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const link = `${baseUrl}/my-bookings/${token}`;
+    const message =
+      `Use the link below to view, cancel or reschedule your bookings:\n\n${link}\n\n` +
+      `The link works once and expires in 7 days. If you did not request it, you can ignore this email.`;
+    sendEmail(emailNormalized, 'Manage Your Bookings', message).catch(err => {
+      console.error('Failed to send manage bookings email:', err);
+    });
+  }
+  res.json({ ok: true });
+});
+
+/**
+ * Open a "My bookings" link.  The token is removed so the link cannot be
+ * used again, and the booker is signed in with a session cookie instead,
+ * as by a sign-in link, before being sent on to public/my-bookings.html.
+ */
+app.get('/my-bookings/:token', (req, res) => {
+  const { token } = req.params;
+  const entry = manageTokens[token];
+  delete manageTokens[token];
+  if (!entry || entry.expires < Date.now()) {
+    return res.status(404).send(
+      '<html><head><title>Invalid Link</title></head><body>' +
+      '<h1>Invalid or expired link</h1>' +
+      '<p>Links to manage your bookings work once. Please request a new one.</p>' +
+      '</body></html>'
+    );
+  }
+  const session = createBookerSession(entry.email, req.get('user-agent'));
+  setBookerSessionCookie(req, res, session);
+  saveData(session.changes).catch(err => console.error('Failed to save data:', err));
+  res.send(signedInPage('Signed In', 'You are signed in and can now manage your bookings.', {
+    emailVerified: 'true',
+    verifiedEmail: entry.email
+  }, '/my-bookings.html'));
+});
+
+// List the booker's upcoming one‑off bookings and recurring bookings whose
+// series has not yet ended.
+app.get('/api/my-bookings', bookerAuth, (req, res) => {
+  const today = siteToday();
+  const result = bookings
+    .filter(b => b.email === req.bookerEmail && !b.cancelled)
+    .filter(b => {
+      const rec = getRecurring(b);
+      if (!rec) return b.date >= today;
+      const end = getSeriesEnd(rec, b.date);
+      return !end || end >= today;
+    })
+    .map(toBookingResponse)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''));
+  res.json(result);
+});
+
+// Cancel one of the booker's bookings.  Recurring bookings are removed in
+// their entirety.
+app.delete('/api/my-bookings/:id', bookerAuth, async (req, res) => {
+  let removed;
+  try {
+    removed = await removeBooking(req.params.id, b => b.email === req.bookerEmail);
+  } catch (err) {
+    console.error('Failed to save data after self-service cancellation:', err);
+    return res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+  if (!removed) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  recordAudit(req, 'booking.cancel', removed.id, { before: removed });
+  sendBookingCancellationEmail(removed).catch(err => {
+    console.error('Error sending cancellation email (self-service)', err);
+  });
+  res.json({ ok: true });
+});
+
+// Reschedule one of the booker's bookings.  Accepts any of spaceId, date,
+// startTime and endTime; omitted fields keep their current value.  The new
+// slot is validated with the same rules as POST /api/bookings, ignoring the
+// booking itself when checking for conflicts.
+app.put('/api/my-bookings/:id', bookerAuth, async (req, res) => {
+  const booking = bookings.find(b => b.id === req.params.id && b.email === req.bookerEmail);
+  if (!booking) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  const body = req.body || {};
+  const spaceId = body.spaceId || booking.spaceId;
+  const date = body.date || booking.date;
+  const startTime = body.startTime || booking.startTime;
+  const endTime = body.endTime || booking.endTime;
+  const space = spaces.find(s => s.id === spaceId);
+  if (!space) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  const timeError = validateBookingTimes(date, startTime, endTime, getSpaceTimeZone(spaceId));
+  if (timeError) {
+    return res.status(400).json({ error: timeError });
+  }
+  const hoursError = validateOpeningHours(spaceId, date, startTime, endTime);
+  if (hoursError) {
+    return res.status(400).json({ error: hoursError });
+  }
+  const closure = applyClosurePolicy(spaceId, date, startTime, endTime, getRecurring(booking));
+  if (closure.error) {
+    return res.status(400).json({ error: closure.error });
+  }
+  const rec = closure.recurring;
+  const before = auditSnapshot(booking);
+  const next = { ...copyBooking(booking), spaceId, date, startTime, endTime };
+  if (rec) {
+    next.recurring = rec;
+    delete next.recurrence;
+  }
+  bumpSequence(next);
+  let conflict;
+  try {
+    conflict = await updateBooking(booking, next);
+  } catch (err) {
+    if (err.code === 'BOOKING_CHANGED') {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('Error saving rescheduled booking', err);
+    return res.status(500).json({ error: 'Failed to save booking' });
+  }
+  if (conflict) {
+    return sendBookingConflict(req, res, next, conflict);
+  }
+  recordAudit(req, 'booking.update', booking.id, { before, after: booking });
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  exports.sendBookingUpdatedEmail(
+    booking.name,
+    booking.email,
+    space.name,
+    date,
+    startTime,
+    endTime,
+    `${baseUrl}/cancel/${booking.id}`,
+    booking
+  ).catch(err => console.error('Error sending booking update (self-service)', err));
+  res.json(toBookingResponse(booking));
+});
+
+// ----- Calendar feed routes -----
+
+/**
+ * Collect the occurrences of matching bookings that fall inside the feed
+ * window (CALENDAR_FEED_PAST_DAYS before today through
+ * CALENDAR_FEED_FUTURE_DAYS after).  Recurring series are expanded with
+ * getOccurrence(), so skipped dates and per‑occurrence overrides apply.
+ *
+ * @param {function(object): boolean} bookingFilter Selects the bookings to include
+ * @param {function(object): boolean} [occFilter] Selects individual occurrences
+ * @returns {Array<{booking: object, occ: object}>} Occurrences sorted by start
+ */
+function collectFeedOccurrences(bookingFilter, occFilter = () => true) {
+  const today = siteToday();
+  const from = addDays(today, -CALENDAR_FEED_PAST_DAYS);
+  const to = addDays(today, CALENDAR_FEED_FUTURE_DAYS);
+  const items = [];
+  bookings.filter(b => !b.cancelled && bookingFilter(b)).forEach(b => {
+    if (!getRecurring(b)) {
+      const occ = getOccurrence(b, b.date);
+      if (occ && b.date >= from && b.date <= to && occFilter(occ)) items.push({ booking: b, occ });
+      return;
+    }
+    const end = getSeriesEnd(getRecurring(b), b.date);
+    const last = end && end < to ? end : to;
+    for (let d = b.date > from ? b.date : from; d <= last; d = addDays(d, 1)) {
+      const occ = getOccurrence(b, d);
+      if (occ && occFilter(occ)) items.push({ booking: b, occ });
+    }
+  });
+  return items.sort((a, b) =>
+    a.occ.date.localeCompare(b.occ.date) || (a.occ.startTime || '').localeCompare(b.occ.startTime || ''));
+}
+
+/**
+ * Send a calendar feed with validators so subscribed clients can poll
+ * cheaply.  The ETag is a hash of the body; Last‑Modified is the later of
+ * the last data change and the start of today (the window moves daily).
+ * Conditional requests that match are answered with 304 Not Modified.
+ * (Express's req.fresh is not used because it ignores validators whenever
+ * the client sends Cache-Control: no-cache, which fetch() adds to every
+ * conditional request.)
+ */
+function sendCalendarFeed(req, res, calName, items, showBooker) {
+  const todayStart = zonedTimeToUtc(siteToday(), '00:00');
+  // HTTP dates have one‑second resolution
+  const modifiedAt = new Date(Math.floor(Math.max(dataModifiedAt.getTime(), todayStart.getTime()) / 1000) * 1000);
+  const body = generateFeedIcs(calName, items, showBooker, modifiedAt);
+  const etag = '"' + crypto.createHash('sha1').update(body).digest('base64') + '"';
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'private, max-age=300',
+    ETag: etag,
+    'Last-Modified': modifiedAt.toUTCString()
+  });
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*')
+    : !isNaN(ifModifiedSince) && modifiedAt.getTime() <= ifModifiedSince;
+  if (notModified) {
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+// Personal feed of every booking made with the token's email address.
+app.get('/calendar/user/:token.ics', (req, res) => {
+  const feed = calendarFeeds.find(f => f.token === req.params.token);
+  if (!feed) {
+    return res.status(404).type('text/plain').send('Calendar not found');
+  }
+  const items = collectFeedOccurrences(b => b.email === feed.email);
+  sendCalendarFeed(req, res, 'My Bookings', items, true);
+});
+
+// Feed of a space's bookings for whoever an admin shares the link with.
+// Like /api/availability it only shows when the space is booked, not by whom.
+app.get('/calendar/space/:token.ics', (req, res) => {
+  const feed = calendarFeeds.find(f => f.spaceId && f.token === req.params.token);
+  const space = feed && spaces.find(s => s.id === feed.spaceId);
+  if (!space) {
+    return res.status(404).type('text/plain').send('Calendar not found');
+  }
+  const items = collectFeedOccurrences(() => true, occ => occ.spaceId === space.id);
+  sendCalendarFeed(req, res, space.name, items, false);
+});
+
+/**
+ * The calendar feed whose `field` ("email" or "spaceId") is `value`,
+ * issuing a token if there is none yet or `rotate` is set.  Rotating
+ * replaces the old token, which stops working.  If the change cannot be
+ * saved the old token stays in force and the error is thrown.
+ *
+ * @param {string} field "email" or "spaceId"
+ * @param {string} value The feed's email address or space id
+ * @param {boolean} rotate Whether to replace an existing token
+ * @returns {Promise<object>} The feed
+ */
+async function issueCalendarFeed(field, value, rotate) {
+  const existing = calendarFeeds.find(f => f[field] === value);
+  if (existing && !rotate) return existing;
+  const previous = calendarFeeds.slice();
+  const replaced = calendarFeeds.filter(f => f[field] === value);
+  const feed = { token: crypto.randomBytes(24).toString('hex'), email: null, spaceId: null, createdAt: new Date().toISOString() };
+  feed[field] = value;
+  calendarFeeds.splice(0, calendarFeeds.length, ...calendarFeeds.filter(f => f[field] !== value), feed);
+  try {
+    await saveData({ save: { calendarFeeds: [feed] }, remove: { calendarFeeds: replaced.map(f => f.token) } });
+  } catch (err) {
+    calendarFeeds.splice(0, calendarFeeds.length, ...previous);
+    throw err;
+  }
+  return feed;
+}
+
+// Return the booker's personal calendar feed URL, creating a token on first
+// use.  Send { rotate: true } to revoke the current URL and issue a new one.
+app.post('/api/my-bookings/calendar-feed', bookerAuth, async (req, res) => {
+  let feed;
+  try {
+    feed = await issueCalendarFeed('email', req.bookerEmail, !!(req.body && req.body.rotate));
+  } catch (err) {
+    console.error('Failed to save calendar feed token:', err);
+    return res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  res.json({ url: `${baseUrl}/calendar/user/${feed.token}.ics` });
+});
+
+// Return a space's calendar feed URL, creating a token on first use.  Send
+// { rotate: true } to revoke the current URL and issue a new one.
+app.post('/api/spaces/:id/calendar-feed', adminAuth, requirePermission('spaces:manage'), async (req, res) => {
+  const space = spaces.find(s => s.id === req.params.id);
+  if (!space) {
+    return res.status(404).json({ error: 'Space not found' });
+  }
+  const rotate = !!(req.body && req.body.rotate);
+  const before = calendarFeeds.find(f => f.spaceId === space.id);
+  let feed;
+  try {
+    feed = await issueCalendarFeed('spaceId', space.id, rotate);
+  } catch (err) {
+    console.error('Failed to save calendar feed token:', err);
+    return res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+  if (feed !== before) {
+    recordAudit(req, rotate && before ? 'space.calendar-feed-rotate' : 'space.calendar-feed-create', space.id);
+  }
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  res.json({ url: `${baseUrl}/calendar/space/${feed.token}.ics` });
 });
 
 // Start server after initialising the database and loading data.  Because
 // database operations are asynchronous we perform them in an immediately
 // invoked async function.  If any of the setup steps fail the error is
-// logged and the server will still start with the in‑memory defaults.
+// logged and the server will still start with the in‑memory defaults,
+// except against a schema from a newer release, which this one could damage,
+// when existing data could not be copied into an empty database, or when
+// the configured local store cannot be used.
 if (process.env.NODE_ENV !== 'test') {
 (async () => {
   try {
+    if (fileStoreError) throw fileStoreError;
     await initDb();
     await loadData();
+    await loadAuditLog();
     // Begin background reminder service after data is loaded so existing
     // bookings are considered for reminders.
     startReminderService();
+    startSnapshotService();
   } catch (err) {
+    if (['SCHEMA_TOO_NEW', 'DATABASE_FILL_FAILED', 'STORAGE_UNAVAILABLE'].includes(err.code)) {
+      console.error(err.message);
+      process.exit(1);
+    }
     console.error('Initialisation error:', err);
   }
   
@@ -2377,6 +6735,10 @@ app.post('/api/bootstrap-admin', async (req, res) => {
     if (!username || !password) {
       return res.status(400).json({ ok: false, error: 'username and password required' });
     }
+    const weakPassword = checkPasswordStrength(password, username);
+    if (weakPassword) {
+      return res.status(400).json({ ok: false, error: weakPassword });
+    }
 
     // Validate role if provided
     const adminRole = (typeof role === 'string' ? role : 'admin');
@@ -2409,9 +6771,15 @@ app.post('/api/bootstrap-admin', async (req, res) => {
     if (Array.isArray(admins)) {
       const i = admins.findIndex(a => a.username === username);
       const adminRow = { id: (dbRow?.id || id), username, passwordHash: hash, salt, role: adminRole };
+      const before = i >= 0 ? admins[i] : null;
       if (i >= 0) admins[i] = adminRow; else admins.push(adminRow);
-      // Persist JSON snapshot as well
-      saveData().catch(() => {});
+      // The password was reset, so end any existing sessions of the account
+      const revoked = revokeAdminSessions(adminRow.id);
+      // Persist to the local store as well
+      saveData({ save: { admins: [adminRow] }, remove: { adminSessions: revoked.map(s => s.id) } }).catch(err => console.error('Failed to save data:', err));
+      recordAudit(req, before ? 'admin.bootstrap-reset' : 'admin.create', adminRow.id, {
+        actor: { actor: 'bootstrap', actorName: '', role: null }, before, after: adminRow
+      });
     }
 
     const responseAdmin = dbRow ? dbRow : { id: id, username, role: adminRole };
@@ -2445,8 +6813,46 @@ app.listen(PORT, () => {
 }
 
 // Export for testing
+exports.app = app;
 exports.isRecurringOnDate = isRecurringOnDate;
 exports.getRecurring = getRecurring;
+exports.getOccurrence = getOccurrence;
+exports.isSpaceAvailable = isSpaceAvailable;
+exports.checkRecurringAvailability = checkRecurringAvailability;
+exports.getSeriesEnd = getSeriesEnd;
+exports.validateRecurrence = validateRecurrence;
+exports.parseRRule = parseRRule;
+exports.toRRule = toRRule;
+exports.generateBookingIcs = generateBookingIcs;
 exports.bookings = bookings;
+exports.admins = admins;
+exports.adminSessions = adminSessions;
+exports.passwordResetTokens = passwordResetTokens;
+exports.generateTotp = generateTotp;
+exports.base32Decode = base32Decode;
 exports.spaces = spaces;
 exports.remindedBookings = remindedBookings;
+exports.verifiedEmails = verifiedEmails;
+exports.verificationTokens = verificationTokens;
+exports.createBookerSession = createBookerSession;
+exports.bookerSessions = bookerSessions;
+exports.oidcConfig = oidcConfig;
+exports.parseRoleMap = parseRoleMap;
+exports.manageTokens = manageTokens;
+exports.calendarFeeds = calendarFeeds;
+exports.settings = settings;
+exports.zonedTimeToUtc = zonedTimeToUtc;
+exports.locations = locations;
+exports.kioskTokens = kioskTokens;
+exports.rateLimitHits = rateLimitHits;
+exports.loginLocks = loginLocks;
+exports.auditLog = auditLog;
+exports.loadAuditLog = loadAuditLog;
+exports.jsonStore = jsonStore;
+exports.fileStore = fileStore;
+exports.setPostgresStore = setPostgresStore;
+exports.takeSnapshot = takeSnapshot;
+exports.listSnapshots = listSnapshots;
+exports.snapshotRetention = snapshotRetention;
+exports.siteToday = siteToday;
+exports.addDays = addDays;
@@ -0,0 +1,616 @@
+/*
+ * Storage backends for the booking app.
+ *
+ * server.js keeps the working copy of the data in memory and writes each
+ * change through a store.  Both stores implement the same interface:
+ *
+ *   load()                  All stored data as { locations, spaces, ...,
+ *                           settings }, or null when nothing is stored yet
+ *   loadCollection(name)    The stored records of one collection
+ *   apply(changes)          Write one change set (see below)
+ *   replaceAll(data)        Replace everything stored with `data`
+ *
+ * A change set names only the records that changed:
+ *
+ *   {
+ *     save:     { bookings: [booking, ...], ... },  // inserted or updated
+ *     remove:   { adminSessions: [id, ...], ... },  // deleted, by key
+ *     settings: { timeZone: 'Europe/London', ... }  // settings keys written
+ *   }
+ *
+ * so the cost of a save depends on the size of the change rather than on
+ * the amount of data stored.  See bench/persistence.js.
+ *
+ * The Postgres store can also insert a booking only if it does not clash
+ * with those stored (addBooking), since several instances may share it, and
+ * search the audit log they all write to (queryAudit).
+ * The JSON and SQLite stores are for a single server.
+ */
+const fs = require('fs');
+const { migrate } = require('./migrations');
+
+// Persisted collections: the Postgres table and key of each, and how a
+// record maps to and from its row.  `columns` lists the row's columns in
+// the order returned by toRow(); the key column comes first.
+const COLLECTIONS = {
+  locations: {
+    table: 'locations',
+    key: 'id',
+    columns: ['id', 'name', 'address', 'timeZone', 'hours', 'holidays'],
+    toRow: l => [l.id, l.name, l.address || '', l.timeZone || null, JSON.stringify(l.hours || null), JSON.stringify(l.holidays || [])],
+    fromRow: r => ({
+      id: r.id,
+      name: r.name,
+      address: r.address || '',
+      timeZone: r.timeZone || null,
+      hours: r.hours || null,
+      holidays: r.holidays || []
+    })
+  },
+  spaces: {
+    table: 'spaces',
+    key: 'id',
+    columns: ['id', 'name', 'type', 'priorityOrder', 'locationId'],
+    toRow: s => [s.id, s.name, s.type, s.priorityOrder, s.locationId || null],
+    fromRow: r => ({
+      id: r.id,
+      name: r.name,
+      type: r.type,
+      priorityOrder: r.priorityOrder,
+      locationId: r.locationId || null
+    })
+  },
+  bookings: {
+    table: 'bookings',
+    key: 'id',
+    columns: ['id', 'name', 'email', 'spaceId', 'date', 'startTime', 'endTime', 'recurring', 'checkInTime', 'checkOutTime', 'cancelled', 'sequence', 'createdBy'],
+    toRow: b => {
+      // Older records kept the rule under `recurrence`
+      const rec = b.recurring || b.recurrence;
+      return [
+        b.id, b.name, b.email, b.spaceId, b.date, b.startTime, b.endTime,
+        rec && typeof rec === 'object' ? JSON.stringify(rec) : null,
+        b.checkInTime || null, b.checkOutTime || null, b.cancelled || false, b.sequence || 0, b.createdBy || null
+      ];
+    },
+    fromRow: r => ({
+      id: r.id,
+      name: r.name,
+      email: r.email,
+      spaceId: r.spaceId,
+      date: r.date,
+      startTime: r.startTime,
+      endTime: r.endTime,
+      recurring: r.recurring || null,
+      checkInTime: r.checkInTime || null,
+      checkOutTime: r.checkOutTime || null,
+      checkedIn: !!r.checkInTime,
+      cancelled: r.cancelled || false,
+      sequence: r.sequence || 0,
+      createdBy: r.createdBy || null
+    })
+  },
+  admins: {
+    table: 'admins',
+    key: 'id',
+    columns: ['id', 'username', 'passwordHash', 'salt', 'role', 'totpSecret', 'recoveryCodes', 'totpLastStep', 'failedLogins', 'lockedUntil'],
+    toRow: a => [
+      a.id, a.username, a.passwordHash || a.password, a.salt || null, a.role, a.totpSecret || null,
+      JSON.stringify(a.recoveryCodes || []), a.totpLastStep || null, a.failedLogins || 0, a.lockedUntil || null
+    ],
+    fromRow: r => ({
+      id: r.id,
+      username: r.username,
+      passwordHash: r.passwordHash,
+      salt: r.salt,
+      role: r.role,
+      totpSecret: r.totpSecret || null,
+      recoveryCodes: r.recoveryCodes || [],
+      totpLastStep: r.totpLastStep || null,
+      failedLogins: r.failedLogins || 0,
+      lockedUntil: r.lockedUntil || null
+    })
+  },
+  // Plain strings; each address is its own key
+  verifiedEmails: {
+    table: 'verifiedEmails',
+    key: 'email',
+    keyOf: email => email,
+    columns: ['email'],
+    toRow: email => [email],
+    fromRow: r => r.email
+  },
+  kioskTokens: {
+    table: 'kioskTokens',
+    key: 'id',
+    columns: ['id', 'code', 'label', 'locationId'],
+    toRow: t => [t.id, t.code, t.label || null, t.locationId || null],
+    fromRow: r => ({ id: r.id, code: r.code, label: r.label || '', locationId: r.locationId || null })
+  },
+  calendarFeeds: {
+    table: 'calendarFeeds',
+    key: 'token',
+    columns: ['token', 'email', 'spaceId', 'createdAt'],
+    toRow: f => [f.token, f.email || null, f.spaceId || null, f.createdAt],
+    fromRow: r => ({ token: r.token, email: r.email || null, spaceId: r.spaceId || null, createdAt: r.createdAt })
+  },
+  bookerSessions: {
+    table: 'bookerSessions',
+    key: 'id',
+    columns: ['id', 'email', 'createdAt', 'expiresAt', 'lastUsedAt', 'userAgent'],
+    toRow: s => [s.id, s.email, s.createdAt, s.expiresAt, s.lastUsedAt || null, s.userAgent || ''],
+    fromRow: r => ({
+      id: r.id,
+      email: r.email,
+      createdAt: r.createdAt,
+      expiresAt: r.expiresAt,
+      lastUsedAt: r.lastUsedAt || null,
+      userAgent: r.userAgent || ''
+    })
+  },
+  // Token hashes only; the bearer tokens themselves are never stored
+  adminSessions: {
+    table: 'adminSessions',
+    key: 'id',
+    columns: ['id', 'tokenHash', 'adminId', 'createdAt', 'expiresAt', 'lastSeenAt', 'userAgent', 'method'],
+    toRow: s => [s.id, s.tokenHash, s.adminId, s.createdAt, s.expiresAt, s.lastSeenAt, s.userAgent || '', s.method || 'password'],
+    fromRow: r => ({
+      id: r.id,
+      tokenHash: r.tokenHash,
+      adminId: r.adminId,
+      createdAt: r.createdAt,
+      expiresAt: r.expiresAt,
+      lastSeenAt: r.lastSeenAt,
+      userAgent: r.userAgent || '',
+      method: r.method || 'password'
+    })
+  }
+};
+
+// Key of a record in a collection
+function keyOf(name, record) {
+  const collection = COLLECTIONS[name];
+  return collection.keyOf ? collection.keyOf(record) : record[collection.key];
+}
+
+// Check that a change set only names known collections
+function checkChanges(changes) {
+  for (const part of ['save', 'remove']) {
+    for (const name of Object.keys((changes && changes[part]) || {})) {
+      if (!COLLECTIONS[name]) throw new Error(`Unknown collection: ${name}`);
+    }
+  }
+}
+
+/**
+ * Apply change sets, in order, to a plain data object ({ bookings: [...],
+ * ..., settings: {...} }).  Saved records replace those with the same key
+ * or are added at the end.
+ *
+ * @param {object} data Data to change; changed in place
+ * @param {object[]} changeSets Change sets, as passed to apply()
+ * @returns {object} `data`
+ */
+function applyChanges(data, changeSets) {
+  // Each collection touched, by key, so replaying is linear in the changes
+  const byKey = {};
+  const collection = name => byKey[name] || (byKey[name] = new Map((data[name] || []).map(r => [keyOf(name, r), r])));
+  changeSets.forEach(({ save = {}, remove = {}, settings }) => {
+    for (const [name, records] of Object.entries(save)) {
+      records.forEach(record => collection(name).set(keyOf(name, record), record));
+    }
+    for (const [name, keys] of Object.entries(remove)) {
+      keys.forEach(key => collection(name).delete(key));
+    }
+    if (settings) data.settings = { ...(data.settings || {}), ...settings };
+  });
+  Object.entries(byKey).forEach(([name, records]) => { data[name] = [...records.values()]; });
+  return data;
+}
+
+/**
+ * Split off the bookings whose space is not in `data`, e.g. those left by
+ * spaces deleted before that was refused.  Postgres cannot store them, as
+ * bookings reference spaces there (see migrations.js).
+ *
+ * @param {object} data Data as passed to replaceAll()
+ * @returns {{data: object, orphans: object[]}} A copy of `data` without the
+ *   orphaned bookings, and those bookings
+ */
+function splitOrphanBookings(data) {
+  const spaceIds = new Set((data.spaces || []).map(s => s.id));
+  const orphaned = b => b.spaceId !== null && b.spaceId !== undefined && !spaceIds.has(b.spaceId);
+  const bookings = data.bookings || [];
+  return { data: { ...data, bookings: bookings.filter(b => !orphaned(b)) }, orphans: bookings.filter(orphaned) };
+}
+
+// Number of journal entries after which the JSON store folds the journal
+// into a fresh data file
+const JOURNAL_COMPACT_AFTER = 500;
+
+/**
+ * Store that keeps the data in a JSON file.  Each change set is appended
+ * to a journal (one JSON line per save) rather than rewriting the whole
+ * file; every `compactAfter` entries, and when loading, the journal is
+ * folded into a new data file and emptied.  A journal line cut short by a
+ * crash is skipped.
+ *
+ * @param {object} options
+ * @param {string} options.dataFile Path of the data file (data.json)
+ * @param {string} options.journalFile Path of the journal
+ * @param {number} [options.compactAfter] Journal entries between compactions
+ * @returns {object} The store
+ */
+function createJsonStore({ dataFile, journalFile, compactAfter = JOURNAL_COMPACT_AFTER }) {
+  // Entries in the journal, counted when first needed
+  let journalEntries = null;
+
+  function readJournal() {
+    if (!fs.existsSync(journalFile)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (_) {
+        console.error('Skipping unreadable data journal line');
+      }
+    }
+    return entries;
+  }
+
+  // The data file with the journal applied, or null when neither exists
+  function readAll() {
+    const data = fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : null;
+    const entries = readJournal();
+    journalEntries = entries.length;
+    if (!data && !entries.length) return { data: null, entries };
+    return { data: applyChanges(data || {}, entries), entries };
+  }
+
+  // Write a new data file, then empty the journal it includes.  The file is
+  // written beside the old one and renamed over it, so a crash leaves one
+  // or the other.
+  function writeSnapshot(data) {
+    const tmp = `${dataFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, dataFile);
+    fs.writeFileSync(journalFile, '');
+    journalEntries = 0;
+  }
+
+  function compact() {
+    const { data } = readAll();
+    if (data) writeSnapshot(data);
+  }
+
+  return {
+    name: 'json',
+    async load() {
+      const { data, entries } = readAll();
+      if (data && entries.length) writeSnapshot(data);
+      return data;
+    },
+    async loadCollection(name) {
+      const { data } = readAll();
+      return (data && data[name]) || [];
+    },
+    async apply(changes) {
+      checkChanges(changes);
+      if (journalEntries === null) journalEntries = readJournal().length;
+      fs.appendFileSync(journalFile, JSON.stringify(changes) + '\n');
+      journalEntries++;
+      if (journalEntries >= compactAfter) compact();
+    },
+    async replaceAll(data) {
+      writeSnapshot(data);
+    },
+    compact
+  };
+}
+
+/**
+ * Store that keeps the data in a SQLite file, for a single server without
+ * a database server to hand.  Each collection is a table of records stored
+ * whole as JSON under their key, as in the JSON store, and each change set
+ * is written in one transaction.  Needs the optional better-sqlite3
+ * package.
+ *
+ * @param {object} options
+ * @param {string} options.file Path of the database file
+ * @param {object} [options.importFrom] Store whose data fills the database
+ *   the first time it is loaded empty, e.g. the JSON store used before
+ * @returns {object} The store
+ */
+function createSqliteStore({ file, importFrom = null }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (_) {
+    throw new Error('SQLite storage needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+  const db = new Database(file);
+  // Readers do not wait for writers, and a write only appends to the log
+  db.pragma('journal_mode = WAL');
+
+  const statements = {};
+  for (const [name, { table }] of Object.entries(COLLECTIONS)) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${ident(table)} (key TEXT PRIMARY KEY, record TEXT NOT NULL)`);
+    // rowid keeps records in the order they were first saved
+    statements[name] = {
+      all: db.prepare(`SELECT record FROM ${ident(table)} ORDER BY rowid`),
+      save: db.prepare(`INSERT INTO ${ident(table)} (key, record) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET record = excluded.record`),
+      remove: db.prepare(`DELETE FROM ${ident(table)} WHERE key = ?`),
+      clear: db.prepare(`DELETE FROM ${ident(table)}`)
+    };
+  }
+  db.exec('CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  const allSettings = db.prepare('SELECT key, value FROM settings');
+  const saveSetting = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value');
+  const clearSettings = db.prepare('DELETE FROM settings');
+
+  const writeChanges = db.transaction(({ save = {}, remove = {}, settings } = {}) => {
+    for (const [name, records] of Object.entries(save)) {
+      records.forEach(record => statements[name].save.run(String(keyOf(name, record)), JSON.stringify(record)));
+    }
+    for (const [name, keys] of Object.entries(remove)) {
+      keys.forEach(key => statements[name].remove.run(String(key)));
+    }
+    for (const [key, value] of Object.entries(settings || {})) {
+      saveSetting.run(key, JSON.stringify(value));
+    }
+  });
+
+  const replaceAll = db.transaction(data => {
+    Object.values(statements).forEach(s => s.clear.run());
+    clearSettings.run();
+    const save = {};
+    Object.keys(COLLECTIONS).forEach(name => { save[name] = data[name] || []; });
+    writeChanges({ save, settings: data.settings || {} });
+  });
+
+  function loadCollection(name) {
+    return statements[name].all.all().map(row => JSON.parse(row.record));
+  }
+
+  function readAll() {
+    const data = {};
+    Object.keys(COLLECTIONS).forEach(name => { data[name] = loadCollection(name); });
+    const rows = allSettings.all();
+    data.settings = {};
+    rows.forEach(r => { data.settings[r.key] = JSON.parse(r.value); });
+    const empty = Object.keys(COLLECTIONS).every(name => !data[name].length) && !rows.length;
+    return empty ? null : data;
+  }
+
+  return {
+    name: 'sqlite',
+    async load() {
+      const data = readAll();
+      if (data || !importFrom) return data;
+      const imported = await importFrom.load();
+      if (imported) {
+        replaceAll(imported);
+        console.log(`Imported the existing ${importFrom.name} data into ${file}; only ${file} is updated from now on`);
+      }
+      return imported;
+    },
+    async loadCollection(name) {
+      return loadCollection(name);
+    },
+    async apply(changes) {
+      checkChanges(changes);
+      writeChanges(changes);
+    },
+    async replaceAll(data) {
+      replaceAll(data);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+// Quote an SQL identifier (Postgres and SQLite alike)
+function ident(name) {
+  return `"${name}"`;
+}
+
+// Columns of the "auditLog" table, which server.js writes to directly
+const AUDIT_COLUMNS = ['id', 'at', 'actor', 'actorName', 'role', 'action', 'targetType', 'targetId', 'before', 'after', 'ip'];
+
+// LIKE pattern matching strings that start with `prefix`
+function likePrefix(prefix) {
+  return `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// INSERT ... ON CONFLICT statement writing one record of a collection
+function upsertStatement(name) {
+  const { table, columns } = COLLECTIONS[name];
+  const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+  const updates = columns.slice(1).map(c => `${ident(c)} = EXCLUDED.${ident(c)}`).join(', ');
+  return `INSERT INTO ${ident(table)} (${columns.map(ident).join(', ')}) VALUES (${placeholders}) ` +
+    `ON CONFLICT (${ident(columns[0])}) DO ${updates ? `UPDATE SET ${updates}` : 'NOTHING'}`;
+}
+
+/**
+ * Store that keeps each collection in its own Postgres table and writes a
+ * change set as single-row INSERT ... ON CONFLICT and DELETE statements in
+ * one transaction, so concurrent instances only overwrite the records they
+ * changed.  Call init() first to bring the schema up to date; see
+ * migrations.js.
+ *
+ * @param {object} pool pg Pool (or anything with connect() and query())
+ * @returns {object} The store
+ */
+function createPostgresStore(pool) {
+  // Run fn(client) in a transaction
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function selectAll(client, name) {
+    const { table, columns } = COLLECTIONS[name];
+    const result = await client.query(`SELECT ${columns.map(ident).join(', ')} FROM ${ident(table)}`);
+    return result.rows.map(COLLECTIONS[name].fromRow);
+  }
+
+  async function writeChanges(client, { save = {}, remove = {}, settings } = {}) {
+    for (const [name, records] of Object.entries(save)) {
+      const sql = upsertStatement(name);
+      for (const record of records) {
+        await client.query(sql, COLLECTIONS[name].toRow(record));
+      }
+    }
+    for (const [name, keys] of Object.entries(remove)) {
+      const { table, key } = COLLECTIONS[name];
+      if (keys.length) await client.query(`DELETE FROM ${ident(table)} WHERE ${ident(key)} = ANY($1)`, [keys]);
+    }
+    for (const [key, value] of Object.entries(settings || {})) {
+      await client.query(
+        'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value',
+        [key, JSON.stringify(value)]
+      );
+    }
+  }
+
+  return {
+    name: 'postgres',
+    async init() {
+      return migrate(pool);
+    },
+    async load() {
+      const data = {};
+      for (const name of Object.keys(COLLECTIONS)) {
+        data[name] = await selectAll(pool, name);
+      }
+      const settingsRes = await pool.query('SELECT key, value FROM settings');
+      data.settings = {};
+      settingsRes.rows.forEach(r => { data.settings[r.key] = r.value; });
+      const empty = Object.keys(COLLECTIONS).every(name => !data[name].length) && !settingsRes.rows.length;
+      return empty ? null : data;
+    },
+    async loadCollection(name) {
+      return selectAll(pool, name);
+    },
+    async apply(changes) {
+      checkChanges(changes);
+      await transaction(client => writeChanges(client, changes));
+    },
+    /**
+     * Insert a new booking, or save a changed one, unless it clashes with
+     * one already stored, e.g. by another instance.  Bookings of a space are
+     * saved one at a time: the transaction holds an advisory lock on the
+     * space while it reads that space's bookings and writes.  (Recurring
+     * rules cannot be expressed as a range for an exclusion constraint, so
+     * the clash check itself is done by `findConflict`.)
+     *
+     * @param {object} booking The new or changed booking
+     * @param {function(object[]): *} findConflict Given the stored bookings
+     *   that may use the space, returns the clash or null
+     * @param {string} [spaceId] Space to lock, if not the booking's own
+     *   (a single occurrence moved elsewhere)
+     * @returns {Promise<*>} The clash, or null once the booking is saved
+     */
+    async addBooking(booking, findConflict, spaceId = booking.spaceId) {
+      return transaction(async client => {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`booking-space:${spaceId}`]);
+        const { columns, fromRow } = COLLECTIONS.bookings;
+        // Occurrences moved by an override may use a space other than the series'
+        const result = await client.query(
+          `SELECT ${columns.map(ident).join(', ')} FROM bookings WHERE "spaceId" = $1 OR recurring ? 'overrides'`,
+          [spaceId]
+        );
+        const conflict = findConflict(result.rows.map(fromRow));
+        if (conflict) return conflict;
+        await client.query(upsertStatement('bookings'), COLLECTIONS.bookings.toRow(booking));
+        return null;
+      });
+    },
+    /**
+     * Search the audit log, newest first, filtering and paging in the
+     * database rather than loading the whole table.
+     *
+     * @param {object} filter
+     * @param {string} [filter.actor] Actor, or actor name in any case
+     * @param {string} [filter.action] Action, or the prefix before a "."
+     * @param {string} [filter.targetType]
+     * @param {string} [filter.targetId]
+     * @param {string} [filter.from] ISO timestamp, inclusive
+     * @param {string} [filter.to] ISO timestamp, exclusive
+     * @param {{limit: number|null, offset: number}} page A null limit
+     *   returns every match
+     * @returns {Promise<{total: number, entries: object[]}>}
+     */
+    async queryAudit(filter, { limit, offset }) {
+      const params = [];
+      const param = value => { params.push(value); return `$${params.length}`; };
+      const where = [];
+      if (filter.actor) where.push(`(actor = ${param(filter.actor)} OR lower("actorName") = ${param(filter.actor.toLowerCase())})`);
+      if (filter.action) where.push(`(action = ${param(filter.action)} OR action LIKE ${param(likePrefix(`${filter.action}.`))})`);
+      if (filter.targetType) where.push(`"targetType" = ${param(filter.targetType)}`);
+      if (filter.targetId) where.push(`"targetId" = ${param(filter.targetId)}`);
+      if (filter.from) where.push(`at >= ${param(filter.from)}`);
+      if (filter.to) where.push(`at < ${param(filter.to)}`);
+      const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+      const count = await pool.query(`SELECT count(*)::int AS total FROM "auditLog"${clause}`, params);
+      let sql = `SELECT ${AUDIT_COLUMNS.map(ident).join(', ')} FROM "auditLog"${clause} ORDER BY at DESC, id DESC`;
+      const pageParams = params.slice();
+      if (limit !== null) {
+        pageParams.push(limit, offset);
+        sql += ` LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`;
+      } else if (offset) {
+        pageParams.push(offset);
+        sql += ` OFFSET $${pageParams.length}`;
+      }
+      const result = await pool.query(sql, pageParams);
+      return { total: count.rows[0].total, entries: result.rows };
+    },
+    /**
+     * Replace everything stored.  Bookings of spaces missing from `data`
+     * are added to "orphanedBookings" instead, as migration 2 does.
+     *
+     * @returns {Promise<object[]>} The bookings set aside
+     */
+    async replaceAll(data) {
+      const { data: kept, orphans } = splitOrphanBookings(data);
+      await transaction(async client => {
+        // Children before parents, as bookings reference spaces
+        for (const name of Object.keys(COLLECTIONS).reverse()) {
+          await client.query(`DELETE FROM ${ident(COLLECTIONS[name].table)}`);
+        }
+        await client.query('DELETE FROM settings');
+        const save = {};
+        Object.keys(COLLECTIONS).forEach(name => { save[name] = kept[name] || []; });
+        await writeChanges(client, { save, settings: kept.settings || {} });
+        if (orphans.length) {
+          const { columns, toRow } = COLLECTIONS.bookings;
+          await client.query('CREATE TABLE IF NOT EXISTS "orphanedBookings" (LIKE bookings)');
+          const sql = `INSERT INTO "orphanedBookings" (${columns.map(ident).join(', ')}) ` +
+            `VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`;
+          for (const booking of orphans) await client.query(sql, toRow(booking));
+        }
+      });
+      return orphans;
+    }
+  };
+}
+
+exports.COLLECTIONS = COLLECTIONS;
+exports.splitOrphanBookings = splitOrphanBookings;
+exports.createJsonStore = createJsonStore;
+exports.createSqliteStore = createSqliteStore;
+exports.createPostgresStore = createPostgresStore;
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, withFailingDatabase } = require('./helpers');
+
+describe('admin accounts', () => {
+  let srv;
+  let ownerAuth;
+  const password = 'correct-horse-battery';
+
+  const login = async (username, pw = password) => {
+    const res = await srv.request('POST', '/api/login', { body: { username, password: pw } });
+    assert.strictEqual(res.status, 200);
+    return { Authorization: 'Bearer ' + res.body.token };
+  };
+  const create = async (username, role = 'admin') => {
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username, password, role } });
+    return server.admins.find(a => a.username === username);
+  };
+
+  before(async () => {
+    srv = await startServer();
+    ownerAuth = await login('admin@example.com', 'admin123');
+  });
+  after(async () => {
+    for (const a of server.admins.filter(x => x.username.endsWith('@accounts.example'))) {
+      await srv.request('DELETE', `/api/admins/${a.id}`, { headers: ownerAuth });
+    }
+    await srv.close();
+  });
+
+  it('refuses short, common and username-based passwords', async () => {
+    const attempt = pw => srv.request('POST', '/api/admins', {
+      headers: ownerAuth, body: { username: 'weak@accounts.example', password: pw, role: 'admin' }
+    });
+    assert.match((await attempt('short')).body.error, /at least 12 characters/);
+    assert.match((await attempt('Password1234')).body.error, /too common/);
+    assert.match((await attempt('aaaaaaaaaaaaaaa')).body.error, /too common/);
+    assert.match((await attempt('weak-and-then-some')).body.error, /username/);
+    assert.ok(!server.admins.some(a => a.username === 'weak@accounts.example'));
+  });
+
+  it('lets an admin change their own password', async () => {
+    await create('changer@accounts.example');
+    const current = await login('changer@accounts.example');
+    const other = await login('changer@accounts.example');
+    const change = body => srv.request('POST', '/api/admins/me/password', { headers: current, body });
+
+    assert.strictEqual((await change({ currentPassword: 'not-my-password', newPassword: 'another-long-phrase' })).status, 400);
+    assert.strictEqual((await change({ currentPassword: password, newPassword: 'short' })).status, 400);
+    const res = await change({ currentPassword: password, newPassword: 'another-long-phrase' });
+    assert.deepStrictEqual(res.body, { ok: true, sessionsEnded: 1 });
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: other })).status, 401);
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: current })).status, 200);
+    await login('changer@accounts.example', 'another-long-phrase');
+  });
+
+  it('keeps the old password when the change cannot be saved', async () => {
+    await create('unsaved@accounts.example');
+    const current = await login('unsaved@accounts.example');
+    const other = await login('unsaved@accounts.example');
+    const res = await withFailingDatabase(() => srv.request('POST', '/api/admins/me/password', {
+      headers: current, body: { currentPassword: password, newPassword: 'another-long-phrase' }
+    }));
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: other })).status, 200);
+    await login('unsaved@accounts.example');
+  });
+
+  it('counts wrong current passwords as failed logins', async () => {
+    const admin = await create('guessed@accounts.example');
+    const current = await login('guessed@accounts.example');
+    for (let i = 0; i < 5; i++) {
+      const res = await srv.request('POST', '/api/admins/me/password', {
+        headers: current, body: { currentPassword: `guess-number-${i}`, newPassword: 'another-long-phrase' }
+      });
+      assert.strictEqual(res.status, 400);
+    }
+    assert.strictEqual(admin.failedLogins, 5);
+    const locked = await srv.request('POST', '/api/admins/me/password', {
+      headers: current, body: { currentPassword: password, newPassword: 'another-long-phrase' }
+    });
+    assert.strictEqual(locked.status, 429);
+    server.rateLimitHits.clear();
+    server.loginLocks.clear();
+  });
+
+  it('has no password to change for SSO admins', async () => {
+    const admin = await create('sso@accounts.example');
+    const auth = await login('sso@accounts.example');
+    admin.passwordHash = null;
+    admin.salt = null;
+    const res = await srv.request('POST', '/api/admins/me/password', {
+      headers: auth, body: { currentPassword: password, newPassword: 'another-long-phrase' }
+    });
+    assert.match(res.body.error, /single sign-on/);
+  });
+
+  it('changes an admin\'s role and username', async () => {
+    const admin = await create('editee@accounts.example');
+    const auth = await login('editee@accounts.example');
+    const res = await srv.request('PATCH', `/api/admins/${admin.id}`, {
+      headers: ownerAuth, body: { role: 'analyst', username: 'renamed@accounts.example' }
+    });
+    assert.deepStrictEqual(res.body, { id: admin.id, username: 'renamed@accounts.example', role: 'analyst' });
+    // The new role applies to existing sessions straight away
+    assert.strictEqual((await srv.request('GET', '/api/kiosk/tokens', { headers: auth })).status, 403);
+    await login('renamed@accounts.example');
+
+    const taken = await srv.request('PATCH', `/api/admins/${admin.id}`, { headers: ownerAuth, body: { username: 'ADMIN@example.com' } });
+    assert.strictEqual(taken.status, 400);
+    assert.strictEqual((await srv.request('PATCH', `/api/admins/${admin.id}`, { headers: ownerAuth, body: { role: 'wizard' } })).status, 400);
+    assert.strictEqual((await srv.request('PATCH', '/api/admins/missing', { headers: ownerAuth, body: { role: 'admin' } })).status, 404);
+  });
+
+  it('keeps the only owner and protects stronger accounts', async () => {
+    const owner = server.admins.find(a => a.username === 'admin@example.com');
+    const demote = await srv.request('PATCH', `/api/admins/${owner.id}`, { headers: ownerAuth, body: { role: 'admin' } });
+    assert.strictEqual(demote.status, 400);
+    assert.strictEqual(owner.role, 'owner');
+
+    const superadmin = await create('super@accounts.example', 'superadmin');
+    const superAuth = await login('super@accounts.example');
+    assert.strictEqual((await srv.request('PATCH', `/api/admins/${owner.id}`, { headers: superAuth, body: { username: 'x@example.com' } })).status, 403);
+    assert.strictEqual((await srv.request('PATCH', `/api/admins/${superadmin.id}`, { headers: superAuth, body: { role: 'owner' } })).status, 403);
+
+    // With a second owner the first may step down
+    const promoted = await srv.request('PATCH', `/api/admins/${superadmin.id}`, { headers: ownerAuth, body: { role: 'owner' } });
+    assert.strictEqual(promoted.body.role, 'owner');
+    assert.strictEqual((await srv.request('PATCH', `/api/admins/${owner.id}`, { headers: superAuth, body: { role: 'admin' } })).status, 200);
+    owner.role = 'owner';
+  });
+
+  it('only lets admins delete, unlock, sign out or reset accounts they outrank', async () => {
+    const owner = server.admins.find(a => a.username === 'admin@example.com');
+    await create('outranked@accounts.example', 'superadmin');
+    const superAuth = await login('outranked@accounts.example');
+    for (const [method, url] of [
+      ['DELETE', `/api/admins/${owner.id}`],
+      ['POST', `/api/admins/${owner.id}/unlock`],
+      ['DELETE', `/api/admins/${owner.id}/sessions`],
+      ['DELETE', `/api/admins/${owner.id}/2fa`]
+    ]) {
+      assert.strictEqual((await srv.request(method, url, { headers: superAuth })).status, 403, `${method} ${url}`);
+    }
+    assert.ok(server.admins.includes(owner));
+    assert.strictEqual((await srv.request('GET', '/api/admins', { headers: ownerAuth })).status, 200);
+  });
+
+  it('keeps an admin whose deletion cannot be saved', async () => {
+    const admin = await create('undeleted@accounts.example');
+    const auth = await login('undeleted@accounts.example');
+    const res = await withFailingDatabase(() => srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth }));
+    assert.strictEqual(res.status, 500);
+    assert.ok(server.admins.includes(admin));
+    assert.strictEqual((await srv.request('GET', '/api/admin-sessions', { headers: auth })).status, 200);
+    const audit = server.auditLog.filter(e => e.targetId === admin.id).map(e => e.action);
+    assert.ok(!audit.includes('admin.delete'));
+  });
+});
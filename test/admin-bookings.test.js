@@ -0,0 +1,159 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf } = require('./helpers');
+
+describe('PUT /api/bookings/:id', () => {
+  let srv;
+  let auth;
+  let updates;
+  const originalUpdated = server.sendBookingUpdatedEmail;
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => {
+    server.sendBookingUpdatedEmail = originalUpdated;
+    return srv.close();
+  });
+
+  beforeEach(() => {
+    updates = [];
+    server.sendBookingUpdatedEmail = async (...args) => { updates.push(args); };
+    server.bookings.length = 0;
+    server.bookings.push({
+      id: 'b1',
+      name: 'Booker',
+      email: 'booker@fbhi.net',
+      spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(3),
+      startTime: '09:00',
+      endTime: '10:00',
+      recurring: false
+    });
+  });
+
+  it('requires admin authentication', async () => {
+    const res = await srv.request('PUT', '/api/bookings/b1', { body: { startTime: '09:30' } });
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('moves a booking to an overlapping slot, keeping its id, and emails one notice', async () => {
+    const res = await srv.request('PUT', '/api/bookings/b1', {
+      headers: auth,
+      body: { startTime: '09:30', endTime: '10:30' }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.id, 'b1');
+    assert.strictEqual(server.bookings.length, 1);
+    assert.strictEqual(server.bookings[0].startTime, '09:30');
+    assert.strictEqual(updates.length, 1);
+  });
+
+  it('can change the space and add a recurrence', async () => {
+    const weekday = weekdayOf(isoDaysFromNow(3));
+    const res = await srv.request('PUT', '/api/bookings/b1', {
+      headers: auth,
+      body: { spaceId: server.spaces[1].id, recurring: { frequency: 'weekly', weekday } }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(server.bookings[0].spaceId, server.spaces[1].id);
+    assert.deepStrictEqual(server.bookings[0].recurring, { frequency: 'weekly', weekday });
+  });
+
+  it('applies the same validation as creating a booking', async () => {
+    const cases = [
+      { email: 'someone@example.com' },
+      { date: '2020-01-01' },
+      { startTime: '06:00', endTime: '19:00' },
+      { startTime: '11:00', endTime: '10:00' }
+    ];
+    for (const body of cases) {
+      const res = await srv.request('PUT', '/api/bookings/b1', { headers: auth, body });
+      assert.strictEqual(res.status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual(server.bookings[0].startTime, '09:00');
+    assert.strictEqual(updates.length, 0);
+  });
+
+  it('rejects conflicts with other bookings', async () => {
+    server.bookings.push({
+      id: 'b2',
+      name: 'Other',
+      email: 'other@fbhi.net',
+      spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(3),
+      startTime: '11:00',
+      endTime: '12:00',
+      recurring: false
+    });
+    const res = await srv.request('PUT', '/api/bookings/b1', {
+      headers: auth,
+      body: { startTime: '10:30', endTime: '11:30' }
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.conflict.booking.id, 'b2');
+    assert.strictEqual(server.bookings[0].startTime, '09:00');
+  });
+
+  it('returns 404 for unknown bookings', async () => {
+    const res = await srv.request('PUT', '/api/bookings/missing', { headers: auth, body: {} });
+    assert.strictEqual(res.status, 404);
+  });
+});
+
+describe('/api/bookings/:id/occurrences/:date', () => {
+  let srv;
+  let auth;
+  const day = isoDaysFromNow(3);
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => srv.close());
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.bookings.push({
+      id: 'r1',
+      name: 'Series',
+      email: 'series@fbhi.net',
+      spaceId: server.spaces[0].id,
+      date: '2020-01-01',
+      startTime: '09:00',
+      endTime: '10:00',
+      recurring: { frequency: 'weekly', weekday: weekdayOf(day) }
+    });
+  });
+
+  it('cancels one occurrence and leaves the series in place', async () => {
+    const res = await srv.request('DELETE', `/api/bookings/r1/occurrences/${day}`, { headers: auth });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.recurrence.exceptions, [day]);
+    assert.strictEqual(server.bookings.length, 1);
+  });
+
+  it('rejects dates on which the booking does not occur', async () => {
+    const res = await srv.request('DELETE', `/api/bookings/r1/occurrences/${isoDaysFromNow(4)}`, { headers: auth });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('overrides the time of one occurrence and restores skipped dates', async () => {
+    await srv.request('DELETE', `/api/bookings/r1/occurrences/${day}`, { headers: auth });
+    const res = await srv.request('PUT', `/api/bookings/r1/occurrences/${day}`, {
+      headers: auth,
+      body: { startTime: '13:00', endTime: '14:00' }
+    });
+    assert.strictEqual(res.status, 200);
+    const occ = server.getOccurrence(server.bookings[0], day);
+    assert.strictEqual(occ.startTime, '13:00');
+    assert.deepStrictEqual(server.bookings[0].recurring.exceptions, []);
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const server = require('..');
+const { startServer } = require('./helpers');
+
+describe('admin sessions', () => {
+  let srv;
+  let ownerAuth;
+
+  const login = async (username = 'admin@example.com', password = 'admin123') => {
+    const res = await srv.request('POST', '/api/login', { body: { username, password } });
+    assert.strictEqual(res.status, 200);
+    return { Authorization: 'Bearer ' + res.body.token };
+  };
+  const status = async headers => (await srv.request('GET', '/api/bookings', { headers })).status;
+
+  before(async () => {
+    srv = await startServer();
+    ownerAuth = await login();
+  });
+  after(() => srv.close());
+
+  it('persists only a hash of the token and expires the session', async () => {
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    assert.ok(res.body.expiresAt);
+    // Written to the data file or, until it is next rewritten, its journal
+    const saved = ['data.json', 'data-changes.jsonl']
+      .map(name => path.join(process.env.DATA_DIR, name))
+      .filter(file => fs.existsSync(file))
+      .map(file => fs.readFileSync(file, 'utf8'))
+      .join('');
+    assert.ok(saved.includes('"tokenHash"'));
+    assert.ok(!saved.includes(res.body.token));
+    const headers = { Authorization: 'Bearer ' + res.body.token };
+    assert.strictEqual(await status(headers), 200);
+    const session = server.adminSessions[server.adminSessions.length - 1];
+    session.expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.strictEqual(await status(headers), 401);
+    assert.ok(!server.adminSessions.includes(session));
+  });
+
+  it('ends sessions left idle', async () => {
+    const headers = await login();
+    const session = server.adminSessions[server.adminSessions.length - 1];
+    session.lastSeenAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    assert.strictEqual(await status(headers), 401);
+  });
+
+  it('logs out the current session', async () => {
+    const headers = await login();
+    const res = await srv.request('POST', '/api/logout', { headers });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await status(headers), 401);
+    assert.strictEqual(await status(ownerAuth), 200);
+  });
+
+  it('lists and logs out all sessions of an admin', async () => {
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'sessions@example.com', password: 'correct-horse-battery', role: 'admin' } });
+    const admin = server.admins.find(a => a.username === 'sessions@example.com');
+    const first = await login('sessions@example.com', 'correct-horse-battery');
+    const second = await login('sessions@example.com', 'correct-horse-battery');
+    const list = await srv.request('GET', '/api/admin-sessions', { headers: first });
+    assert.strictEqual(list.body.length, 2);
+    assert.strictEqual(list.body.filter(s => s.current).length, 1);
+    assert.ok(list.body.every(s => !('tokenHash' in s)));
+    // Admins cannot see or end other admins' sessions
+    assert.strictEqual((await srv.request('GET', `/api/admin-sessions?adminId=${server.admins[0].id}`, { headers: first })).status, 403);
+    assert.strictEqual((await srv.request('DELETE', `/api/admins/${server.admins[0].id}/sessions`, { headers: first })).status, 403);
+
+    const res = await srv.request('DELETE', `/api/admins/${admin.id}/sessions`, { headers: ownerAuth });
+    assert.deepStrictEqual(res.body, { ok: true, revoked: 2 });
+    assert.strictEqual(await status(first), 401);
+    assert.strictEqual(await status(second), 401);
+
+    const again = await login('sessions@example.com', 'correct-horse-battery');
+    assert.strictEqual((await srv.request('DELETE', '/api/admin-sessions', { headers: again })).status, 200);
+    assert.strictEqual(await status(again), 401);
+    await srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth });
+  });
+
+  it('ends sessions when an admin is deleted or their password is reset', async () => {
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'leaver@example.com', password: 'correct-horse-battery', role: 'admin' } });
+    const leaver = server.admins.find(a => a.username === 'leaver@example.com');
+    const leaverAuth = await login('leaver@example.com', 'correct-horse-battery');
+    server.passwordResetTokens['reset-token'] = { adminId: leaver.id, expires: Date.now() + 60000 };
+    const reset = await srv.request('POST', '/api/reset-password', { body: { token: 'reset-token', password: 'new-horse-battery' } });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual(await status(leaverAuth), 401);
+
+    const fresh = await login('leaver@example.com', 'new-horse-battery');
+    assert.strictEqual((await srv.request('DELETE', `/api/admins/${leaver.id}`, { headers: ownerAuth })).status, 200);
+    assert.strictEqual(await status(fresh), 401);
+    assert.ok(!server.adminSessions.some(s => s.adminId === leaver.id));
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const server = require('..');
+const { startServer, isoDaysFromNow, bookerHeaders, withFailingDatabase } = require('./helpers');
+
+describe('audit log', () => {
+  let srv;
+  let ownerAuth;
+  let owner;
+
+  const audit = async (query = '') => (await srv.request('GET', `/api/audit${query}`, { headers: ownerAuth })).body;
+  const booking = email => ({
+    name: 'Audited', email, spaceId: server.spaces[0].id,
+    date: isoDaysFromNow(11), startTime: '13:00', endTime: '14:00'
+  });
+
+  before(async () => {
+    srv = await startServer();
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+    owner = server.admins.find(a => a.username === 'admin@example.com');
+  });
+  after(() => srv.close());
+
+  it('records who cancelled a booking, and how', async () => {
+    const first = await srv.request('POST', '/api/bookings', { headers: bookerHeaders('audit@fbhi.net'), body: booking('audit@fbhi.net') });
+    await srv.request('DELETE', `/api/bookings/${first.body.id}`, { headers: ownerAuth });
+    const second = await srv.request('POST', '/api/bookings', { headers: bookerHeaders('audit@fbhi.net'), body: booking('audit@fbhi.net') });
+    await srv.request('GET', `/cancel/${second.body.id}`);
+
+    const [cancel, create] = (await audit(`?targetId=${first.body.id}`)).entries;
+    assert.strictEqual(create.action, 'booking.create');
+    assert.strictEqual(create.actor, 'booker');
+    assert.strictEqual(create.actorName, 'audit@fbhi.net');
+    assert.strictEqual(create.after.startTime, '13:00');
+    assert.strictEqual(cancel.action, 'booking.cancel');
+    assert.strictEqual(cancel.actor, `admin:${owner.id}`);
+    assert.strictEqual(cancel.role, 'owner');
+    assert.strictEqual(cancel.before.email, 'audit@fbhi.net');
+    assert.strictEqual(cancel.after, null);
+    assert.ok(cancel.ip);
+    assert.ok(!isNaN(Date.parse(cancel.at)));
+
+    const linkCancel = (await audit(`?targetId=${second.body.id}&action=booking.cancel`)).entries[0];
+    assert.strictEqual(linkCancel.actor, 'link');
+    assert.strictEqual(linkCancel.actorName, 'audit@fbhi.net');
+  });
+
+  it('records no cancellation that could not be saved', async () => {
+    const made = await srv.request('POST', '/api/bookings', { headers: bookerHeaders('audit@fbhi.net'), body: booking('audit@fbhi.net') });
+    const id = made.body.id;
+    const [byAdmin, byLink] = await withFailingDatabase(async () => [
+      await srv.request('DELETE', `/api/bookings/${id}`, { headers: ownerAuth }),
+      await srv.request('GET', `/cancel/${id}`)
+    ]);
+    assert.strictEqual(byAdmin.status, 500);
+    assert.strictEqual(byLink.status, 500);
+    assert.ok(server.bookings.some(b => b.id === id));
+    assert.deepStrictEqual((await audit(`?targetId=${id}`)).entries.map(e => e.action), ['booking.create']);
+    await srv.request('DELETE', `/api/bookings/${id}`, { headers: ownerAuth });
+  });
+
+  it('records admin, space and kiosk changes without their secrets', async () => {
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'audited@example.com', password: 'correct-horse-battery', role: 'admin' } });
+    const admin = server.admins.find(a => a.username === 'audited@example.com');
+    await srv.request('PATCH', `/api/admins/${admin.id}`, { headers: ownerAuth, body: { role: 'analyst' } });
+    await srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth });
+    const adminEntries = (await audit(`?targetId=${admin.id}`)).entries;
+    assert.deepStrictEqual(adminEntries.map(e => e.action), ['admin.delete', 'admin.update', 'admin.create']);
+    assert.strictEqual(adminEntries[1].before.role, 'admin');
+    assert.strictEqual(adminEntries[1].after.role, 'analyst');
+    assert.ok(!JSON.stringify(adminEntries).includes(admin.passwordHash));
+    assert.ok(adminEntries.every(e => !('salt' in (e.before || {})) && !('salt' in (e.after || {}))));
+
+    const space = await srv.request('POST', '/api/spaces', { headers: ownerAuth, body: { name: 'Audit Desk', type: 'desk', priorityOrder: 99 } });
+    await srv.request('DELETE', `/api/spaces/${space.body.id}`, { headers: ownerAuth });
+    const spaceDelete = (await audit(`?targetId=${space.body.id}&action=space.delete`)).entries[0];
+    assert.strictEqual(spaceDelete.before.name, 'Audit Desk');
+
+    const kiosk = await srv.request('POST', '/api/kiosk/tokens', { headers: ownerAuth, body: { label: 'Audit lobby' } });
+    await srv.request('POST', '/api/kiosk/claim', { body: { code: kiosk.body.code } });
+    await srv.request('DELETE', `/api/kiosk/tokens/${kiosk.body.id}`, { headers: ownerAuth });
+    const kioskEntries = (await audit(`?targetType=kiosk&targetId=${kiosk.body.id}`)).entries;
+    assert.deepStrictEqual(kioskEntries.map(e => e.action), ['kiosk.delete', 'kiosk.claim', 'kiosk.create']);
+    assert.strictEqual(kioskEntries[1].actor, `kiosk:${kiosk.body.id}`);
+    assert.ok(!JSON.stringify(kioskEntries).includes(kiosk.body.code));
+  });
+
+  it('filters, pages and exports entries for owners only', async () => {
+    const byAction = await audit('?action=admin');
+    assert.ok(byAction.entries.length > 0);
+    assert.ok(byAction.entries.every(e => e.action.startsWith('admin.')));
+    assert.ok(byAction.entries.every((e, i, all) => i === 0 || all[i - 1].at >= e.at));
+
+    const byActor = await audit('?actor=audit@fbhi.net');
+    assert.ok(byActor.entries.length >= 2 && byActor.entries.every(e => e.actorName === 'audit@fbhi.net'));
+
+    const paged = await audit('?action=admin&limit=1&offset=1');
+    assert.strictEqual(paged.total, byAction.total);
+    assert.deepStrictEqual(paged.entries, [byAction.entries[1]]);
+
+    const tomorrow = isoDaysFromNow(2);
+    assert.strictEqual((await audit(`?from=${tomorrow}`)).total, 0);
+    assert.strictEqual((await audit(`?to=${isoDaysFromNow(1)}`)).total, (await audit()).total);
+    assert.strictEqual((await srv.request('GET', '/api/audit?from=soon', { headers: ownerAuth })).status, 400);
+
+    const csv = await srv.request('GET', '/api/audit?format=csv&action=booking.cancel', { headers: ownerAuth });
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    const lines = csv.body.split('\r\n');
+    assert.strictEqual(lines[0], 'Time,Actor,ActorName,Role,Action,TargetType,TargetId,IP,Before,After');
+    assert.ok(lines.slice(1).every(l => l.includes(',booking.cancel,booking,')));
+
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'super@audit.example', password: 'correct-horse-battery', role: 'superadmin' } });
+    const superAuth = { Authorization: 'Bearer ' + (await srv.request('POST', '/api/login', { body: { username: 'super@audit.example', password: 'correct-horse-battery' } })).body.token };
+    assert.strictEqual((await srv.request('GET', '/api/audit', { headers: superAuth })).status, 403);
+    await srv.request('DELETE', `/api/admins/${server.admins.find(a => a.username === 'super@audit.example').id}`, { headers: ownerAuth });
+  });
+
+  it('appends every entry to the audit file and reads it back', async () => {
+    const file = path.join(process.env.DATA_DIR, 'audit.jsonl');
+    const count = server.auditLog.length;
+    assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, count);
+    fs.appendFileSync(file, '{"cut short\n');
+    server.auditLog.length = 0;
+    await server.loadAuditLog();
+    assert.strictEqual(server.auditLog.length, count);
+  });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const server = require('..');
+const { startServer } = require('./helpers');
+
+describe('backups', () => {
+  let srv;
+  let ownerAuth;
+  const backupDir = path.join(process.env.DATA_DIR, 'backups');
+  const restore = (id, body) => srv.request('POST', `/api/backups/${id}/restore`, { headers: ownerAuth, body });
+
+  before(async () => {
+    srv = await startServer();
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+  });
+  after(() => srv.close());
+
+  it('keeps the newest snapshot of each recent hour, day and week', () => {
+    const newest = Date.parse('2026-02-09T23:30:00.000Z');
+    // One snapshot every half hour for 40 days, newest first
+    const snapshots = Array.from({ length: 40 * 48 }, (_, i) => {
+      const createdAt = new Date(newest - i * 30 * 60 * 1000).toISOString();
+      return { id: createdAt, createdAt };
+    });
+    const kept = server.snapshotRetention(snapshots);
+    const inTier = tier => [...kept].filter(([, tiers]) => tiers.includes(tier)).map(([id]) => id);
+
+    assert.deepStrictEqual(kept.get(snapshots[0].id), ['hourly', 'daily', 'weekly']);
+    assert.deepStrictEqual(inTier('hourly'), snapshots.filter((s, i) => i % 2 === 0).slice(0, 24).map(s => s.id));
+    assert.strictEqual(inTier('daily').length, 7);
+    assert.ok(inTier('daily').every(id => id.endsWith('T23:30:00.000Z')));
+    // Weeks end on Wednesdays (UTC, counted from the epoch); the two
+    // latest Wednesdays are already kept as daily snapshots
+    assert.deepStrictEqual(inTier('weekly'), [
+      '2026-02-09T23:30:00.000Z', '2026-02-04T23:30:00.000Z', '2026-01-28T23:30:00.000Z', '2026-01-21T23:30:00.000Z'
+    ]);
+    assert.strictEqual(kept.size, 24 + 6 + 2);
+  });
+
+  it('takes snapshots and prunes those no tier keeps', async () => {
+    fs.mkdirSync(backupDir, { recursive: true });
+    // Per-save backups of older releases, all in the same hour a year ago
+    for (const second of ['01', '02', '03']) {
+      fs.writeFileSync(path.join(backupDir, `data-2025-10-01T10-00-${second}-000Z.json`), '{}');
+    }
+    fs.writeFileSync(path.join(backupDir, 'notes.txt'), 'not a snapshot');
+    const snapshot = await server.takeSnapshot();
+    const ids = server.listSnapshots().map(s => s.id);
+    assert.deepStrictEqual(ids, [snapshot.id, 'data-2025-10-01T10-00-03-000Z']);
+    assert.ok(fs.existsSync(path.join(backupDir, 'notes.txt')));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(snapshot.file, 'utf8')).spaces, server.spaces);
+  });
+
+  it('lists and downloads snapshots', async () => {
+    const snapshot = await server.takeSnapshot();
+    const list = await srv.request('GET', '/api/backups', { headers: ownerAuth });
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.snapshots[0], {
+      id: snapshot.id, createdAt: snapshot.createdAt, size: snapshot.size, tiers: ['hourly', 'daily', 'weekly']
+    });
+
+    const download = await srv.request('GET', `/api/backups/${snapshot.id}`, { headers: ownerAuth });
+    assert.strictEqual(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), new RegExp(`attachment; filename="${snapshot.id}.json"`));
+    assert.strictEqual(download.body.admins.length, server.admins.length);
+    // Credentials stay on the server
+    ['adminSessions', 'bookerSessions', 'calendarFeeds'].forEach(name => assert.strictEqual(download.body[name], undefined));
+    download.body.admins.forEach(admin => {
+      ['passwordHash', 'salt', 'totpSecret', 'recoveryCodes'].forEach(field => assert.strictEqual(admin[field], undefined));
+    });
+    assert.ok(download.body.admins.every(admin => admin.username));
+    assert.strictEqual((await srv.request('GET', '/api/backups/..%2Fdata', { headers: ownerAuth })).status, 404);
+  });
+
+  it('previews a restore, restores, and can undo it', async () => {
+    const resultsPerPage = server.settings.resultsPerPage;
+    const snapshot = await server.takeSnapshot();
+    const created = await srv.request('POST', '/api/spaces', { headers: ownerAuth, body: { name: 'After Snapshot', type: 'desk', priorityOrder: 97 } });
+    await srv.request('PUT', '/api/settings', { headers: ownerAuth, body: { resultsPerPage: 7 } });
+    const spaceCount = server.spaces.length;
+
+    const preview = await restore(snapshot.id, { dryRun: true });
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.dryRun, true);
+    assert.deepStrictEqual(preview.body.changes.collections.spaces, { added: 0, removed: 1, changed: 0 });
+    assert.deepStrictEqual(preview.body.changes.collections.bookings, { added: 0, removed: 0, changed: 0 });
+    assert.deepStrictEqual(preview.body.changes.settings, ['resultsPerPage']);
+    assert.ok(!('adminSessions' in preview.body.changes.collections));
+    assert.strictEqual(server.spaces.length, spaceCount);
+
+    const restored = await restore(snapshot.id, {});
+    assert.strictEqual(restored.status, 200);
+    assert.ok(!server.spaces.some(s => s.id === created.body.id));
+    assert.notStrictEqual(server.settings.resultsPerPage, 7);
+    // Sessions are left alone, so the owner is still signed in
+    assert.strictEqual((await srv.request('GET', '/api/backups', { headers: ownerAuth })).status, 200);
+    const audit = await srv.request('GET', `/api/audit?action=backup.restore&targetId=${snapshot.id}`, { headers: ownerAuth });
+    assert.strictEqual(audit.body.entries[0].before.snapshot, restored.body.undoSnapshot);
+
+    const undo = await restore(restored.body.undoSnapshot, {});
+    assert.strictEqual(undo.status, 200);
+    assert.ok(server.spaces.some(s => s.id === created.body.id));
+    assert.strictEqual(server.settings.resultsPerPage, 7);
+    assert.ok((await server.jsonStore.loadCollection('spaces')).some(s => s.id === created.body.id));
+    await srv.request('DELETE', `/api/spaces/${created.body.id}`, { headers: ownerAuth });
+    await srv.request('PUT', '/api/settings', { headers: ownerAuth, body: { resultsPerPage } });
+  });
+
+  it('leaves out bookings whose space the snapshot lacks', async () => {
+    const snapshot = await server.takeSnapshot();
+    const data = JSON.parse(fs.readFileSync(snapshot.file, 'utf8'));
+    data.bookings.push({ id: 'orphan', name: 'Gone', email: 'gone@fbhi.net', spaceId: 'deleted-space', date: '2030-01-01', startTime: '09:00', endTime: '10:00', recurring: false });
+    fs.writeFileSync(snapshot.file, JSON.stringify(data));
+
+    const preview = await restore(snapshot.id, { dryRun: true });
+    assert.strictEqual(preview.body.changes.orphanedBookings, 1);
+    assert.deepStrictEqual(preview.body.changes.collections.bookings, { added: 0, removed: 0, changed: 0 });
+
+    const restored = await restore(snapshot.id, {});
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.changes.orphanedBookings, 1);
+    assert.ok(!server.bookings.some(b => b.id === 'orphan'));
+    assert.ok(!(await server.jsonStore.loadCollection('bookings')).some(b => b.id === 'orphan'));
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, bookerHeaders } = require('./helpers');
+
+describe('booker sessions', () => {
+  let srv;
+  let auth;
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => srv.close());
+  beforeEach(() => { server.bookings.length = 0; });
+
+  const booking = email => ({
+    name: 'Walk Up', email, spaceId: server.spaces[0].id,
+    date: isoDaysFromNow(7), startTime: '10:00', endTime: '11:00'
+  });
+  const book = (email, headers = {}) => srv.request('POST', '/api/bookings', { headers, body: booking(email) });
+  const autoBook = (email, headers = {}) => srv.request('POST', '/api/bookings/auto', {
+    headers, body: { type: 'desk', date: isoDaysFromNow(7), start: '12:00', end: '13:00', name: 'Auto', email }
+  });
+
+  it('refuses bookings without proof of the email address', async () => {
+    const res = await book('victim@fbhi.net');
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await autoBook('victim@fbhi.net')).status, 401);
+    assert.strictEqual(server.bookings.length, 0);
+  });
+
+  it('only lets a booker session book for its own address', async () => {
+    const headers = bookerHeaders('me@fbhi.net');
+    assert.strictEqual((await book('victim@fbhi.net', headers)).status, 403);
+    const own = await book('Me@fbhi.net', headers);
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(server.bookings[0].createdBy, 'booker');
+    assert.strictEqual((await autoBook('me@fbhi.net', headers)).status, 200);
+    // A GET would carry the session cookie on cross-site navigations
+    const query = new URLSearchParams({ type: 'desk', date: isoDaysFromNow(8), start: '12:00', end: '13:00', name: 'Auto', email: 'me@fbhi.net' });
+    assert.strictEqual((await srv.request('GET', `/api/bookings/auto?${query}`, { headers })).status, 405);
+  });
+
+  it('checks auto-booking times like any other booking', async () => {
+    const headers = bookerHeaders('me@fbhi.net');
+    const autoAt = (start, end) => srv.request('POST', '/api/bookings/auto', {
+      headers, body: { type: 'desk', date: isoDaysFromNow(7), start, end, name: 'Auto', email: 'me@fbhi.net' }
+    });
+    const backwards = await autoAt('13:00', '12:00');
+    assert.strictEqual(backwards.status, 400);
+    assert.strictEqual(backwards.body.error, 'End time must be after start time');
+    const long = await autoAt('06:00', '23:00');
+    assert.strictEqual(long.status, 400);
+    assert.match(long.body.error, /cannot exceed/);
+    assert.strictEqual(server.bookings.length, 0);
+  });
+
+  it('rejects tampered and expired sessions', async () => {
+    const { token } = server.createBookerSession('me@fbhi.net');
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ email: 'victim@fbhi.net', sid: 'x', exp: Date.now() + 60000 })).toString('base64url');
+    assert.strictEqual((await book('victim@fbhi.net', { 'X-Booker-Session': `${forged}.${signature}` })).status, 401);
+    assert.strictEqual((await srv.request('GET', '/api/booker-session', { headers: { 'X-Booker-Session': payload } })).status, 401);
+    const realNow = Date.now;
+    const expired = server.createBookerSession('me@fbhi.net');
+    Date.now = () => realNow() + 31 * 24 * 60 * 60 * 1000;
+    try {
+      assert.strictEqual((await srv.request('GET', '/api/booker-session', { headers: { 'X-Booker-Session': expired.token } })).status, 401);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it('issues a session cookie from the verification link', async () => {
+    const res = await srv.request('POST', '/api/request-verification', { body: { email: 'New@fbhi.net' } });
+    assert.strictEqual(res.status, 200);
+    const token = Object.keys(server.verificationTokens).find(t => server.verificationTokens[t].email === 'new@fbhi.net');
+    const verified = await srv.request('GET', `/verify-email/${token}`);
+    assert.strictEqual(verified.status, 200);
+    assert.ok(server.verifiedEmails.includes('new@fbhi.net'));
+    const setCookie = verified.headers.get('set-cookie');
+    assert.match(setCookie, /bookerSession=.*HttpOnly/);
+    const cookie = { Cookie: setCookie.split(';')[0] };
+    const session = await srv.request('GET', '/api/booker-session', { headers: cookie });
+    assert.strictEqual(session.body.email, 'new@fbhi.net');
+    assert.strictEqual((await book('new@fbhi.net', cookie)).status, 200);
+    // Tokens are single use
+    assert.strictEqual((await srv.request('GET', `/verify-email/${token}`)).status, 404);
+  });
+
+  it('expires verification links', async () => {
+    server.verificationTokens.stale = { email: 'late@fbhi.net', expires: Date.now() - 1 };
+    const res = await srv.request('GET', '/verify-email/stale');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(server.verificationTokens.stale, undefined);
+    assert.ok(!server.verifiedEmails.includes('late@fbhi.net'));
+  });
+
+  it('lists and revokes the booker\'s own sessions', async () => {
+    server.bookerSessions.length = 0;
+    const laptop = { 'X-Booker-Session': server.createBookerSession('me@fbhi.net', 'Laptop').token };
+    const phone = server.createBookerSession('me@fbhi.net', 'Phone');
+    const other = server.createBookerSession('other@fbhi.net', 'Other');
+    const list = await srv.request('GET', '/api/booker-sessions', { headers: laptop });
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.map(s => [s.userAgent, s.current]).sort(), [['Laptop', true], ['Phone', false]]);
+    assert.strictEqual((await srv.request('DELETE', `/api/booker-sessions/${other.sid}`, { headers: laptop })).status, 404);
+    assert.strictEqual((await srv.request('DELETE', `/api/booker-sessions/${phone.sid}`, { headers: laptop })).status, 200);
+    const phoneHeaders = { 'X-Booker-Session': phone.token };
+    assert.strictEqual((await book('me@fbhi.net', phoneHeaders)).status, 401);
+    assert.strictEqual((await srv.request('GET', '/api/my-bookings', { headers: laptop })).status, 200);
+    assert.strictEqual((await srv.request('DELETE', '/api/booker-session', { headers: laptop })).status, 200);
+    assert.strictEqual((await srv.request('GET', '/api/my-bookings', { headers: laptop })).status, 401);
+    assert.deepStrictEqual(server.bookerSessions.map(s => s.email), ['other@fbhi.net']);
+  });
+
+  it('lets admins list and revoke any booker session', async () => {
+    server.bookerSessions.length = 0;
+    const session = server.createBookerSession('me@fbhi.net', 'Laptop');
+    server.createBookerSession('other@fbhi.net', 'Other');
+    const list = await srv.request('GET', '/api/booker-sessions?email=Me@fbhi.net', { headers: auth });
+    assert.deepStrictEqual(list.body.map(s => s.id), [session.sid]);
+    assert.strictEqual((await srv.request('DELETE', `/api/booker-sessions/${session.sid}`, { headers: auth })).status, 200);
+    assert.strictEqual((await srv.request('GET', '/api/booker-session', { headers: { 'X-Booker-Session': session.token } })).status, 401);
+  });
+
+  it('lets kiosks and admins book on behalf of others', async () => {
+    const created = await srv.request('POST', '/api/kiosk/tokens', { headers: auth, body: { label: 'Lobby' } });
+    const claim = await srv.request('POST', '/api/kiosk/claim', { body: { code: created.body.code } });
+    const cookie = { Cookie: claim.headers.get('set-cookie').split(';')[0] };
+    const walkUp = await book('walkup@fbhi.net', cookie);
+    assert.strictEqual(walkUp.status, 200);
+    assert.strictEqual(server.bookings[0].createdBy, `kiosk:${created.body.id}`);
+    server.bookings.length = 0;
+    const byAdmin = await book('someone@fbhi.net', auth);
+    assert.strictEqual(byAdmin.status, 200);
+    assert.match(server.bookings[0].createdBy, /^admin:/);
+  });
+});
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf, bookerHeaders } = require('./helpers');
+
+describe('booking conflicts', () => {
+  let srv;
+  let ownerAuth;
+  let apply;
+  const date = isoDaysFromNow(13);
+  const book = (email, body = {}, headers = bookerHeaders(email)) => srv.request('POST', '/api/bookings', {
+    headers,
+    body: { name: 'Racer', email, spaceId: server.spaces[0].id, date, startTime: '14:00', endTime: '15:00', ...body }
+  });
+
+  before(async () => {
+    srv = await startServer();
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+    // Slow saves down so that parallel requests overlap while one is saved
+    apply = server.jsonStore.apply;
+    server.jsonStore.apply = async changes => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return apply(changes);
+    };
+  });
+  after(async () => {
+    server.jsonStore.apply = apply;
+    for (let i = server.bookings.length - 1; i >= 0; i--) {
+      if (server.bookings[i].name === 'Racer') server.bookings.splice(i, 1);
+    }
+    await srv.close();
+  });
+
+  it('lets only one of several parallel requests take a slot', async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, (_, i) => book(`racer${i}@fbhi.net`, { startTime: `14:0${i}` })));
+    assert.deepStrictEqual(results.map(r => r.status).sort(), [200, 409, 409, 409, 409, 409, 409, 409]);
+    assert.strictEqual(server.bookings.filter(b => b.date === date && b.spaceId === server.spaces[0].id).length, 1);
+    const winner = results.find(r => r.status === 200);
+    const refused = results.find(r => r.status === 409);
+    assert.strictEqual(refused.body.error, 'Space is not available for the requested time');
+    const held = server.bookings.find(b => b.id === winner.body.id);
+    assert.deepStrictEqual(refused.body.conflict, { spaceId: server.spaces[0].id, date, startTime: held.startTime, endTime: '15:00' });
+  });
+
+  it('shows admins the booking in the way', async () => {
+    const res = await book('racer0@fbhi.net', {}, ownerAuth);
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.conflict.booking.name, 'Racer');
+    assert.ok(res.body.conflict.booking.id);
+  });
+
+  it('reports the first later occurrence that clashes', async () => {
+    const start = isoDaysFromNow(20);
+    const later = isoDaysFromNow(27);
+    assert.strictEqual((await book('racer1@fbhi.net', { date: later, startTime: '08:00', endTime: '09:00' })).status, 200);
+    const res = await book('racer2@fbhi.net', {
+      date: start, startTime: '08:30', endTime: '09:30', recurring: { frequency: 'weekly', weekday: weekdayOf(start), count: 3 }
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.error, 'Recurring booking conflicts with an existing booking in a future period');
+    assert.strictEqual(res.body.conflict.date, later);
+  });
+
+  it('refuses overrides and malformed skipped dates from clients', async () => {
+    const recurring = { frequency: 'weekly', weekday: weekdayOf(date), count: 3 };
+    const moved = await book('racer4@fbhi.net', {
+      startTime: '06:00', endTime: '07:00',
+      recurring: { ...recurring, overrides: { [isoDaysFromNow(20)]: { spaceId: 'missing' } } }
+    });
+    assert.strictEqual(moved.status, 400);
+    assert.match(moved.body.error, /occurrences/);
+    const skipped = await book('racer4@fbhi.net', { startTime: '06:00', endTime: '07:00', recurring: { ...recurring, exceptions: 'soon' } });
+    assert.strictEqual(skipped.status, 400);
+    const made = await book('racer4@fbhi.net', { startTime: '06:00', endTime: '07:00', recurring });
+    const replaced = await srv.request('PUT', `/api/bookings/${made.body.id}`, {
+      headers: ownerAuth, body: { recurring: { ...recurring, overrides: {} } }
+    });
+    assert.strictEqual(replaced.status, 400);
+  });
+
+  it('checks an occurrence moved by an override where it actually is', () => {
+    const [home, other] = server.spaces;
+    const moved = isoDaysFromNow(34);
+    server.bookings.push({
+      id: 'override-blocker', name: 'Racer', email: 'racer5@fbhi.net', spaceId: other.id,
+      date: moved, startTime: '07:00', endTime: '08:00', recurring: false
+    });
+    const recurring = {
+      frequency: 'weekly', weekday: weekdayOf(moved), count: 2,
+      overrides: { [moved]: { spaceId: other.id } }
+    };
+    assert.strictEqual(server.checkRecurringAvailability(home.id, isoDaysFromNow(27), '07:00', '08:00', recurring), false);
+    delete recurring.overrides;
+    assert.strictEqual(server.checkRecurringAvailability(home.id, isoDaysFromNow(27), '07:00', '08:00', recurring), true);
+  });
+
+  it('gives parallel auto-bookings different spaces', async () => {
+    const desks = server.spaces.filter(s => s.type === 'desk').length;
+    const results = await Promise.all(Array.from({ length: desks + 1 }, (_, i) => {
+      const email = `auto${i}@fbhi.net`;
+      const body = { type: 'desk', date, start: '16:00', end: '17:00', name: 'Racer', email };
+      return srv.request('POST', '/api/bookings/auto', { headers: bookerHeaders(email), body });
+    }));
+    const booked = results.filter(r => r.status === 200).map(r => r.body.spaceName);
+    assert.strictEqual(new Set(booked).size, desks);
+    assert.strictEqual(results.filter(r => r.status === 404).length, 1);
+  });
+
+  it('lets only one of two parallel reschedules take a slot', async () => {
+    const ids = [];
+    for (const startTime of ['10:00', '11:00']) {
+      const res = await book('racer3@fbhi.net', { startTime, endTime: startTime.replace(':00', ':30') });
+      assert.strictEqual(res.status, 200);
+      ids.push(res.body.id);
+    }
+    const results = await Promise.all(ids.map(id => srv.request('PUT', `/api/bookings/${id}`, {
+      headers: ownerAuth,
+      body: { startTime: '12:00', endTime: '12:30' }
+    })));
+    assert.deepStrictEqual(results.map(r => r.status).sort(), [200, 409]);
+    assert.strictEqual(server.bookings.filter(b => b.date === date && b.startTime === '12:00').length, 1);
+  });
+
+  it('keeps an occurrence cancelled while the series is edited', async () => {
+    const start = isoDaysFromNow(34);
+    const skipped = server.addDays(start, 7);
+    const res = await book('racer4@fbhi.net', {
+      date: start, startTime: '16:00', endTime: '17:00', recurring: { frequency: 'weekly', weekday: weekdayOf(start), count: 3 }
+    });
+    assert.strictEqual(res.status, 200);
+    const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+    // A booking being saved holds the lock while the edit waits for it and
+    // the cancellation arrives
+    const held = book('racer5@fbhi.net', { startTime: '18:00', endTime: '19:00' });
+    await pause();
+    const editing = srv.request('PUT', `/api/bookings/${res.body.id}`, { headers: ownerAuth, body: { endTime: '17:30' } });
+    await pause();
+    const cancelling = srv.request('DELETE', `/api/bookings/${res.body.id}/occurrences/${skipped}`, { headers: ownerAuth });
+    const [, edit, cancel] = await Promise.all([held, editing, cancelling]);
+    assert.strictEqual(cancel.status, 200);
+    assert.ok([200, 409].includes(edit.status), `unexpected status ${edit.status}`);
+    const booking = server.bookings.find(b => b.id === res.body.id);
+    assert.deepStrictEqual(booking.recurring.exceptions, [skipped]);
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, bookerHeaders } = require('./helpers');
+
+describe('business hours and closures', () => {
+  let srv;
+  let auth;
+  const originalNow = server.currentTime;
+  const weekdays = { open: '08:00', close: '18:00' };
+  const location = () => server.locations[0];
+  const space = () => server.spaces.find(s => s.type === 'desk');
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => srv.close());
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.currentTime = () => new Date('2030-01-01T12:00:00Z');
+    // Monday to Friday 08:00-18:00; 2030-01-21 is a Monday holiday
+    location().hours = [null, weekdays, weekdays, weekdays, weekdays, weekdays, null];
+    location().holidays = [{ date: '2030-01-21', name: 'MLK Day' }];
+  });
+  afterEach(() => {
+    server.currentTime = originalNow;
+    location().hours = null;
+    location().holidays = [];
+    server.settings.closedOccurrencePolicy = 'skip';
+  });
+
+  const book = extra => srv.request('POST', '/api/bookings', {
+    headers: bookerHeaders('hours@fbhi.net'),
+    body: {
+      name: 'Hours', email: 'hours@fbhi.net', spaceId: space().id,
+      date: '2030-01-07', startTime: '09:00', endTime: '10:00', ...extra
+    }
+  });
+
+  it('rejects bookings outside opening hours, on closed days and holidays', async () => {
+    const early = await book({ startTime: '07:00', endTime: '08:30' });
+    assert.strictEqual(early.status, 400);
+    assert.match(early.body.error, /open 08:00 AM - 06:00 PM on Mondays/);
+    const saturday = await book({ date: '2030-01-12' });
+    assert.strictEqual(saturday.status, 400);
+    assert.match(saturday.body.error, /closed on Saturdays/);
+    const holiday = await book({ date: '2030-01-21' });
+    assert.strictEqual(holiday.status, 400);
+    assert.match(holiday.body.error, /MLK Day/);
+    assert.strictEqual((await book()).status, 200);
+  });
+
+  it('skips recurring occurrences on closed days by default', async () => {
+    const res = await book({ recurring: { frequency: 'weekly', weekday: 1, count: 4 } });
+    assert.strictEqual(res.status, 200);
+    const rec = server.bookings[0].recurring;
+    assert.deepStrictEqual(rec.exceptions, ['2030-01-21']);
+    assert.strictEqual(server.isRecurringOnDate('2030-01-21', rec, '2030-01-07'), false);
+    assert.strictEqual(server.isRecurringOnDate('2030-01-28', rec, '2030-01-07'), true);
+  });
+
+  it('drops occurrences of existing series on holidays added later', async () => {
+    const res = await book({ recurring: { frequency: 'weekly', weekday: 1, count: 4 } });
+    assert.strictEqual(res.status, 200);
+    const saved = await srv.request('PUT', `/api/locations/${location().id}`, {
+      headers: auth, body: { holidays: [{ date: '2030-01-21', name: 'MLK Day' }, '2030-01-28'] }
+    });
+    assert.strictEqual(saved.status, 200);
+    const booking = server.bookings[0];
+    assert.strictEqual(server.getOccurrence(booking, '2030-01-28'), null);
+    assert.ok(server.getOccurrence(booking, '2030-01-14'));
+    // The closed days still count towards the four occurrences
+    assert.strictEqual(server.getSeriesEnd(booking.recurring, booking.date), '2030-01-28');
+    const ics = server.generateBookingIcs(booking, space().name);
+    assert.match(ics, /EXDATE;TZID=[^:]+:20300121T090000/);
+    assert.match(ics, /EXDATE;TZID=[^:]+:20300128T090000/);
+  });
+
+  it('rejects recurring bookings that hit a closed day when configured to', async () => {
+    const setting = await srv.request('PUT', '/api/settings', { headers: auth, body: { closedOccurrencePolicy: 'reject' } });
+    assert.strictEqual(setting.status, 200);
+    const res = await book({ recurring: { frequency: 'weekly', weekday: 1, count: 4 } });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /closed day.*MLK Day/);
+    const bad = await srv.request('PUT', '/api/settings', { headers: auth, body: { closedOccurrencePolicy: 'sometimes' } });
+    assert.strictEqual(bad.status, 400);
+  });
+
+  it('ignores conflicts on closed days when checking a series', () => {
+    server.bookings.push({
+      id: 'on-holiday', name: 'Other', email: 'other@fbhi.net', spaceId: space().id,
+      date: '2030-01-21', startTime: '09:00', endTime: '10:00', recurring: false
+    });
+    const rec = { frequency: 'weekly', weekday: 1, count: 4 };
+    assert.strictEqual(server.checkRecurringAvailability(space().id, '2030-01-07', '09:00', '10:00', rec), true);
+  });
+
+  it('reports the closure when auto-booking on a closed day', async () => {
+    const res = await srv.request('POST', '/api/bookings/auto', {
+      headers: auth, body: { type: 'desk', date: '2030-01-12', start: '09:00', end: '10:00', name: 'Auto', email: 'auto@fbhi.net' }
+    });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /closed on Saturdays/);
+  });
+
+  it('exposes the hours for a date', async () => {
+    const open = await srv.request('GET', `/api/locations/${location().id}/hours?date=2030-01-07`);
+    assert.deepStrictEqual(open.body, { date: '2030-01-07', closed: false, open: '08:00', close: '18:00', reason: null });
+    const closed = await srv.request('GET', `/api/locations/${location().id}/hours?date=2030-01-21`);
+    assert.strictEqual(closed.body.closed, true);
+    assert.match(closed.body.reason, /MLK Day/);
+    assert.strictEqual((await srv.request('GET', `/api/locations/${location().id}/hours`)).status, 400);
+  });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf, bookerHeaders, withFailingDatabase } = require('./helpers');
+
+describe('calendar feeds', () => {
+  let srv;
+  const email = 'feed@fbhi.net';
+  let manage;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.calendarFeeds.length = 0;
+    manage = bookerHeaders(email);
+  });
+
+  function addBooking(overrides) {
+    server.bookings.push({
+      id: overrides.id,
+      name: 'Feed User',
+      email,
+      spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(1),
+      startTime: '10:00',
+      endTime: '11:00',
+      recurring: false,
+      ...overrides
+    });
+  }
+
+  async function feedPath() {
+    const res = await srv.request('POST', '/api/my-bookings/calendar-feed', { headers: manage });
+    assert.strictEqual(res.status, 200);
+    return new URL(res.body.url).pathname;
+  }
+
+  it('issues a stable personal feed URL and rotates it on request', async () => {
+    const first = await feedPath();
+    assert.match(first, /^\/calendar\/user\/[0-9a-f]+\.ics$/);
+    assert.strictEqual(await feedPath(), first);
+    const rotated = await srv.request('POST', '/api/my-bookings/calendar-feed', { headers: manage, body: { rotate: true } });
+    assert.notStrictEqual(new URL(rotated.body.url).pathname, first);
+    assert.strictEqual((await srv.request('GET', first)).status, 404);
+  });
+
+  it('keeps the old feed URL when rotating it cannot be saved', async () => {
+    const first = await feedPath();
+    const failed = await withFailingDatabase(() => srv.request('POST', '/api/my-bookings/calendar-feed', { headers: manage, body: { rotate: true } }));
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(server.calendarFeeds.length, 1);
+    assert.strictEqual((await srv.request('GET', first)).status, 200);
+  });
+
+  it('expands recurring bookings within the window', async () => {
+    const start = isoDaysFromNow(1);
+    addBooking({ id: 'one-off' });
+    addBooking({
+      id: 'series',
+      date: start,
+      startTime: '14:00',
+      endTime: '15:00',
+      recurring: { frequency: 'weekly', weekday: weekdayOf(start), count: 3, exceptions: [isoDaysFromNow(8)] }
+    });
+    addBooking({ id: 'someone-else', email: 'other@fbhi.net' });
+    const res = await srv.request('GET', await feedPath());
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    const uids = res.body.match(/^UID:.*$/gm);
+    assert.deepStrictEqual(uids.map(u => u.split('@')[0]), [
+      `UID:one-off-${start.replace(/-/g, '')}`,
+      `UID:series-${start.replace(/-/g, '')}`,
+      `UID:series-${isoDaysFromNow(15).replace(/-/g, '')}`
+    ]);
+    assert.doesNotMatch(res.body, /someone-else/);
+  });
+
+  it('answers conditional requests with 304', async () => {
+    addBooking({ id: 'cached' });
+    const path = await feedPath();
+    const first = await srv.request('GET', path);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.ok(first.headers.get('last-modified'));
+    const again = await srv.request('GET', path, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(again.status, 304);
+    addBooking({ id: 'new-one', date: isoDaysFromNow(3) });
+    const changed = await srv.request('GET', path, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(changed.status, 200);
+  });
+
+  it('serves an anonymised feed per space behind a token', async () => {
+    addBooking({ id: 'in-space' });
+    addBooking({ id: 'elsewhere', spaceId: server.spaces[1].id });
+    const login = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    const auth = { Authorization: 'Bearer ' + login.body.token };
+    const issue = body => srv.request('POST', `/api/spaces/${server.spaces[0].id}/calendar-feed`, { headers: auth, body });
+    assert.strictEqual((await srv.request('POST', `/api/spaces/${server.spaces[0].id}/calendar-feed`)).status, 401);
+    const path = new URL((await issue()).body.url).pathname;
+    assert.match(path, /^\/calendar\/space\/[0-9a-f]+\.ics$/);
+    assert.strictEqual(new URL((await issue()).body.url).pathname, path);
+
+    const res = await srv.request('GET', path);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.body, /UID:in-space-/);
+    assert.doesNotMatch(res.body, /UID:elsewhere-/);
+    assert.doesNotMatch(res.body, /Feed User/);
+    assert.strictEqual((await srv.request('GET', `/calendar/space/${server.spaces[0].id}.ics`)).status, 404);
+
+    const rotated = new URL((await issue({ rotate: true })).body.url).pathname;
+    assert.notStrictEqual(rotated, path);
+    assert.strictEqual((await srv.request('GET', path)).status, 404);
+    assert.strictEqual((await srv.request('GET', rotated)).status, 200);
+  });
+});
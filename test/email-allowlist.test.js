@@ -0,0 +1,84 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, bookerHeaders } = require('./helpers');
+
+describe('email allowlist', () => {
+  let srv;
+  let auth;
+  const originalNow = server.currentTime;
+  const original = { domains: server.settings.allowedDomains, emails: server.settings.allowedEmails };
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => srv.close());
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.currentTime = () => new Date('2030-01-01T15:00:00Z');
+  });
+  afterEach(() => {
+    server.currentTime = originalNow;
+    server.settings.allowedDomains = original.domains;
+    server.settings.allowedEmails = original.emails;
+  });
+
+  const book = email => srv.request('POST', '/api/bookings', {
+    headers: bookerHeaders(email),
+    body: {
+      name: 'Guest', email, spaceId: server.spaces[0].id,
+      date: '2030-01-07', startTime: '09:00', endTime: '10:00'
+    }
+  });
+  const allow = body => srv.request('PUT', '/api/email-allowlist', { headers: auth, body });
+
+  it('only accepts the configured domain by default', async () => {
+    const res = await book('someone@gmail.com');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Email must be a @fbhi.net address');
+    assert.strictEqual((await book(' Someone@FBHI.net ')).status, 200);
+  });
+
+  it('accepts added domains and individual addresses until they expire', async () => {
+    const res = await allow({
+      domains: ['fbhi.net', '@Sister.Example'],
+      emails: [{ email: 'Contractor@gmail.com', expiresAt: '2030-01-10', note: 'Audit' }]
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.domains, ['fbhi.net', 'sister.example']);
+    assert.strictEqual((await book('someone@sister.example')).status, 200);
+    server.bookings.length = 0;
+    assert.strictEqual((await book('contractor@gmail.com')).status, 200);
+    server.bookings.length = 0;
+
+    server.currentTime = () => new Date('2030-01-11T15:00:00Z');
+    const expired = await book('contractor@gmail.com');
+    assert.strictEqual(expired.status, 400);
+    assert.match(expired.body.error, /@fbhi.net or @sister.example/);
+    const list = await srv.request('GET', '/api/email-allowlist', { headers: auth });
+    assert.strictEqual(list.body.emails[0].expired, true);
+  });
+
+  it('applies to auto-booking and verification requests', async () => {
+    const auto = await srv.request('POST', '/api/bookings/auto', {
+      body: { type: 'desk', date: '2030-01-07', start: '09:00', end: '10:00', name: 'Guest', email: 'guest@gmail.com' }
+    });
+    assert.strictEqual(auto.status, 400);
+    const verify = await srv.request('POST', '/api/request-verification', { body: { email: 'guest@gmail.com' } });
+    assert.strictEqual(verify.status, 400);
+    await allow({ domains: ['fbhi.net'], emails: ['guest@gmail.com'] });
+    const allowed = await srv.request('POST', '/api/request-verification', { body: { email: 'guest@gmail.com' } });
+    assert.strictEqual(allowed.status, 200);
+  });
+
+  it('validates the allowlist and requires an admin', async () => {
+    assert.strictEqual((await allow({ domains: ['not a domain'], emails: [] })).status, 400);
+    assert.strictEqual((await allow({ domains: [], emails: [{ email: 'x@y.com', expiresAt: 'soon' }] })).status, 400);
+    const anon = await srv.request('PUT', '/api/email-allowlist', { body: { domains: [], emails: [] } });
+    assert.strictEqual(anon.status, 401);
+  });
+});
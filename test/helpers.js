@@ -0,0 +1,68 @@
+const server = require('..');
+
+/**
+ * Start the Express app on an ephemeral port and return a small fetch
+ * wrapper bound to it.  Call `close()` in an `after` hook.
+ */
+function startServer() {
+  return new Promise(resolve => {
+    const listener = server.app.listen(0, () => {
+      const base = `http://127.0.0.1:${listener.address().port}`;
+      const request = async (method, url, { body, headers = {} } = {}) => {
+        const opts = { method, headers: { ...headers } };
+        if (body !== undefined) {
+          opts.headers['Content-Type'] = 'application/json';
+          opts.body = JSON.stringify(body);
+        }
+        const res = await fetch(base + url, opts);
+        const text = await res.text();
+        let data = text;
+        try { data = JSON.parse(text); } catch (_) {}
+        return { status: res.status, headers: res.headers, body: data };
+      };
+      resolve({ base, request, close: () => new Promise(r => listener.close(r)) });
+    });
+  });
+}
+
+/**
+ * Return an ISO date string (YYYY-MM-DD) `days` days from today in the
+ * site timezone, which is how the server decides what "today" is.
+ */
+function isoDaysFromNow(days) {
+  return server.addDays(server.siteToday(), days);
+}
+
+/**
+ * Day of the week (0 = Sunday) of an ISO date, whatever zone the tests
+ * run in.
+ */
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Headers carrying a signed booker session for `email`, as issued by the
+ * verification link, for booking as a member of the public.
+ */
+function bookerHeaders(email) {
+  const { token } = server.createBookerSession(String(email).trim().toLowerCase());
+  return { 'X-Booker-Session': token };
+}
+
+/**
+ * Run `fn` while every write to the database fails, as when it is
+ * unreachable, to check that routes report the failure and leave memory
+ * as it was.  Only writes are available: avoid routes that read from it.
+ */
+async function withFailingDatabase(fn) {
+  const down = async () => { throw new Error('database unavailable'); };
+  server.setPostgresStore({ name: 'postgres', apply: down, addBooking: down, replaceAll: down });
+  try {
+    return await fn();
+  } finally {
+    server.setPostgresStore(null);
+  }
+}
+
+module.exports = { startServer, isoDaysFromNow, weekdayOf, bookerHeaders, withFailingDatabase };
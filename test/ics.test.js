@@ -0,0 +1,142 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf } = require('./helpers');
+
+describe('iCalendar invites', () => {
+  const series = extra => ({
+    id: 'ics-1',
+    name: 'Smith, Jo',
+    email: 'jo@fbhi.net',
+    spaceId: server.spaces[0].id,
+    date: '2025-09-01',
+    startTime: '09:30',
+    endTime: '10:00',
+    sequence: 2,
+    ...extra
+  });
+  const unfold = ics => ics.replace(/\r\n /g, '');
+  // Pin the zone so the expected UTC values do not depend on the test host
+  let savedZone;
+  before(() => {
+    savedZone = server.settings.timeZone;
+    server.settings.timeZone = 'America/New_York';
+  });
+  after(() => {
+    server.settings.timeZone = savedZone;
+  });
+
+  it('describes a one-off booking as a REQUEST', () => {
+    const ics = server.generateBookingIcs(series({ recurring: false }), 'Room A');
+    assert.ok(ics.endsWith('\r\n'));
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /\r\nMETHOD:REQUEST\r\n/);
+    assert.match(ics, /\r\nUID:ics-1@[^\r]+\r\n/);
+    assert.match(ics, /\r\nSEQUENCE:2\r\n/);
+    assert.match(ics, /\r\nDTSTART;TZID=America\/New_York:20250901T093000\r\n/);
+    assert.match(ics, /\r\nDTEND;TZID=America\/New_York:20250901T100000\r\n/);
+    assert.match(unfold(ics), /ATTENDEE;CN="Smith, Jo";RSVP=FALSE:mailto:jo@fbhi.net/);
+    assert.doesNotMatch(ics, /RRULE:FREQ=(?!YEARLY)/);
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  });
+
+  it('includes the RRULE, skipped dates and overrides of a series', () => {
+    const ics = server.generateBookingIcs(series({
+      recurring: {
+        frequency: 'weekly',
+        weekdays: [1, 3],
+        until: '2025-12-31',
+        exceptions: ['2025-09-08'],
+        overrides: { '2025-09-10': { startTime: '11:00', endTime: '12:00' } }
+      }
+    }), 'Room A');
+    // UNTIL is the end of the last day in New York, expressed in UTC
+    assert.match(ics, /\r\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260101T045959Z\r\n/);
+    assert.match(ics, /\r\nEXDATE;TZID=America\/New_York:20250908T093000\r\n/);
+    assert.match(ics, /\r\nRECURRENCE-ID;TZID=America\/New_York:20250910T093000\r\nSTATUS:CONFIRMED/);
+    assert.match(ics, /\r\nDTSTART;TZID=America\/New_York:20250910T110000\r\n/);
+    assert.doesNotMatch(ics.slice(ics.indexOf('BEGIN:VEVENT')), /DTSTART:\d/);
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 2);
+  });
+
+  it('defines the timezone its times refer to', () => {
+    const ics = server.generateBookingIcs(series({
+      name: 'Jo "JJ" Smith',
+      recurring: { frequency: 'weekly', weekday: 1, until: '2025-12-31' }
+    }), 'Room A');
+    assert.strictEqual(ics.match(/BEGIN:VTIMEZONE/g).length, 1);
+    assert.ok(ics.indexOf('END:VTIMEZONE') < ics.indexOf('BEGIN:VEVENT'));
+    assert.match(ics, /\r\nBEGIN:VTIMEZONE\r\nTZID:America\/New_York\r\nBEGIN:STANDARD\r\nDTSTART:20250101T000000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0500\r\n/);
+    assert.match(ics, /\r\nBEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU\r\nEND:DAYLIGHT\r\n/);
+    assert.match(ics, /\r\nBEGIN:STANDARD\r\nDTSTART:20251102T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU\r\nEND:STANDARD\r\n/);
+    assert.match(unfold(ics), /ATTENDEE;CN="Jo JJ Smith";RSVP=FALSE/);
+  });
+
+  it('gives the last weekday of the month for zones that change then', () => {
+    server.settings.timeZone = 'Europe/London';
+    try {
+      const ics = server.generateBookingIcs(series({ recurring: { frequency: 'weekly', weekday: 1 } }), 'Room A');
+      assert.match(ics, /\r\nDTSTART:20250330T010000\r\nTZOFFSETFROM:\+0000\r\nTZOFFSETTO:\+0100\r\n/);
+      assert.match(ics, /RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU/);
+      assert.match(ics, /RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU/);
+    } finally {
+      server.settings.timeZone = 'America/New_York';
+    }
+  });
+
+  it('cancels a whole booking or a single occurrence', () => {
+    const booking = series({ recurring: { frequency: 'weekly', weekday: 1 } });
+    const all = server.generateBookingIcs(booking, 'Room A', 'CANCEL', true);
+    assert.match(all, /\r\nMETHOD:CANCEL\r\n/);
+    assert.match(all, /\r\nSTATUS:CANCELLED\r\n/);
+    const one = server.generateBookingIcs(booking, 'Room A', 'CANCEL', true, {
+      date: '2025-09-15', spaceId: booking.spaceId, startTime: '09:30', endTime: '10:00'
+    });
+    assert.match(one, /\r\nRECURRENCE-ID;TZID=America\/New_York:20250915T093000\r\n/);
+    assert.doesNotMatch(one, /RRULE:FREQ=(?!YEARLY)/);
+  });
+
+  describe('booking updates', () => {
+    let srv;
+    let auth;
+    let updates;
+    const originalUpdated = server.sendBookingUpdatedEmail;
+
+    before(async () => {
+      srv = await startServer();
+      const login = await srv.request('POST', '/api/login', {
+        body: { username: 'admin@example.com', password: 'admin123' }
+      });
+      auth = { Authorization: 'Bearer ' + login.body.token };
+    });
+    after(() => {
+      server.sendBookingUpdatedEmail = originalUpdated;
+      return srv.close();
+    });
+    beforeEach(() => {
+      updates = [];
+      server.sendBookingUpdatedEmail = async (...args) => { updates.push(args); };
+      server.bookings.length = 0;
+    });
+
+    it('bumps the SEQUENCE and passes the booking to the update email', async () => {
+      server.bookings.push(series({ date: isoDaysFromNow(7), sequence: 0, recurring: false }));
+      const res = await srv.request('PUT', '/api/bookings/ics-1', {
+        headers: auth,
+        body: { startTime: '13:00', endTime: '14:00' }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(server.bookings[0].sequence, 1);
+      assert.strictEqual(updates.length, 1);
+      const booking = updates[0][7];
+      assert.strictEqual(booking.id, 'ics-1');
+      assert.match(server.generateBookingIcs(booking, 'Room A'), /\r\nSEQUENCE:1\r\n/);
+    });
+
+    it('bumps the SEQUENCE when an occurrence is cancelled', async () => {
+      server.bookings.push(series({ date: isoDaysFromNow(7), sequence: 0, recurring: { frequency: 'weekly', weekday: weekdayOf(isoDaysFromNow(7)) } }));
+      const res = await srv.request('GET', `/cancel/ics-1?date=${isoDaysFromNow(14)}`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(server.bookings[0].sequence, 1);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, withFailingDatabase } = require('./helpers');
+
+describe('locations', () => {
+  let srv;
+  let auth;
+  let branch;
+  const originalNow = server.currentTime;
+  const home = () => server.locations[0].id;
+
+  before(async () => {
+    srv = await startServer();
+    const login = await srv.request('POST', '/api/login', {
+      body: { username: 'admin@example.com', password: 'admin123' }
+    });
+    auth = { Authorization: 'Bearer ' + login.body.token };
+  });
+  after(() => srv.close());
+
+  beforeEach(async () => {
+    server.bookings.length = 0;
+    const res = await srv.request('POST', '/api/locations', {
+      headers: auth,
+      body: { name: 'Tokyo Branch', address: '1 Chiyoda', timeZone: 'Asia/Tokyo' }
+    });
+    assert.strictEqual(res.status, 200);
+    branch = res.body.id;
+    // Move the second desk to the branch
+    await srv.request('PUT', `/api/spaces/${desk(1).id}`, { headers: auth, body: { locationId: branch } });
+  });
+  afterEach(async () => {
+    server.currentTime = originalNow;
+    server.spaces.forEach(s => { s.locationId = home(); });
+    server.kioskTokens.length = 0;
+    server.locations.splice(1);
+  });
+
+  const desk = n => server.spaces.filter(s => s.type === 'desk')[n];
+
+  it('validates locations', async () => {
+    const badZone = await srv.request('POST', '/api/locations', { headers: auth, body: { name: 'X', timeZone: 'Nowhere/Here' } });
+    assert.strictEqual(badZone.status, 400);
+    const badHours = await srv.request('POST', '/api/locations', {
+      headers: auth,
+      body: { name: 'X', hours: [null, { open: '18:00', close: '08:00' }, null, null, null, null, null] }
+    });
+    assert.strictEqual(badHours.status, 400);
+    const unnamed = await srv.request('POST', '/api/locations', { headers: auth, body: { address: 'Somewhere' } });
+    assert.strictEqual(unnamed.status, 400);
+    const anon = await srv.request('POST', '/api/locations', { body: { name: 'X' } });
+    assert.strictEqual(anon.status, 401);
+  });
+
+  it('stores hours and holidays and keeps omitted fields on update', async () => {
+    const hours = [null, ...Array(5).fill({ open: '08:00', close: '18:00' }), null];
+    const res = await srv.request('PUT', `/api/locations/${branch}`, {
+      headers: auth,
+      body: { hours, holidays: ['2025-12-25', { date: '2025-01-01', name: 'New Year' }] }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.timeZone, 'Asia/Tokyo');
+    assert.deepStrictEqual(res.body.hours, hours);
+    assert.deepStrictEqual(res.body.holidays, [
+      { date: '2025-01-01', name: 'New Year' },
+      { date: '2025-12-25', name: '' }
+    ]);
+  });
+
+  it('refuses to delete a location that still has spaces', async () => {
+    const res = await srv.request('DELETE', `/api/locations/${branch}`, { headers: auth });
+    assert.strictEqual(res.status, 400);
+    await srv.request('PUT', `/api/spaces/${desk(1).id}`, { headers: auth, body: { locationId: home() } });
+    const ok = await srv.request('DELETE', `/api/locations/${branch}`, { headers: auth });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(server.locations.length, 1);
+  });
+
+  it('refuses to delete a space that still has bookings', async () => {
+    const space = await srv.request('POST', '/api/spaces', { headers: auth, body: { name: 'Booked Desk', type: 'desk', priorityOrder: 98 } });
+    const booking = await srv.request('POST', '/api/bookings', {
+      headers: auth, body: { name: 'Held', email: 'held@fbhi.net', spaceId: space.body.id, date: isoDaysFromNow(12), startTime: '09:00', endTime: '10:00' }
+    });
+    const refused = await srv.request('DELETE', `/api/spaces/${space.body.id}`, { headers: auth });
+    assert.strictEqual(refused.status, 400);
+    assert.ok(server.spaces.some(s => s.id === space.body.id));
+    await srv.request('DELETE', `/api/bookings/${booking.body.id}`, { headers: auth });
+    const failed = await withFailingDatabase(() => srv.request('DELETE', `/api/spaces/${space.body.id}`, { headers: auth }));
+    assert.strictEqual(failed.status, 500);
+    assert.ok(server.spaces.some(s => s.id === space.body.id));
+    assert.strictEqual((await srv.request('DELETE', `/api/spaces/${space.body.id}`, { headers: auth })).status, 200);
+  });
+
+  it('leaves spaces as they were when adding or changing them cannot be saved', async () => {
+    const count = server.spaces.length;
+    const [created, moved] = await withFailingDatabase(async () => [
+      await srv.request('POST', '/api/spaces', { headers: auth, body: { name: 'Pod', type: 'desk', priorityOrder: 9 } }),
+      await srv.request('PUT', `/api/spaces/${desk(1).id}`, { headers: auth, body: { name: 'Renamed', locationId: home() } })
+    ]);
+    assert.strictEqual(created.status, 500);
+    assert.strictEqual(moved.status, 500);
+    assert.strictEqual(server.spaces.length, count);
+    assert.notStrictEqual(desk(1).name, 'Renamed');
+    assert.strictEqual(desk(1).locationId, branch);
+  });
+
+  it('filters spaces, availability and auto-booking by location', async () => {
+    const list = await srv.request('GET', `/api/spaces?locationId=${branch}`);
+    assert.deepStrictEqual(list.body.map(s => s.id), [desk(1).id]);
+    const date = isoDaysFromNow(3);
+    const avail = await srv.request('GET', `/api/availability?date=${date}&start=10:00&end=11:00&type=desk&locationId=${home()}`);
+    assert.deepStrictEqual(avail.body.map(s => s.id), [desk(0).id]);
+    const auto = await srv.request('POST', '/api/bookings/auto', {
+      headers: auth, body: { type: 'desk', date, start: '10:00', end: '11:00', name: 'Auto', email: 'auto@fbhi.net', locationId: branch }
+    });
+    assert.strictEqual(auto.status, 200);
+    assert.strictEqual(auto.body.spaceName, desk(1).name);
+  });
+
+  it('judges past times in the location timezone', async () => {
+    // 20:00 on 10 June in New York is already 09:00 on 11 June in Tokyo
+    const siteZone = server.settings.timeZone;
+    server.settings.timeZone = 'America/New_York';
+    server.currentTime = () => new Date('2025-06-11T00:00:00Z');
+    const booking = spaceId => ({
+      name: 'Zone', email: 'zone@fbhi.net', spaceId, date: '2025-06-11', startTime: '08:00', endTime: '09:00'
+    });
+    const tokyo = await srv.request('POST', '/api/bookings', { headers: auth, body: booking(desk(1).id) });
+    assert.strictEqual(tokyo.status, 400);
+    const newYork = await srv.request('POST', '/api/bookings', { headers: auth, body: booking(desk(0).id) });
+    server.settings.timeZone = siteZone;
+    assert.strictEqual(newYork.status, 200);
+  });
+
+  it('scopes kiosk tokens to a location', async () => {
+    const date = isoDaysFromNow(0);
+    server.currentTime = () => new Date(`${date}T12:00:00Z`);
+    const add = (id, space) => server.bookings.push({
+      id, name: id, email: `${id}@fbhi.net`, spaceId: space.id,
+      date, startTime: '10:00', endTime: '11:00', recurring: false
+    });
+    add('here', desk(1));
+    add('there', desk(0));
+    const created = await srv.request('POST', '/api/kiosk/tokens', { headers: auth, body: { label: 'Lobby', locationId: branch } });
+    assert.strictEqual(created.body.locationId, branch);
+    const claim = await srv.request('POST', '/api/kiosk/claim', { body: { code: created.body.code } });
+    const cookie = { Cookie: claim.headers.get('set-cookie').split(';')[0] };
+    const today = await srv.request('GET', '/api/bookings/today', { headers: cookie });
+    assert.deepStrictEqual(today.body.map(b => b.id), ['here']);
+    const checkin = await srv.request('POST', '/api/bookings/there/checkin', { headers: cookie });
+    assert.strictEqual(checkin.status, 404);
+
+    const walkUp = { name: 'Walk-up', email: 'walkup@fbhi.net', date: isoDaysFromNow(3), startTime: '14:00', endTime: '15:00' };
+    const elsewhere = await srv.request('POST', '/api/bookings', { headers: cookie, body: { ...walkUp, spaceId: desk(0).id } });
+    assert.strictEqual(elsewhere.status, 403);
+    const autoElsewhere = await srv.request('POST', '/api/bookings/auto', {
+      headers: cookie, body: { type: 'desk', date: walkUp.date, start: '14:00', end: '15:00', name: 'Walk-up', email: walkUp.email, locationId: home() }
+    });
+    assert.strictEqual(autoElsewhere.status, 403);
+    const auto = await srv.request('POST', '/api/bookings/auto', {
+      headers: cookie, body: { type: 'desk', date: walkUp.date, start: '14:00', end: '15:00', name: 'Walk-up', email: walkUp.email }
+    });
+    assert.strictEqual(auto.body.spaceName, desk(1).name);
+    await srv.request('DELETE', `/api/bookings/${auto.body.id}`, { headers: auth });
+  });
+
+  it('keeps kiosks and locations whose removal cannot be saved, and stops revoked kiosks', async () => {
+    const created = await srv.request('POST', '/api/kiosk/tokens', { headers: auth, body: { label: 'Lobby', locationId: branch } });
+    const claim = await srv.request('POST', '/api/kiosk/claim', { body: { code: created.body.code } });
+    const cookie = { Cookie: claim.headers.get('set-cookie').split(';')[0] };
+    server.spaces.forEach(s => { s.locationId = home(); });
+    const [revoke, remove] = await withFailingDatabase(async () => [
+      await srv.request('DELETE', `/api/kiosk/tokens/${created.body.id}`, { headers: auth }),
+      await srv.request('DELETE', `/api/locations/${branch}`, { headers: auth })
+    ]);
+    assert.strictEqual(revoke.status, 500);
+    assert.strictEqual(remove.status, 500);
+    assert.ok(server.locations.some(l => l.id === branch));
+    assert.strictEqual(server.kioskTokens.find(t => t.id === created.body.id).locationId, branch);
+    assert.strictEqual((await srv.request('GET', '/api/bookings/today', { headers: cookie })).status, 200);
+
+    assert.strictEqual((await srv.request('DELETE', `/api/kiosk/tokens/${created.body.id}`, { headers: auth })).status, 200);
+    assert.strictEqual((await srv.request('GET', '/api/bookings/today', { headers: cookie })).status, 403);
+    const walkUp = { name: 'Walk-up', email: 'walkup@fbhi.net', spaceId: desk(0).id, date: isoDaysFromNow(3), startTime: '14:00', endTime: '15:00' };
+    assert.strictEqual((await srv.request('POST', '/api/bookings', { headers: cookie, body: walkUp })).status, 401);
+  });
+});
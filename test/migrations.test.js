@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { MIGRATIONS, LATEST_VERSION, migrate, migrationStatus } = require('../migrations');
+
+// A pool whose only state is the "schemaMigrations" rows, recording every
+// statement sent to it.  Rows inserted in a rolled back transaction are
+// discarded.
+function fakeDatabase(versions = [], failOn = null) {
+  const db = { versions: versions.map(v => ({ version: v, name: `m${v}`, appliedAt: '2026-01-01T00:00:00.000Z' })), queries: [], released: 0 };
+  let pending = [];
+  const query = async (text, params) => {
+    db.queries.push(text);
+    if (failOn && failOn.test(text)) throw new Error('boom');
+    if (text.startsWith('SELECT version')) return { rows: db.versions.slice() };
+    if (text.startsWith('SELECT count')) return { rows: [{ count: 0 }] };
+    if (text.startsWith('INSERT INTO "schemaMigrations"')) pending.push({ version: params[0], name: params[1], appliedAt: params[2] });
+    if (text === 'COMMIT') db.versions.push(...pending);
+    if (text === 'COMMIT' || text === 'ROLLBACK') pending = [];
+    return { rows: [] };
+  };
+  db.connect = async () => ({ query, release: () => { db.released++; } });
+  return db;
+}
+
+describe('schema migrations', () => {
+  it('numbers migrations from 1 without gaps', () => {
+    assert.deepStrictEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+  });
+
+  it('applies pending migrations in order, each in its own transaction', async () => {
+    const db = fakeDatabase();
+    const ran = await migrate(db);
+    assert.deepStrictEqual(ran.map(m => m.version), MIGRATIONS.map(m => m.version));
+    assert.deepStrictEqual(db.versions.map(r => r.version), MIGRATIONS.map(m => m.version));
+    assert.strictEqual(db.queries.filter(q => q === 'BEGIN').length, MIGRATIONS.length);
+    assert.strictEqual(db.queries[0], 'SELECT pg_advisory_lock(hashtext($1))');
+    assert.strictEqual(db.queries[db.queries.length - 1], 'SELECT pg_advisory_unlock(hashtext($1))');
+    assert.ok(db.queries.some(q => /FOREIGN KEY \("spaceId"\) REFERENCES spaces/.test(q)));
+    assert.strictEqual(db.released, 1);
+
+    db.queries = [];
+    assert.deepStrictEqual(await migrate(db), []);
+    assert.ok(!db.queries.includes('BEGIN'));
+  });
+
+  it('only runs the migrations a database is missing', async () => {
+    const db = fakeDatabase([1]);
+    const { pending } = await migrationStatus(db);
+    assert.deepStrictEqual(pending.map(m => m.version), MIGRATIONS.slice(1).map(m => m.version));
+    const ran = await migrate(db);
+    assert.deepStrictEqual(ran.map(m => m.version), MIGRATIONS.slice(1).map(m => m.version));
+    assert.ok(!db.queries.some(q => q.includes('CREATE TABLE IF NOT EXISTS locations')));
+  });
+
+  it('refuses a schema migrated by a newer release', async () => {
+    const db = fakeDatabase([...MIGRATIONS.map(m => m.version), LATEST_VERSION + 1]);
+    await assert.rejects(migrate(db), err => err.code === 'SCHEMA_TOO_NEW' && err.message.includes(String(LATEST_VERSION + 1)));
+    assert.ok(!db.queries.includes('BEGIN'));
+    assert.strictEqual(db.queries[db.queries.length - 1], 'SELECT pg_advisory_unlock(hashtext($1))');
+    assert.strictEqual(db.released, 1);
+  });
+
+  it('rolls back a failed migration without recording it', async () => {
+    const db = fakeDatabase([1], /FOREIGN KEY/);
+    await assert.rejects(migrate(db), /Migration 2 \(bookings reference spaces\) failed: boom/);
+    assert.deepStrictEqual(db.versions.map(r => r.version), [1]);
+    assert.ok(db.queries.includes('ROLLBACK'));
+  });
+});
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Minimal OpenID Connect provider for tests.  It serves discovery, JWKS,
+ * authorization and token endpoints and signs RS256 ID tokens.  The
+ * authorization endpoint signs in `idp.user` ({ email, groups, ... extra
+ * claims }) without prompting.  Set `idp.signingKey` to another private key
+ * to issue tokens the app must reject.  Call `close()` in an `after` hook.
+ */
+function startMockIdp() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = {};
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  return new Promise(resolve => {
+    const listener = app.listen(0, () => {
+      const issuer = `http://127.0.0.1:${listener.address().port}`;
+      const idp = {
+        issuer,
+        clientId: 'booking-app',
+        clientSecret: 'mock-secret',
+        user: { email: 'user@fbhi.net', groups: [] },
+        signingKey: privateKey,
+        close: () => new Promise(r => listener.close(r))
+      };
+
+      const signIdToken = claims => {
+        const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+        const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: 'mock' })}.${encode(claims)}`;
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(input), idp.signingKey).toString('base64url');
+        return `${input}.${signature}`;
+      };
+
+      app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          id_token_signing_alg_values_supported: ['RS256']
+        });
+      });
+
+      app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'mock', alg: 'RS256', use: 'sig' }] });
+      });
+
+      app.get('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: challenge } = req.query;
+        if (clientId !== idp.clientId) return res.status(400).send('unknown client');
+        const code = crypto.randomBytes(8).toString('hex');
+        codes[code] = { redirectUri, nonce, challenge, user: idp.user };
+        res.redirect(`${redirectUri}?${new URLSearchParams({ code, state })}`);
+      });
+
+      app.post('/token', (req, res) => {
+        const entry = codes[req.body.code];
+        delete codes[req.body.code];
+        const verifier = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+        if (!entry || req.body.client_id !== idp.clientId || req.body.client_secret !== idp.clientSecret ||
+            req.body.redirect_uri !== entry.redirectUri || verifier !== entry.challenge) {
+          return res.status(400).json({ error: 'invalid_grant' });
+        }
+        const now = Math.floor(Date.now() / 1000);
+        const { email, ...claims } = entry.user;
+        res.json({
+          token_type: 'Bearer',
+          access_token: crypto.randomBytes(8).toString('hex'),
+          id_token: signIdToken({
+            iss: issuer, aud: idp.clientId, sub: email, email, email_verified: true,
+            iat: now, exp: now + 300, nonce: entry.nonce, ...claims
+          })
+        });
+      });
+
+      resolve(idp);
+    });
+  });
+}
+
+module.exports = { startMockIdp };
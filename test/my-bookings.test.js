@@ -0,0 +1,119 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf, bookerHeaders } = require('./helpers');
+
+describe('self-service booking management', () => {
+  let srv;
+  let headers;
+  const email = 'me@fbhi.net';
+
+  before(async () => {
+    srv = await startServer();
+  });
+  after(() => srv.close());
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.verifiedEmails.length = 0;
+    server.verifiedEmails.push(email);
+    headers = bookerHeaders(email);
+  });
+
+  function addBooking(overrides) {
+    const booking = {
+      id: overrides.id,
+      name: 'Me',
+      email,
+      spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(2),
+      startTime: '10:00',
+      endTime: '11:00',
+      recurring: false,
+      ...overrides
+    };
+    server.bookings.push(booking);
+    return booking;
+  }
+
+  it('rejects requests without a booker session', async () => {
+    const res = await srv.request('GET', '/api/my-bookings', { headers: { 'X-Booker-Session': 'nope' } });
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('exchanges an emailed link for a session once', async () => {
+    const res = await srv.request('POST', '/api/my-bookings/request-link', { body: { email: 'Me@fbhi.net' } });
+    assert.strictEqual(res.status, 200);
+    const token = Object.keys(server.manageTokens).find(t => server.manageTokens[t].email === email);
+    const opened = await srv.request('GET', `/my-bookings/${token}`);
+    assert.strictEqual(opened.status, 200);
+    assert.match(opened.body, /my-bookings\.html/);
+    const cookie = { Cookie: opened.headers.get('set-cookie').split(';')[0] };
+    assert.strictEqual((await srv.request('GET', '/api/my-bookings', { headers: cookie })).status, 200);
+    assert.strictEqual((await srv.request('GET', `/my-bookings/${token}`)).status, 404);
+  });
+
+  it('rejects expired links', async () => {
+    server.manageTokens['stale'] = { email, expires: Date.now() - 1 };
+    const res = await srv.request('GET', '/my-bookings/stale');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(server.manageTokens['stale'], undefined);
+  });
+
+  it('lists only the booker\'s upcoming and recurring bookings', async () => {
+    addBooking({ id: 'future' });
+    addBooking({ id: 'past', date: '2020-01-01' });
+    addBooking({ id: 'series', date: '2020-01-01', recurring: { frequency: 'weekly', weekday: 1 } });
+    addBooking({ id: 'other', email: 'someone@fbhi.net' });
+    const res = await srv.request('GET', '/api/my-bookings', { headers });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(b => b.id).sort(), ['future', 'series']);
+  });
+
+  it('cancels a booking owned by the booker', async () => {
+    addBooking({ id: 'mine' });
+    const res = await srv.request('DELETE', '/api/my-bookings/mine', { headers });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(server.bookings.length, 0);
+  });
+
+  it('does not cancel bookings made by someone else', async () => {
+    addBooking({ id: 'theirs', email: 'someone@fbhi.net' });
+    const res = await srv.request('DELETE', '/api/my-bookings/theirs', { headers });
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(server.bookings.length, 1);
+  });
+
+  it('reschedules a booking without conflicting with itself', async () => {
+    addBooking({ id: 'mine' });
+    const res = await srv.request('PUT', '/api/my-bookings/mine', {
+      headers,
+      body: { startTime: '10:30', endTime: '11:30' }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.startTime, '10:30');
+    assert.strictEqual(server.bookings[0].endTime, '11:30');
+  });
+
+  it('refuses to reschedule onto an occupied slot', async () => {
+    addBooking({ id: 'mine' });
+    addBooking({ id: 'blocker', email: 'someone@fbhi.net', startTime: '14:00', endTime: '15:00' });
+    const res = await srv.request('PUT', '/api/my-bookings/mine', {
+      headers,
+      body: { startTime: '14:30', endTime: '15:30' }
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(server.bookings[0].startTime, '10:00');
+  });
+
+  it('refuses to move a recurring booking onto a future conflict', async () => {
+    const weekday = weekdayOf(isoDaysFromNow(2));
+    addBooking({ id: 'series', recurring: { frequency: 'weekly', weekday } });
+    addBooking({ id: 'blocker', email: 'someone@fbhi.net', date: isoDaysFromNow(9), startTime: '14:00', endTime: '15:00' });
+    const res = await srv.request('PUT', '/api/my-bookings/series', {
+      headers,
+      body: { startTime: '14:00', endTime: '15:00' }
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.conflict.date, isoDaysFromNow(9));
+  });
+});
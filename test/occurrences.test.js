@@ -0,0 +1,109 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, weekdayOf, withFailingDatabase } = require('./helpers');
+
+describe('per-occurrence exceptions', () => {
+  const weekly = (date, extra = {}) => ({
+    id: 'r1',
+    name: 'Series',
+    email: 'series@fbhi.net',
+    spaceId: server.spaces[0].id,
+    date: '2020-01-06',
+    startTime: '10:00',
+    endTime: '11:00',
+    recurring: { frequency: 'weekly', weekday: weekdayOf(date), ...extra }
+  });
+
+  beforeEach(() => {
+    server.bookings.length = 0;
+    server.remindedBookings.clear();
+  });
+
+  describe('getOccurrence', () => {
+    it('skips exception dates', () => {
+      const b = weekly('2025-09-19', { exceptions: ['2025-09-19'] });
+      assert.strictEqual(server.getOccurrence(b, '2025-09-19'), null);
+      assert.ok(server.getOccurrence(b, '2025-09-26'));
+      assert.strictEqual(server.isRecurringOnDate('2025-09-19', b.recurring), false);
+    });
+
+    it('applies overrides to a single date', () => {
+      const b = weekly('2025-09-19', {
+        overrides: { '2025-09-19': { spaceId: 'other', startTime: '14:00', endTime: '15:00' } }
+      });
+      assert.deepStrictEqual(server.getOccurrence(b, '2025-09-19'), {
+        date: '2025-09-19', spaceId: 'other', startTime: '14:00', endTime: '15:00'
+      });
+      assert.strictEqual(server.getOccurrence(b, '2025-09-26').startTime, '10:00');
+    });
+  });
+
+  describe('isSpaceAvailable', () => {
+    it('frees the slot on a skipped date', () => {
+      server.bookings.push(weekly('2025-09-19', { exceptions: ['2025-09-19'] }));
+      assert.strictEqual(server.isSpaceAvailable(server.spaces[0].id, '2025-09-19', '10:00', '11:00'), true);
+      assert.strictEqual(server.isSpaceAvailable(server.spaces[0].id, '2025-09-26', '10:00', '11:00'), false);
+    });
+
+    it('follows an override to its new space and time', () => {
+      server.bookings.push(weekly('2025-09-19', {
+        overrides: { '2025-09-19': { spaceId: server.spaces[1].id, startTime: '14:00' } }
+      }));
+      assert.strictEqual(server.isSpaceAvailable(server.spaces[0].id, '2025-09-19', '10:00', '11:00'), true);
+      assert.strictEqual(server.isSpaceAvailable(server.spaces[1].id, '2025-09-19', '14:00', '14:30'), false);
+    });
+  });
+
+  describe('reminders and cancel links', () => {
+    let srv;
+    let emails;
+    const originalReminder = server.sendBookingReminderEmail;
+
+    before(async () => { srv = await startServer(); });
+    after(() => {
+      server.sendBookingReminderEmail = originalReminder;
+      return srv.close();
+    });
+    beforeEach(() => {
+      emails = [];
+      server.sendBookingReminderEmail = async (...args) => { emails.push(args); };
+    });
+
+    it('does not remind for a skipped occurrence', async () => {
+      const tomorrow = isoDaysFromNow(1);
+      server.bookings.push(weekly(tomorrow, { exceptions: [tomorrow] }));
+      await server.checkAndSendReminders();
+      assert.strictEqual(emails.length, 0);
+    });
+
+    it('links reminders to a cancel URL for that occurrence only', async () => {
+      const tomorrow = isoDaysFromNow(1);
+      server.bookings.push(weekly(tomorrow));
+      await server.checkAndSendReminders();
+      assert.strictEqual(emails.length, 1);
+      const cancelLink = emails[0][6];
+      assert.ok(cancelLink.endsWith(`/cancel/r1?date=${tomorrow}`));
+
+      const res = await srv.request('GET', new URL(cancelLink).pathname + new URL(cancelLink).search);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(server.bookings.length, 1);
+      assert.deepStrictEqual(server.bookings[0].recurring.exceptions, [tomorrow]);
+      assert.strictEqual(server.getOccurrence(server.bookings[0], tomorrow), null);
+    });
+
+    it('leaves the booking as it was when the cancellation cannot be saved', async () => {
+      const tomorrow = isoDaysFromNow(1);
+      server.bookings.push(weekly(tomorrow, { overrides: { [tomorrow]: { startTime: '09:00' } } }));
+      const original = JSON.parse(JSON.stringify(server.bookings[0]));
+
+      const one = await withFailingDatabase(() => srv.request('GET', `/cancel/r1?date=${tomorrow}`));
+      assert.strictEqual(one.status, 500);
+      assert.match(one.body, /Cancellation Failed/);
+      assert.deepStrictEqual(server.bookings[0], original);
+
+      const all = await withFailingDatabase(() => srv.request('GET', '/cancel/r1'));
+      assert.strictEqual(all.status, 500);
+      assert.deepStrictEqual(server.bookings, [original]);
+    });
+  });
+});
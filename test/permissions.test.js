@@ -0,0 +1,160 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow } = require('./helpers');
+
+// Roles allowed each permission.  Kept separate from the server's own map so
+// a change to what a role may do has to be made deliberately in both.
+const ALLOWED = {
+  'bookings:read': ['owner', 'superadmin', 'admin', 'analyst', 'frontdesk'],
+  'bookings:write': ['owner', 'superadmin', 'admin', 'frontdesk'],
+  'spaces:manage': ['owner', 'superadmin', 'admin'],
+  'analytics:read': ['owner', 'superadmin', 'admin', 'analyst'],
+  'kiosk:manage': ['owner', 'superadmin', 'admin'],
+  'allowlist:manage': ['owner', 'superadmin', 'admin'],
+  'booker-sessions:manage': ['owner', 'superadmin', 'admin'],
+  'admins:read': ['owner', 'superadmin', 'admin'],
+  'admins:manage': ['owner', 'superadmin'],
+  'settings:manage': ['owner', 'superadmin'],
+  'roles:manage': ['owner'],
+  'audit:read': ['owner'],
+  'backups:manage': ['owner']
+};
+
+// One request per admin route.  Each targets a missing record or fails
+// validation when allowed, so the matrix can run without changing data.
+const ROUTES = [
+  ['GET', '/api/bookings', 'bookings:read'],
+  ['PUT', '/api/bookings/missing', 'bookings:write'],
+  ['DELETE', '/api/bookings/missing', 'bookings:write'],
+  ['PUT', '/api/bookings/missing/occurrences/2030-01-01', 'bookings:write'],
+  ['DELETE', '/api/bookings/missing/occurrences/2030-01-01', 'bookings:write'],
+  ['POST', '/api/locations', 'spaces:manage', {}],
+  ['PUT', '/api/locations/missing', 'spaces:manage', {}],
+  ['DELETE', '/api/locations/missing', 'spaces:manage'],
+  ['POST', '/api/spaces', 'spaces:manage', {}],
+  ['PUT', '/api/spaces/missing', 'spaces:manage', {}],
+  ['DELETE', '/api/spaces/missing', 'spaces:manage'],
+  ['POST', '/api/spaces/missing/calendar-feed', 'spaces:manage', {}],
+  ['GET', '/api/analytics', 'analytics:read'],
+  ['GET', '/api/analytics-summary', 'analytics:read'],
+  ['GET', '/api/analytics-export', 'analytics:read'],
+  ['GET', '/api/kiosk/tokens', 'kiosk:manage'],
+  ['POST', '/api/kiosk/tokens', 'kiosk:manage', { locationId: 'missing' }],
+  ['DELETE', '/api/kiosk/tokens/missing', 'kiosk:manage'],
+  ['GET', '/api/email-allowlist', 'allowlist:manage'],
+  ['PUT', '/api/email-allowlist', 'allowlist:manage', { domains: 'not-a-list' }],
+  ['GET', '/api/booker-sessions', 'booker-sessions:manage'],
+  ['DELETE', '/api/booker-sessions/missing', 'booker-sessions:manage'],
+  ['GET', '/api/admins', 'admins:read'],
+  ['GET', '/api/roles', 'admins:read'],
+  ['POST', '/api/admins', 'admins:manage', {}],
+  ['PATCH', '/api/admins/missing', 'admins:manage', {}],
+  ['DELETE', '/api/admins/missing', 'admins:manage'],
+  ['POST', '/api/admins/missing/unlock', 'admins:manage'],
+  ['DELETE', '/api/admins/missing/2fa', 'admins:manage'],
+  ['GET', '/api/admin-sessions?adminId=missing', 'admins:manage'],
+  ['DELETE', '/api/admins/missing/sessions', 'admins:manage'],
+  ['PUT', '/api/settings', 'settings:manage', { resultsPerPage: 0 }],
+  ['POST', '/api/roles', 'roles:manage', {}],
+  ['PUT', '/api/roles/missing', 'roles:manage', {}],
+  ['DELETE', '/api/roles/missing', 'roles:manage'],
+  ['GET', '/api/audit?targetId=missing', 'audit:read'],
+  ['GET', '/api/backups', 'backups:manage'],
+  ['GET', '/api/backups/missing', 'backups:manage'],
+  ['POST', '/api/backups/missing/restore', 'backups:manage', { dryRun: true }]
+];
+
+describe('role permissions', () => {
+  let srv;
+  let ownerAuth;
+  const auth = {};
+
+  const login = async username => {
+    const res = await srv.request('POST', '/api/login', { body: { username, password: 'correct-horse-battery' } });
+    return { Authorization: 'Bearer ' + res.body.token };
+  };
+
+  before(async () => {
+    srv = await startServer();
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+    auth.owner = ownerAuth;
+    for (const role of ['superadmin', 'admin', 'analyst', 'frontdesk']) {
+      await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: `${role}@perms.example`, password: 'correct-horse-battery', role } });
+      auth[role] = await login(`${role}@perms.example`);
+    }
+  });
+  after(async () => {
+    for (const a of server.admins.filter(x => x.username.endsWith('@perms.example'))) {
+      await srv.request('DELETE', `/api/admins/${a.id}`, { headers: ownerAuth });
+    }
+    server.settings.customRoles = [];
+    await srv.close();
+  });
+
+  for (const [method, url, permission, body] of ROUTES) {
+    it(`${method} ${url} needs ${permission}`, async () => {
+      for (const role of ['owner', 'superadmin', 'admin', 'analyst', 'frontdesk']) {
+        const res = await srv.request(method, url, { headers: auth[role], body });
+        const allowed = ALLOWED[permission].includes(role);
+        assert.strictEqual(res.status === 403, !allowed, `${role} got ${res.status}`);
+      }
+    });
+  }
+
+  it('only lets admins with bookings:write book for someone else', async () => {
+    const booking = {
+      name: 'Guest', email: 'guest@fbhi.net', spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(9), startTime: '09:00', endTime: '10:00'
+    };
+    assert.strictEqual((await srv.request('POST', '/api/bookings', { headers: auth.analyst, body: booking })).status, 401);
+    const res = await srv.request('POST', '/api/bookings', { headers: auth.frontdesk, body: booking });
+    assert.strictEqual(res.status, 200);
+    await srv.request('DELETE', `/api/bookings/${res.body.id}`, { headers: auth.frontdesk });
+  });
+
+  it('lets owners define custom roles from the permissions', async () => {
+    const created = await srv.request('POST', '/api/roles', {
+      headers: ownerAuth, body: { name: 'Facilities', description: 'Rooms only', permissions: ['spaces:manage', 'bookings:read'] }
+    });
+    assert.deepStrictEqual(created.body, { name: 'facilities', description: 'Rooms only', permissions: ['bookings:read', 'spaces:manage'] });
+    assert.strictEqual((await srv.request('POST', '/api/roles', { headers: ownerAuth, body: { name: 'admin', permissions: [] } })).status, 400);
+    assert.strictEqual((await srv.request('POST', '/api/roles', { headers: ownerAuth, body: { name: 'x1', permissions: ['fly'] } })).status, 400);
+
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'facilities@perms.example', password: 'correct-horse-battery', role: 'facilities' } });
+    const facilities = await login('facilities@perms.example');
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: facilities })).status, 200);
+    assert.strictEqual((await srv.request('GET', '/api/analytics', { headers: facilities })).status, 403);
+
+    await srv.request('PUT', '/api/roles/facilities', { headers: ownerAuth, body: { permissions: ['analytics:read'] } });
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: facilities })).status, 403);
+    assert.strictEqual((await srv.request('GET', '/api/analytics', { headers: facilities })).status, 200);
+
+    assert.strictEqual((await srv.request('PUT', '/api/roles/admin', { headers: ownerAuth, body: { permissions: [] } })).status, 400);
+    assert.strictEqual((await srv.request('DELETE', '/api/roles/facilities', { headers: ownerAuth })).status, 400);
+    const holder = server.admins.find(a => a.username === 'facilities@perms.example');
+    await srv.request('DELETE', `/api/admins/${holder.id}`, { headers: ownerAuth });
+    assert.strictEqual((await srv.request('DELETE', '/api/roles/facilities', { headers: ownerAuth })).status, 200);
+  });
+
+  it('handles custom roles named like Object properties', async () => {
+    const created = await srv.request('POST', '/api/roles', { headers: ownerAuth, body: { name: 'constructor', permissions: ['bookings:read'] } });
+    assert.strictEqual(created.status, 200);
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username: 'constructor@perms.example', password: 'correct-horse-battery', role: 'constructor' } });
+    const holder = await login('constructor@perms.example');
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: holder })).status, 200);
+    assert.strictEqual((await srv.request('GET', '/api/analytics', { headers: holder })).status, 403);
+    const admin = server.admins.find(a => a.username === 'constructor@perms.example');
+    await srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth });
+    assert.strictEqual((await srv.request('DELETE', '/api/roles/constructor', { headers: ownerAuth })).status, 200);
+  });
+
+  it('does not let admins hand out roles stronger than their own', async () => {
+    server.settings.customRoles = [{ name: 'definer', description: '', permissions: ['roles:manage', 'admins:manage'] }];
+    const res = await srv.request('POST', '/api/admins', {
+      headers: auth.superadmin, body: { username: 'escalate@perms.example', password: 'correct-horse-battery', role: 'definer' }
+    });
+    assert.strictEqual(res.status, 403);
+    assert.ok(!server.admins.some(a => a.username === 'escalate@perms.example'));
+  });
+});
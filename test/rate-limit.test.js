@@ -0,0 +1,111 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer } = require('./helpers');
+
+describe('rate limiting and account lockout', () => {
+  let srv;
+  let ownerAuth;
+  let admin;
+  const username = 'lockout@example.com';
+  const login = (password, user = username) => srv.request('POST', '/api/login', { body: { username: user, password } });
+
+  before(async () => {
+    srv = await startServer();
+    const res = await login('admin123', 'admin@example.com');
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username, password: 'correct-horse-battery', role: 'admin' } });
+    admin = server.admins.find(a => a.username === username);
+  });
+  after(async () => {
+    server.rateLimitHits.clear();
+    server.loginLocks.clear();
+    await srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth });
+    await srv.close();
+  });
+  afterEach(() => {
+    server.rateLimitHits.clear();
+    server.loginLocks.clear();
+    admin.failedLogins = 0;
+  });
+
+  it('locks an IP out of an account after repeated failures until an owner unlocks it', async () => {
+    for (let i = 0; i < 5; i++) assert.strictEqual((await login('wrong')).status, 401);
+    const locked = await login('correct-horse-battery');
+    assert.strictEqual(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 4 * 60);
+    assert.strictEqual(admin.failedLogins, 5);
+    // Only this IP is locked out of this account
+    assert.deepStrictEqual([...server.loginLocks.keys()].map(k => k.split('|')[1]), [username]);
+    const list = await srv.request('GET', '/api/admins', { headers: ownerAuth });
+    assert.ok(list.body.find(a => a.id === admin.id).lockedUntil);
+
+    const adminAuth = { Authorization: 'Bearer ' + (await login('admin123', 'admin@example.com')).body.token };
+    server.admins.find(a => a.username === 'admin@example.com').role = 'admin';
+    try {
+      assert.strictEqual((await srv.request('POST', `/api/admins/${admin.id}/unlock`, { headers: adminAuth })).status, 403);
+    } finally {
+      server.admins.find(a => a.username === 'admin@example.com').role = 'owner';
+    }
+    assert.strictEqual((await srv.request('POST', `/api/admins/${admin.id}/unlock`, { headers: ownerAuth })).status, 200);
+    assert.strictEqual((await login('correct-horse-battery')).status, 200);
+    assert.strictEqual(admin.failedLogins, 0);
+  });
+
+  it('answers for unknown accounts exactly as for locked ones', async () => {
+    for (let i = 0; i < 5; i++) {
+      await login('wrong');
+      await login('wrong', 'nobody@example.com');
+    }
+    const known = await login('correct-horse-battery');
+    const unknown = await login('wrong', 'nobody@example.com');
+    assert.strictEqual(unknown.status, 429);
+    assert.deepStrictEqual(unknown.body, known.body);
+    assert.doesNotMatch(known.body.error, /account/i);
+  });
+
+  it('doubles the lock for each further failure', async () => {
+    assert.strictEqual((await login('wrong')).status, 401);
+    const [lock] = server.loginLocks.values();
+    Object.assign(lock, { failures: 6, lockedUntil: Date.now() - 1000 });
+    assert.strictEqual((await login('wrong')).status, 401);
+    const minutes = (lock.lockedUntil - Date.now()) / 60000;
+    assert.ok(minutes > 19 && minutes <= 20, `locked for ${minutes} minutes`);
+  });
+
+  it('lifts the lock when the password is reset', async () => {
+    for (let i = 0; i < 5; i++) await login('wrong');
+    assert.strictEqual((await login('correct-horse-battery')).status, 429);
+    server.passwordResetTokens['lockout-reset'] = { adminId: admin.id, expires: Date.now() + 60000 };
+    await srv.request('POST', '/api/reset-password', { body: { token: 'lockout-reset', password: 'correct-horse-battery' } });
+    assert.strictEqual((await login('correct-horse-battery')).status, 200);
+  });
+
+  it('throttles failed logins per IP across accounts', async () => {
+    for (let i = 0; i < 20; i++) await login('guess', `nobody${i}@example.com`);
+    const res = await login('admin123', 'admin@example.com');
+    assert.strictEqual(res.status, 429);
+    assert.ok(res.headers.get('retry-after'));
+  });
+
+  it('throttles guesses at kiosk codes', async () => {
+    const created = await srv.request('POST', '/api/kiosk/tokens', { headers: ownerAuth, body: { label: 'Lobby' } });
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual((await srv.request('POST', '/api/kiosk/claim', { body: { code: 'ZZZZZ' + i } })).status, 404);
+    }
+    assert.strictEqual((await srv.request('POST', '/api/kiosk/claim', { body: { code: created.body.code } })).status, 429);
+    await srv.request('DELETE', `/api/kiosk/tokens/${created.body.id}`, { headers: ownerAuth });
+  });
+
+  it('limits sign-in and password reset emails per address', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await srv.request('POST', '/api/request-verification', { body: { email: 'flood@fbhi.net' } })).status, 200);
+    }
+    assert.strictEqual((await srv.request('POST', '/api/request-verification', { body: { email: 'Flood@fbhi.net' } })).status, 429);
+    assert.strictEqual((await srv.request('POST', '/api/request-verification', { body: { email: 'other@fbhi.net' } })).status, 200);
+
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await srv.request('POST', '/api/forgot-password', { body: { email: 'ghost@example.com' } })).status, 200);
+    }
+    assert.strictEqual((await srv.request('POST', '/api/forgot-password', { body: { email: 'ghost@example.com' } })).status, 429);
+  });
+});
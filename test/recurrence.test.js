@@ -0,0 +1,109 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, bookerHeaders } = require('./helpers');
+
+describe('recurrence rules', () => {
+  beforeEach(() => {
+    server.bookings.length = 0;
+  });
+
+  describe('isRecurringOnDate', () => {
+    it('stops after the until date', () => {
+      // 2025-09-01 is a Monday
+      const rec = { frequency: 'weekly', weekday: 1, until: '2025-09-15' };
+      assert.strictEqual(server.isRecurringOnDate('2025-09-15', rec, '2025-09-01'), true);
+      assert.strictEqual(server.isRecurringOnDate('2025-09-22', rec, '2025-09-01'), false);
+    });
+
+    it('counts the first date as the first occurrence', () => {
+      const rec = { frequency: 'weekly', weekday: 1, count: 3 };
+      assert.strictEqual(server.isRecurringOnDate('2025-09-15', rec, '2025-09-01'), true);
+      assert.strictEqual(server.isRecurringOnDate('2025-09-22', rec, '2025-09-01'), false);
+      assert.strictEqual(server.getSeriesEnd(rec, '2025-09-01'), '2025-09-15');
+    });
+
+    it('honours the interval from the first date', () => {
+      const rec = { frequency: 'weekly', weekday: 1, interval: 2 };
+      assert.strictEqual(server.isRecurringOnDate('2025-09-08', rec, '2025-09-01'), false);
+      assert.strictEqual(server.isRecurringOnDate('2025-09-15', rec, '2025-09-01'), true);
+      const monthly = { frequency: 'monthly', dayOfMonth: 1, interval: 3 };
+      assert.strictEqual(server.isRecurringOnDate('2025-10-01', monthly, '2025-09-01'), false);
+      assert.strictEqual(server.isRecurringOnDate('2025-12-01', monthly, '2025-09-01'), true);
+    });
+
+    it('matches every listed weekday', () => {
+      const rec = { frequency: 'weekly', weekdays: [1, 3] };
+      assert.strictEqual(server.isRecurringOnDate('2025-09-03', rec, '2025-09-01'), true);
+      assert.strictEqual(server.isRecurringOnDate('2025-09-04', rec, '2025-09-01'), false);
+    });
+
+    it('supports the last weekday of the month', () => {
+      // Last Friday of September 2025 is the 26th; October has five Fridays
+      const rec = { frequency: 'monthly', nth: -1, weekday: 5 };
+      assert.strictEqual(server.isRecurringOnDate('2025-09-26', rec), true);
+      assert.strictEqual(server.isRecurringOnDate('2025-09-19', rec), false);
+      assert.strictEqual(server.isRecurringOnDate('2025-10-31', rec), true);
+    });
+  });
+
+  describe('validateRecurrence', () => {
+    it('rejects malformed bounds', () => {
+      const base = { frequency: 'weekly', weekday: 1 };
+      assert.ok(server.validateRecurrence({ ...base, interval: 0 }, '2025-09-01'));
+      assert.ok(server.validateRecurrence({ ...base, count: 5000 }, '2025-09-01'));
+      assert.ok(server.validateRecurrence({ ...base, until: '2025-08-01' }, '2025-09-01'));
+      assert.ok(server.validateRecurrence({ frequency: 'monthly', nth: 6, weekday: 1 }, '2025-09-01'));
+      assert.strictEqual(server.validateRecurrence({ ...base, until: '2025-12-31', interval: 2 }, '2025-09-01'), null);
+    });
+  });
+
+  describe('checkRecurringAvailability', () => {
+    const other = (date) => ({
+      id: 'existing',
+      name: 'Other',
+      email: 'other@fbhi.net',
+      spaceId: server.spaces[0].id,
+      date,
+      startTime: '10:00',
+      endTime: '11:00',
+      recurring: false
+    });
+
+    it('ignores conflicts after the series has ended', () => {
+      server.bookings.push(other('2025-10-06'));
+      const rec = { frequency: 'weekly', weekday: 1, count: 4 };
+      assert.strictEqual(server.checkRecurringAvailability(server.spaces[0].id, '2025-09-01', '10:00', '11:00', rec), true);
+      rec.count = 6;
+      assert.strictEqual(server.checkRecurringAvailability(server.spaces[0].id, '2025-09-01', '10:00', '11:00', rec), false);
+    });
+
+    it('checks bounded series beyond one year', () => {
+      server.bookings.push(other('2026-09-28'));
+      const rec = { frequency: 'weekly', weekday: 1, until: '2026-12-31' };
+      assert.strictEqual(server.checkRecurringAvailability(server.spaces[0].id, '2025-09-01', '10:00', '11:00', rec), false);
+    });
+  });
+
+  describe('POST /api/bookings', () => {
+    let srv;
+    before(async () => { srv = await startServer(); });
+    after(() => srv.close());
+
+    it('returns 400 for an invalid recurrence', async () => {
+      const res = await srv.request('POST', '/api/bookings', {
+        headers: bookerHeaders('series@fbhi.net'),
+        body: {
+          name: 'Series',
+          email: 'series@fbhi.net',
+          spaceId: server.spaces[0].id,
+          date: isoDaysFromNow(7),
+          startTime: '10:00',
+          endTime: '11:00',
+          recurring: { frequency: 'weekly', weekday: 1, count: 0 }
+        }
+      });
+      assert.strictEqual(res.status, 400);
+      assert.match(res.body.error, /count/);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const assert = require('assert');
 process.env.NODE_ENV = 'test';
 const server = require('..');
+const { isoDaysFromNow, weekdayOf } = require('./helpers');
 
 describe('checkAndSendReminders', () => {
   let emails;
@@ -14,10 +15,8 @@ describe('checkAndSendReminders', () => {
   });
 
   it('sends reminder for weekly recurring booking', async () => {
-    const now = new Date();
-    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().slice(0, 10);
-    const weekday = tomorrow.getDay();
+    const tomorrowStr = isoDaysFromNow(1);
+    const weekday = weekdayOf(tomorrowStr);
     server.bookings.push({
       id: 'w1',
       name: 'Weekly',
@@ -36,10 +35,8 @@ describe('checkAndSendReminders', () => {
   });
 
   it('sends reminder for monthly recurring booking', async () => {
-    const now = new Date();
-    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().slice(0, 10);
-    const dayOfMonth = tomorrow.getDate();
+    const tomorrowStr = isoDaysFromNow(1);
+    const dayOfMonth = Number(tomorrowStr.slice(8));
     server.bookings.push({
       id: 'm1',
       name: 'Monthly',
@@ -58,10 +55,8 @@ describe('checkAndSendReminders', () => {
   });
 
   it('avoids duplicate reminders for same occurrence', async () => {
-    const now = new Date();
-    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().slice(0, 10);
-    const weekday = tomorrow.getDay();
+    const tomorrowStr = isoDaysFromNow(1);
+    const weekday = weekdayOf(tomorrowStr);
     server.bookings.push({
       id: 'd1',
       name: 'Dup',
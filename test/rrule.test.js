@@ -0,0 +1,130 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, bookerHeaders } = require('./helpers');
+
+describe('RRULE import/export', () => {
+  describe('parseRRule', () => {
+    // 2025-09-01 is a Monday
+    const parse = rule => server.parseRRule(rule, '2025-09-01');
+
+    it('translates weekly rules with several days and bounds', () => {
+      assert.deepStrictEqual(parse('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;INTERVAL=2;COUNT=10').recurring, {
+        frequency: 'weekly', weekdays: [1, 3], interval: 2, count: 10
+      });
+      assert.deepStrictEqual(parse('FREQ=WEEKLY;UNTIL=20251231T235959Z').recurring, {
+        frequency: 'weekly', weekday: 1, until: '2025-12-31'
+      });
+    });
+
+    it('translates monthly rules', () => {
+      assert.deepStrictEqual(parse('FREQ=MONTHLY;BYMONTHDAY=15').recurring, { frequency: 'monthly', dayOfMonth: 15 });
+      assert.deepStrictEqual(parse('FREQ=MONTHLY;BYDAY=-1FR').recurring, { frequency: 'monthly', nth: -1, weekday: 5 });
+      assert.deepStrictEqual(parse('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2').recurring, { frequency: 'monthly', nth: 2, weekday: 2 });
+    });
+
+    it('treats daily rules as every weekday listed', () => {
+      assert.deepStrictEqual(parse('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR').recurring, {
+        frequency: 'weekly', weekdays: [1, 2, 3, 4, 5]
+      });
+    });
+
+    it('rejects rules the engine cannot evaluate', () => {
+      for (const rule of [
+        'FREQ=YEARLY',
+        'FREQ=MONTHLY;BYDAY=MO,FR',
+        'FREQ=MONTHLY;BYMONTHDAY=-1',
+        'FREQ=WEEKLY;BYHOUR=9',
+        'FREQ=DAILY;INTERVAL=3',
+        'FREQ=WEEKLY;COUNT=3;UNTIL=20251231',
+        'FREQ=WEEKLY;BYDAY=SU,MO;INTERVAL=2',
+        'BYDAY=MO'
+      ]) {
+        assert.ok(parse(rule).error, rule);
+      }
+    });
+  });
+
+  describe('toRRule', () => {
+    it('round-trips through parseRRule', () => {
+      for (const rule of [
+        'FREQ=WEEKLY;BYDAY=MO,WE',
+        'FREQ=WEEKLY;BYDAY=SU,MO;WKST=SU;INTERVAL=2;UNTIL=20260301',
+        'FREQ=MONTHLY;BYMONTHDAY=15;COUNT=6',
+        'FREQ=MONTHLY;BYDAY=-1FR;INTERVAL=3'
+      ]) {
+        const { recurring } = server.parseRRule(rule, '2025-09-01');
+        assert.strictEqual(server.toRRule(recurring), rule);
+      }
+      assert.strictEqual(server.toRRule(false), null);
+    });
+  });
+
+  describe('API', () => {
+    let srv;
+    let auth;
+    let headers;
+
+    before(async () => {
+      srv = await startServer();
+      const login = await srv.request('POST', '/api/login', {
+        body: { username: 'admin@example.com', password: 'admin123' }
+      });
+      auth = { Authorization: 'Bearer ' + login.body.token };
+      headers = bookerHeaders('series@fbhi.net');
+    });
+    after(() => srv.close());
+    beforeEach(() => { server.bookings.length = 0; });
+
+    const booking = extra => ({
+      name: 'Series',
+      email: 'series@fbhi.net',
+      spaceId: server.spaces[0].id,
+      date: isoDaysFromNow(7),
+      startTime: '10:00',
+      endTime: '11:00',
+      ...extra
+    });
+
+    it('accepts an rrule on POST and returns it from GET', async () => {
+      const created = await srv.request('POST', '/api/bookings', {
+        headers,
+        body: booking({ rrule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=4' })
+      });
+      assert.strictEqual(created.status, 200);
+      const list = await srv.request('GET', '/api/bookings', { headers: auth });
+      assert.strictEqual(list.body.length, 1);
+      assert.strictEqual(list.body[0].recurring, true);
+      assert.deepStrictEqual(list.body[0].recurrence, { frequency: 'monthly', nth: -1, weekday: 5, count: 4 });
+      assert.strictEqual(list.body[0].rrule, 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=4');
+    });
+
+    it('returns 400 for an unsupported rrule', async () => {
+      const res = await srv.request('POST', '/api/bookings', {
+        headers,
+        body: booking({ rrule: 'FREQ=YEARLY;BYMONTH=3' })
+      });
+      assert.strictEqual(res.status, 400);
+      assert.match(res.body.error, /Unsupported RRULE/);
+      assert.strictEqual(server.bookings.length, 0);
+    });
+
+    it('refuses an rrule sent together with recurring on POST and PUT', async () => {
+      const both = { rrule: 'FREQ=WEEKLY;BYDAY=MO', recurring: { frequency: 'weekly', weekday: 2 } };
+      const created = await srv.request('POST', '/api/bookings', { headers, body: booking(both) });
+      assert.strictEqual(created.status, 400);
+      assert.strictEqual(created.body.error, 'Provide either rrule or recurring, not both');
+      const one = await srv.request('POST', '/api/bookings', { headers, body: booking() });
+      assert.strictEqual(one.status, 200);
+      const edited = await srv.request('PUT', `/api/bookings/${one.body.id}`, { headers: auth, body: both });
+      assert.strictEqual(edited.status, 400);
+      assert.strictEqual(edited.body.error, 'Provide either rrule or recurring, not both');
+      assert.strictEqual(server.bookings[0].recurring, false);
+    });
+
+    it('returns a null rrule for one-off bookings', async () => {
+      await srv.request('POST', '/api/bookings', { headers, body: booking() });
+      const list = await srv.request('GET', '/api/bookings', { headers: auth });
+      assert.strictEqual(list.body[0].rrule, null);
+    });
+  });
+});
@@ -0,0 +1,9 @@
+// Loaded by mocha before any test file (see .mocharc.js).  Runs the server
+// in test mode and points persistence at a throwaway directory so test runs
+// never touch the real data.json or backups.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-test-'));
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const server = require('..');
+const { startServer } = require('./helpers');
+const { startMockIdp } = require('./mock-idp');
+
+describe('OIDC single sign-on', () => {
+  let srv;
+  let idp;
+  const original = { ...server.oidcConfig };
+
+  before(async () => {
+    srv = await startServer();
+    idp = await startMockIdp();
+    Object.assign(server.oidcConfig, {
+      issuer: idp.issuer,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret,
+      roleMap: server.parseRoleMap('booking-admins=admin, booking-owners=owner, front-desk=frontdesk, x=wizard')
+    });
+  });
+  after(async () => {
+    Object.assign(server.oidcConfig, original);
+    await idp.close();
+    await srv.close();
+  });
+  afterEach(() => {
+    for (let i = server.admins.length - 1; i >= 0; i--) {
+      if (server.admins[i].username.endsWith('@sso.fbhi.net')) server.admins.splice(i, 1);
+    }
+  });
+
+  // Follow the redirects of a sign-in through the mock IdP to the callback
+  async function signIn(target, user) {
+    idp.user = user;
+    const start = await fetch(`${srv.base}/auth/oidc/login?target=${target}`, { redirect: 'manual' });
+    assert.strictEqual(start.status, 302);
+    const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+    const callback = await fetch(authorize.headers.get('location'), { redirect: 'manual' });
+    return { status: callback.status, html: await callback.text(), cookie: callback.headers.get('set-cookie') };
+  }
+
+  it('ignores role map entries for unknown roles', () => {
+    assert.deepStrictEqual(server.oidcConfig.roleMap.map(m => m.role), ['admin', 'owner', 'frontdesk']);
+  });
+
+  it('advertises the sign-in option', async () => {
+    const res = await srv.request('GET', '/api/sso');
+    assert.strictEqual(res.body.oidc, true);
+  });
+
+  it('signs admins in with the role mapped from their groups', async () => {
+    const first = await signIn('admin', { email: 'New.Admin@sso.fbhi.net', groups: ['staff', 'booking-admins'] });
+    assert.strictEqual(first.status, 200);
+    const token = first.html.match(/"adminToken", "([^"]+)"/)[1];
+    const list = await srv.request('GET', '/api/bookings', { headers: { Authorization: 'Bearer ' + token } });
+    assert.strictEqual(list.status, 200);
+    const admin = server.admins.find(a => a.username === 'new.admin@sso.fbhi.net');
+    assert.strictEqual(admin.role, 'admin');
+    assert.strictEqual(admin.passwordHash, null);
+
+    const second = await signIn('admin', { email: 'new.admin@sso.fbhi.net', groups: ['front-desk', 'booking-owners'] });
+    assert.match(second.html, /"adminRole", "owner"/);
+    assert.strictEqual(admin.role, 'owner');
+  });
+
+  it('refuses the admin portal to users in no mapped group', async () => {
+    const res = await signIn('admin', { email: 'nobody@sso.fbhi.net', groups: ['staff'] });
+    assert.strictEqual(res.status, 403);
+    assert.ok(!server.admins.some(a => a.username === 'nobody@sso.fbhi.net'));
+  });
+
+  it('signs bookers in with a booker session', async () => {
+    const res = await signIn('booker', { email: 'booker@fbhi.net', groups: [] });
+    assert.strictEqual(res.status, 200);
+    const session = await srv.request('GET', '/api/booker-session', { headers: { Cookie: res.cookie.split(';')[0] } });
+    assert.strictEqual(session.body.email, 'booker@fbhi.net');
+    const outsider = await signIn('booker', { email: 'someone@gmail.com', groups: [] });
+    assert.strictEqual(outsider.status, 403);
+  });
+
+  it('rejects ID tokens not signed by the provider', async () => {
+    const genuine = idp.signingKey;
+    idp.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    try {
+      const res = await signIn('booker', { email: 'booker@fbhi.net', groups: [] });
+      assert.strictEqual(res.status, 401);
+      assert.strictEqual(res.cookie, null);
+    } finally {
+      idp.signingKey = genuine;
+    }
+  });
+
+  it('rejects unknown or replayed state', async () => {
+    const res = await fetch(`${srv.base}/auth/oidc/callback?code=abc&state=forged`);
+    assert.strictEqual(res.status, 400);
+  });
+});
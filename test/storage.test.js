@@ -0,0 +1,231 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const server = require('..');
+const { createJsonStore, createSqliteStore, createPostgresStore } = require('../storage');
+const { startServer, isoDaysFromNow, bookerHeaders } = require('./helpers');
+
+describe('storage', () => {
+  describe('JSON store', () => {
+    let dir;
+    const open = (options = {}) => createJsonStore({
+      dataFile: path.join(dir, 'data.json'),
+      journalFile: path.join(dir, 'journal.jsonl'),
+      ...options
+    });
+    const journalLines = () => fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf8').split('\n').filter(Boolean);
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-store-'));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('appends each change and folds the journal in when loading', async () => {
+      const store = open();
+      assert.strictEqual(await store.load(), null);
+      await store.replaceAll({ bookings: [{ id: 'a', name: 'First' }, { id: 'b', name: 'Second' }], verifiedEmails: ['x@fbhi.net'], settings: { resultsPerPage: 10 } });
+      await store.apply({ save: { bookings: [{ id: 'a', name: 'Renamed' }, { id: 'c', name: 'Third' }], verifiedEmails: ['x@fbhi.net'] } });
+      await store.apply({ remove: { bookings: ['b'] }, settings: { timeZone: 'Europe/London' } });
+      assert.strictEqual(journalLines().length, 2);
+      assert.deepStrictEqual(JSON.parse(journalLines()[1]), { remove: { bookings: ['b'] }, settings: { timeZone: 'Europe/London' } });
+      fs.appendFileSync(path.join(dir, 'journal.jsonl'), '{"save":{"bookings":[{"id":"d"\n');
+
+      const data = await open().load();
+      assert.deepStrictEqual(data.bookings, [{ id: 'a', name: 'Renamed' }, { id: 'c', name: 'Third' }]);
+      assert.deepStrictEqual(data.verifiedEmails, ['x@fbhi.net']);
+      assert.deepStrictEqual(data.settings, { resultsPerPage: 10, timeZone: 'Europe/London' });
+      assert.deepStrictEqual(journalLines(), []);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf8')), data);
+      await assert.rejects(open().apply({ save: { widgets: [] } }), /Unknown collection/);
+    });
+
+    it('rewrites the data file after a number of changes', async () => {
+      const store = open({ compactAfter: 3 });
+      await store.replaceAll({ spaces: [] });
+      for (let i = 0; i < 5; i++) await store.apply({ save: { spaces: [{ id: `s${i}` }] } });
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf8')).spaces.length, 3);
+      assert.strictEqual(journalLines().length, 2);
+      assert.strictEqual((await store.loadCollection('spaces')).length, 5);
+    });
+  });
+
+  // better-sqlite3 is an optional dependency, so it may not be installed
+  let sqliteInstalled = true;
+  try {
+    require('better-sqlite3');
+  } catch (_) {
+    sqliteInstalled = false;
+  }
+
+  (sqliteInstalled ? describe : describe.skip)('SQLite store', () => {
+    let dir;
+    let store;
+    const open = (options = {}) => {
+      store = createSqliteStore({ file: path.join(dir, 'data.sqlite'), ...options });
+      return store;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-sqlite-'));
+    });
+    afterEach(() => {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes only the records in a change and reads them back whole', async () => {
+      assert.strictEqual(await open().load(), null);
+      await store.replaceAll({ bookings: [{ id: 'a', name: 'First' }, { id: 'b', name: 'Second' }], verifiedEmails: ['x@fbhi.net'], settings: { resultsPerPage: 10 } });
+      await store.apply({ save: { bookings: [{ id: 'a', name: 'Renamed', recurring: { frequency: 'weekly' } }, { id: 'c', name: 'Third' }], verifiedEmails: ['x@fbhi.net'] } });
+      await store.apply({ remove: { bookings: ['b'] }, settings: { timeZone: 'Europe/London' } });
+      await assert.rejects(store.apply({ save: { widgets: [] } }), /Unknown collection/);
+      store.close();
+
+      const data = await open().load();
+      assert.deepStrictEqual(data.bookings, [{ id: 'a', name: 'Renamed', recurring: { frequency: 'weekly' } }, { id: 'c', name: 'Third' }]);
+      assert.deepStrictEqual(data.verifiedEmails, ['x@fbhi.net']);
+      assert.deepStrictEqual(data.settings, { resultsPerPage: 10, timeZone: 'Europe/London' });
+      assert.deepStrictEqual(await store.loadCollection('spaces'), []);
+    });
+
+    it('writes nothing from a change that fails part way', async () => {
+      await open().replaceAll({ spaces: [{ id: 's1' }] });
+      const circular = { id: 's2' };
+      circular.self = circular;
+      await assert.rejects(store.apply({ save: { spaces: [{ id: 's3' }, circular] }, remove: { spaces: ['s1'] } }));
+      assert.deepStrictEqual(await store.loadCollection('spaces'), [{ id: 's1' }]);
+    });
+
+    it('imports the JSON data the first time, and only then', async () => {
+      const json = createJsonStore({ dataFile: path.join(dir, 'data.json'), journalFile: path.join(dir, 'journal.jsonl') });
+      await json.replaceAll({ spaces: [{ id: 's1', name: 'Desk' }], settings: { resultsPerPage: 10 } });
+      await json.apply({ save: { bookings: [{ id: 'b1', spaceId: 's1' }] } });
+
+      const data = await open({ importFrom: json }).load();
+      assert.deepStrictEqual(data.bookings, [{ id: 'b1', spaceId: 's1' }]);
+      await store.apply({ remove: { bookings: ['b1'] } });
+      store.close();
+
+      await json.apply({ save: { bookings: [{ id: 'b2', spaceId: 's1' }] } });
+      const reopened = await open({ importFrom: json }).load();
+      assert.deepStrictEqual(reopened.bookings, []);
+      assert.deepStrictEqual(reopened.spaces, [{ id: 's1', name: 'Desk' }]);
+    });
+  });
+
+  describe('Postgres store', () => {
+    // Records the statements sent, standing in for a pg Pool
+    function recordingPool(failOn, rows = []) {
+      const pool = { queries: [], released: 0 };
+      const query = async text => {
+        pool.queries.push(text);
+        if (failOn && failOn.test(text)) throw new Error('boom');
+        return { rows: /^SELECT .* FROM bookings/.test(text) ? rows : [] };
+      };
+      pool.query = query;
+      pool.connect = async () => ({ query, release: () => { pool.released++; } });
+      return pool;
+    }
+
+    it('writes only the records in a change, in one transaction', async () => {
+      const pool = recordingPool();
+      await createPostgresStore(pool).apply({
+        save: { bookings: [{ id: 'b1', name: 'A', email: 'a@fbhi.net', spaceId: 's1', date: '2030-01-01', startTime: '09:00', endTime: '10:00' }] },
+        remove: { adminSessions: ['old'] },
+        settings: { timeZone: 'UTC' }
+      });
+      assert.strictEqual(pool.queries.length, 5);
+      assert.strictEqual(pool.queries[0], 'BEGIN');
+      assert.match(pool.queries[1], /^INSERT INTO "bookings" .* ON CONFLICT \("id"\) DO UPDATE SET "name" = EXCLUDED."name"/);
+      assert.strictEqual(pool.queries[2], 'DELETE FROM "adminSessions" WHERE "id" = ANY($1)');
+      assert.match(pool.queries[3], /^INSERT INTO settings/);
+      assert.strictEqual(pool.queries[4], 'COMMIT');
+      assert.strictEqual(pool.released, 1);
+      assert.ok(!pool.queries.some(q => /^DELETE FROM "bookings"/.test(q)));
+    });
+
+    it('rolls back a change that fails part way', async () => {
+      const pool = recordingPool(/^DELETE/);
+      await assert.rejects(createPostgresStore(pool).apply({ save: { verifiedEmails: ['a@fbhi.net'] }, remove: { spaces: ['s1'] } }), /boom/);
+      assert.match(pool.queries[1], /ON CONFLICT \("email"\) DO NOTHING/);
+      assert.strictEqual(pool.queries[pool.queries.length - 1], 'ROLLBACK');
+      assert.strictEqual(pool.released, 1);
+    });
+
+    it('adds a booking only if the stored bookings leave room for it', async () => {
+      const booking = { id: 'new', spaceId: 's1', date: '2030-01-01', startTime: '09:00', endTime: '10:00' };
+      const held = { id: 'held', spaceId: 's1', date: '2030-01-01', startTime: '09:30', endTime: '10:30', recurring: null };
+      const pool = recordingPool(null, [held]);
+      const seen = [];
+      const conflict = await createPostgresStore(pool).addBooking(booking, stored => {
+        seen.push(...stored);
+        return stored.find(b => b.startTime < booking.endTime && booking.startTime < b.endTime) || null;
+      });
+      assert.strictEqual(conflict.id, 'held');
+      assert.strictEqual(seen[0].checkedIn, false);
+      assert.deepStrictEqual(pool.queries.slice(0, 2), ['BEGIN', 'SELECT pg_advisory_xact_lock(hashtext($1))']);
+      assert.ok(!pool.queries.some(q => q.startsWith('INSERT')));
+      assert.strictEqual(pool.queries[pool.queries.length - 1], 'COMMIT');
+
+      const free = recordingPool();
+      assert.strictEqual(await createPostgresStore(free).addBooking(booking, () => null), null);
+      assert.match(free.queries[3], /^INSERT INTO "bookings"/);
+    });
+
+    it('filters and pages the audit log in the database', async () => {
+      const pool = { queries: [] };
+      pool.query = async (text, params) => {
+        pool.queries.push({ text, params });
+        return { rows: text.startsWith('SELECT count') ? [{ total: 7 }] : [{ id: 'e1' }] };
+      };
+      const result = await createPostgresStore(pool).queryAudit(
+        { actor: 'Me@fbhi.net', action: 'booking_x', from: '2030-01-01T00:00:00.000Z' },
+        { limit: 5, offset: 10 }
+      );
+      assert.deepStrictEqual(result, { total: 7, entries: [{ id: 'e1' }] });
+      const [count, page] = pool.queries;
+      assert.match(count.text, /^SELECT count\(\*\)::int AS total FROM "auditLog" WHERE \(actor = \$1 OR lower\("actorName"\) = \$2\) AND \(action = \$3 OR action LIKE \$4\) AND at >= \$5$/);
+      assert.deepStrictEqual(count.params, ['Me@fbhi.net', 'me@fbhi.net', 'booking_x', 'booking\\_x.%', '2030-01-01T00:00:00.000Z']);
+      assert.match(page.text, /ORDER BY at DESC, id DESC LIMIT \$6 OFFSET \$7$/);
+      assert.deepStrictEqual(page.params.slice(5), [5, 10]);
+
+      await createPostgresStore(pool).queryAudit({}, { limit: null, offset: 0 });
+      assert.doesNotMatch(pool.queries[3].text, /WHERE|LIMIT/);
+    });
+
+    it('sets aside bookings of missing spaces when replacing everything', async () => {
+      const pool = recordingPool();
+      const orphans = await createPostgresStore(pool).replaceAll({
+        spaces: [{ id: 's1' }],
+        bookings: [{ id: 'kept', spaceId: 's1' }, { id: 'orphan', spaceId: 'gone' }]
+      });
+      assert.deepStrictEqual(orphans.map(b => b.id), ['orphan']);
+      assert.strictEqual(pool.queries.filter(q => q.startsWith('INSERT INTO "bookings"')).length, 1);
+      assert.ok(pool.queries.includes('CREATE TABLE IF NOT EXISTS "orphanedBookings" (LIKE bookings)'));
+      assert.strictEqual(pool.queries.filter(q => q.startsWith('INSERT INTO "orphanedBookings"')).length, 1);
+      assert.strictEqual(pool.queries[pool.queries.length - 1], 'COMMIT');
+    });
+  });
+
+  describe('saving from the routes', () => {
+    let srv;
+    before(async () => { srv = await startServer(); });
+    after(() => srv.close());
+
+    it('writes only the booking that was made', async () => {
+      server.jsonStore.compact();
+      const journal = path.join(process.env.DATA_DIR, 'data-changes.jsonl');
+      const res = await srv.request('POST', '/api/bookings', {
+        headers: bookerHeaders('journal@fbhi.net'),
+        body: { name: 'Journal', email: 'journal@fbhi.net', spaceId: server.spaces[0].id, date: isoDaysFromNow(12), startTime: '08:00', endTime: '09:00' }
+      });
+      assert.strictEqual(res.status, 200);
+      // The booking, plus the booker session's last use
+      const changes = fs.readFileSync(journal, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      assert.deepStrictEqual(changes.map(c => Object.keys(c.save)), [['bookerSessions'], ['bookings']]);
+      assert.deepStrictEqual(changes[1].save.bookings.map(b => b.id), [res.body.id]);
+      await srv.request('GET', `/cancel/${res.body.id}`);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer } = require('./helpers');
+
+describe('site timezone', () => {
+  const originalZone = server.settings.timeZone;
+  const originalNow = server.currentTime;
+  const pinNow = iso => { server.currentTime = () => new Date(iso); };
+
+  beforeEach(() => {
+    server.settings.timeZone = 'America/New_York';
+    server.bookings.length = 0;
+  });
+  afterEach(() => {
+    server.settings.timeZone = originalZone;
+    server.currentTime = originalNow;
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('uses the offset in force on each side of a DST change', () => {
+      assert.strictEqual(server.zonedTimeToUtc('2025-03-08', '09:00').toISOString(), '2025-03-08T14:00:00.000Z');
+      assert.strictEqual(server.zonedTimeToUtc('2025-03-09', '09:00').toISOString(), '2025-03-09T13:00:00.000Z');
+      assert.strictEqual(server.zonedTimeToUtc('2025-11-02', '09:00').toISOString(), '2025-11-02T14:00:00.000Z');
+    });
+
+    it('moves skipped times past the change and takes the first repeated time', () => {
+      // 02:30 does not exist on 2025-03-09; 01:30 happens twice on 2025-11-02
+      assert.strictEqual(server.zonedTimeToUtc('2025-03-09', '02:30').toISOString(), '2025-03-09T07:30:00.000Z');
+      assert.strictEqual(server.zonedTimeToUtc('2025-11-02', '01:30').toISOString(), '2025-11-02T05:30:00.000Z');
+    });
+
+    it('honours an explicit zone', () => {
+      assert.strictEqual(server.zonedTimeToUtc('2025-07-01', '09:00', 'Europe/London').toISOString(), '2025-07-01T08:00:00.000Z');
+    });
+  });
+
+  describe('reminders', () => {
+    let emails;
+    const originalReminder = server.sendBookingReminderEmail;
+    beforeEach(() => {
+      emails = [];
+      server.remindedBookings.clear();
+      server.sendBookingReminderEmail = async (...args) => { emails.push(args); };
+    });
+    after(() => { server.sendBookingReminderEmail = originalReminder; });
+
+    it('picks tomorrow by the site calendar, not UTC', async () => {
+      // 23:30 in New York on 9 March is already 10 March in UTC
+      pinNow('2025-03-10T03:30:00Z');
+      server.bookings.push({
+        id: 'tz1', name: 'Late', email: 'late@fbhi.net', spaceId: 'space',
+        date: '2025-03-10', startTime: '09:00', endTime: '10:00', recurring: false
+      });
+      await server.checkAndSendReminders();
+      assert.strictEqual(emails.length, 1);
+      assert.ok(server.remindedBookings.has('tz1|2025-03-10'));
+    });
+  });
+
+  describe('API', () => {
+    let srv;
+    let auth;
+    before(async () => {
+      srv = await startServer();
+      const login = await srv.request('POST', '/api/login', {
+        body: { username: 'admin@example.com', password: 'admin123' }
+      });
+      auth = { Authorization: 'Bearer ' + login.body.token };
+    });
+    after(() => srv.close());
+
+    const booking = (date, startTime) => ({
+      name: 'Evening', email: 'evening@fbhi.net', spaceId: server.spaces[0].id,
+      date, startTime, endTime: '23:45'
+    });
+
+    it('judges past times against the site clock', async () => {
+      // 22:00 in New York, 02:00 the next day in UTC
+      pinNow('2025-06-11T02:00:00Z');
+      const past = await srv.request('POST', '/api/bookings', { headers: auth, body: booking('2025-06-10', '21:30') });
+      assert.strictEqual(past.status, 400);
+      const later = await srv.request('POST', '/api/bookings', { headers: auth, body: booking('2025-06-10', '22:30') });
+      assert.strictEqual(later.status, 200);
+    });
+
+    it('reports and updates the site timezone', async () => {
+      pinNow('2025-06-11T02:00:00Z');
+      const res = await srv.request('GET', '/api/settings');
+      assert.strictEqual(res.body.timeZone, 'America/New_York');
+      assert.strictEqual(res.body.today, '2025-06-10');
+      const bad = await srv.request('PUT', '/api/settings', { headers: auth, body: { timeZone: 'Mars/Olympus' } });
+      assert.strictEqual(bad.status, 400);
+      const ok = await srv.request('PUT', '/api/settings', { headers: auth, body: { timeZone: 'Asia/Tokyo' } });
+      assert.strictEqual(ok.status, 200);
+      assert.strictEqual(ok.body.today, '2025-06-11');
+      const anon = await srv.request('PUT', '/api/settings', { body: { timeZone: 'UTC' } });
+      assert.strictEqual(anon.status, 401);
+    });
+  });
+});
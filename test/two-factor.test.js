@@ -0,0 +1,148 @@
+const assert = require('assert');
+const server = require('..');
+const { startServer, isoDaysFromNow, withFailingDatabase } = require('./helpers');
+
+describe('two-factor authentication', () => {
+  let srv;
+  let ownerAuth;
+  let admin;
+  const username = 'twofactor@example.com';
+  const password = 'correct-horse-battery';
+  const step = () => Math.floor(Date.now() / 30000);
+  const login = body => srv.request('POST', '/api/login', { body: { username, password, ...body } });
+
+  before(async () => {
+    srv = await startServer();
+    const res = await srv.request('POST', '/api/login', { body: { username: 'admin@example.com', password: 'admin123' } });
+    ownerAuth = { Authorization: 'Bearer ' + res.body.token };
+  });
+  after(() => srv.close());
+  beforeEach(async () => {
+    await srv.request('POST', '/api/admins', { headers: ownerAuth, body: { username, password, role: 'admin' } });
+    admin = server.admins.find(a => a.username === username);
+  });
+  afterEach(async () => {
+    server.settings.twoFactorRequiredRoles = [];
+    await srv.request('DELETE', `/api/admins/${admin.id}`, { headers: ownerAuth });
+  });
+
+  // Enrol the test admin and return its secret and recovery codes
+  async function enrol() {
+    const auth = { Authorization: 'Bearer ' + (await login()).body.token };
+    const setup = await srv.request('POST', '/api/2fa/setup', { headers: auth });
+    assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\/.*twofactor%40example\.com\?secret=/);
+    const wrong = await srv.request('POST', '/api/2fa/enable', { headers: auth, body: { code: '000000' } });
+    assert.strictEqual(wrong.status, 400);
+    const enabled = await srv.request('POST', '/api/2fa/enable', {
+      headers: auth, body: { code: server.generateTotp(setup.body.secret, step()) }
+    });
+    assert.strictEqual(enabled.status, 200);
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+  }
+
+  it('matches the RFC 6238 test vectors', () => {
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    assert.strictEqual(server.base32Decode(secret).toString(), '12345678901234567890');
+    assert.strictEqual(server.generateTotp(secret, Math.floor(59 / 30)), '287082');
+    assert.strictEqual(server.generateTotp(secret, Math.floor(1111111109 / 30)), '081804');
+  });
+
+  it('requires a fresh code at login once enrolled', async () => {
+    const { secret } = await enrol();
+    const missing = await login();
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.body.twoFactorRequired, true);
+    assert.strictEqual((await login({ code: '123456' })).status, 401);
+    // The step used to enrol cannot be replayed; the next one is accepted
+    assert.strictEqual((await login({ code: server.generateTotp(secret, step()) })).status, 401);
+    const next = server.generateTotp(secret, step() + 1);
+    assert.strictEqual((await login({ code: next })).status, 200);
+    assert.strictEqual((await login({ code: next })).status, 401);
+  });
+
+  it('accepts each recovery code once and can replace them', async () => {
+    const { secret, recoveryCodes } = await enrol();
+    assert.strictEqual(recoveryCodes.length, 10);
+    assert.ok(!JSON.stringify(admin).includes(recoveryCodes[0]));
+    const res = await login({ code: recoveryCodes[0].toUpperCase() });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await login({ code: recoveryCodes[0] })).status, 401);
+    const auth = { Authorization: 'Bearer ' + res.body.token };
+    assert.strictEqual((await srv.request('GET', '/api/2fa', { headers: auth })).body.recoveryCodesRemaining, 9);
+    const replaced = await srv.request('POST', '/api/2fa/recovery-codes', {
+      headers: auth, body: { code: server.generateTotp(secret, step() + 1) }
+    });
+    assert.strictEqual(replaced.body.recoveryCodes.length, 10);
+    assert.strictEqual((await login({ code: recoveryCodes[1] })).status, 401);
+  });
+
+  it('limits unenrolled admins to setup when their role requires it', async () => {
+    server.settings.twoFactorRequiredRoles = ['admin'];
+    const res = await login();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.twoFactorSetupRequired, true);
+    const auth = { Authorization: 'Bearer ' + res.body.token };
+    const blocked = await srv.request('GET', '/api/bookings', { headers: auth });
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.twoFactorSetupRequired, true);
+    assert.strictEqual((await srv.request('GET', '/api/2fa', { headers: auth })).body.required, true);
+    // Public routes that act for admins do not treat them as one either
+    const booking = await srv.request('POST', '/api/bookings', {
+      headers: auth,
+      body: { name: 'Someone', email: 'someone@fbhi.net', spaceId: server.spaces[0].id, date: isoDaysFromNow(5), startTime: '09:00', endTime: '10:00' }
+    });
+    assert.strictEqual(booking.status, 401);
+
+    const { secret } = await enrol();
+    assert.strictEqual((await srv.request('GET', '/api/bookings', { headers: auth })).status, 200);
+    const disable = await srv.request('DELETE', '/api/2fa', {
+      headers: auth, body: { code: server.generateTotp(secret, step() + 1) }
+    });
+    assert.strictEqual(disable.status, 400);
+  });
+
+  it('leaves 2FA off when enabling it cannot be saved', async () => {
+    const auth = { Authorization: 'Bearer ' + (await login()).body.token };
+    const setup = await srv.request('POST', '/api/2fa/setup', { headers: auth });
+    const code = server.generateTotp(setup.body.secret, step());
+    const failed = await withFailingDatabase(() => srv.request('POST', '/api/2fa/enable', { headers: auth, body: { code } }));
+    assert.strictEqual(failed.status, 500);
+    assert.ok(!admin.totpSecret);
+    assert.ok(!admin.totpLastStep);
+    assert.ok(!(admin.recoveryCodes || []).length);
+    assert.strictEqual((await login()).status, 200);
+    // The pending secret survives, so setup can be finished afterwards
+    const enabled = await srv.request('POST', '/api/2fa/enable', { headers: auth, body: { code } });
+    assert.strictEqual(enabled.status, 200);
+  });
+
+  it('keeps 2FA on when turning it off or resetting it cannot be saved', async () => {
+    const { recoveryCodes } = await enrol();
+    const signedIn = await login({ code: recoveryCodes[0] });
+    assert.strictEqual(signedIn.status, 200);
+    const auth = { Authorization: 'Bearer ' + signedIn.body.token };
+    const [disabled, reset] = await withFailingDatabase(async () => [
+      await srv.request('DELETE', '/api/2fa', { headers: auth, body: { code: recoveryCodes[1] } }),
+      await srv.request('DELETE', `/api/admins/${admin.id}/2fa`, { headers: ownerAuth })
+    ]);
+    assert.strictEqual(disabled.status, 500);
+    assert.strictEqual(reset.status, 500);
+    assert.ok(admin.totpSecret);
+    assert.strictEqual(admin.recoveryCodes.length, recoveryCodes.length - 2);
+    assert.strictEqual((await srv.request('GET', '/api/admin-sessions', { headers: auth })).status, 200);
+    assert.strictEqual((await login()).body.twoFactorRequired, true);
+  });
+
+  it('lets owners enforce 2FA and reset a lost device', async () => {
+    const invalid = await srv.request('PUT', '/api/settings', { headers: ownerAuth, body: { twoFactorRequiredRoles: ['wizard'] } });
+    assert.strictEqual(invalid.status, 400);
+    const saved = await srv.request('PUT', '/api/settings', { headers: ownerAuth, body: { twoFactorRequiredRoles: ['superadmin'] } });
+    assert.deepStrictEqual(saved.body.twoFactorRequiredRoles, ['superadmin']);
+
+    await enrol();
+    const list = await srv.request('GET', '/api/admins', { headers: ownerAuth });
+    assert.strictEqual(list.body.find(a => a.id === admin.id).twoFactorEnabled, true);
+    assert.strictEqual((await srv.request('DELETE', `/api/admins/${admin.id}/2fa`, { headers: ownerAuth })).status, 200);
+    assert.strictEqual((await login()).status, 200);
+  });
+});